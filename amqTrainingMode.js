@@ -98,6 +98,10 @@ let CSLButtonCSS = saveData.CSLButtonCSS || "calc(25% - 250px)";
 let showCSLMessages = saveData.showCSLMessages ?? false;
 let replacedAnswers = saveData.replacedAnswers || {};
 let malClientId = saveData.malClientId ?? "";
+/** @type {"exact" | "normal" | "lenient"} */
+let answerStrictness = saveData.answerStrictness ?? "normal";
+/** @type {"anime" | "song" | "artist" | "type"} */
+let trainingCardType = saveData.trainingCardType ?? "anime";
 let hotKeys = saveData.hotKeys ?? {};
 let debug = Boolean(saveData.debug);
 let fastSkip = false;
@@ -640,6 +644,8 @@ function saveSettings() {
       debug,
       hotKeys,
       malClientId,
+      answerStrictness,
+      trainingCardType,
     })
   );
 
@@ -1334,6 +1340,8 @@ $("#gameContainer").append(
                         <h4 style="margin-top: 20px;">Prompt All Players</h4>
                         <div style="margin: 10px 0"><button id="cslgPromptAllAutocompleteButton" style="color: black; margin-right: 10px;">Autocomplete</button><button id="cslgPromptAllVersionButton" style="color: black;">Version</button></div>
                         <div style="margin-top: 15px"><span style="font-size: 16px; margin-right: 10px; vertical-align: middle;">Show CSL Messages</span><div class="customCheckbox" style="vertical-align: middle"><input type="checkbox" id="cslgShowCSLMessagesCheckbox"><label for="cslgShowCSLMessagesCheckbox"><i class="fa fa-check" aria-hidden="true"></i></label></div></div>
+                        <div style="margin-top: 15px"><span style="font-size: 16px; margin-right: 10px; vertical-align: middle;">Answer Checking</span><select id="cslgAnswerStrictnessSelect" style="padding: 3px 0; color: black;"><option value="exact">Exact</option><option value="normal">Normal (ignore punctuation &amp; long vowels)</option><option value="lenient">Lenient (also ignore season/part)</option></select></div>
+                        <div style="margin-top: 15px"><span style="font-size: 16px; margin-right: 10px; vertical-align: middle;">Training Cards</span><select id="cslgTrainingCardTypeSelect" style="padding: 3px 0; color: black;"><option value="anime">Anime name</option><option value="song">Song title</option><option value="artist">Artist</option><option value="type">OP/ED number</option></select></div>
                         <div style="margin: 10px 0"><input id="cslgMalClientIdInput" type="text" placeholder="MAL Client ID" style="width: 300px; color: black;"></div>
                     </div>
                 </div>
@@ -2221,6 +2229,30 @@ $("#cslgShowCSLMessagesCheckbox")
   .on("click", () => {
     showCSLMessages = !showCSLMessages;
   });
+$("#cslgAnswerStrictnessSelect")
+  .val(answerStrictness)
+  .on(
+    "change",
+    /** @this {HTMLSelectElement}  */
+    function () {
+      answerStrictness = /** @type {"exact" | "normal" | "lenient"} */ (
+        this.value
+      );
+      saveSettings();
+    }
+  );
+$("#cslgTrainingCardTypeSelect")
+  .val(trainingCardType)
+  .on(
+    "change",
+    /** @this {HTMLSelectElement}  */
+    function () {
+      trainingCardType = /** @type {"anime" | "song" | "artist" | "type"} */ (
+        this.value
+      );
+      saveSettings();
+    }
+  );
 $("#cslgPromptAllAutocompleteButton").on("click", () => {
   cslMessage("§CSL21");
 });
@@ -2300,12 +2332,25 @@ function updateEFactor(oldEFactor, qualityOfResponse) {
   return newEFactor;
 }
 
+/**
+ * Review data key of a song for the current training card type
+ * Anime cards keep the plain "artist_title" key, other card types add a suffix
+ * (same format as getCardKey in src/lib/utils/trainingCardTypes.js)
+ *
+ * @param {import('./types.js').Song} song
+ * @returns {string}
+ */
+function getReviewKey(song) {
+  const songKey = `${song.songArtist}_${song.songName}`;
+  return trainingCardType === "anime" ? songKey : `${songKey}::${trainingCardType}`;
+}
+
 /**
  * @param {import('./types.js').Song} track
  */
 function getReviewState(track) {
   const reviewData = loadReviewData();
-  const songKey = `${track.songArtist}_${track.songName}`;
+  const songKey = getReviewKey(track);
   const lastReview = reviewData[songKey] || {
     date: Date.now(),
     efactor: 2.5,
@@ -2361,7 +2406,7 @@ function reviewSong(song, success) {
   console.log(song);
   if (!isTraining) return;
   let reviewData = loadReviewData();
-  const songKey = `${song.songArtist}_${song.songName}`;
+  const songKey = getReviewKey(song);
 
   if (!reviewData[songKey]) {
     reviewData[songKey] = {
@@ -2890,7 +2935,7 @@ function adjustWeightOnUserInteraction(factor) {
     return;
   }
 
-  const songKey = `${currentSongData.songArtist}_${currentSongData.songName}`;
+  const songKey = getReviewKey(currentSongData);
 
   // Store the current song key
   if (songKey !== currentSongKey) {
@@ -3023,13 +3068,16 @@ function prepareSongForTraining(songKeys, maxSongs) {
   }
 
   console.log(`Creating review candidates...`);
-  let reviewCandidates = songKeys.map((song) => {
-    let reviewState = getReviewState(song);
-    return {
-      ...reviewState,
-      song: song,
-    };
-  });
+  // Songs without an answer for the card type (inserts for OP/ED number cards) are skipped
+  let reviewCandidates = songKeys
+    .filter((song) => getCardAnswers(song).length > 0)
+    .map((song) => {
+      let reviewState = getReviewState(song);
+      return {
+        ...reviewState,
+        song: song,
+      };
+    });
   console.log(`Created ${reviewCandidates.length} review candidates`);
 
   if (repeatMode) {
@@ -3117,7 +3165,7 @@ function prepareSongForTraining(songKeys, maxSongs) {
     // Iterate over selectedNewSongs and add to the set
     selectedNewSongs.forEach((song) => {
       // Assuming `song` has properties `songArtist` and `songName`
-      selectedSetNewSongs.add(`${song.songArtist}_${song.songName}`);
+      selectedSetNewSongs.add(getReviewKey(song));
     });
 
     reviewCandidates = [
@@ -4710,18 +4758,15 @@ function isCorrectAnswer(songNumber, answer) {
     reviewSong(song, false);
     return false;
   }
-  answer = answer.toLowerCase();
-  let correctAnswers = [
-    ...(song.altAnimeNames || []),
-    ...(song.altAnimeNamesAnswers || []),
-  ];
+  let key = normalizeAnswer(answer, answerStrictness);
+  let correctAnswers = getCardAnswers(song);
   for (let a1 of correctAnswers) {
     let a2 = replacedAnswers[a1];
-    if (a2 && a2.toLowerCase() === answer) {
+    if (a2 && normalizeAnswer(a2, answerStrictness) === key) {
       reviewSong(song, true);
       return true;
     }
-    if (a1.toLowerCase() === answer) {
+    if (normalizeAnswer(a1, answerStrictness) === key) {
       reviewSong(song, true);
       return true;
     }
@@ -4730,6 +4775,72 @@ function isCorrectAnswer(songNumber, answer) {
   return false;
 }
 
+/**
+ * Accepted answers of a song for the current training card type
+ * Userscript copy of getCardAnswers in src/lib/utils/trainingCardTypes.js, keep both in sync
+ *
+ * @param {import('./types.js').Song} song
+ * @returns {string[]}
+ */
+function getCardAnswers(song) {
+  if (trainingCardType === "song") return song.songName ? [song.songName] : [];
+  if (trainingCardType === "artist") return song.songArtist ? [song.songArtist] : [];
+  if (trainingCardType === "type") {
+    if (song.songType !== 1 && song.songType !== 2) return [];
+    let kind = song.songType === 1 ? "OP" : "ED";
+    let name = song.songType === 1 ? "Opening" : "Ending";
+    let number = song.typeNumber || 1;
+    return [`${kind}${number}`, `${kind} ${number}`, `${name} ${number}`];
+  }
+  return [...(song.altAnimeNames || []), ...(song.altAnimeNamesAnswers || [])];
+}
+
+/**
+ * Normalise an answer or anime title for comparison
+ * Userscript copy of normalizeAnswer in src/lib/utils/answerNormalization.js, keep both in sync
+ *
+ * @param {string} text
+ * @param {"exact" | "normal" | "lenient"} strictness
+ * @returns {string}
+ */
+function normalizeAnswer(text, strictness) {
+  let value = String(text ?? "").trim().toLowerCase();
+  if (strictness === "exact") return value;
+
+  value = value.normalize("NFKD").replace(/\p{M}/gu, "");
+  value = value.replace(/&/g, " and ").replace(/×/g, "x");
+
+  if (strictness === "lenient") {
+    let ordinal = "(?:\\d+(?:st|nd|rd|th)|first|second|third|fourth|fifth|final)";
+    let numeral = "(?:\\d+|i{1,3}|iv|v|vi{0,3})";
+    let suffixes = [
+      new RegExp(`[\\s:,-]*${ordinal}\\s+(?:season|part|cour)$`),
+      new RegExp(`[\\s:,-]*(?:season|part|cour)\\s*${numeral}$`),
+      /[\s:,-]*s\d+$/,
+      /[\s:,-]*\((?:tv|\d{4})\)$/,
+      /\s+(?:\d+|ii|iii|iv)$/,
+    ];
+    let previous;
+    let current = value.trim();
+    do {
+      previous = current;
+      for (let pattern of suffixes) {
+        current = current.replace(pattern, "").trim();
+      }
+    } while (current !== previous && current.length > 0);
+    value = current || previous;
+  }
+
+  value = value
+    .replace(/ou/g, "o")
+    .replace(/oo/g, "o")
+    .replace(/uu/g, "u")
+    .replace(/aa/g, "a")
+    .replace(/ii/g, "i")
+    .replace(/ee/g, "e");
+  return value.replace(/[^\p{L}\p{N}]/gu, "");
+}
+
 /**
  * Get start point value (0-100)
  */
@@ -0,0 +1,324 @@
+#!/usr/bin/env node
+/**
+ * Headless quiz generator
+ * Runs simulateQuizConfiguration + generateQuizSongs outside of SvelteKit, using a local song list
+ * instead of the masterlist/database sources. Useful for batch-generating rounds offline and for
+ * diffing generation results between config revisions.
+ *
+ * Usage:
+ *   node scripts/generate-quiz.js --config quiz.json --songs songs.json [--seed abc] [--format json|csv] [--output songs|command]
+ *
+ * Application modules are loaded through Vite so `$lib` imports resolve exactly as in the app.
+ *
+ * @module scripts/generate-quiz
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { fileURLToPath } from 'url';
+import { createServer } from 'vite';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const ROOT_DIR = path.resolve(__dirname, '..');
+
+const USAGE = `Generate a quiz from an editor configuration without running the web app.
+
+Usage:
+  node scripts/generate-quiz.js --config <file> --songs <file> [options]
+
+Required:
+  -c, --config <file>   Editor configuration JSON. Accepts the saved editor graph ({nodes, edges},
+                        as stored in quiz_configurations.configuration_data) or the output of
+                        exportConfig ({nodes, songLists, routerInfo}).
+  -s, --songs <file>    Local song list JSON (array of songs, or an object with a "songs" array).
+                        Every source node of the config draws from this list; node percentages
+                        are kept.
+
+Options:
+      --seed <seed>     Seed for simulation and generation (random when omitted)
+  -f, --format <fmt>    json (default) or csv
+  -o, --output <kind>   songs (default) or command (AMQ "save quiz" command, JSON only)
+      --name <name>     Quiz name used in the command (default: config file name)
+      --out <file>      Write the result to a file instead of stdout
+  -v, --verbose         Print generation logs to stderr
+  -h, --help            Show this help
+`;
+
+/** Song fields written to CSV output, in column order */
+const CSV_COLUMNS = [
+  'annSongId',
+  'songName',
+  'songArtist',
+  'songType',
+  'animeENName',
+  'animeJPName',
+  'animeVintage',
+  'animeType',
+  'songDifficulty',
+  'songCategory'
+];
+
+/**
+ * Print an error with usage hint and exit
+ * @param {string} message - Error message
+ * @returns {never}
+ */
+function fail(message) {
+  process.stderr.write(`Error: ${message}\nRun with --help for usage.\n`);
+  process.exit(1);
+}
+
+/**
+ * Read and parse a JSON file
+ * @param {string} filePath - Path to the file
+ * @param {string} label - Label used in error messages
+ * @returns {any} Parsed JSON
+ */
+function readJsonFile(filePath, label) {
+  const resolved = path.resolve(filePath);
+  if (!fs.existsSync(resolved)) {
+    fail(`${label} file not found: ${resolved}`);
+  }
+  try {
+    return JSON.parse(fs.readFileSync(resolved, 'utf-8'));
+  } catch (error) {
+    fail(`${label} file is not valid JSON (${resolved}): ${error.message}`);
+  }
+}
+
+/**
+ * Convert exportConfig output into the node/edge graph simulateQuizConfiguration expects.
+ * exportConfig has already rolled execution chances and the router, so every executed node is
+ * kept at 100% and wired straight into the Number of Songs node.
+ * @param {Object} exported - Output of exportConfig
+ * @param {Object} NODE_CATEGORIES - Node category constants
+ * @returns {{nodes: Array<Object>, edges: Array<Object>}} Editor graph
+ */
+function exportedConfigToGraph(exported, NODE_CATEGORIES) {
+  const nodes = (exported.nodes || [])
+    .filter((node) => node.executed !== false && node.type !== NODE_CATEGORIES.ROUTER)
+    .map((node) => ({
+      id: node.instanceId,
+      data: {
+        id: node.id,
+        type: node.type,
+        instanceId: node.instanceId,
+        title: node.id,
+        executionChance: 100,
+        currentValue: node.currentValue
+      }
+    }));
+
+  for (const list of exported.songLists || []) {
+    const isBatch = list.nodeType === 'batch-user-list';
+    nodes.push({
+      id: list.nodeId,
+      data: {
+        id: isBatch ? 'batch-user-list' : 'song-list',
+        type: isBatch ? NODE_CATEGORIES.BATCH_USER_LIST : NODE_CATEGORIES.SONG_LIST,
+        instanceId: list.nodeId,
+        title: list.nodeType,
+        executionChance: 100,
+        currentValue: list
+      }
+    });
+  }
+
+  const numberOfSongsNode = nodes.find((node) => node.data.type === NODE_CATEGORIES.NUMBER_OF_SONGS);
+  const edges = numberOfSongsNode
+    ? nodes
+      .filter((node) => node !== numberOfSongsNode)
+      .map((node) => ({
+        id: `cli-${node.id}-${numberOfSongsNode.id}`,
+        source: node.id,
+        target: numberOfSongsNode.id
+      }))
+    : [];
+
+  return { nodes, edges };
+}
+
+/**
+ * Point every source list of a simulated config at the local songs
+ * @param {Object} simulatedConfig - Result of simulateQuizConfiguration (modified)
+ * @param {Array<Object>} songs - Local songs
+ * @param {string} listName - Display name for the local list
+ * @returns {void}
+ */
+function useLocalSongs(simulatedConfig, songs, listName) {
+  simulatedConfig.songLists = (simulatedConfig.songLists || []).map((list) => ({
+    nodeId: list.nodeId,
+    nodeType: 'song-list',
+    mode: 'provided',
+    useEntirePool: list.useEntirePool || false,
+    songPercentage: list.songPercentage ?? null,
+    songSelectionMode: list.songSelectionMode,
+    selectedListName: listName,
+    songs
+  }));
+}
+
+/**
+ * Escape a value for CSV output
+ * @param {*} value - Cell value
+ * @returns {string} Escaped cell
+ */
+function toCsvCell(value) {
+  if (value === null || value === undefined) return '';
+  const str = String(value);
+  return /[",\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/**
+ * Format songs as CSV with a header row
+ * @param {Array<Object>} songs - Generated songs
+ * @returns {string} CSV text
+ */
+function songsToCsv(songs) {
+  const header = ['index', ...CSV_COLUMNS, 'source'].join(',');
+  const rows = songs.map((song, index) =>
+    [index + 1, ...CSV_COLUMNS.map((column) => song[column]), song._sourceInfo]
+      .map(toCsvCell)
+      .join(',')
+  );
+  return [header, ...rows].join('\n') + '\n';
+}
+
+/**
+ * Strip internal bookkeeping fields (prefixed with _) from a song
+ * @param {Object} song - Generated song
+ * @returns {Object} Song without internal fields
+ */
+function publicSongFields(song) {
+  return Object.fromEntries(Object.entries(song).filter(([key]) => !key.startsWith('_')));
+}
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      config: { type: 'string', short: 'c' },
+      songs: { type: 'string', short: 's' },
+      seed: { type: 'string' },
+      format: { type: 'string', short: 'f', default: 'json' },
+      output: { type: 'string', short: 'o', default: 'songs' },
+      name: { type: 'string' },
+      out: { type: 'string' },
+      verbose: { type: 'boolean', short: 'v', default: false },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+
+  if (values.help) {
+    process.stdout.write(USAGE);
+    return;
+  }
+  if (!values.config) fail('--config is required');
+  if (!values.songs) fail('--songs is required');
+  if (!['json', 'csv'].includes(values.format)) fail(`Unknown format "${values.format}" (expected json or csv)`);
+  if (!['songs', 'command'].includes(values.output)) fail(`Unknown output "${values.output}" (expected songs or command)`);
+  if (values.output === 'command' && values.format === 'csv') fail('CSV output is only available for song lists');
+
+  const configData = readJsonFile(values.config, 'Config');
+  const songData = readJsonFile(values.songs, 'Song list');
+  const localSongs = Array.isArray(songData) ? songData : songData?.songs;
+  if (!Array.isArray(localSongs) || localSongs.length === 0) {
+    fail('Song list must be a non-empty array of songs (or an object with a "songs" array)');
+  }
+  if (!Array.isArray(configData?.nodes)) {
+    fail('Config must contain a "nodes" array');
+  }
+
+  // Generation logs go to stderr (or nowhere) so stdout stays machine-readable
+  const originalLog = console.log;
+  const originalInfo = console.info;
+  const originalWarn = console.warn;
+  const logToStderr = values.verbose ? (...args) => console.error(...args) : () => { };
+  console.log = logToStderr;
+  console.info = logToStderr;
+  console.warn = logToStderr;
+
+  const vite = await createServer({
+    root: ROOT_DIR,
+    logLevel: 'error',
+    appType: 'custom',
+    server: { middlewareMode: true, hmr: false },
+    // Only SSR modules are loaded - skip the browser dependency pre-bundling scan
+    optimizeDeps: { noDiscovery: true, include: [] }
+  });
+
+  let output;
+  try {
+    // Filters self-register on import and must be loaded before node definitions are read
+    await vite.ssrLoadModule('/src/lib/components/amqplus/editor/utils/filters/index.js');
+    const definitions = await vite.ssrLoadModule('/src/lib/components/amqplus/editor/utils/nodeDefinitions.js');
+    const { simulateQuizConfiguration } = await vite.ssrLoadModule('/src/lib/components/amqplus/editor/utils/simulationUtils.js');
+    const { generateQuizSongs } = await vite.ssrLoadModule('/src/lib/server/songFiltering.js');
+    const { buildQuizCommand } = await vite.ssrLoadModule('/src/lib/server/quiz-command-builder.js');
+
+    const configs = {
+      ROUTER_CONFIG: definitions.ROUTER_CONFIG,
+      BASIC_SETTINGS_CONFIG: definitions.BASIC_SETTINGS_CONFIG,
+      NUMBER_OF_SONGS_CONFIG: definitions.NUMBER_OF_SONGS_CONFIG,
+      FILTER_NODE_DEFINITIONS: definitions.FILTER_NODE_DEFINITIONS
+    };
+
+    const graph = Array.isArray(configData.edges)
+      ? { nodes: configData.nodes, edges: configData.edges }
+      : exportedConfigToGraph(configData, definitions.NODE_CATEGORIES);
+
+    const simulatedConfig = simulateQuizConfiguration(graph.nodes, graph.edges, configs, values.seed || null);
+    if (!simulatedConfig.songLists || simulatedConfig.songLists.length === 0) {
+      throw new Error('Config has no song source connected to a Number of Songs node');
+    }
+    useLocalSongs(simulatedConfig, localSongs, path.basename(values.songs));
+
+    const { songs, metadata } = await generateQuizSongs(simulatedConfig, fetch, simulatedConfig.seed);
+
+    if (!metadata.success) {
+      process.stderr.write(`Warning: generated ${songs.length}/${metadata.targetCount} songs` +
+        (metadata.failedBaskets?.length ? ` (${metadata.failedBaskets.length} basket(s) not satisfied)` : '') + '\n');
+    }
+
+    if (values.output === 'command') {
+      const quizName = values.name || path.basename(values.config, path.extname(values.config));
+      const command = buildQuizCommand({
+        songs,
+        simulatedConfig,
+        quizName,
+        quizDescription: `Generated offline with seed ${simulatedConfig.seed}`,
+        seed: simulatedConfig.seed
+      });
+      output = JSON.stringify(command, null, 2) + '\n';
+    } else if (values.format === 'csv') {
+      output = songsToCsv(songs);
+    } else {
+      output = JSON.stringify({
+        seed: simulatedConfig.seed,
+        router: simulatedConfig.router,
+        songCount: songs.length,
+        targetCount: metadata.targetCount,
+        success: metadata.success,
+        songs: songs.map(publicSongFields)
+      }, null, 2) + '\n';
+    }
+  } finally {
+    await vite.close();
+    console.log = originalLog;
+    console.info = originalInfo;
+    console.warn = originalWarn;
+  }
+
+  if (values.out) {
+    fs.writeFileSync(path.resolve(values.out), output);
+    process.stderr.write(`Wrote ${path.resolve(values.out)}\n`);
+  } else {
+    process.stdout.write(output);
+  }
+}
+
+main().catch((error) => {
+  process.stderr.write(`Error: ${error.message}\n`);
+  if (error.stack) process.stderr.write(`${error.stack}\n`);
+  process.exit(1);
+});
@@ -81,6 +81,11 @@ export const settingConfigs = {
 		label: 'Tags',
 		size: 'large'
 	},
+	artists: {
+		type: 'complex-artists',
+		label: 'Artists',
+		size: 'large'
+	},
 	'song-list': {
 		type: 'complex-song-list',
 		label: 'Song List',
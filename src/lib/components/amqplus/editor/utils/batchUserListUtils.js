@@ -50,7 +50,7 @@ export async function importBatchUserLists(userEntries, forceRefresh = false, on
 			}
 
 			const result = await importUserList(
-				/** @type {'anilist' | 'mal'} */(entry.platform),
+				/** @type {'anilist' | 'mal' | 'kitsu'} */(entry.platform),
 				entry.username,
 				entry.selectedLists,
 				forceRefresh,
@@ -6,9 +6,10 @@ import { isConnectedToFinalFlow } from './validationUtils.js';
  * Supports both static numbers and range objects
  *
  * @param {number|Object|null|undefined} executionChance - Execution chance as number (0-100) or range object with min/max
+ * @param {() => number} [rng] - Random number generator (pass a seeded RNG for a reproducible result)
  * @returns {boolean} Whether the node should execute
  */
-export function shouldExecuteNode(executionChance) {
+export function shouldExecuteNode(executionChance, rng = Math.random) {
 	if (executionChance === undefined) {
 		return true;
 	}
@@ -18,7 +19,7 @@ export function shouldExecuteNode(executionChance) {
 		if (executionChance.kind === 'range') {
 			const min = executionChance.min || 0;
 			const max = executionChance.max || 100;
-			const randomChance = Math.random() * 100;
+			const randomChance = rng() * 100;
 			return randomChance >= min && randomChance <= max;
 		}
 		// Fallback for other object types
@@ -30,7 +31,7 @@ export function shouldExecuteNode(executionChance) {
 	if (isNaN(chance) || chance >= 100) {
 		return true;
 	}
-	return Math.random() * 100 < chance;
+	return rng() * 100 < chance;
 }
 
 /**
@@ -69,9 +70,10 @@ export function getDefaultSettingsForNodeType(nodeType, nodeId, configs) {
  * Selects a route from a router node based on weighted random selection
  *
  * @param {Object} routerNode - Router node configuration
+ * @param {() => number} [rng] - Random number generator (pass a seeded RNG for a reproducible pick)
  * @returns {Object|null} Selected route object or null if no route selected
  */
-export function selectRouteFromRouter(routerNode) {
+export function selectRouteFromRouter(routerNode, rng = Math.random) {
 	if (!routerNode || !routerNode.data.currentValue?.routes) {
 		return null;
 	}
@@ -83,7 +85,7 @@ export function selectRouteFromRouter(routerNode) {
 	const totalPercentage = routes.reduce((sum, route) => sum + route.percentage, 0);
 	if (totalPercentage <= 0) return null;
 
-	const random = Math.random() * totalPercentage;
+	const random = rng() * totalPercentage;
 	let currentSum = 0;
 
 	for (const route of routes) {
@@ -145,9 +147,10 @@ function findReachableNodes(startId, adjacency) {
  *
  * @param {Array<Object>} nodes - Array of node objects
  * @param {Array<Object>} edges - Array of edge objects
+ * @param {() => number} rng - Random number generator
  * @returns {Map<string, Object>} Map from target node ID to modifier configuration
  */
-function processSelectionModifiers(nodes, edges) {
+function processSelectionModifiers(nodes, edges, rng) {
 	const modifierByTargetId = new Map();
 	const modifierNodes = nodes.filter((n) => n.data.type === NODE_CATEGORIES.SELECTION_MODIFIER);
 
@@ -157,7 +160,7 @@ function processSelectionModifiers(nodes, edges) {
 	const adjacency = buildAdjacencyMap(manualEdges);
 
 	for (const mod of modifierNodes) {
-		const willApply = shouldExecuteNode(mod.data.executionChance || 100);
+		const willApply = shouldExecuteNode(mod.data.executionChance || 100, rng);
 		if (!willApply) continue; // Respect execution chance
 
 		// Find all nodes reachable FROM the modifier via directed paths
@@ -220,9 +223,10 @@ function groupNodesByCategory(nodes) {
  *
  * @param {Array<Object>} nodeList - Array of nodes to select from
  * @param {Object} modifier - Modifier configuration with min/max selection
+ * @param {() => number} rng - Random number generator
  * @returns {Object} Object with selectedNodes and selectionInfo properties
  */
-function applySelectionModifier(nodeList, modifier) {
+function applySelectionModifier(nodeList, modifier, rng) {
 	const total = nodeList.length;
 	const clamp = (n, min, max) => Math.max(min, Math.min(max, n));
 	let min = clamp(modifier.min, 0, total);
@@ -238,11 +242,11 @@ function applySelectionModifier(nodeList, modifier) {
 	while (successfulNodes.length < max && availableNodes.length > 0 && attempts < maxAttempts) {
 		attempts++;
 
-		const randomIndex = Math.floor(Math.random() * availableNodes.length);
+		const randomIndex = Math.floor(rng() * availableNodes.length);
 		const randomNode = availableNodes.splice(randomIndex, 1)[0];
 
 		const executionChance = randomNode.data.executionChance || 100;
-		const willExecute = shouldExecuteNode(executionChance);
+		const willExecute = shouldExecuteNode(executionChance, rng);
 
 		if (willExecute) {
 			successfulNodes.push(randomNode);
@@ -286,9 +290,10 @@ function applySelectionModifier(nodeList, modifier) {
  * @param {Array<Object>} originalNodeList - Original list of nodes
  * @param {Object|null} modifier - Selection modifier configuration or null
  * @param {string} nodeId - Node definition ID
+ * @param {() => number} rng - Random number generator
  * @returns {Object} Object with selectedNodes and selectionInfo
  */
-function processNodeGroup(originalNodeList, modifier, nodeId) {
+function processNodeGroup(originalNodeList, modifier, nodeId, rng) {
 	let nodeList = [...originalNodeList];
 	let selectedNodes = [...nodeList];
 	let selectionInfo = { totalAvailable: nodeList.length };
@@ -307,7 +312,7 @@ function processNodeGroup(originalNodeList, modifier, nodeId) {
 			selectionInfo.totalAvailable = nodeList.length;
 			selectionInfo.reachabilityFiltered = true;
 
-			const result = applySelectionModifier(nodeList, modifier);
+			const result = applySelectionModifier(nodeList, modifier, rng);
 			selectedNodes = result.selectedNodes;
 			selectionInfo = { ...selectionInfo, ...result.selectionInfo };
 		}
@@ -323,15 +328,16 @@ function processNodeGroup(originalNodeList, modifier, nodeId) {
  * @param {Array<Object>} selectedNodes - Array of selected nodes
  * @param {Object} selectionInfo - Selection information
  * @param {Function} getDefaultSettings - Function to get default settings for a node type
+ * @param {() => number} rng - Random number generator
  * @returns {Object} Object with executedNodes and failedNodes arrays
  */
-function processSelectedNodes(selectedNodes, selectionInfo, getDefaultSettings) {
+function processSelectedNodes(selectedNodes, selectionInfo, getDefaultSettings, rng) {
 	const executedNodes = [];
 	const failedNodes = [];
 
 	for (const node of selectedNodes) {
 		const executionChance = node.data.executionChance || 100;
-		const willExecute = shouldExecuteNode(executionChance);
+		const willExecute = shouldExecuteNode(executionChance, rng);
 
 		const nodeConfig = {
 			id: node.data.id,
@@ -362,11 +368,12 @@ function processSelectedNodes(selectedNodes, selectionInfo, getDefaultSettings)
  * @param {Array<Object>} nodeList - Array of available nodes
  * @param {Object} selectionInfo - Selection information
  * @param {Function} getDefaultSettings - Function to get default settings for a node type
+ * @param {() => number} rng - Random number generator
  * @returns {void} Modifies executedNodes array in place
  */
-function ensureRequiredExecution(executedNodes, nodeList, selectionInfo, getDefaultSettings) {
+function ensureRequiredExecution(executedNodes, nodeList, selectionInfo, getDefaultSettings, rng) {
 	if (executedNodes.length === 0 && nodeList.length > 0) {
-		const fallbackNode = nodeList[Math.floor(Math.random() * nodeList.length)];
+		const fallbackNode = nodeList[Math.floor(rng() * nodeList.length)];
 		executedNodes.push({
 			id: fallbackNode.data.id,
 			type: fallbackNode.data.type,
@@ -414,9 +421,10 @@ function addMissingRequiredNodes(processedNodes, nodeTypesCovered, getDefaultSet
  * @param {Array<Object>} nodes - Array of node objects
  * @param {Array<Object>} edges - Array of edge objects
  * @param {Object} configs - Configuration object containing node definitions
+ * @param {() => number} [rng] - Random number generator (pass a seeded RNG, e.g. makeRng(seed), for a reproducible export)
  * @returns {Object} Exported configuration object
  */
-export function exportConfig(nodes, edges, configs) {
+export function exportConfig(nodes, edges, configs, rng = Math.random) {
 	const { ROUTER_CONFIG, BASIC_SETTINGS_CONFIG, NUMBER_OF_SONGS_CONFIG, FILTER_NODE_DEFINITIONS } =
 		configs;
 
@@ -442,7 +450,7 @@ export function exportConfig(nodes, edges, configs) {
 	// Find the router node first (from visible nodes only)
 	const routerNode = visibleNodes.find((n) => n.data.type === NODE_CATEGORIES.ROUTER);
 	if (routerNode) {
-		const selectedRoute = selectRouteFromRouter(routerNode);
+		const selectedRoute = selectRouteFromRouter(routerNode, rng);
 		routerInfo = {
 			selectedRoute: selectedRoute?.id || null,
 			selectedRouteName: selectedRoute?.name || 'Unknown',
@@ -463,7 +471,7 @@ export function exportConfig(nodes, edges, configs) {
 	}
 
 	// Build active modifier map (using visible nodes and edges only)
-	const modifierByTargetId = processSelectionModifiers(visibleNodes, visibleEdges);
+	const modifierByTargetId = processSelectionModifiers(visibleNodes, visibleEdges, rng);
 
 	// Group nodes by category and definition ID (using visible nodes only)
 	const nodesByCategory = groupNodesByCategory(visibleNodes);
@@ -474,17 +482,29 @@ export function exportConfig(nodes, edges, configs) {
 			const modifier = modifierByTargetId.get(nodeId);
 
 			// Process node group with potential modifier
-			const { selectedNodes, selectionInfo } = processNodeGroup(originalNodeList, modifier, nodeId);
+			const { selectedNodes, selectionInfo } = processNodeGroup(
+				originalNodeList,
+				modifier,
+				nodeId,
+				rng
+			);
 
 			// Process selected nodes with execution chances
 			const { executedNodes, failedNodes } = processSelectedNodes(
 				selectedNodes,
 				selectionInfo,
-				getDefaultSettings
+				getDefaultSettings,
+				rng
 			);
 
 			// Ensure at least one node executes from required categories
-			ensureRequiredExecution(executedNodes, originalNodeList, selectionInfo, getDefaultSettings);
+			ensureRequiredExecution(
+				executedNodes,
+				originalNodeList,
+				selectionInfo,
+				getDefaultSettings,
+				rng
+			);
 
 			processedNodes.push(...executedNodes);
 			processedNodes.push(...failedNodes);
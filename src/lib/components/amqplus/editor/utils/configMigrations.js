@@ -0,0 +1,172 @@
+/**
+ * Quiz configuration schema versions and forward migrations.
+ * Saved configurations (quiz_configurations.configuration_data, local drafts, exported files) carry
+ * a schemaVersion. On load they are upgraded one version at a time, so code reading node settings
+ * only has to understand the current shape. Configurations saved before versioning are version 1.
+ *
+ * Adding a version: bump CURRENT_SCHEMA_VERSION, add a migration from the previous version to
+ * MIGRATIONS and a fixture of the previous version under tests/testConfigs/schema-versions.
+ *
+ * @module configMigrations
+ */
+
+import {
+	BASIC_SETTINGS_DEFAULT_SETTINGS,
+	SONG_LIST_DEFAULT_SETTINGS
+} from './defaultNodeSettings.js';
+
+/** Schema version written by this version of the editor */
+export const CURRENT_SCHEMA_VERSION = 4;
+
+/** Version of configurations saved before schemaVersion existed */
+export const UNVERSIONED_SCHEMA_VERSION = 1;
+
+/** Difficulty levels of the Song Difficulty filter */
+const DIFFICULTY_LEVELS = ['easy', 'medium', 'hard'];
+
+/** Source nodes that pick songs from user lists */
+const WEIGHTED_SOURCE_NODE_IDS = ['song-list', 'batch-user-list', 'live-node'];
+
+/**
+ * Update the settings of every node with one of the given definition IDs.
+ * @param {Object} configuration - Configuration data (nodes, edges)
+ * @param {string[]} definitionIds - Node definition IDs (node.data.id)
+ * @param {(currentValue: Object) => Object} update - Returns the node's new settings
+ * @returns {Object} Configuration with updated nodes
+ */
+function updateNodeSettings(configuration, definitionIds, update) {
+	return {
+		...configuration,
+		nodes: (configuration.nodes || []).map((node) =>
+			definitionIds.includes(node?.data?.id) && node.data.currentValue
+				? { ...node, data: { ...node.data, currentValue: update(node.data.currentValue) } }
+				: node
+		)
+	};
+}
+
+/**
+ * Version 1 to 2: Song Difficulty levels store percentageValue/countValue instead of
+ * percentage/count and always have an allocation mode; Basic Settings always have the
+ * duplicate shows toggle (on, as it behaved before it could be turned off).
+ * @param {Object} configuration - Version 1 configuration
+ * @returns {Object} Version 2 configuration
+ */
+function migrateV1ToV2(configuration) {
+	const withDifficulty = updateNodeSettings(configuration, ['song-difficulty'], (settings) => {
+		// Same inference the node UI used for configurations without a mode
+		const anyPercentage = DIFFICULTY_LEVELS.some(
+			(level) => settings[level]?.percentage !== undefined || settings[level]?.percentageValue !== undefined
+		);
+		const anyCount = DIFFICULTY_LEVELS.some(
+			(level) => settings[level]?.count !== undefined || settings[level]?.countValue !== undefined
+		);
+		const updated = {
+			...settings,
+			mode: settings.mode ?? (anyPercentage && !anyCount ? 'percentage' : 'count')
+		};
+
+		for (const level of DIFFICULTY_LEVELS) {
+			if (!settings[level]) continue;
+			const { percentage, count, ...rest } = settings[level];
+			updated[level] = rest;
+			if (rest.percentageValue === undefined && percentage !== undefined) {
+				rest.percentageValue = percentage;
+			}
+			if (rest.countValue === undefined && count !== undefined) {
+				rest.countValue = count;
+			}
+		}
+		return updated;
+	});
+
+	return updateNodeSettings(withDifficulty, ['basic-settings'], (settings) => ({
+		...settings,
+		duplicateShows: settings.duplicateShows ?? { ...BASIC_SETTINGS_DEFAULT_SETTINGS.duplicateShows }
+	}));
+}
+
+/**
+ * Version 2 to 3: Basic Settings gain the max songs per franchise cap (off).
+ * @param {Object} configuration - Version 2 configuration
+ * @returns {Object} Version 3 configuration
+ */
+function migrateV2ToV3(configuration) {
+	return updateNodeSettings(configuration, ['basic-settings'], (settings) => ({
+		...settings,
+		maxSongsPerFranchise: settings.maxSongsPerFranchise ?? {
+			...BASIC_SETTINGS_DEFAULT_SETTINGS.maxSongsPerFranchise
+		}
+	}));
+}
+
+/**
+ * Version 3 to 4: song list, batch user list and live nodes gain song weighting (off).
+ * @param {Object} configuration - Version 3 configuration
+ * @returns {Object} Version 4 configuration
+ */
+function migrateV3ToV4(configuration) {
+	return updateNodeSettings(configuration, WEIGHTED_SOURCE_NODE_IDS, (settings) => ({
+		...settings,
+		sampleWeighting: settings.sampleWeighting ?? { ...SONG_LIST_DEFAULT_SETTINGS.sampleWeighting }
+	}));
+}
+
+/**
+ * Migrations keyed by the version they upgrade from.
+ * @type {Object.<number, (configuration: Object) => Object>}
+ */
+const MIGRATIONS = {
+	1: migrateV1ToV2,
+	2: migrateV2ToV3,
+	3: migrateV3ToV4
+};
+
+/**
+ * Get the schema version of a saved configuration.
+ * @param {Object|null|undefined} configuration - Configuration data
+ * @returns {number} Schema version (1 for configurations saved before versioning)
+ */
+export function getSchemaVersion(configuration) {
+	const version = Number(configuration?.schemaVersion);
+	return Number.isInteger(version) && version > 0 ? version : UNVERSIONED_SCHEMA_VERSION;
+}
+
+/**
+ * Stamp the current schema version into a configuration about to be saved or exported.
+ * @param {Object} configuration - Configuration data in the current shape
+ * @returns {Object} Configuration with schemaVersion set
+ */
+export function stampSchemaVersion(configuration) {
+	return { ...configuration, schemaVersion: CURRENT_SCHEMA_VERSION };
+}
+
+/**
+ * Upgrade a saved configuration to the current schema version.
+ * The input is not modified; configurations already at the current version are returned as is.
+ * @param {Object} configuration - Configuration data (nodes, edges)
+ * @returns {Object} Configuration in the current shape, with schemaVersion set
+ * @throws {Error} If the configuration was saved by a newer version of the editor
+ */
+export function migrateConfiguration(configuration) {
+	if (!configuration || typeof configuration !== 'object') {
+		return configuration;
+	}
+
+	let version = getSchemaVersion(configuration);
+	if (version > CURRENT_SCHEMA_VERSION) {
+		throw new Error(
+			`Configuration schema version ${version} is newer than the supported version ${CURRENT_SCHEMA_VERSION}`
+		);
+	}
+	if (version === CURRENT_SCHEMA_VERSION && configuration.schemaVersion === CURRENT_SCHEMA_VERSION) {
+		return configuration;
+	}
+
+	let migrated = configuration;
+	while (version < CURRENT_SCHEMA_VERSION) {
+		migrated = MIGRATIONS[version](migrated);
+		version++;
+	}
+	return stampSchemaVersion(migrated);
+}
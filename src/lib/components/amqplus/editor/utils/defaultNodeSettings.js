@@ -6,6 +6,7 @@
  */
 
 import { getCurrentSeason, getCurrentYear } from './dateUtils.js';
+import { VALIDATION_BOUNDS } from './validationConfig.js';
 
 /**
  * Route configuration for Router node.
@@ -67,6 +68,7 @@ import { getCurrentSeason, getCurrentYear } from './dateUtils.js';
  * @property {BasicSettingField} samplePoint - Sample point configuration
  * @property {BasicSettingField} playbackSpeed - Playback speed configuration
  * @property {BasicSettingField} duplicateShows - Duplicate shows toggle
+ * @property {BasicSettingField} maxSongsPerFranchise - Maximum songs from one franchise (0 = no limit)
  */
 
 /**
@@ -267,6 +269,24 @@ import { getCurrentSeason, getCurrentYear } from './dateUtils.js';
  * @property {Object.<string, {enabled: boolean, percentageValue: number, countValue: number}>} advanced - Advanced mode settings
  */
 
+/**
+ * Credit roles an artists filter entry is matched against.
+ * @typedef {Object} ArtistRolesConfig
+ * @property {boolean} artist - Match performing artists
+ * @property {boolean} composer - Match composers
+ * @property {boolean} arranger - Match arrangers
+ */
+
+/**
+ * Artists filter settings.
+ * @typedef {Object} ArtistsSettings
+ * @property {'basic' | 'advanced'} viewMode - View mode
+ * @property {'percentage' | 'count'} mode - Allocation mode (when rates are shown)
+ * @property {ArtistRolesConfig} roles - Which song credits are searched
+ * @property {Object.<string, 'include' | 'exclude' | 'optional'>} stateByKey - Entered names and their state
+ * @property {Object.<string, {enabled: boolean, percentageValue: number, countValue: number}>} advanced - Per-name rates
+ */
+
 /**
  * Selection modifier settings.
  * @typedef {Object} SelectionModifierSettings
@@ -296,7 +316,7 @@ import { getCurrentSeason, getCurrentYear } from './dateUtils.js';
 /**
  * User list import configuration.
  * @typedef {Object} UserListImportConfig
- * @property {'anilist' | 'mal'} platform - Platform to import from
+ * @property {'anilist' | 'mal' | 'kitsu'} platform - Platform to import from
  * @property {string} username - Username to import
  * @property {SelectedListsConfig} selectedLists - List types to import
  */
@@ -311,6 +331,13 @@ import { getCurrentSeason, getCurrentYear } from './dateUtils.js';
 
 /** @typedef {import('../../../../../types/types.js').SongPercentageConfig} SongPercentageConfig */
 
+/**
+ * Source node song weighting (biases selection, never removes songs).
+ * @typedef {Object} SampleWeightingConfig
+ * @property {'none' | 'score' | 'recency' | 'rewatch'} mode - Favour higher user scores, recent completions or rewatches
+ * @property {number} strength - Weighting strength (0-100)
+ */
+
 /**
  * Song List node settings.
  * @typedef {Object} SongListSettings
@@ -321,13 +348,14 @@ import { getCurrentSeason, getCurrentYear } from './dateUtils.js';
  * @property {string|null} selectedListName - Name of the selected list (for display)
  * @property {ProviderImportConfig} providerImport - Provider import configuration (for provider mode)
  * @property {SongPercentageConfig|null} songPercentage - Song percentage configuration (null = not using percentages)
+ * @property {SampleWeightingConfig} [sampleWeighting] - Song weighting (for user-lists mode)
  */
 
 /**
  * Batch user list entry configuration.
  * @typedef {Object} BatchUserListEntry
  * @property {string} id - Unique identifier for this user entry
- * @property {'anilist' | 'mal'} platform - Platform to import from
+ * @property {'anilist' | 'mal' | 'kitsu'} platform - Platform to import from
  * @property {string} username - Username to import
  * @property {SelectedListsConfig} selectedLists - List types to import
  * @property {SongPercentageConfig|null} songPercentage - Song percentage configuration (null = not using percentages)
@@ -341,6 +369,7 @@ import { getCurrentSeason, getCurrentYear } from './dateUtils.js';
  * @property {BatchUserListEntry[]} userEntries - Array of user import configurations
  * @property {SongPercentageConfig|null} [songPercentage] - Node-level percentage (applies to all users combined, null = not using node-level percentage)
  * @property {'default' | 'many-lists' | 'few-lists'} [songSelectionMode] - How to prioritize songs during selection (default: 'default')
+ * @property {SampleWeightingConfig} [sampleWeighting] - Song weighting applied to every user's list
  */
 
 /**
@@ -388,6 +417,13 @@ export const BASIC_SETTINGS_DEFAULT_SETTINGS = {
 		value: true,
 		label: 'Duplicate Shows',
 		type: 'boolean'
+	},
+	maxSongsPerFranchise: {
+		value: 0,
+		label: 'Max Songs per Franchise',
+		type: 'range',
+		min: VALIDATION_BOUNDS.maxSongsPerFranchise.min,
+		max: VALIDATION_BOUNDS.maxSongsPerFranchise.max
 	}
 };
 
@@ -823,6 +859,26 @@ export const TAGS_DEFAULT_SETTINGS = {
 	}
 };
 
+/**
+ * Default settings for Artists filter node.
+ * Filters songs by artist, composer or arranger with include/exclude/optional logic.
+ * Names are free text and matched case-insensitively against the enabled credit roles.
+ * @type {ArtistsSettings}
+ */
+export const ARTISTS_DEFAULT_SETTINGS = {
+	viewMode: 'basic',
+	mode: 'count',
+	roles: {
+		artist: true,
+		composer: false,
+		arranger: false
+	},
+	stateByKey: {}, // name: 'include' | 'exclude' | 'optional'
+	advanced: {
+		// name: { enabled: true, percentageValue: 0, countValue: 0 }
+	}
+};
+
 /**
  * Default settings for Selection Modifier node.
  * Limits how many instances of a node type are considered during export.
@@ -856,7 +912,7 @@ export const SONG_LIST_DEFAULT_SETTINGS = {
 
 	// For user-lists mode
 	userListImport: {
-		platform: 'anilist', // 'anilist' | 'mal'
+		platform: 'anilist', // 'anilist' | 'mal' | 'kitsu'
 		username: '',
 		selectedLists: {
 			completed: true,
@@ -879,7 +935,10 @@ export const SONG_LIST_DEFAULT_SETTINGS = {
 	},
 
 	// Song percentage limit (null = not using percentages, or object with value/random/min/max)
-	songPercentage: null
+	songPercentage: null,
+
+	// Bias selection towards higher scores, recent completions or rewatches (user-lists mode)
+	sampleWeighting: { mode: 'none', strength: 50 }
 };
 
 /**
@@ -893,10 +952,11 @@ export const BATCH_USER_LIST_DEFAULT_SETTINGS = {
 	useEntirePool: false, // Bypass all filters
 	songPercentage: null, // Node-level percentage (applies to all users combined, null = not using node-level percentage)
 	songSelectionMode: /** @type {'default' | 'many-lists' | 'few-lists'} */ ('default'), // How to prioritize songs during selection
+	sampleWeighting: { mode: /** @type {'none'} */ ('none'), strength: 50 }, // Bias selection towards higher scores, recent completions or rewatches
 	userEntries: [
 		{
 			id: 'user-1',
-			platform: 'anilist', // 'anilist' | 'mal'
+			platform: 'anilist', // 'anilist' | 'mal' | 'kitsu'
 			username: '',
 			selectedLists: {
 				completed: true,
@@ -937,6 +997,7 @@ export const BATCH_USER_LIST_DEFAULT_SETTINGS = {
  * @property {LiveNodeEntry[]} userEntries - User entries from lobby players
  * @property {SongPercentageConfig|null} songPercentage - Song percentage configuration (null = not using percentages)
  * @property {'default' | 'many-lists' | 'few-lists'} [songSelectionMode] - How to prioritize songs during selection (default: 'default')
+ * @property {SampleWeightingConfig} [sampleWeighting] - Song weighting applied to every user's list
  */
 
 /** @type {LiveNodeSettings} */
@@ -944,7 +1005,8 @@ export const LIVE_NODE_DEFAULT_SETTINGS = {
 	useEntirePool: false, // Bypass all filters
 	userEntries: [], // Will be populated from AMQ connector script
 	songPercentage: null, // Percentage of songs to pick from this node (null = not using percentages)
-	songSelectionMode: /** @type {'default' | 'many-lists' | 'few-lists'} */ ('default') // How to prioritize songs during selection
+	songSelectionMode: /** @type {'default' | 'many-lists' | 'few-lists'} */ ('default'), // How to prioritize songs during selection
+	sampleWeighting: { mode: /** @type {'none'} */ ('none'), strength: 50 } // Bias selection towards higher scores, recent completions or rewatches
 };
 
 /**
@@ -965,7 +1027,7 @@ export const SOURCE_SELECTOR_DEFAULT_SETTINGS = {
 
 /**
  * Collection of all default settings for easy access by node type.
- * @type {Object.<string, RouterSettings | BasicSettings | SongsAndTypesSettings | VintageSettings | SongDifficultySettings | ScoreRangeSettings | AnimeTypeSettings | SongCategoriesSettings | GenresTagsSettings | SelectionModifierSettings | NumberOfSongsSettings | SongListSettings | BatchUserListSettings | LiveNodeSettings | SourceSelectorSettings>}
+ * @type {Object.<string, RouterSettings | BasicSettings | SongsAndTypesSettings | VintageSettings | SongDifficultySettings | ScoreRangeSettings | AnimeTypeSettings | SongCategoriesSettings | GenresTagsSettings | ArtistsSettings | SelectionModifierSettings | NumberOfSongsSettings | SongListSettings | BatchUserListSettings | LiveNodeSettings | SourceSelectorSettings>}
  */
 export const DEFAULT_NODE_SETTINGS = {
 	router: ROUTER_DEFAULT_SETTINGS,
@@ -979,6 +1041,7 @@ export const DEFAULT_NODE_SETTINGS = {
 	'song-categories': SONG_CATEGORIES_DEFAULT_SETTINGS,
 	genres: GENRES_DEFAULT_SETTINGS,
 	tags: TAGS_DEFAULT_SETTINGS,
+	artists: ARTISTS_DEFAULT_SETTINGS,
 	selectionModifier: SELECTION_MODIFIER_DEFAULT_SETTINGS,
 	numberOfSongs: NUMBER_OF_SONGS_DEFAULT_SETTINGS,
 	'song-list': SONG_LIST_DEFAULT_SETTINGS,
@@ -991,7 +1054,7 @@ export const DEFAULT_NODE_SETTINGS = {
  * Retrieves default settings for a specific node type.
  *
  * @param {string} nodeType - The node type identifier
- * @returns {RouterSettings | BasicSettings | SongsAndTypesSettings | VintageSettings | SongDifficultySettings | ScoreRangeSettings | AnimeTypeSettings | SongCategoriesSettings | GenresTagsSettings | SelectionModifierSettings | NumberOfSongsSettings | SongListSettings | BatchUserListSettings | LiveNodeSettings | SourceSelectorSettings | null} Default settings object or null if not found
+ * @returns {RouterSettings | BasicSettings | SongsAndTypesSettings | VintageSettings | SongDifficultySettings | ScoreRangeSettings | AnimeTypeSettings | SongCategoriesSettings | GenresTagsSettings | ArtistsSettings | SelectionModifierSettings | NumberOfSongsSettings | SongListSettings | BatchUserListSettings | LiveNodeSettings | SourceSelectorSettings | null} Default settings object or null if not found
  */
 export function getDefaultSettingsForNodeType(nodeType) {
 	return DEFAULT_NODE_SETTINGS[nodeType] || null;
@@ -1000,7 +1063,7 @@ export function getDefaultSettingsForNodeType(nodeType) {
 /**
  * Gets all available node types with their default settings.
  *
- * @returns {Array<{nodeType: string, defaultSettings: RouterSettings | BasicSettings | SongsAndTypesSettings | VintageSettings | SongDifficultySettings | ScoreRangeSettings | AnimeTypeSettings | SongCategoriesSettings | GenresTagsSettings | SelectionModifierSettings | NumberOfSongsSettings | SongListSettings | BatchUserListSettings | LiveNodeSettings | SourceSelectorSettings}>} Array of node types and their defaults
+ * @returns {Array<{nodeType: string, defaultSettings: RouterSettings | BasicSettings | SongsAndTypesSettings | VintageSettings | SongDifficultySettings | ScoreRangeSettings | AnimeTypeSettings | SongCategoriesSettings | GenresTagsSettings | ArtistsSettings | SelectionModifierSettings | NumberOfSongsSettings | SongListSettings | BatchUserListSettings | LiveNodeSettings | SourceSelectorSettings}>} Array of node types and their defaults
  */
 export function getAllNodeTypesWithDefaults() {
 	return Object.keys(DEFAULT_NODE_SETTINGS).map((nodeType) => ({
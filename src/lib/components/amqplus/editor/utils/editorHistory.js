@@ -0,0 +1,320 @@
+/**
+ * Undo/redo history and the node clipboard for the quiz editor.
+ *
+ * The history is a list of checkpoints: the editor records a snapshot of its nodes and edges
+ * after every change, and undo/redo step between them. Snapshots are stored serialized, because
+ * some editor code updates node values in place.
+ *
+ * The clipboard holds a selected group of nodes with the edges between them. It is written to
+ * the system clipboard and to localStorage, so it can be pasted in another tab or another quiz.
+ *
+ * @module editorHistory
+ */
+
+import { CURRENT_SCHEMA_VERSION, migrateConfiguration } from './configMigrations.js';
+
+/** Most undo steps kept */
+export const MAX_HISTORY_ENTRIES = 100;
+
+/** Value edits to the same node within this many milliseconds are undone as one step */
+export const HISTORY_COALESCE_MS = 1000;
+
+/** localStorage key of the last copied nodes */
+export const NODE_CLIPBOARD_KEY = 'amq_plus_node_clipboard';
+
+/** Identifies editor clipboard payloads among other clipboard text */
+const CLIPBOARD_FORMAT = 'amq-plus-nodes';
+
+/** Distance pasted nodes are moved from the copied ones when there is no paste position */
+const PASTE_OFFSET = 40;
+
+/** Node data that is not part of a snapshot: callbacks and state the editor recomputes */
+const TRANSIENT_DATA_FIELDS = [
+	'onValueChange',
+	'onDelete',
+	'openDefaultSettings',
+	'routeBadges',
+	'selectionModified',
+	'validationError',
+	'validationWarning',
+	'validationMessage',
+	'validationShortMessage'
+];
+
+/**
+ * @typedef {Object} EditorGraph
+ * @property {Array<Object>} nodes - Nodes without callbacks or selection state
+ * @property {Array<Object>} edges - Edges
+ */
+
+/**
+ * @typedef {Object} HistoryStatus
+ * @property {boolean} canUndo - Whether there is a change to undo
+ * @property {boolean} canRedo - Whether there is an undone change to redo
+ * @property {string|null} undoLabel - Label of the change undo would revert
+ * @property {string|null} redoLabel - Label of the change redo would reapply
+ */
+
+/**
+ * Copy nodes and edges into plain data, leaving out callbacks and transient UI state
+ * @param {Array<Object>} nodes - Editor nodes
+ * @param {Array<Object>} edges - Editor edges
+ * @returns {EditorGraph} Deep copy of the graph
+ */
+export function snapshotGraph(nodes, edges) {
+	const plainNodes = nodes.map((node) => {
+		const { selected, dragging, measured, ...rest } = node;
+		const data = { ...node.data };
+		for (const field of TRANSIENT_DATA_FIELDS) {
+			delete data[field];
+		}
+		return { ...rest, data };
+	});
+	const plainEdges = edges.map(({ selected, ...rest }) => rest);
+
+	// JSON copy rather than structuredClone: node values can be Svelte state proxies
+	return JSON.parse(JSON.stringify({ nodes: plainNodes, edges: plainEdges }));
+}
+
+/**
+ * Create an undo/redo history for the editor
+ * @param {Object} [options] - History options
+ * @param {number} [options.limit=MAX_HISTORY_ENTRIES] - Most undo steps kept
+ * @param {number} [options.coalesceMs=HISTORY_COALESCE_MS] - Window for merging edits with the same key
+ * @param {(status: HistoryStatus) => void} [options.onChange] - Called whenever the status may have changed
+ * @returns {Object} History with reset, record, amend, undo, redo and getStatus
+ */
+export function createEditorHistory({
+	limit = MAX_HISTORY_ENTRIES,
+	coalesceMs = HISTORY_COALESCE_MS,
+	onChange = () => {}
+} = {}) {
+	/** @type {Array<{label: string|null, key: string|null, time: number, graph: string}>} */
+	let entries = [];
+	let position = -1;
+
+	/**
+	 * Current undo/redo status
+	 * @returns {HistoryStatus} Status for toolbar buttons
+	 */
+	function getStatus() {
+		return {
+			canUndo: position > 0,
+			canRedo: position < entries.length - 1,
+			undoLabel: position > 0 ? entries[position].label : null,
+			redoLabel: position < entries.length - 1 ? entries[position + 1].label : null
+		};
+	}
+
+	/**
+	 * Serialize the graph for storage
+	 * @param {Array<Object>} nodes - Editor nodes
+	 * @param {Array<Object>} edges - Editor edges
+	 * @returns {string} Serialized snapshot
+	 */
+	function serialize(nodes, edges) {
+		return JSON.stringify(snapshotGraph(nodes, edges));
+	}
+
+	const history = {
+		getStatus,
+
+		/**
+		 * Forget all history and start from the given graph (after loading a quiz or template)
+		 * @param {Array<Object>} nodes - Editor nodes
+		 * @param {Array<Object>} edges - Editor edges
+		 * @returns {void}
+		 */
+		reset(nodes, edges) {
+			entries = [{ label: null, key: null, time: Date.now(), graph: serialize(nodes, edges) }];
+			position = 0;
+			onChange(getStatus());
+		},
+
+		/**
+		 * Record the graph after a change. Changes with the same key made within the coalesce
+		 * window replace the previous step instead of adding one (e.g. dragging a slider).
+		 * @param {Array<Object>} nodes - Editor nodes after the change
+		 * @param {Array<Object>} edges - Editor edges after the change
+		 * @param {string} label - Description of the change, e.g. "Delete node"
+		 * @param {string|null} [key=null] - Coalescing key, or null to always add a step
+		 * @returns {void}
+		 */
+		record(nodes, edges, label, key = null) {
+			if (position < 0) {
+				history.reset(nodes, edges);
+				return;
+			}
+
+			const graph = serialize(nodes, edges);
+			if (graph === entries[position].graph) return;
+
+			const now = Date.now();
+			const top = entries[position];
+			entries = entries.slice(0, position + 1);
+
+			if (key && position > 0 && top.key === key && now - top.time < coalesceMs) {
+				entries[position] = { ...top, time: now, graph };
+			} else {
+				entries.push({ label, key, time: now, graph });
+				if (entries.length > limit + 1) {
+					entries = entries.slice(entries.length - (limit + 1));
+				}
+				position = entries.length - 1;
+			}
+			onChange(getStatus());
+		},
+
+		/**
+		 * Update the current step without adding one, for changes that are not user edits
+		 * (such as nodes filling in their default values when they first render)
+		 * @param {Array<Object>} nodes - Editor nodes
+		 * @param {Array<Object>} edges - Editor edges
+		 * @returns {void}
+		 */
+		amend(nodes, edges) {
+			if (position < 0) {
+				history.reset(nodes, edges);
+				return;
+			}
+			entries[position] = { ...entries[position], graph: serialize(nodes, edges) };
+		},
+
+		/**
+		 * Step back to the previous checkpoint
+		 * @returns {EditorGraph|null} Graph to restore, or null if there is nothing to undo
+		 */
+		undo() {
+			if (position <= 0) return null;
+			position--;
+			onChange(getStatus());
+			return JSON.parse(entries[position].graph);
+		},
+
+		/**
+		 * Step forward to the next checkpoint
+		 * @returns {EditorGraph|null} Graph to restore, or null if there is nothing to redo
+		 */
+		redo() {
+			if (position >= entries.length - 1) return null;
+			position++;
+			onChange(getStatus());
+			return JSON.parse(entries[position].graph);
+		}
+	};
+
+	return history;
+}
+
+/**
+ * Build a clipboard payload from the selected nodes and the edges between them
+ * @param {Array<Object>} nodes - Editor nodes
+ * @param {Array<Object>} edges - Editor edges
+ * @param {string[]} [nodeIds] - Nodes to copy (default: the selected nodes)
+ * @returns {Object|null} Payload, or null if no nodes are selected
+ */
+export function createClipboardPayload(nodes, edges, nodeIds) {
+	const copied = nodeIds
+		? nodes.filter((node) => nodeIds.includes(node.id))
+		: nodes.filter((node) => node.selected);
+	if (copied.length === 0) return null;
+
+	const copiedIds = new Set(copied.map((node) => node.id));
+	const innerEdges = edges.filter(
+		(edge) => copiedIds.has(edge.source) && copiedIds.has(edge.target)
+	);
+
+	return {
+		format: CLIPBOARD_FORMAT,
+		schemaVersion: CURRENT_SCHEMA_VERSION,
+		copiedAt: Date.now(),
+		...snapshotGraph(copied, innerEdges)
+	};
+}
+
+/**
+ * Read a clipboard payload from text, migrating nodes copied from an older editor version
+ * @param {string|null} text - Clipboard or localStorage text
+ * @returns {Object|null} Payload, or null if the text is not copied editor nodes
+ */
+export function parseClipboardPayload(text) {
+	if (!text) return null;
+
+	let payload;
+	try {
+		payload = JSON.parse(text);
+	} catch {
+		return null;
+	}
+
+	if (
+		payload?.format !== CLIPBOARD_FORMAT ||
+		!Array.isArray(payload.nodes) ||
+		!Array.isArray(payload.edges)
+	) {
+		return null;
+	}
+
+	try {
+		return migrateConfiguration(payload);
+	} catch (error) {
+		// Copied from a newer version of the editor
+		console.warn('Cannot paste nodes:', error);
+		return null;
+	}
+}
+
+/**
+ * Create new copies of clipboard nodes and edges for pasting into the editor.
+ * Nodes get new IDs, and unique nodes that the editor already has are left out.
+ *
+ * @param {Object} payload - Clipboard payload from parseClipboardPayload
+ * @param {Array<Object>} existingNodes - Nodes already in the editor
+ * @param {(definitionId: string) => string} createNodeId - Returns a new node ID for a node definition ID
+ * @param {{x: number, y: number}|null} [origin=null] - Where to place the top-left of the pasted group
+ * @returns {{nodes: Array<Object>, edges: Array<Object>, skipped: number}} Pasted nodes (selected), edges, and the number of unique nodes left out
+ */
+export function pasteSubgraph(payload, existingNodes, createNodeId, origin = null) {
+	const existingDefinitions = new Set(existingNodes.map((node) => node.data?.id));
+	const pastable = payload.nodes.filter(
+		(node) => !(node.data?.unique && existingDefinitions.has(node.data.id))
+	);
+
+	const minX = Math.min(...pastable.map((node) => node.position?.x ?? 0));
+	const minY = Math.min(...pastable.map((node) => node.position?.y ?? 0));
+	const offsetX = origin ? origin.x - minX : PASTE_OFFSET;
+	const offsetY = origin ? origin.y - minY : PASTE_OFFSET;
+
+	/** @type {Map<string, string>} */
+	const idMap = new Map();
+	const nodes = pastable.map((node) => {
+		const id = createNodeId(node.data?.id ?? node.type);
+		idMap.set(node.id, id);
+		return {
+			...node,
+			id,
+			selected: true,
+			position: {
+				x: (node.position?.x ?? 0) + offsetX,
+				y: (node.position?.y ?? 0) + offsetY
+			},
+			data: { ...node.data, instanceId: id, userPositioned: false }
+		};
+	});
+
+	const edges = payload.edges
+		.filter((edge) => idMap.has(edge.source) && idMap.has(edge.target))
+		.map((edge) => {
+			const source = idMap.get(edge.source);
+			const target = idMap.get(edge.target);
+			return {
+				...edge,
+				// Same ID format as edges connected in the editor
+				id: `xy-edge__${source}${edge.sourceHandle ?? ''}-${target}${edge.targetHandle ?? ''}`,
+				source,
+				target
+			};
+		});
+
+	return { nodes, edges, skipped: payload.nodes.length - pastable.length };
+}
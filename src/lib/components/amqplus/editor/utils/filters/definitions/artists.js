@@ -0,0 +1,215 @@
+/**
+ * Artists Filter Definition
+ * Filters songs by performing artist, composer or arranger
+ *
+ * @module filters/definitions/artists
+ */
+
+import { FilterRegistry } from '../FilterRegistry.js';
+import { NODE_CATEGORIES } from '../../nodeDefinitions.js';
+import { ARTISTS_DEFAULT_SETTINGS } from '../../defaultNodeSettings.js';
+import { ValidationResult } from '../../validation/validationFramework.js';
+import { validateGenresTagsOverlap } from '../../validation/commonValidators.js';
+import { formatGenresTags, getTargetTotal } from '../../display/commonDisplayUtils.js';
+
+/**
+ * Credit roles in display order
+ * @type {Array<{key: 'artist' | 'composer' | 'arranger', label: string}>}
+ */
+export const ARTIST_ROLES = [
+  { key: 'artist', label: 'Artist' },
+  { key: 'composer', label: 'Composer' },
+  { key: 'arranger', label: 'Arranger' }
+];
+
+/**
+ * Get the enabled credit roles, falling back to defaults for missing keys
+ * @param {Object} value - Filter value
+ * @returns {{artist: boolean, composer: boolean, arranger: boolean}}
+ */
+function getRoles(value) {
+  return { ...ARTISTS_DEFAULT_SETTINGS.roles, ...(value?.roles || {}) };
+}
+
+/**
+ * Split stateByKey into included/excluded/optional name lists
+ * @param {Object} value - Filter value
+ * @returns {{included: string[], excluded: string[], optional: string[]}}
+ */
+function splitByState(value) {
+  const included = [];
+  const excluded = [];
+  const optional = [];
+
+  for (const [name, state] of Object.entries(value?.stateByKey || {})) {
+    if (state === 'include') included.push(name);
+    else if (state === 'exclude') excluded.push(name);
+    else optional.push(name);
+  }
+
+  return { included, excluded, optional };
+}
+
+/**
+ * Get the configured rate for a name in the given allocation mode
+ * @param {Object} value - Filter value
+ * @param {string} name - Artist name
+ * @param {'percentage' | 'count'} mode - Allocation mode
+ * @returns {number}
+ */
+function getRate(value, name, mode) {
+  const entry = value?.advanced?.[name] || {};
+  const raw = mode === 'percentage' ? entry.percentageValue : entry.countValue;
+  const num = Number(raw ?? entry.value ?? 0);
+  return Number.isFinite(num) && num > 0 ? num : 0;
+}
+
+/**
+ * Validate artists configuration
+ * @param {Object} value - Filter value
+ * @param {Object} context - Validation context
+ * @returns {ValidationResult}
+ */
+function validateArtists(value, context) {
+  const result = new ValidationResult();
+
+  const roles = getRoles(value);
+  if (!ARTIST_ROLES.some((role) => roles[role.key])) {
+    result.addError('At least one credit role (artist, composer or arranger) must be enabled');
+  }
+
+  // Validate overlaps
+  const overlapResult = validateGenresTagsOverlap(value, 'artists');
+  result.merge(overlapResult);
+
+  const mode = value.mode || 'count';
+  if (value.showRates && (mode === 'percentage' || context?.inheritedSongCount)) {
+    const target = getTargetTotal(mode, context?.inheritedSongCount);
+    const { included, optional } = splitByState(value);
+    const total = [...included, ...optional].reduce((sum, name) => sum + getRate(value, name, mode), 0);
+
+    if (total > target) {
+      result.addError(
+        mode === 'percentage'
+          ? `Sum of artist percentages is ${total}%. Must not exceed 100%.`
+          : `Sum of artist counts is ${total}. Must not exceed ${target}.`
+      );
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Display artists configuration
+ * @param {Object} value - Filter value
+ * @param {Object} context - Display context
+ * @returns {string}
+ */
+function displayArtists(value, context) {
+  const base = formatGenresTags(value, 'artists');
+  if (!value?.stateByKey || Object.keys(value.stateByKey).length === 0) {
+    return base;
+  }
+
+  const roles = getRoles(value);
+  const roleLabels = ARTIST_ROLES.filter((role) => roles[role.key]).map((role) => role.label);
+  return `${base} [${roleLabels.join('/')}]`;
+}
+
+/**
+ * Extract artists settings for export
+ * @param {Object} value - Filter value
+ * @param {Object} context - Extract context
+ * @returns {Object}
+ */
+function extractArtists(value, context) {
+  const v = value || {};
+  const allocationMode = v.mode || 'count';
+  const roles = getRoles(v);
+  const { included, excluded, optional } = splitByState(v);
+
+  // Without rates the filter only narrows the pool
+  if (!v.showRates) {
+    return { mode: 'basic', roles, included, excluded, optional };
+  }
+
+  const items = Object.entries(v.stateByKey || {}).map(([name, state]) => ({
+    name,
+    status: state,
+    value: state === 'exclude' ? 0 : getRate(v, name, allocationMode)
+  }));
+
+  return {
+    mode: allocationMode,
+    showRates: true,
+    roles,
+    items
+  };
+}
+
+/**
+ * Resolve artists to static values
+ * Rates are converted to song counts here so the server can build baskets directly.
+ * @param {Object} node - Node instance
+ * @param {Object} context - Resolution context
+ * @param {Function} rng - Random number generator
+ * @returns {Object}
+ */
+function resolveArtists(node, context, rng) {
+  const value = node.data.currentValue;
+
+  if (!value.mode) {
+    throw new Error('mode is required for artists resolution');
+  }
+
+  const roles = getRoles(value);
+  const { included, excluded, optional } = splitByState(value);
+  const total = context.inheritedSongCount;
+
+  const items = value.showRates
+    ? Object.entries(value.stateByKey || {}).map(([name, state]) => {
+      const rate = state === 'exclude' ? 0 : getRate(value, name, value.mode);
+      return {
+        label: name,
+        status: state,
+        value: value.mode === 'percentage' ? Math.round((total * rate) / 100) : rate
+      };
+    })
+    : [];
+
+  return {
+    viewMode: value.viewMode ?? 'basic',
+    mode: value.showRates ? 'count' : 'basic', // Item values are song counts after resolution
+    roles,
+    showRates: value.showRates ?? false,
+    items,
+    included,
+    excluded,
+    optional
+  };
+}
+
+/**
+ * Artists Filter Definition
+ */
+export const artistsFilter = {
+  id: 'artists',
+  metadata: {
+    title: 'Artists',
+    icon: '🎤',
+    color: '#db2777',
+    description: 'Filter by song artist, composer or arranger',
+    category: 'content',
+    type: NODE_CATEGORIES.FILTER
+  },
+  defaultSettings: ARTISTS_DEFAULT_SETTINGS,
+  formType: 'complex-artists',
+  validate: validateArtists,
+  display: displayArtists,
+  extract: extractArtists,
+  resolve: resolveArtists
+};
+
+// Auto-register the filter
+FilterRegistry.register(artistsFilter.id, artistsFilter);
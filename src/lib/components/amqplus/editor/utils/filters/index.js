@@ -16,6 +16,7 @@ import './definitions/animeType.js';
 import './definitions/songCategories.js';
 import './definitions/genres.js';
 import './definitions/tags.js';
+import './definitions/artists.js';
 
 // Export the registry for convenience
 export { FilterRegistry } from './FilterRegistry.js';
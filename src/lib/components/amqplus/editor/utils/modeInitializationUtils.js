@@ -259,6 +259,7 @@ export function getModeInitializationFunction(nodeId) {
       return initializeSongCategoriesMode;
     case 'genres':
     case 'tags':
+    case 'artists':
       return initializeGenresTagsMode;
     case 'player-score':
     case 'anime-score':
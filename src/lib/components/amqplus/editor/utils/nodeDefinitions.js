@@ -48,7 +48,7 @@ export function getFilterRegistryForDisplay() {
  * @property {'masterlist' | 'user-lists' | 'saved-lists'} mode - Song source mode
  * @property {boolean} useEntirePool - If true, bypass all filters for this list's songs
  * @property {Object} [userListImport] - User list import configuration (for user-lists mode)
- * @property {string} userListImport.platform - Platform to import from ('anilist' | 'mal')
+ * @property {string} userListImport.platform - Platform to import from ('anilist' | 'mal' | 'kitsu')
  * @property {string} userListImport.username - Username to import
  * @property {Object} userListImport.selectedLists - List types to import
  * @property {boolean} userListImport.selectedLists.completed - Include completed anime
@@ -64,7 +64,7 @@ export function getFilterRegistryForDisplay() {
  * Batch User List user entry configuration.
  * @typedef {Object} BatchUserListEntry
  * @property {string} id - Unique identifier for this user entry
- * @property {'anilist' | 'mal'} platform - Platform to import from
+ * @property {'anilist' | 'mal' | 'kitsu'} platform - Platform to import from
  * @property {string} username - Username to import
  * @property {Object} selectedLists - List types to import
  * @property {boolean} selectedLists.completed - Include completed anime
@@ -95,6 +95,7 @@ export function getFilterRegistryForDisplay() {
  * @property {{value: {mode: string, staticValue: number, randomValues: number[]}, label: string, type: string}} playbackSpeed - Playback speed
  * @property {{value: string[], label: string, type: string}} modifiers - Enabled modifiers
  * @property {{value: boolean, label: string, type: string}} duplicateShows - Allow duplicate shows
+ * @property {{value: number, label: string, type: string, min: number, max: number}} [maxSongsPerFranchise] - Max songs from one franchise (0 = no limit)
  */
 
 /**
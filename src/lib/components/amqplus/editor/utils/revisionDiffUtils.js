@@ -0,0 +1,278 @@
+/**
+ * Node-level diff between two saved quiz configurations, for the editor's revision history.
+ * Nodes are matched by instance ID. Settings are compared through the displayUtils extractors so
+ * the diff lists what a player would notice (guess time, difficulty split, ...) rather than raw
+ * storage fields; settings the extractors do not cover fall back to a raw comparison.
+ *
+ * @module revisionDiffUtils
+ */
+
+import {
+	extractBasicSettingsDisplay,
+	extractNumberOfSongsDisplay,
+	extractSongCategoriesDisplay,
+	extractAnimeTypesDisplay,
+	extractSongDifficultyDisplay,
+	extractVintageDisplay,
+	extractPlayerScoreDisplay,
+	extractAnimeScoreDisplay,
+	extractGenresTagsDisplay,
+	extractSongsAndTypesDisplay,
+	formatExecutionChance
+} from './displayUtils.js';
+
+/**
+ * One changed setting of a node.
+ * @typedef {Object} SettingChange
+ * @property {string} setting - Setting label, nested settings joined with ' › '
+ * @property {string} before - Value before, formatted for display
+ * @property {string} after - Value after, formatted for display
+ */
+
+/**
+ * Node added, removed or changed between two configurations.
+ * @typedef {Object} NodeDiff
+ * @property {string} id - Node instance ID
+ * @property {string} title - Node title
+ * @property {SettingChange[]} [changes] - Changed settings (changed nodes only)
+ */
+
+/**
+ * Differences between two configurations.
+ * @typedef {Object} ConfigurationDiff
+ * @property {NodeDiff[]} addedNodes - Nodes only in the newer configuration
+ * @property {NodeDiff[]} removedNodes - Nodes only in the older configuration
+ * @property {NodeDiff[]} changedNodes - Nodes in both with different settings
+ * @property {number} addedEdges - Connections only in the newer configuration
+ * @property {number} removedEdges - Connections only in the older configuration
+ * @property {boolean} hasChanges - Whether anything differs
+ */
+
+/** Song count the extractors allocate against; the same on both sides so only setting changes show */
+const DIFF_SONG_COUNT = 20;
+
+/** Deepest nesting listed as separate settings; deeper values are compared as a whole */
+const MAX_SETTING_DEPTH = 3;
+
+/** Longest formatted value shown before it is cut off */
+const MAX_VALUE_LENGTH = 80;
+
+/** Extractor output fields derived from other fields, left out so a change is listed once */
+const DERIVED_DISPLAY_FIELDS = new Set(['total', 'percentageEntries', 'countEntries', 'disabled']);
+
+/**
+ * Display extractors by node definition ID.
+ * @type {Object.<string, (value: Object) => Object|null>}
+ */
+const SETTINGS_EXTRACTORS = {
+	// The basic settings extractor predates these toggles
+	'basic-settings': (value) => ({
+		...extractBasicSettingsDisplay(value),
+		duplicateShows: value?.duplicateShows?.value,
+		maxSongsPerFranchise: value?.maxSongsPerFranchise?.value
+	}),
+	'number-of-songs': (value) => ({ songs: extractNumberOfSongsDisplay(value) }),
+	'songs-and-types': (value) => extractSongsAndTypesDisplay(value, DIFF_SONG_COUNT),
+	'song-categories': (value) => extractSongCategoriesDisplay(value, DIFF_SONG_COUNT),
+	'anime-type': (value) => extractAnimeTypesDisplay(value, DIFF_SONG_COUNT),
+	'song-difficulty': (value) => extractSongDifficultyDisplay(value, DIFF_SONG_COUNT),
+	vintage: (value) => extractVintageDisplay(value, DIFF_SONG_COUNT),
+	'player-score': (value) => extractPlayerScoreDisplay(value, DIFF_SONG_COUNT),
+	'anime-score': (value) => extractAnimeScoreDisplay(value, DIFF_SONG_COUNT),
+	genres: (value) => extractGenresTagsDisplay(value, DIFF_SONG_COUNT, 'genres'),
+	tags: (value) => extractGenresTagsDisplay(value, DIFF_SONG_COUNT, 'tags')
+};
+
+/**
+ * Turn a setting key into a label ("guessTime" -> "Guess time").
+ * @param {string} key - Setting key
+ * @returns {string} Label
+ */
+function labelFromKey(key) {
+	const words = String(key)
+		.replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+		.replace(/[-_]/g, ' ')
+		.toLowerCase();
+	return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+/**
+ * Check whether a value is a DisplayValue ({ kind: 'static' | 'range' | 'random', ... })
+ * @param {any} value - Value to check
+ * @returns {boolean} True for display values
+ */
+function isDisplayValue(value) {
+	return Boolean(value) && typeof value === 'object' && typeof value.kind === 'string';
+}
+
+/**
+ * Format a setting value for the diff view.
+ * @param {any} value - Setting value
+ * @returns {string} Formatted value
+ */
+export function formatSettingValue(value) {
+	let text;
+	if (value === undefined || value === null || value === '') {
+		text = '—';
+	} else if (typeof value === 'boolean') {
+		text = value ? 'On' : 'Off';
+	} else if (isDisplayValue(value)) {
+		if (value.kind === 'range') text = `${value.min}–${value.max}`;
+		else if (value.kind === 'random') text = `Random: ${(value.values || []).join(', ')}`;
+		else text = String(value.value);
+	} else if (Array.isArray(value)) {
+		text = value.length === 0 ? 'None' : value.map((item) => formatSettingValue(item)).join(', ');
+	} else if (typeof value === 'object') {
+		text = Object.entries(value)
+			.map(([key, item]) => `${labelFromKey(key)}: ${formatSettingValue(item)}`)
+			.join(', ');
+	} else {
+		text = String(value);
+	}
+	return text.length > MAX_VALUE_LENGTH ? `${text.slice(0, MAX_VALUE_LENGTH - 1)}…` : text;
+}
+
+/**
+ * Flatten settings into labelled leaf values.
+ * Display values, arrays and anything nested deeper than MAX_SETTING_DEPTH are kept whole.
+ * @param {any} value - Settings object
+ * @param {string[]} [path] - Labels of the enclosing settings
+ * @param {Map<string, any>} [leaves] - Output map, label to value
+ * @returns {Map<string, any>} Leaves by label
+ */
+function flattenSettings(value, path = [], leaves = new Map()) {
+	const isNested =
+		value && typeof value === 'object' && !Array.isArray(value) && !isDisplayValue(value);
+
+	if (!isNested || path.length >= MAX_SETTING_DEPTH) {
+		leaves.set(path.join(' › '), value);
+		return leaves;
+	}
+
+	for (const [key, item] of Object.entries(value)) {
+		if (path.length === 0 && DERIVED_DISPLAY_FIELDS.has(key)) continue;
+		if (typeof item === 'function') continue;
+		flattenSettings(item, [...path, labelFromKey(key)], leaves);
+	}
+	return leaves;
+}
+
+/**
+ * List the settings that differ between two setting objects.
+ * @param {any} before - Older settings
+ * @param {any} after - Newer settings
+ * @returns {SettingChange[]} Changed settings
+ */
+function diffSettings(before, after) {
+	const beforeLeaves = flattenSettings(before ?? {});
+	const afterLeaves = flattenSettings(after ?? {});
+	const labels = new Set([...beforeLeaves.keys(), ...afterLeaves.keys()]);
+
+	/** @type {SettingChange[]} */
+	const changes = [];
+	for (const label of labels) {
+		const oldValue = beforeLeaves.get(label);
+		const newValue = afterLeaves.get(label);
+		if (JSON.stringify(oldValue) === JSON.stringify(newValue)) continue;
+		changes.push({
+			setting: label || 'Settings',
+			before: formatSettingValue(oldValue),
+			after: formatSettingValue(newValue)
+		});
+	}
+	return changes;
+}
+
+/**
+ * List the setting changes of a node present in both configurations.
+ * @param {Object} beforeNode - Node in the older configuration
+ * @param {Object} afterNode - Node in the newer configuration
+ * @returns {SettingChange[]} Changed settings
+ */
+function diffNode(beforeNode, afterNode) {
+	const beforeValue = beforeNode.data?.currentValue;
+	const afterValue = afterNode.data?.currentValue;
+	const extract = SETTINGS_EXTRACTORS[afterNode.data?.id];
+
+	let changes = [];
+	if (JSON.stringify(beforeValue) !== JSON.stringify(afterValue)) {
+		changes = extract ? diffSettings(extract(beforeValue), extract(afterValue)) : [];
+		// Nothing the extractor shows changed, or there is no extractor: compare the stored settings
+		if (changes.length === 0) {
+			changes = diffSettings(beforeValue, afterValue);
+		}
+	}
+
+	const beforeChance = formatExecutionChance(beforeNode.data?.executionChance);
+	const afterChance = formatExecutionChance(afterNode.data?.executionChance);
+	if (beforeChance !== afterChance) {
+		changes.push({ setting: 'Execution chance', before: beforeChance, after: afterChance });
+	}
+
+	return changes;
+}
+
+/**
+ * Summary of a node for the diff view.
+ * @param {Object} node - Configuration node
+ * @returns {NodeDiff} Node ID and title
+ */
+function describeNode(node) {
+	return { id: node.id, title: node.data?.title || node.data?.id || node.id };
+}
+
+/**
+ * Key identifying a connection between two nodes.
+ * @param {Object} edge - Configuration edge
+ * @returns {string} Edge key
+ */
+function edgeKey(edge) {
+	return `${edge.source}:${edge.sourceHandle ?? ''}->${edge.target}:${edge.targetHandle ?? ''}`;
+}
+
+/**
+ * Compare two quiz configurations node by node.
+ * @param {Object|null|undefined} before - Older configuration (nodes, edges), or nothing for the first revision
+ * @param {Object|null|undefined} after - Newer configuration (nodes, edges)
+ * @returns {ConfigurationDiff} Added, removed and changed nodes and connections
+ */
+export function diffConfigurations(before, after) {
+	const beforeNodes = new Map((before?.nodes || []).map((node) => [node.id, node]));
+	const afterNodes = new Map((after?.nodes || []).map((node) => [node.id, node]));
+
+	const addedNodes = [...afterNodes.values()]
+		.filter((node) => !beforeNodes.has(node.id))
+		.map(describeNode);
+	const removedNodes = [...beforeNodes.values()]
+		.filter((node) => !afterNodes.has(node.id))
+		.map(describeNode);
+
+	const changedNodes = [];
+	for (const [id, afterNode] of afterNodes) {
+		const beforeNode = beforeNodes.get(id);
+		if (!beforeNode) continue;
+		const changes = diffNode(beforeNode, afterNode);
+		if (changes.length > 0) {
+			changedNodes.push({ ...describeNode(afterNode), changes });
+		}
+	}
+
+	const beforeEdges = new Set((before?.edges || []).map(edgeKey));
+	const afterEdges = new Set((after?.edges || []).map(edgeKey));
+	const addedEdges = [...afterEdges].filter((key) => !beforeEdges.has(key)).length;
+	const removedEdges = [...beforeEdges].filter((key) => !afterEdges.has(key)).length;
+
+	return {
+		addedNodes,
+		removedNodes,
+		changedNodes,
+		addedEdges,
+		removedEdges,
+		hasChanges:
+			addedNodes.length > 0 ||
+			removedNodes.length > 0 ||
+			changedNodes.length > 0 ||
+			addedEdges > 0 ||
+			removedEdges > 0
+	};
+}
@@ -107,24 +107,40 @@ function resolveSongPercentage(songPercentage, rng) {
 	return null;
 }
 
+/**
+ * Get the routes of a router that can be selected or pinned (enabled routes)
+ * @param {NodeInstanceWrapper|null|undefined} routerNode
+ * @returns {Route[]}
+ */
+export function getSelectableRoutes(routerNode) {
+	return (routerNode?.data?.currentValue?.routes || []).filter((r) => r.enabled);
+}
+
 /**
  * Selects one route from router based on weighted random selection
+ * A pinned route still draws from the RNG so the rest of the simulation resolves
+ * exactly as it would have for the same seed.
  * @param {NodeInstanceWrapper} routerNode
  * @param {() => number} rng
+ * @param {string|null} [pinnedRouteId] - Route to use instead of the weighted pick
  * @returns {Route|null}
  */
-function selectRoute(routerNode, rng) {
+function selectRoute(routerNode, rng, pinnedRouteId = null) {
 	if (!routerNode || !routerNode.data.currentValue?.routes) {
 		return null;
 	}
 
 	const routes = routerNode.data.currentValue.routes.filter((r) => r.enabled && r.percentage > 0);
-	if (routes.length === 0) return null;
+	const pinnedRoute = pinnedRouteId
+		? getSelectableRoutes(routerNode).find((r) => r.id === pinnedRouteId) || null
+		: null;
+	if (routes.length === 0) return pinnedRoute;
 
 	const totalPercentage = routes.reduce((sum, route) => sum + route.percentage, 0);
-	if (totalPercentage <= 0) return null;
+	if (totalPercentage <= 0) return pinnedRoute;
 
 	const random = rng() * totalPercentage;
+	if (pinnedRoute) return pinnedRoute;
 	let currentSum = 0;
 
 	for (const route of routes) {
@@ -161,7 +177,8 @@ function resolveBasicSettings(node, rng) {
 				randomInt(rng, 0, displayValues.playbackSpeed.values.length - 1)
 				]
 				: displayValues.playbackSpeed.value,
-		duplicateShows: node.data.currentValue?.duplicateShows?.value ?? true // Default to true for backward compatibility
+		duplicateShows: node.data.currentValue?.duplicateShows?.value ?? true, // Default to true for backward compatibility
+		maxSongsPerFranchise: node.data.currentValue?.maxSongsPerFranchise?.value ?? 0 // 0 = no limit
 	};
 }
 
@@ -294,6 +311,14 @@ const CONFLICT_RESOLUTION_CONFIG = {
 		excluded: CONFLICT_RESOLUTION_STRATEGIES.MERGE_GENRES_TAGS,
 		optional: CONFLICT_RESOLUTION_STRATEGIES.MERGE_GENRES_TAGS,
 		mode: CONFLICT_RESOLUTION_STRATEGIES.MERGE_FIRST
+	},
+	artists: {
+		included: CONFLICT_RESOLUTION_STRATEGIES.MERGE_GENRES_TAGS,
+		excluded: CONFLICT_RESOLUTION_STRATEGIES.MERGE_GENRES_TAGS,
+		optional: CONFLICT_RESOLUTION_STRATEGIES.MERGE_GENRES_TAGS,
+		items: CONFLICT_RESOLUTION_STRATEGIES.MERGE_GENRES_TAGS,
+		roles: CONFLICT_RESOLUTION_STRATEGIES.MERGE_FIRST,
+		mode: CONFLICT_RESOLUTION_STRATEGIES.MERGE_FIRST
 	}
 };
 
@@ -429,7 +454,7 @@ function resolveConflicts(nodes, rng, inheritedSongCount = 20) {
 	}
 
 	// Post-resolution normalization for specific filter types
-	if (definitionId === 'genres' || definitionId === 'tags') {
+	if (definitionId === 'genres' || definitionId === 'tags' || definitionId === 'artists') {
 		normalizeGenresTags(resolved, rng);
 	} else if (definitionId === 'song-categories') {
 		normalizeSongCategories(resolved, nodes, rng);
@@ -1948,9 +1973,11 @@ function applySelectionModifiers(nodes, allNodes, rng) {
  * @param {Array} edges - Array of edges
  * @param {Object} configs - Configuration objects (ROUTER_CONFIG, etc.)
  * @param {string} [providedSeed] - Optional seed for reproducible results
+ * @param {Object} [options] - Simulation options
+ * @param {string|null} [options.routeId] - Router route to pin instead of the weighted pick
  * @returns {Object} Fully resolved simulation result with static values
  */
-export function simulateQuizConfiguration(nodes, edges, configs, providedSeed = null) {
+export function simulateQuizConfiguration(nodes, edges, configs, providedSeed = null, options = {}) {
 	const seed = providedSeed || generateRandomSeed();
 	const rng = makeRng(seed);
 
@@ -1971,10 +1998,12 @@ export function simulateQuizConfiguration(nodes, edges, configs, providedSeed =
 
 	if (routerNode) {
 		browserLog(`[SIMULATION] Found router node: ${routerNode.data.instanceId}`);
-		const selectedRoute = selectRoute(routerNode, rng);
+		const selectedRoute = selectRoute(routerNode, rng, options.routeId || null);
 		result.router = {
+			routerId: routerNode.data.instanceId,
 			selectedRoute: selectedRoute?.name || 'Unknown',
-			selectedRouteId: selectedRoute?.id || null
+			selectedRouteId: selectedRoute?.id || null,
+			pinned: Boolean(options.routeId) && selectedRoute?.id === options.routeId
 		};
 
 		browserLog(`[SIMULATION] Selected route: ${selectedRoute?.name} (${selectedRoute?.id})`);
@@ -2489,6 +2518,7 @@ export function simulateQuizConfiguration(nodes, edges, configs, providedSeed =
 				useEntirePool: value.useEntirePool || false,
 				songPercentage: nodeLevelPercentage, // Node-level percentage
 				songSelectionMode: value.songSelectionMode || 'default', // Song selection mode
+				sampleWeighting: value.sampleWeighting, // Song weighting (mode + strength)
 				userEntries: userEntries,
 				userListImport: {
 					platform: 'anilist', // Default platform for batch user lists
@@ -2565,6 +2595,7 @@ export function simulateQuizConfiguration(nodes, edges, configs, providedSeed =
 				useEntirePool: value.useEntirePool || false,
 				songPercentage: nodeLevelPercentage, // Node-level percentage
 				songSelectionMode: value.songSelectionMode || 'default', // Song selection mode
+				sampleWeighting: value.sampleWeighting, // Song weighting (mode + strength)
 				userEntries: userEntries,
 				userListImport: {
 					platform: 'anilist', // Default platform for live nodes
@@ -2587,6 +2618,7 @@ export function simulateQuizConfiguration(nodes, edges, configs, providedSeed =
 			mode: value.mode || 'masterlist',
 			useEntirePool: value.useEntirePool || false,
 			songPercentage: resolveSongPercentage(value.songPercentage, rng),
+			sampleWeighting: value.mode === 'user-lists' ? value.sampleWeighting : undefined,
 			userListImport: value.mode === 'user-lists' ? {
 				platform: value.userListImport?.platform || 'anilist',
 				username: value.userListImport?.username || '',
@@ -2599,7 +2631,10 @@ export function simulateQuizConfiguration(nodes, edges, configs, providedSeed =
 				}
 			} : undefined,
 			selectedListId: value.mode === 'saved-lists' ? value.selectedListId || null : undefined,
-			selectedListName: value.mode === 'saved-lists' ? value.selectedListName || null : undefined
+			selectedListName: value.mode === 'saved-lists' ? value.selectedListName || null : undefined,
+			providerImport: value.mode === 'provider' && value.providerImport?.processedData
+				? { providerType: value.providerImport.providerType, processedData: value.providerImport.processedData }
+				: undefined
 		};
 	});
 
@@ -2618,3 +2653,50 @@ export function simulateQuizConfiguration(nodes, edges, configs, providedSeed =
 
 	return result;
 }
+
+/**
+ * Preview how a Router node's branches play out over many seeds
+ * Runs the full simulation once per seed and tallies the selected route and resolved song count.
+ * @param {Array} nodes - Array of node instances
+ * @param {Array} edges - Array of edges
+ * @param {Object} configs - Configuration objects (ROUTER_CONFIG, etc.)
+ * @param {number} [runs=100] - Number of seeds to simulate
+ * @returns {{runs: number, routes: Array<{routeId: string, routeName: string, percentage: number, count: number, share: number, songCounts: Object<number, number>, exampleSeed: string|null}>, unrouted: number}}
+ */
+export function previewRouterOutcomes(nodes, edges, configs, runs = 100) {
+	const routerNode = nodes.find((n) => n.data.type === NODE_CATEGORIES.ROUTER);
+	const outcomes = new Map(
+		getSelectableRoutes(routerNode).map((route) => [
+			route.id,
+			{ route, count: 0, songCounts: {}, exampleSeed: null }
+		])
+	);
+	let unrouted = 0;
+
+	for (let i = 0; i < runs; i++) {
+		const seed = generateRandomSeed();
+		const simulation = simulateQuizConfiguration(nodes, edges, configs, seed);
+		const outcome = outcomes.get(simulation.router?.selectedRouteId);
+		if (!outcome) {
+			unrouted++;
+			continue;
+		}
+
+		outcome.count++;
+		outcome.exampleSeed = outcome.exampleSeed || seed;
+		const songCount = simulation.numberOfSongs ?? 0;
+		outcome.songCounts[songCount] = (outcome.songCounts[songCount] || 0) + 1;
+	}
+
+	const routes = Array.from(outcomes.values()).map(({ route, count, songCounts, exampleSeed }) => ({
+		routeId: route.id,
+		routeName: route.name,
+		percentage: route.percentage,
+		count,
+		share: runs > 0 ? (count / runs) * 100 : 0,
+		songCounts,
+		exampleSeed
+	}));
+
+	return { runs, routes, unrouted };
+}
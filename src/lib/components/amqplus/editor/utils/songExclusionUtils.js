@@ -0,0 +1,117 @@
+/**
+ * Utility functions for the song exclusion list.
+ * Talks to /api/song-exclusions; the exclusions are applied server-side before filters run.
+ *
+ * @module songExclusionUtils
+ */
+
+/**
+ * Song exclusion row.
+ * @typedef {Object} SongExclusion
+ * @property {string} id - Exclusion ID
+ * @property {string|null} quiz_id - Quiz the exclusion applies to (null = all of the user's quizzes)
+ * @property {'song'|'anime'} target_type - Whether one song or a whole anime is excluded
+ * @property {number} target_id - annSongId for songs, annId for anime
+ * @property {string|null} song_name - Song label
+ * @property {string|null} anime_name - Anime label
+ * @property {string|null} reason - Optional reason (e.g. broken audio)
+ */
+
+/**
+ * Fetch the user's song exclusions.
+ *
+ * @param {string|null} [quizId] - Also include exclusions for this quiz
+ * @returns {Promise<SongExclusion[]>} Exclusions
+ * @throws {Error} If fetch fails
+ */
+export async function fetchSongExclusions(quizId = null) {
+	const params = quizId ? `?quiz_id=${encodeURIComponent(quizId)}` : '';
+	const response = await fetch(`/api/song-exclusions${params}`);
+
+	if (!response.ok) {
+		const errorData = await response.json().catch(() => ({}));
+		throw new Error(errorData.message || 'Failed to load song exclusions');
+	}
+
+	/** @type {{data?: SongExclusion[]}} */
+	const result = await response.json();
+	return result.data || [];
+}
+
+/**
+ * Exclude a song or the song's whole anime.
+ *
+ * @param {Object} song - Song to exclude (needs annSongId, and annId for anime exclusions)
+ * @param {Object} options - Exclusion options
+ * @param {'song'|'anime'} options.targetType - Exclude the song or its anime
+ * @param {string|null} [options.quizId] - Only exclude from this quiz (null = all of the user's quizzes)
+ * @param {string|null} [options.shareToken] - Share token, when the quiz is edited via a share link
+ * @param {string|null} [options.reason] - Optional reason
+ * @returns {Promise<SongExclusion>} Created exclusion
+ * @throws {Error} If the request fails
+ */
+export async function addSongExclusion(
+	song,
+	{ targetType, quizId = null, shareToken = null, reason = null }
+) {
+	const response = await fetch('/api/song-exclusions', {
+		method: 'POST',
+		headers: {
+			'Content-Type': 'application/json'
+		},
+		body: JSON.stringify({
+			target_type: targetType,
+			target_id: targetType === 'anime' ? song.annId : song.annSongId,
+			quiz_id: quizId,
+			share_token: shareToken,
+			song_name: song.songName || null,
+			anime_name: song.animeENName || song.animeJPName || null,
+			reason
+		})
+	});
+
+	if (!response.ok) {
+		const errorData = await response.json().catch(() => ({}));
+		throw new Error(errorData.message || 'Failed to exclude song');
+	}
+
+	const result = await response.json();
+	return result.data;
+}
+
+/**
+ * Remove an exclusion.
+ *
+ * @param {string} id - Exclusion ID
+ * @returns {Promise<void>}
+ * @throws {Error} If the request fails
+ */
+export async function removeSongExclusion(id) {
+	const response = await fetch('/api/song-exclusions', {
+		method: 'DELETE',
+		headers: {
+			'Content-Type': 'application/json'
+		},
+		body: JSON.stringify({ id })
+	});
+
+	if (!response.ok) {
+		const errorData = await response.json().catch(() => ({}));
+		throw new Error(errorData.message || 'Failed to remove song exclusion');
+	}
+}
+
+/**
+ * Find the exclusions that match a song (by annSongId or by its anime's annId).
+ *
+ * @param {SongExclusion[]} exclusions - Exclusions
+ * @param {Object} song - Song
+ * @returns {SongExclusion[]} Matching exclusions
+ */
+export function findSongExclusions(exclusions, song) {
+	return exclusions.filter((exclusion) =>
+		exclusion.target_type === 'anime'
+			? song.annId != null && Number(song.annId) === exclusion.target_id
+			: song.annSongId === exclusion.target_id
+	);
+}
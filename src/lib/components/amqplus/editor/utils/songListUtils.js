@@ -74,7 +74,7 @@ import { fetchAniListData } from '$lib/utils/anilist.js';
  * @property {string|null} expiresAt - ISO timestamp when cache expires
  * @property {string[]} cachedStatuses - List of cached statuses
  * @property {string[]} uncachedStatuses - List of uncached statuses
- * @property {'anilist'|'mal'} platform - Platform name
+ * @property {'anilist'|'mal'|'kitsu'} platform - Platform name
  * @property {string} username - Username on the platform
  */
 
@@ -197,7 +197,7 @@ import { fetchAniListData } from '$lib/utils/anilist.js';
  * @typedef {Object} SongListConfig
  * @property {'masterlist'|'user-lists'|'saved-lists'|'provider'} mode - List mode
  * @property {Object} [userListImport] - User list import config
- * @property {string} [userListImport.platform] - Platform ('anilist'|'mal')
+ * @property {string} [userListImport.platform] - Platform ('anilist'|'mal'|'kitsu')
  * @property {string} [userListImport.username] - Username
  * @property {SelectedLists} [userListImport.selectedLists] - Selected lists
  * @property {string} [selectedListId] - Selected list ID (for saved-lists mode)
@@ -205,11 +205,11 @@ import { fetchAniListData } from '$lib/utils/anilist.js';
  */
 
 /**
- * Import user anime list from AniList or MyAnimeList.
+ * Import user anime list from AniList, MyAnimeList or Kitsu.
  * Fetches anime list with songs using the user-list-cache API endpoint.
  * If songs are not cached, fetches them from AnisongDB.
  *
- * @param {'anilist'|'mal'} platform - Platform to import from
+ * @param {'anilist'|'mal'|'kitsu'} platform - Platform to import from
  * @param {string} username - Username to import
  * @param {SelectedLists} selectedLists - List types to import
  * @param {boolean} [forceRefresh=false] - Whether to bypass cache
@@ -430,7 +430,7 @@ async function fetchSongsFromAnisongDB(malIds, onProgress = null) {
  * Store fetched anime and songs data in cache, grouped by status.
  * Only caches the newly fetched statuses to avoid overwriting existing cache.
  *
- * @param {'anilist'|'mal'} platform - Platform name
+ * @param {'anilist'|'mal'|'kitsu'} platform - Platform name
  * @param {string} username - Username
  * @param {import('../../../../../types/types.js').UserAnimeData[]} animeList - Complete anime list
  * @param {EnrichedSong[]} enrichedSongs - Songs with sourceAnime data
@@ -55,6 +55,10 @@ export const VALIDATION_BOUNDS = {
 		min: 1,
 		max: 200
 	},
+	maxSongsPerFranchise: {
+		min: 0,
+		max: 200
+	},
 
 	// Selection modifier
 	selectionModifier: {
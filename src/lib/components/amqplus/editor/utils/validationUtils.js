@@ -1237,7 +1237,10 @@ export function validateConfiguration(nodes = [], edges = []) {
 					hasCountMode = true;
 				} else if (nodeId === 'anime-type' && value.mode === 'count') {
 					hasCountMode = true;
-				} else if ((nodeId === 'genres' || nodeId === 'tags') && value.mode === 'count') {
+				} else if (
+					(nodeId === 'genres' || nodeId === 'tags' || nodeId === 'artists') &&
+					value.mode === 'count'
+				) {
 					hasCountMode = true;
 				} else if (nodeId === 'vintage' && value.mode === 'count') {
 					hasCountMode = true;
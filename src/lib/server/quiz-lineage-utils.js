@@ -0,0 +1,212 @@
+/**
+ * Quiz remix lineage.
+ * A quiz created from another one keeps the source in quiz_configurations.forked_from, which lets
+ * quiz pages credit the original creator and list the variants built on a quiz.
+ * Private quizzes in a lineage are only shown to their owner; everyone else sees a placeholder.
+ *
+ * @module lib/server/quiz-lineage-utils
+ */
+
+import { checkAdminOrOwner } from './auth-utils.js';
+
+/** Most ancestors followed up from a quiz (guards against very long or broken chains) */
+export const MAX_ANCESTOR_DEPTH = 10;
+
+/** Generations of forks listed below a quiz */
+export const MAX_FORK_DEPTH = 3;
+
+/** Most forks listed in one lineage tree */
+export const MAX_FORK_NODES = 100;
+
+/** Columns needed to place a quiz in a lineage */
+const LINEAGE_COLUMNS = 'id, name, creator_username, user_id, is_public, forked_from, created_at';
+
+/**
+ * Quiz in a lineage tree.
+ * @typedef {Object} LineageNode
+ * @property {string|null} id - Quiz ID, null for quizzes hidden from the requester
+ * @property {string|null} name - Quiz name
+ * @property {string|null} creator_username - Creator of the quiz
+ * @property {boolean} hidden - Whether the quiz is private and not owned by the requester
+ * @property {string|null} created_at - When the quiz was created
+ * @property {LineageNode[]} [forks] - Visible forks of the quiz (descendants only)
+ * @property {number} [hiddenForks] - Forks not shown because they are private (descendants only)
+ */
+
+/**
+ * Check whether a quiz may be shown in a lineage to the requester.
+ * @param {Object} quiz - Quiz row with user_id and is_public
+ * @param {Object|null} user - Logged-in user, if any
+ * @returns {boolean} True for public quizzes and the requester's own quizzes
+ */
+function isVisibleTo(quiz, user) {
+  return Boolean(quiz.is_public) || checkAdminOrOwner(user, quiz.user_id);
+}
+
+/**
+ * Describe a quiz for a lineage tree, hiding private quizzes of other users.
+ * @param {Object} quiz - Quiz row selected with LINEAGE_COLUMNS
+ * @param {Object|null} user - Logged-in user, if any
+ * @returns {LineageNode} Lineage entry
+ */
+function toLineageNode(quiz, user) {
+  if (!isVisibleTo(quiz, user)) {
+    return { id: null, name: null, creator_username: null, hidden: true, created_at: null };
+  }
+  return {
+    id: quiz.id,
+    name: quiz.name,
+    creator_username: quiz.creator_username,
+    hidden: false,
+    created_at: quiz.created_at
+  };
+}
+
+/**
+ * Checks the quiz a new quiz claims to be forked from. The link is only kept when the user could
+ * have remixed that quiz: it is public and allows remixing, or the user owns it.
+ *
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabaseAdmin - Supabase admin client
+ * @param {string|null|undefined} forkedFrom - Source quiz ID sent by the editor
+ * @param {Object} user - Logged-in user creating the quiz
+ * @returns {Promise<string|null>} Source quiz ID to store, or null
+ */
+export async function resolveForkSource(supabaseAdmin, forkedFrom, user) {
+  if (!forkedFrom || typeof forkedFrom !== 'string') {
+    return null;
+  }
+
+  const { data: source, error: dbError } = await supabaseAdmin
+    .from('quiz_configurations')
+    .select('id, user_id, is_public, allow_remixing')
+    .eq('id', forkedFrom)
+    .maybeSingle();
+
+  if (dbError || !source) {
+    console.warn(`Ignoring forked_from ${forkedFrom}: quiz not found`);
+    return null;
+  }
+
+  if ((source.is_public && source.allow_remixing) || checkAdminOrOwner(user, source.user_id)) {
+    return source.id;
+  }
+
+  console.warn(`Ignoring forked_from ${forkedFrom}: quiz cannot be remixed by this user`);
+  return null;
+}
+
+/**
+ * Follows forked_from up from a quiz.
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabaseAdmin - Supabase admin client
+ * @param {string|null} parentId - forked_from of the quiz
+ * @param {Object|null} user - Logged-in user, if any
+ * @param {Set<string>} seen - Quiz IDs already in the lineage
+ * @returns {Promise<LineageNode[]>} Ancestors, the original quiz first
+ */
+async function loadAncestors(supabaseAdmin, parentId, user, seen) {
+  const ancestors = [];
+  let nextId = parentId;
+
+  while (nextId && !seen.has(nextId) && ancestors.length < MAX_ANCESTOR_DEPTH) {
+    seen.add(nextId);
+    const { data: parent, error: dbError } = await supabaseAdmin
+      .from('quiz_configurations')
+      .select(LINEAGE_COLUMNS)
+      .eq('id', nextId)
+      .maybeSingle();
+
+    if (dbError) throw dbError;
+    if (!parent) break;
+
+    ancestors.unshift(toLineageNode(parent, user));
+    nextId = parent.forked_from;
+  }
+
+  return ancestors;
+}
+
+/**
+ * Lists the forks below a quiz, one generation per query.
+ * Forks hidden from the requester are counted on their parent but not followed further.
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabaseAdmin - Supabase admin client
+ * @param {LineageNode} root - Quiz whose forks are listed (filled in place)
+ * @param {Object|null} user - Logged-in user, if any
+ * @param {Set<string>} seen - Quiz IDs already in the lineage
+ * @returns {Promise<boolean>} True if the tree was cut off at MAX_FORK_DEPTH or MAX_FORK_NODES
+ */
+async function loadForkTree(supabaseAdmin, root, user, seen) {
+  /** @type {Map<string, LineageNode>} */
+  let generation = new Map([[root.id, root]]);
+  let listed = 0;
+
+  for (let depth = 0; depth < MAX_FORK_DEPTH; depth++) {
+    const remaining = MAX_FORK_NODES - listed;
+    const { data: forks, error: dbError } = await supabaseAdmin
+      .from('quiz_configurations')
+      .select(LINEAGE_COLUMNS)
+      .in('forked_from', [...generation.keys()])
+      .order('created_at', { ascending: true })
+      .limit(remaining + 1);
+
+    if (dbError) throw dbError;
+    if (!forks || forks.length === 0) return false;
+
+    /** @type {Map<string, LineageNode>} */
+    const nextGeneration = new Map();
+    for (const fork of forks.slice(0, remaining)) {
+      if (seen.has(fork.id)) continue;
+      seen.add(fork.id);
+
+      const parent = generation.get(fork.forked_from);
+      const node = toLineageNode(fork, user);
+      if (node.hidden) {
+        parent.hiddenForks += 1;
+        continue;
+      }
+
+      listed += 1;
+      const entry = { ...node, forks: [], hiddenForks: 0 };
+      parent.forks.push(entry);
+      nextGeneration.set(fork.id, entry);
+    }
+
+    if (forks.length > remaining) return true;
+    if (nextGeneration.size === 0) return false;
+    generation = nextGeneration;
+  }
+
+  // Deeper forks exist if any of the last listed generation has one
+  const { count } = await supabaseAdmin
+    .from('quiz_configurations')
+    .select('id', { count: 'exact', head: true })
+    .in('forked_from', [...generation.keys()]);
+
+  return (count ?? 0) > 0;
+}
+
+/**
+ * Loads the lineage of a quiz: the chain of quizzes it was remixed from and the tree of remixes
+ * built on it.
+ *
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabaseAdmin - Supabase admin client
+ * @param {string} quizId - Quiz configuration ID
+ * @param {Object|null} user - Logged-in user, if any
+ * @returns {Promise<{quiz: LineageNode, ancestors: LineageNode[], truncated: boolean}|null>} Lineage, or null if the quiz does not exist or is hidden from the requester
+ */
+export async function loadQuizLineage(supabaseAdmin, quizId, user) {
+  const { data: quiz, error: dbError } = await supabaseAdmin
+    .from('quiz_configurations')
+    .select(LINEAGE_COLUMNS)
+    .eq('id', quizId)
+    .maybeSingle();
+
+  if (dbError) throw dbError;
+  if (!quiz || !isVisibleTo(quiz, user)) return null;
+
+  const seen = new Set([quiz.id]);
+  const root = { ...toLineageNode(quiz, user), forks: [], hiddenForks: 0 };
+  const ancestors = await loadAncestors(supabaseAdmin, quiz.forked_from, user, seen);
+  const truncated = await loadForkTree(supabaseAdmin, root, user, seen);
+
+  return { quiz: root, ancestors, truncated };
+}
@@ -0,0 +1,230 @@
+/**
+ * Quiz configuration revisions.
+ * Every save of a quiz writes its configuration to quiz_configuration_revisions so edits can be
+ * reviewed in the editor's history panel and rolled back. Restoring writes a new revision.
+ *
+ * @module lib/server/quiz-revision-utils
+ */
+
+/** Most revisions returned by listQuizRevisions */
+export const MAX_LISTED_REVISIONS = 100;
+
+/** Columns returned for revision lists (everything except the configuration) */
+const REVISION_SUMMARY_COLUMNS = 'revision_number, name, source, restored_from, created_by_username, created_at';
+
+/** Postgres unique_violation: another save took the same revision number */
+const UNIQUE_VIOLATION = '23505';
+
+/**
+ * Revision without its configuration.
+ * @typedef {Object} RevisionSummary
+ * @property {number} revision_number - Revision number, starting at 1 for each quiz
+ * @property {string} name - Quiz name when the revision was saved
+ * @property {'create'|'save'|'restore'|'baseline'} source - What wrote the revision
+ * @property {number|null} restored_from - Revision restored, for source 'restore'
+ * @property {string|null} created_by_username - Who saved the revision
+ * @property {string} created_at - When the revision was saved
+ */
+
+/**
+ * Check whether two configurations have the same nodes and edges (save metadata is ignored).
+ * @param {Object|null|undefined} a - Configuration data
+ * @param {Object|null|undefined} b - Configuration data
+ * @returns {boolean} True if nothing in the quiz changed
+ */
+function configurationsMatch(a, b) {
+  return JSON.stringify([a?.nodes ?? [], a?.edges ?? []]) === JSON.stringify([b?.nodes ?? [], b?.edges ?? []]);
+}
+
+/**
+ * Checks that the requester may edit a quiz. This is the rule for every write to an existing quiz
+ * (saving it, restoring a revision) and for reading its history: the owner can always edit,
+ * others need the share token of a private quiz.
+ *
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabaseAdmin - Supabase admin client
+ * @param {string} quizId - Quiz configuration ID
+ * @param {Object|null} user - Logged-in user, if any
+ * @param {string|null|undefined} shareToken - Share token sent by the editor
+ * @returns {Promise<{quiz: Object|null, authMethod: 'ownership'|'share_token'|null, status: number, message: string|null}>}
+ *   The quiz and how access was granted, or the HTTP status and message to reject with
+ */
+export async function checkQuizEditAccess(supabaseAdmin, quizId, user, shareToken) {
+  const { data: quiz, error: dbError } = await supabaseAdmin
+    .from('quiz_configurations')
+    .select('id, user_id, name, is_public, share_token, play_token')
+    .eq('id', quizId)
+    .maybeSingle();
+
+  if (dbError || !quiz) {
+    return { quiz: null, authMethod: null, status: 404, message: 'Quiz not found' };
+  }
+
+  if (user && quiz.user_id === user.id) {
+    return { quiz, authMethod: 'ownership', status: 200, message: null };
+  }
+
+  if (shareToken) {
+    if (quiz.share_token !== shareToken) {
+      return { quiz: null, authMethod: null, status: 403, message: 'Invalid share token' };
+    }
+    if (quiz.is_public) {
+      return { quiz: null, authMethod: null, status: 403, message: 'Public quizzes can only be edited by their owner' };
+    }
+    return { quiz, authMethod: 'share_token', status: 200, message: null };
+  }
+
+  return user
+    ? { quiz: null, authMethod: null, status: 403, message: 'You do not have permission to edit this quiz' }
+    : { quiz: null, authMethod: null, status: 401, message: 'Authentication required' };
+}
+
+/**
+ * Loads the newest revision of a quiz.
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabaseAdmin - Supabase admin client
+ * @param {string} quizId - Quiz configuration ID
+ * @returns {Promise<{revision_number: number, configuration_data: Object}|null>} Latest revision, or null if there is none
+ */
+async function loadLatestRevision(supabaseAdmin, quizId) {
+  const { data, error: dbError } = await supabaseAdmin
+    .from('quiz_configuration_revisions')
+    .select('revision_number, configuration_data')
+    .eq('quiz_id', quizId)
+    .order('revision_number', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (dbError) {
+    throw new Error(`Failed to load revisions: ${dbError.message}`);
+  }
+  return data;
+}
+
+/**
+ * Writes a revision of a quiz.
+ * Saves that change nothing since the latest revision are skipped. If a concurrent save took the
+ * next revision number the insert is retried once with a fresh number.
+ *
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabaseAdmin - Supabase admin client
+ * @param {string} quizId - Quiz configuration ID
+ * @param {Object} revision - Revision contents
+ * @param {Object} revision.configurationData - Configuration saved
+ * @param {string} revision.name - Quiz name
+ * @param {'create'|'save'|'restore'|'baseline'} [revision.source] - What wrote the revision
+ * @param {number|null} [revision.restoredFrom] - Revision restored, for source 'restore'
+ * @param {string|null} [revision.userId] - User saving, null for guests
+ * @param {string|null} [revision.username] - Name shown in the history
+ * @returns {Promise<RevisionSummary|null>} The new revision, or null if nothing changed
+ * @throws {Error} If the revision cannot be written
+ */
+export async function recordQuizRevision(
+  supabaseAdmin,
+  quizId,
+  { configurationData, name, source = 'save', restoredFrom = null, userId = null, username = null }
+) {
+  for (let attempt = 0; attempt < 2; attempt++) {
+    const latest = await loadLatestRevision(supabaseAdmin, quizId);
+
+    if (latest && source === 'save' && configurationsMatch(latest.configuration_data, configurationData)) {
+      return null;
+    }
+
+    const { data, error: dbError } = await supabaseAdmin
+      .from('quiz_configuration_revisions')
+      .insert({
+        quiz_id: quizId,
+        revision_number: (latest?.revision_number ?? 0) + 1,
+        configuration_data: configurationData,
+        name,
+        source,
+        restored_from: restoredFrom,
+        created_by: userId,
+        created_by_username: username
+      })
+      .select(REVISION_SUMMARY_COLUMNS)
+      .single();
+
+    if (!dbError) {
+      return data;
+    }
+    if (dbError.code !== UNIQUE_VIOLATION) {
+      throw new Error(`Failed to save revision: ${dbError.message}`);
+    }
+  }
+
+  throw new Error('Failed to save revision: the quiz is being saved from somewhere else');
+}
+
+/**
+ * Keeps the configuration of a quiz saved before revisions existed.
+ * Called before an update overwrites a quiz that has no revisions yet, so the first edit can still be rolled back.
+ *
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabaseAdmin - Supabase admin client
+ * @param {string} quizId - Quiz configuration ID
+ * @returns {Promise<void>}
+ * @throws {Error} If the quiz or its revisions cannot be read
+ */
+export async function ensureBaselineRevision(supabaseAdmin, quizId) {
+  if (await loadLatestRevision(supabaseAdmin, quizId)) {
+    return;
+  }
+
+  const { data: quiz, error: dbError } = await supabaseAdmin
+    .from('quiz_configurations')
+    .select('name, configuration_data, creator_username')
+    .eq('id', quizId)
+    .single();
+
+  if (dbError || !quiz) {
+    throw new Error(`Failed to load quiz: ${dbError?.message ?? 'not found'}`);
+  }
+
+  await recordQuizRevision(supabaseAdmin, quizId, {
+    configurationData: quiz.configuration_data,
+    name: quiz.name,
+    source: 'baseline',
+    username: quiz.creator_username
+  });
+}
+
+/**
+ * Lists the revisions of a quiz, newest first.
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabaseAdmin - Supabase admin client
+ * @param {string} quizId - Quiz configuration ID
+ * @returns {Promise<RevisionSummary[]>} Up to MAX_LISTED_REVISIONS revisions
+ * @throws {Error} If the revisions cannot be loaded
+ */
+export async function listQuizRevisions(supabaseAdmin, quizId) {
+  const { data, error: dbError } = await supabaseAdmin
+    .from('quiz_configuration_revisions')
+    .select(REVISION_SUMMARY_COLUMNS)
+    .eq('quiz_id', quizId)
+    .order('revision_number', { ascending: false })
+    .limit(MAX_LISTED_REVISIONS);
+
+  if (dbError) {
+    throw new Error(`Failed to load revisions: ${dbError.message}`);
+  }
+  return data || [];
+}
+
+/**
+ * Loads one revision of a quiz with its configuration.
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabaseAdmin - Supabase admin client
+ * @param {string} quizId - Quiz configuration ID
+ * @param {number} revisionNumber - Revision number
+ * @returns {Promise<(RevisionSummary & {configuration_data: Object})|null>} The revision, or null if it does not exist
+ * @throws {Error} If the revision cannot be loaded
+ */
+export async function loadQuizRevision(supabaseAdmin, quizId, revisionNumber) {
+  const { data, error: dbError } = await supabaseAdmin
+    .from('quiz_configuration_revisions')
+    .select(`${REVISION_SUMMARY_COLUMNS}, configuration_data`)
+    .eq('quiz_id', quizId)
+    .eq('revision_number', revisionNumber)
+    .maybeSingle();
+
+  if (dbError) {
+    throw new Error(`Failed to load revision: ${dbError.message}`);
+  }
+  return data;
+}
@@ -0,0 +1,271 @@
+/**
+ * Quiz template gallery.
+ * Templates are snapshots of quizzes listed in quiz_templates. Admins add and curate them directly;
+ * other users submit their own quizzes, which are listed once an admin approves them.
+ *
+ * @module lib/server/quiz-template-utils
+ */
+
+import { isAdmin } from './auth-utils.js';
+import { generateQuizMetadata } from '$lib/utils/quizMetadata.js';
+import {
+  DEFAULT_TEMPLATE_CATEGORY,
+  MAX_TEMPLATE_EXPLANATION_LENGTH,
+  MAX_TEMPLATE_FEATURES,
+  isTemplateCategory
+} from '$lib/utils/quizTemplates.js';
+import {
+  migrateConfiguration,
+  stampSchemaVersion
+} from '$lib/components/amqplus/editor/utils/configMigrations.js';
+
+/** Most templates returned per gallery page */
+export const MAX_TEMPLATES_PER_PAGE = 24;
+
+/** Columns returned for gallery cards (everything except the configuration) */
+export const TEMPLATE_SUMMARY_COLUMNS =
+  'id, quiz_id, name, description, category, features, preview_metadata, node_count, status, is_featured, sort_order, review_note, submitted_by_username, created_at, updated_at';
+
+/** Longest feature tag */
+const MAX_FEATURE_LENGTH = 40;
+
+/**
+ * Template as shown in the gallery.
+ * @typedef {Object} TemplateSummary
+ * @property {string} id - Template ID
+ * @property {string|null} quiz_id - Quiz the template was made from
+ * @property {string} name - Template name
+ * @property {string|null} description - Short description for gallery cards
+ * @property {string} category - Category value (see TEMPLATE_CATEGORIES)
+ * @property {string[]} features - Feature tags
+ * @property {Object|null} preview_metadata - generateQuizMetadata output for the snapshot
+ * @property {number} node_count - Nodes in the snapshot
+ * @property {'pending'|'approved'|'rejected'} status - Review status
+ * @property {boolean} is_featured - Shown in the quick start section
+ * @property {string|null} submitted_by_username - Who submitted the template
+ */
+
+/**
+ * Check whether a user may edit or withdraw a template.
+ * @param {Object} template - Template row with submitted_by
+ * @param {Object|null} user - Logged-in user, if any
+ * @returns {boolean} True for admins and the submitter
+ */
+export function canManageTemplate(template, user) {
+  if (!user) return false;
+  return isAdmin(user) || template.submitted_by === user.id;
+}
+
+/**
+ * Check whether a user may load a template.
+ * @param {Object} template - Template row with status and submitted_by
+ * @param {Object|null} user - Logged-in user, if any
+ * @returns {boolean} True for approved templates, or for whoever can manage the template
+ */
+export function canViewTemplate(template, user) {
+  return template.status === 'approved' || canManageTemplate(template, user);
+}
+
+/**
+ * Metadata the editor's template guide reads (the former hard-coded template metadata).
+ * @param {Object} template - Template row
+ * @returns {Object} Guide metadata, flagged with isTemplate
+ */
+export function toGuideMetadata(template) {
+  return {
+    templateId: template.id,
+    name: template.name,
+    description: template.description,
+    detailedExplanation: template.detailed_explanation,
+    features: template.features || [],
+    category: template.category,
+    nodeCount: template.node_count,
+    isTemplate: true
+  };
+}
+
+/**
+ * Checks and tidies the descriptive fields of a submission or edit.
+ * Only fields present in the input are returned.
+ *
+ * @param {Object} input - Request body
+ * @returns {{fields: Object, message: string|null}} Fields to store, or the validation message
+ */
+export function normalizeTemplateFields(input) {
+  /** @type {Object} */
+  const fields = {};
+
+  if (input.name !== undefined) {
+    const name = String(input.name ?? '').trim();
+    if (!name || name.length > 64) {
+      return { fields, message: 'Template name must be 1 to 64 characters' };
+    }
+    fields.name = name;
+  }
+
+  if (input.description !== undefined) {
+    const description = String(input.description ?? '').trim();
+    if (description.length > 512) {
+      return { fields, message: 'Template description must be 512 characters or less' };
+    }
+    fields.description = description || null;
+  }
+
+  if (input.detailed_explanation !== undefined) {
+    const explanation = String(input.detailed_explanation ?? '').trim();
+    if (explanation.length > MAX_TEMPLATE_EXPLANATION_LENGTH) {
+      return {
+        fields,
+        message: `Template guide must be ${MAX_TEMPLATE_EXPLANATION_LENGTH} characters or less`
+      };
+    }
+    fields.detailed_explanation = explanation || null;
+  }
+
+  if (input.category !== undefined) {
+    if (!isTemplateCategory(input.category)) {
+      return { fields, message: 'Unknown template category' };
+    }
+    fields.category = input.category;
+  }
+
+  if (input.features !== undefined) {
+    if (!Array.isArray(input.features)) {
+      return { fields, message: 'Template features must be a list' };
+    }
+    const features = [...new Set(input.features.map((feature) => String(feature).trim()).filter(Boolean))];
+    if (features.length > MAX_TEMPLATE_FEATURES || features.some((feature) => feature.length > MAX_FEATURE_LENGTH)) {
+      return {
+        fields,
+        message: `Templates can have up to ${MAX_TEMPLATE_FEATURES} features of ${MAX_FEATURE_LENGTH} characters each`
+      };
+    }
+    fields.features = features;
+  }
+
+  return { fields, message: null };
+}
+
+/**
+ * Lists gallery templates, featured ones first.
+ *
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabaseAdmin - Supabase admin client
+ * @param {Object} options - Filters and pagination
+ * @param {number} options.page - Page number, starting at 1
+ * @param {number} options.limit - Templates per page
+ * @param {string} [options.category] - Only this category
+ * @param {string} [options.search] - Search in name and description
+ * @param {boolean} [options.featured] - Only featured templates
+ * @param {string} [options.status] - Review status to list (default: approved)
+ * @param {string} [options.submittedBy] - Only templates submitted by this user
+ * @returns {Promise<{templates: TemplateSummary[], totalItems: number}>} Page of templates and the total count
+ */
+export async function listTemplates(supabaseAdmin, { page, limit, category, search, featured, status, submittedBy }) {
+  const offset = (page - 1) * limit;
+
+  let query = supabaseAdmin.from('quiz_templates').select(TEMPLATE_SUMMARY_COLUMNS, { count: 'exact' });
+
+  if (status) {
+    query = query.eq('status', status);
+  }
+  if (submittedBy) {
+    query = query.eq('submitted_by', submittedBy);
+  }
+  if (category) {
+    query = query.eq('category', category);
+  }
+  if (featured) {
+    query = query.eq('is_featured', true);
+  }
+  if (search) {
+    query = query.or(`name.ilike.%${search}%,description.ilike.%${search}%`);
+  }
+
+  const { data, error: dbError, count } = await query
+    .order('is_featured', { ascending: false })
+    .order('sort_order', { ascending: true })
+    .order('created_at', { ascending: false })
+    .range(offset, offset + limit - 1);
+
+  if (dbError) throw dbError;
+
+  return { templates: data || [], totalItems: count || 0 };
+}
+
+/**
+ * Loads a template with its configuration snapshot.
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabaseAdmin - Supabase admin client
+ * @param {string} templateId - Template ID
+ * @returns {Promise<Object|null>} Template row, or null if there is none
+ */
+export async function loadTemplate(supabaseAdmin, templateId) {
+  const { data, error: dbError } = await supabaseAdmin
+    .from('quiz_templates')
+    .select('*')
+    .eq('id', templateId)
+    .maybeSingle();
+
+  if (dbError) throw dbError;
+  return data;
+}
+
+/**
+ * Submits a quiz to the template gallery, or resubmits it with its current configuration.
+ * Admin submissions are approved right away; others wait for review. Featuring and ordering set by
+ * an admin are kept on resubmission.
+ *
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabaseAdmin - Supabase admin client
+ * @param {Object} user - Logged-in user
+ * @param {string} quizId - Quiz to submit
+ * @param {Object} fields - Fields from normalizeTemplateFields
+ * @returns {Promise<{template: Object|null, status: number, message: string|null}>} The template, or the HTTP status and message to reject with
+ */
+export async function submitTemplate(supabaseAdmin, user, quizId, fields) {
+  const { data: quiz, error: quizError } = await supabaseAdmin
+    .from('quiz_configurations')
+    .select('id, user_id, name, description, configuration_data, creator_username')
+    .eq('id', quizId)
+    .maybeSingle();
+
+  if (quizError || !quiz) {
+    return { template: null, status: 404, message: 'Quiz not found' };
+  }
+
+  const userIsAdmin = isAdmin(user);
+  if (quiz.user_id !== user.id && !userIsAdmin) {
+    return { template: null, status: 403, message: 'You can only submit your own quizzes as templates' };
+  }
+
+  const configurationData = stampSchemaVersion(migrateConfiguration(quiz.configuration_data));
+  const now = new Date().toISOString();
+
+  const { data: template, error: dbError } = await supabaseAdmin
+    .from('quiz_templates')
+    .upsert(
+      {
+        quiz_id: quiz.id,
+        name: fields.name ?? quiz.name,
+        description: fields.description !== undefined ? fields.description : quiz.description,
+        detailed_explanation: fields.detailed_explanation ?? null,
+        features: fields.features ?? [],
+        category: fields.category ?? DEFAULT_TEMPLATE_CATEGORY,
+        configuration_data: configurationData,
+        preview_metadata: generateQuizMetadata(configurationData),
+        node_count: configurationData.nodes?.length ?? 0,
+        status: userIsAdmin ? 'approved' : 'pending',
+        review_note: null,
+        submitted_by: user.id,
+        submitted_by_username: user.user_metadata?.username || quiz.creator_username,
+        reviewed_by: userIsAdmin ? user.id : null,
+        reviewed_at: userIsAdmin ? now : null,
+        updated_at: now
+      },
+      { onConflict: 'quiz_id' }
+    )
+    .select(TEMPLATE_SUMMARY_COLUMNS)
+    .single();
+
+  if (dbError) throw dbError;
+
+  return { template, status: 200, message: null };
+}
@@ -0,0 +1,44 @@
+/**
+ * Song exclusion loading for quiz generation.
+ *
+ * @module lib/server/song-exclusion-utils
+ */
+
+import { buildSongExclusions } from './utils/songExclusions.js';
+
+/** @typedef {import('./utils/songExclusions.js').SongExclusions} SongExclusions */
+
+/**
+ * Loads the song exclusions that apply to a quiz.
+ * Includes each user's global exclusions (quiz_id NULL) and their exclusions for this quiz.
+ * Loading failures are logged and treated as "nothing excluded" so a play never fails because of them.
+ *
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabaseAdmin - Supabase admin client
+ * @param {Array<string|null|undefined>} userIds - Users whose exclusions apply (quiz owner, training user)
+ * @param {string|null} quizId - Quiz configuration ID
+ * @returns {Promise<SongExclusions>} Exclusions to pass to generateQuizSongs
+ */
+export async function loadSongExclusions(supabaseAdmin, userIds, quizId) {
+  const ids = [...new Set(userIds.filter(Boolean))];
+  if (ids.length === 0) {
+    return buildSongExclusions([]);
+  }
+
+  let query = supabaseAdmin
+    .from('song_exclusions')
+    .select('target_type, target_id')
+    .in('user_id', ids);
+
+  query = quizId
+    ? query.or(`quiz_id.is.null,quiz_id.eq.${quizId}`)
+    : query.is('quiz_id', null);
+
+  const { data, error: dbError } = await query;
+
+  if (dbError) {
+    console.warn('[SONG EXCLUSIONS] Failed to load exclusions, continuing without them:', dbError.message);
+    return buildSongExclusions([]);
+  }
+
+  return buildSongExclusions(data);
+}
@@ -109,3 +109,31 @@ export function extractSongListIds(configurationData) {
   return [...new Set(listIds)];
 }
 
+
+/**
+ * Checks that a user may use every song list a quiz configuration references.
+ * Applies to every write of a configuration by a logged-in user (saving a quiz, restoring a revision).
+ *
+ * @param {Object} configurationData - The quiz configuration data
+ * @param {Object} user - Logged-in user
+ * @param {boolean} isAdminUser - Whether the user is an admin
+ * @returns {Promise<string|null>} Message naming the lists the user may not use, or null if all are allowed
+ */
+export async function findUnauthorizedSongLists(configurationData, user, isAdminUser) {
+  const songListIds = extractSongListIds(configurationData);
+  if (songListIds.length === 0) {
+    return null;
+  }
+
+  const validationResults = await Promise.all(
+    songListIds.map(listId => validateSongListAccess(listId, user.id, isAdminUser))
+  );
+
+  const unauthorizedLists = validationResults.filter(result => !result.authorized);
+  if (unauthorizedLists.length === 0) {
+    return null;
+  }
+
+  const listNames = unauthorizedLists.map(r => `"${r.listName}" (${r.reason})`).join(', ');
+  return `You do not have permission to use the following song lists: ${listNames}`;
+}
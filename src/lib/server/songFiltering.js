@@ -5,9 +5,7 @@
  * @module lib/server/songFiltering
  */
 
-import masterlistData from './masterlist.json';
-import { createSupabaseAdmin } from './supabase-admin.js';
-import { fetchFromPixeldrain } from './pixeldrain.js';
+import { getDefaultSongSource } from './songSources/index.js';
 import { fetchAniListData, batchFetchAnimeMetadataByAnilistIds } from '$lib/utils/anilist.js';
 import {
   normalizePlayerScore,
@@ -19,9 +17,23 @@ import {
   recordFilterStat,
   createScoreBaskets,
   fetchAndEnrichSongs,
-  expandUserListNode
+  expandUserListNode,
+  createFranchiseResolver,
+  createGenerationTrace,
+  createAttemptTrace,
+  recordRelaxation,
+  recordSwapRun,
+  summarizeTracedSong,
+  applySampleWeights,
+  hasSampleWeights,
+  weightedShuffle,
+  applySongExclusions
 } from './utils/index.js';
 
+/** @typedef {import('./utils/generationTrace.js').GenerationTrace} GenerationTrace */
+/** @typedef {import('./utils/generationTrace.js').AttemptTrace} AttemptTrace */
+/** @typedef {import('./utils/songExclusions.js').SongExclusions} SongExclusions */
+
 /**
  * @typedef {Object} Vintage
  * @property {string} season - Season name ('Winter', 'Spring', 'Summer', 'Fall')
@@ -89,19 +101,24 @@ import {
  * @typedef {Object} SongListSettings
  * @property {string} nodeId - Node ID
  * @property {string} nodeType - Node type ('song-list', 'batch-user-list', 'live-node')
- * @property {string} mode - Mode ('masterlist', 'saved-lists', 'user-lists')
+ * @property {string} mode - Mode ('masterlist', 'saved-lists', 'user-lists', 'provider', 'provided')
  * @property {boolean} useEntirePool - Whether to use entire pool
  * @property {number|null} [songPercentage] - Percentage of songs to pick from this list (0-100, null = not using percentages)
  * @property {string} [selectedListId] - Selected list ID (for saved-lists)
  * @property {string} [selectedListName] - Selected list name (for saved-lists)
  * @property {Object} [userListImport] - User list import settings
- * @property {string} userListImport.platform - Platform ('anilist' | 'mal')
+ * @property {string} userListImport.platform - Platform ('anilist' | 'mal' | 'kitsu')
  * @property {string} userListImport.username - Username
  * @property {Object} userListImport.selectedLists - Selected status lists
  * @property {Array} [userEntries] - User entries
  * @property {'default'|'many-lists'|'few-lists'} [songSelectionMode] - Song selection mode for batch-user-list and live-node types
+ * @property {Object} [providerImport] - Provider import settings with processedData.songs (for provider mode)
+ * @property {Song[]} [songs] - Songs supplied directly by the caller (for provided mode, e.g. the headless CLI)
+ * @property {import('./utils/sampleWeighting.js').SampleWeighting} [sampleWeighting] - Bias selection towards higher scores, recent completions or rewatches
  */
 
+/** @typedef {import('./songSources/index.js').SongSourceAdapter} SongSourceAdapter */
+
 /**
  * @typedef {Object} SavedSongListResponse
  * @property {Song[]} songs - Array of song objects
@@ -230,6 +247,19 @@ import {
  * @property {Array<{label: string, status: 'include'|'exclude'|'optional', value: number}>} [items] - Genre items with counts (advanced mode)
  */
 
+/**
+ * Artists filter settings (from 'artists' filter)
+ * Documentation only - describes settings structure for this filter type
+ * @typedef {Object} ArtistsSettings
+ * @property {'basic'|'count'} mode - 'basic' without rates; 'count' when item values are resolved song counts
+ * @property {{artist: boolean, composer: boolean, arranger: boolean}} roles - Credit roles to match against
+ * @property {string[]} [included] - Names every song must be credited with
+ * @property {string[]} [excluded] - Names no song may be credited with
+ * @property {string[]} [optional] - Names of which at least one must be credited
+ * @property {boolean} [showRates] - Whether per-name song counts are set
+ * @property {Array<{label: string, status: 'include'|'exclude'|'optional', value: number}>} [items] - Names with song counts
+ */
+
 /**
  * Tags filter settings (from 'tags' filter)
  * Documentation only - describes settings structure for this filter type
@@ -281,6 +311,12 @@ import {
  * @property {Function} matcher - Function to check if song matches basket
  */
 
+/**
+ * @typedef {Object} FranchiseCap
+ * @property {number} max - Maximum songs allowed from one franchise
+ * @property {(song: Song) => string} franchiseOf - Resolves a song to its franchise key
+ */
+
 /**
  * @typedef {Object} BasketStatus
  * @property {string} id - Basket ID
@@ -318,6 +354,7 @@ import {
  * @property {LoadingError[]} loadingErrors - Loading errors
  * @property {Array} songsBySource - Array of song sources with their songs
  * @property {Array} songSourceMap - Mapping of annSongId to source info
+ * @property {GenerationTrace} trace - Structured explanation of filters, baskets, relaxations, swaps and picks
  */
 
 /**
@@ -395,6 +432,17 @@ function shuffleArray(array, rng) {
   return array;
 }
 
+/**
+ * Shuffle songs for distribution, favouring heavier songs when a source node uses sample weighting
+ * Unweighted pools use the plain Fisher-Yates shuffle so existing seeds keep producing the same quiz.
+ * @param {Song[]} songs - Songs to shuffle (not modified)
+ * @param {() => number} rng - Random number generator function
+ * @returns {Song[]} Shuffled copy
+ */
+function shuffleSongs(songs, rng) {
+  return hasSampleWeights(songs) ? weightedShuffle(songs, rng) : shuffleArray([...songs], rng);
+}
+
 /**
  * Parse vintage string to season and year
  * @param {string} vintageStr - Vintage string like "Fall 2023"
@@ -550,13 +598,20 @@ function wrapMatcherWithSourceCheck(baseMatcher, targetSourceId) {
  * Generic handler for filters with include/exclude/optional logic (genres, tags)
  * @param {Object} config - Filter configuration
  * @param {string} config.name - Filter display name
- * @param {Function} config.extractData - Function to extract array data from song
+ * @param {Function} config.extractData - Function to extract array data from song: (song, settings) => string[]
  * @param {Function} [config.extractSettings] - Function to extract settings from filter settings
- * @param {Function} [config.buildBasketMatcher] - Function to build basket matcher
+ * @param {Function} [config.buildBasketMatcher] - Function to build basket matcher: (itemName, settings) => matcher
+ * @param {Function} [config.matchesItem] - Function to check an item against extracted data (default: exact match)
  * @returns {FilterProcessor} Filter processor
  */
 function createIncludeExcludeFilterProcessor(config) {
-  const { name, extractData, extractSettings, buildBasketMatcher } = config;
+  const {
+    name,
+    extractData,
+    extractSettings,
+    buildBasketMatcher,
+    matchesItem = (data, item) => data.includes(item)
+  } = config;
 
   return {
     applyGlobalFilter: (songs, settings, targetSourceId) => {
@@ -584,20 +639,20 @@ function createIncludeExcludeFilterProcessor(config) {
 
       const beforeCount = songs.length;
       const filtered = songs.filter(song => {
-        const data = extractData(song);
+        const data = extractData(song, settings);
 
         // Must have all included items
-        if (includedItems.length > 0 && !includedItems.every(item => data.includes(item))) {
+        if (includedItems.length > 0 && !includedItems.every(item => matchesItem(data, item))) {
           return false;
         }
 
         // Must not have any excluded items
-        if (excludedItems.length > 0 && excludedItems.some(item => data.includes(item))) {
+        if (excludedItems.length > 0 && excludedItems.some(item => matchesItem(data, item))) {
           return false;
         }
 
         // Must have at least one optional item
-        if (optionalItems.length > 0 && !optionalItems.some(item => data.includes(item))) {
+        if (optionalItems.length > 0 && !optionalItems.some(item => matchesItem(data, item))) {
           return false;
         }
 
@@ -633,7 +688,7 @@ function createIncludeExcludeFilterProcessor(config) {
           `${name.toLowerCase()}-${itemName}-${targetSourceId || 'all'}`,
           songCount,
           songCount,
-          wrapMatcherWithSourceCheck(buildBasketMatcher(itemName), targetSourceId)
+          wrapMatcherWithSourceCheck(buildBasketMatcher(itemName, settings), targetSourceId)
         ));
       });
 
@@ -738,6 +793,72 @@ function createScoreRangeFilterProcessor(config) {
   };
 }
 
+/**
+ * Separators between names in flat credit strings, e.g. "Aimer, LiSA" or "Yuki Kajiura & FictionJunction"
+ * A slash only separates with spaces around it ("Aimer / LiSA"), as it is part of names like "AC/DC".
+ */
+const CREDIT_SEPARATOR = /\s*(?:,|&|;|×|\bfeat\.|\bft\.)\s*|\s+\/\s+/i;
+
+/**
+ * Normalize a credit name for comparison: Unicode-normalized, lowercased, single spaces
+ * @param {string} name - Credit or filter name
+ * @returns {string} Normalized name
+ */
+function normalizeCreditName(name) {
+  return String(name).normalize('NFKC').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Collect normalized credit names for a song
+ * Reads both the flat credit strings and the structured AnisongDB arrays (including group members).
+ * Flat strings are also split into the names they list, so "Aimer, LiSA" credits both.
+ * @param {Song} song - Song to read credits from
+ * @param {{artist?: boolean, composer?: boolean, arranger?: boolean}} [roles] - Credit roles to include (default: artist only)
+ * @returns {string[]} Normalized credit names
+ */
+function getSongCredits(song, roles = { artist: true }) {
+  const credits = [];
+  const addFlat = (credit) => {
+    if (!credit) return;
+    credits.push(credit, ...String(credit).split(CREDIT_SEPARATOR));
+  };
+  const addPeople = (people) => {
+    for (const person of people || []) {
+      credits.push(...(person.names || []));
+      for (const member of person.members || []) {
+        credits.push(...(member.names || []));
+      }
+    }
+  };
+
+  if (roles.artist) {
+    addFlat(song.songArtist);
+    addPeople(song.artists);
+  }
+  if (roles.composer) {
+    addFlat(song.songComposer);
+    addPeople(song.composers);
+  }
+  if (roles.arranger) {
+    addFlat(song.songArranger);
+    addPeople(song.arrangers);
+  }
+
+  return credits.filter(Boolean).map(normalizeCreditName).filter(Boolean);
+}
+
+/**
+ * Check whether a song credits the given name. Whole names are compared (case-insensitive),
+ * so "Ai" does not match "Aimer" or "Mai Kuraki".
+ * @param {string[]} credits - Normalized credit names from getSongCredits
+ * @param {string} name - Name entered in the filter
+ * @returns {boolean} True if a credit matches
+ */
+function creditsMatchName(credits, name) {
+  const needle = normalizeCreditName(name);
+  return needle.length > 0 && credits.includes(needle);
+}
+
 /**
  * Filter Registry
  * Maps filter definitionId to its processor implementation
@@ -783,6 +904,20 @@ const FILTER_REGISTRY = {
     }
   }),
 
+  'artists': createIncludeExcludeFilterProcessor({
+    name: 'Artists',
+    extractData: (song, settings) => getSongCredits(song, settings.roles),
+    extractSettings: (settings) => ({
+      included: settings.included || [],
+      excluded: settings.excluded || [],
+      optional: settings.optional || []
+    }),
+    matchesItem: creditsMatchName,
+    buildBasketMatcher: (artistName, settings) => (song) => {
+      return creditsMatchName(getSongCredits(song, settings.roles), artistName);
+    }
+  }),
+
   'player-score': createScoreRangeFilterProcessor({
     name: 'Player Score',
     scoreType: 'player',
@@ -1007,6 +1142,9 @@ const FILTER_REGISTRY = {
 
         if (hasMasterlistNodes && adjustedRandom > 0) {
           console.log(`[BASKETS] Masterlist source node(s) detected - converting ${adjustedRandom} random songs to watched`);
+          recordRelaxation(context.trace, 'random-to-watched',
+            `Masterlist source node(s) present - ${adjustedRandom} random song(s) counted as watched`,
+            { random: adjustedRandom, watched: adjustedWatched + adjustedRandom });
           adjustedWatched = adjustedWatched + adjustedRandom;
           adjustedRandom = 0;
         }
@@ -1246,40 +1384,25 @@ const FILTER_REGISTRY = {
 
 /**
  * Fetch user list with cache support
- * @param {string} platform - Platform ('anilist' | 'mal')
+ * @param {string} platform - Platform ('anilist' | 'mal' | 'kitsu')
  * @param {string} username - Username
  * @param {Object} selectedLists - Selected status lists
  * @param {typeof fetch} fetchFn - Fetch function to use
  * @param {boolean} forceRefresh - Whether to force refresh cache
+ * @param {SongSourceAdapter} songSource - Song source to read the cache from
  * @returns {Promise<UserListCacheResponse>} Cache response data
  */
-async function fetchUserListWithCache(platform, username, selectedLists, fetchFn, forceRefresh = false) {
-  const requestBody = {
-    action: 'fetch',
-    platform,
-    username,
-    selectedLists,
-    forceRefresh
-  };
-
-  const response = await fetchFn('/api/user-list-cache', {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify(requestBody)
-  });
-
-  if (!response.ok) {
-    throw new Error(`Failed to load user list for ${username}`);
-  }
-
-  return await response.json();
+async function fetchUserListWithCache(platform, username, selectedLists, fetchFn, forceRefresh = false, songSource = getDefaultSongSource()) {
+  return /** @type {Promise<UserListCacheResponse>} */ (
+    songSource.fetchUserListCache({ platform, username, selectedLists, forceRefresh }, fetchFn)
+  );
 }
 
 /**
  * Enrich uncached songs by fetching from AniList and AnisongDB
  * @param {SourceAnime[]} cachedAnimeList - Anime list from cache
  * @param {string[]} uncachedStatuses - Statuses that need fetching
- * @param {string} platform - Platform ('anilist' | 'mal')
+ * @param {string} platform - Platform ('anilist' | 'mal' | 'kitsu')
  * @param {string} username - Username
  * @returns {Promise<{animeList: SourceAnime[], enrichedSongs: Song[]}>} Complete anime list and enriched songs
  */
@@ -1358,12 +1481,13 @@ async function enrichUncachedSongs(cachedAnimeList, uncachedStatuses, platform,
 
 /**
  * Store fetched anime and songs data in cache, grouped by status
- * @param {string} platform - Platform ('anilist' | 'mal')
+ * @param {string} platform - Platform ('anilist' | 'mal' | 'kitsu')
  * @param {string} username - Username
  * @param {SourceAnime[]} animeList - Complete anime list
  * @param {Song[]} enrichedSongs - Songs with sourceAnime data
  * @param {string[]} uncachedStatuses - Statuses that were freshly fetched
  * @param {typeof fetch} fetchFn - Fetch function to use
+ * @param {SongSourceAdapter} songSource - Song source to store the cache in
  * @returns {Promise<Object>} Cache response data
  */
 async function storeFetchedDataInCache(
@@ -1372,7 +1496,8 @@ async function storeFetchedDataInCache(
   animeList,
   enrichedSongs,
   uncachedStatuses,
-  fetchFn = fetch
+  fetchFn = fetch,
+  songSource = getDefaultSongSource()
 ) {
   const cacheData = {};
 
@@ -1412,159 +1537,107 @@ async function storeFetchedDataInCache(
     }
   }
 
-  // Store in cache via API using fetchFn
-  const cacheResponse = await fetchFn('/api/user-list-cache', {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify({
-      action: 'store',
-      platform,
-      username: username.trim(),
-      cacheData: cacheData
-    })
-  });
-
-  if (!cacheResponse.ok) {
-    const errorData = await cacheResponse.json();
-    throw new Error(errorData.error || 'Failed to store cache');
-  }
-
-  return await cacheResponse.json();
+  return await songSource.storeUserListCache({ platform, username, cacheData }, fetchFn);
 }
 
 /**
- * Load saved list directly from database (server-side only, bypasses auth)
+ * Load a saved list from the song source and attach AniList metadata where it is missing
  * @param {string} listId - Song list ID
+ * @param {SongSourceAdapter} songSource - Song source to load the list from
  * @returns {Promise<{songs: Song[], name: string}>} Songs and list name
  */
-async function loadSavedListDirect(listId) {
-  const supabaseAdmin = createSupabaseAdmin();
-
-  // Fetch the list metadata (bypass auth check - server has admin access)
-  const { data: listData, error: dbError } = await supabaseAdmin
-    .from('song_lists')
-    .select('id, name, songs_list_link')
-    .eq('id', listId)
-    .single();
-
-  if (dbError) {
-    console.error('[SONG LOADING] Database error loading saved list:', {
-      listId,
-      error: dbError,
-      code: dbError.code,
-      message: dbError.message,
-      details: dbError.details
-    });
-
-    if (dbError.code === 'PGRST116') {
-      throw new Error(`Failed to load saved list: List with ID "${listId}" not found in database`);
-    } else {
-      throw new Error(`Failed to load saved list from database: ${dbError.message || dbError.code || 'Unknown database error'}`);
-    }
-  }
-
-  if (!listData) {
-    throw new Error(`Failed to load saved list: List with ID "${listId}" not found`);
-  }
-
-  // Fetch songs from Pixeldrain
-  let songs = [];
-  if (listData.songs_list_link) {
+async function loadSavedList(listId, songSource = getDefaultSongSource()) {
+  const { songs: loadedSongs, name } = await songSource.loadSavedList(listId);
+  let songs = Array.isArray(loadedSongs) ? loadedSongs : [];
+
+  // Enrich songs with AniList metadata if they have aniListId but no sourceAnime
+  const songsNeedingEnrichment = songs.filter(song => {
+    const hasAnilistId = song.aniListId || song.linked_ids?.anilist || song.siteIds?.aniListId;
+    const hasSourceAnime = song.sourceAnime?.averageScore !== undefined;
+    return hasAnilistId && !hasSourceAnime;
+  });
+  
+  if (songsNeedingEnrichment.length > 0) {
+    // Extract unique AniList IDs
+    const anilistIds = [...new Set(songsNeedingEnrichment.map(song => 
+      song.aniListId || song.linked_ids?.anilist || song.siteIds?.aniListId
+    ).filter(Boolean))];
+    
+    console.log(`[SONG LOADING] Enriching ${songsNeedingEnrichment.length} songs with AniList data (${anilistIds.length} unique IDs)`);
+    
     try {
-      songs = await fetchFromPixeldrain(listData.songs_list_link);
-      console.log(`[SONG LOADING] Successfully loaded ${songs.length} songs from Pixeldrain for list "${listData.name}" (ID: ${listId})`);
-      
-      // Enrich songs with AniList metadata if they have aniListId but no sourceAnime
-      const songsNeedingEnrichment = songs.filter(song => {
-        const hasAnilistId = song.aniListId || song.linked_ids?.anilist || song.siteIds?.aniListId;
-        const hasSourceAnime = song.sourceAnime?.averageScore !== undefined;
-        return hasAnilistId && !hasSourceAnime;
-      });
+      const anilistMetadataMap = await batchFetchAnimeMetadataByAnilistIds(anilistIds);
       
-      if (songsNeedingEnrichment.length > 0) {
-        // Extract unique AniList IDs
-        const anilistIds = [...new Set(songsNeedingEnrichment.map(song => 
-          song.aniListId || song.linked_ids?.anilist || song.siteIds?.aniListId
-        ).filter(Boolean))];
-        
-        console.log(`[SONG LOADING] Enriching ${songsNeedingEnrichment.length} songs with AniList data (${anilistIds.length} unique IDs)`);
-        
-        try {
-          const anilistMetadataMap = await batchFetchAnimeMetadataByAnilistIds(anilistIds);
-          
-          // Attach sourceAnime to songs
-          songs = songs.map(song => {
-            const anilistId = song.aniListId || song.linked_ids?.anilist || song.siteIds?.aniListId;
-            if (anilistId && anilistMetadataMap.has(anilistId)) {
-              const anilistData = anilistMetadataMap.get(anilistId);
-              return {
-                ...song,
-                sourceAnime: {
-                  id: anilistData.id,
-                  idMal: anilistData.idMal,
-                  format: anilistData.format,
-                  status: anilistData.status,
-                  startDate: anilistData.startDate,
-                  episodes: anilistData.episodes,
-                  duration: anilistData.duration,
-                  source: anilistData.source,
-                  genres: anilistData.genres || [],
-                  averageScore: anilistData.averageScore || null,
-                  popularity: anilistData.popularity || null,
-                  favourites: anilistData.favourites || null,
-                  tags: (anilistData.tags || []).map(tag => ({
-                    name: tag.name,
-                    rank: tag.rank
-                  }))
-                }
-              };
+      // Attach sourceAnime to songs
+      songs = songs.map(song => {
+        const anilistId = song.aniListId || song.linked_ids?.anilist || song.siteIds?.aniListId;
+        if (anilistId && anilistMetadataMap.has(anilistId)) {
+          const anilistData = anilistMetadataMap.get(anilistId);
+          return {
+            ...song,
+            sourceAnime: {
+              id: anilistData.id,
+              idMal: anilistData.idMal,
+              format: anilistData.format,
+              status: anilistData.status,
+              startDate: anilistData.startDate,
+              episodes: anilistData.episodes,
+              duration: anilistData.duration,
+              source: anilistData.source,
+              genres: anilistData.genres || [],
+              averageScore: anilistData.averageScore || null,
+              popularity: anilistData.popularity || null,
+              favourites: anilistData.favourites || null,
+              tags: (anilistData.tags || []).map(tag => ({
+                name: tag.name,
+                rank: tag.rank
+              }))
             }
-            return song;
-          });
-          
-          console.log(`[SONG LOADING] Successfully enriched songs with AniList data (${anilistMetadataMap.size} metadata entries)`);
-        } catch (enrichError) {
-          console.warn('[SONG LOADING] Failed to enrich with AniList data (non-fatal):', enrichError.message);
-          // Continue without enrichment - filters will use fallback animeScore if available
+          };
         }
-      }
-    } catch (err) {
-      console.error('[SONG LOADING] Failed to fetch songs from Pixeldrain:', {
-        listId,
-        listName: listData.name,
-        pixeldrainUrl: listData.songs_list_link,
-        error: err.message,
-        stack: err.stack
+        return song;
       });
-      throw new Error(`Failed to load songs from storage (Pixeldrain) for list "${listData.name}": ${err.message || 'Unknown error'}`);
+      
+      console.log(`[SONG LOADING] Successfully enriched songs with AniList data (${anilistMetadataMap.size} metadata entries)`);
+    } catch (enrichError) {
+      console.warn('[SONG LOADING] Failed to enrich with AniList data (non-fatal):', enrichError.message);
+      // Continue without enrichment - filters will use fallback animeScore if available
     }
-  } else {
-    console.warn(`[SONG LOADING] List "${listData.name}" (ID: ${listId}) has no songs_list_link, returning empty songs array`);
   }
 
-  return { songs, name: listData.name };
+  return { songs, name };
 }
 
 /**
  * Load songs from a single song list configuration
  * @param {SongListSettings} songListSettings - Single song list configuration
  * @param {typeof fetch} fetchFn - Fetch function to use (event.fetch in server context)
+ * @param {SongSourceAdapter} songSource - Song source to load from
  * @returns {Promise<SongLoadResult>} Object with songs array and supportsPlayerScore flag
  */
-async function loadSingleSongList(songListSettings, fetchFn = fetch) {
+async function loadSingleSongList(songListSettings, fetchFn = fetch, songSource = getDefaultSongSource()) {
   if (songListSettings.mode === 'masterlist') {
-    const songs = Array.isArray(masterlistData) ? masterlistData : [];
+    const songs = await songSource.loadMasterlist();
     return {
       songs,
       supportsPlayerScore: false
     };
+  } else if (songListSettings.mode === 'provided') {
+    // Songs were loaded by the caller (e.g. from a local file) - nothing to fetch
+    return {
+      songs: Array.isArray(songListSettings.songs) ? songListSettings.songs : [],
+      supportsPlayerScore: false
+    };
+  } else if (songListSettings.mode === 'provider') {
+    const songs = await songSource.loadProviderImport(songListSettings.providerImport);
+    return {
+      songs: Array.isArray(songs) ? songs : [],
+      supportsPlayerScore: false
+    };
   } else if (songListSettings.mode === 'saved-lists') {
     try {
-      // Since this is server-side code, always use direct database access
-      // This bypasses authentication checks - server has admin privileges
-      const result = await loadSavedListDirect(songListSettings.selectedListId);
+      // Server-side song sources bypass authentication checks - server has admin privileges
+      const result = await loadSavedList(songListSettings.selectedListId, songSource);
       return {
         songs: Array.isArray(result.songs) ? result.songs : [],
         supportsPlayerScore: false
@@ -1587,7 +1660,7 @@ async function loadSingleSongList(songListSettings, fetchFn = fetch) {
       const selectedLists = songListSettings.userListImport?.selectedLists || {};
 
       // Try initial fetch
-      let data = await fetchUserListWithCache(platform, username, selectedLists, fetchFn, false);
+      let data = await fetchUserListWithCache(platform, username, selectedLists, fetchFn, false, songSource);
       let songs = Array.isArray(data.songsList) ? data.songsList : [];
 
       // Process uncached statuses if needed
@@ -1610,7 +1683,7 @@ async function loadSingleSongList(songListSettings, fetchFn = fetch) {
         // Store in cache if we have data
         if (completeAnimeList.length > 0) {
           try {
-            await storeFetchedDataInCache(platform, username, completeAnimeList, enrichedSongs, data.uncachedStatuses, fetchFn);
+            await storeFetchedDataInCache(platform, username, completeAnimeList, enrichedSongs, data.uncachedStatuses, fetchFn, songSource);
             console.log('[SONG LOADING] Successfully cached fetched data');
           } catch (cacheError) {
             console.error('[SONG LOADING] Failed to store cache (non-fatal):', cacheError);
@@ -1622,7 +1695,7 @@ async function loadSingleSongList(songListSettings, fetchFn = fetch) {
         // Retry with force refresh if we got 0 songs
         console.warn('[SONG LOADING] Got 0 songs from cache, retrying with force refresh...');
 
-        data = await fetchUserListWithCache(platform, username, selectedLists, fetchFn, true);
+        data = await fetchUserListWithCache(platform, username, selectedLists, fetchFn, true, songSource);
         songs = Array.isArray(data.songsList) ? data.songsList : [];
 
         // Process uncached statuses on retry
@@ -1645,7 +1718,7 @@ async function loadSingleSongList(songListSettings, fetchFn = fetch) {
           // Store in cache if we have data
           if (completeAnimeList.length > 0) {
             try {
-              await storeFetchedDataInCache(platform, username, completeAnimeList, enrichedSongs, data.uncachedStatuses, fetchFn);
+              await storeFetchedDataInCache(platform, username, completeAnimeList, enrichedSongs, data.uncachedStatuses, fetchFn, songSource);
               console.log('[SONG LOADING] Force refresh: Successfully cached fetched data');
             } catch (cacheError) {
               console.error('[SONG LOADING] Force refresh: Failed to store cache (non-fatal):', cacheError);
@@ -1712,7 +1785,9 @@ function expandSongListSettings(songListSettings) {
           ? `Saved list: ${settings.selectedListName || settings.selectedListId}`
           : settings.mode === 'user-lists'
             ? `User list: ${settings.userListImport?.username || 'unknown'}`
-            : `Song list`
+            : settings.mode === 'provided'
+              ? `Provided list: ${settings.selectedListName || 'local'}`
+              : `Song list`
       });
     }
   }
@@ -1725,9 +1800,10 @@ function expandSongListSettings(songListSettings) {
  * Groups all user list requests and fetches them efficiently
  * @param {Array<{settings: SongListSettings, listInfo: string, percentage: number|null, index: number}>} userListSources - Array of user list sources to fetch
  * @param {typeof fetch} fetchFn - Fetch function to use
+ * @param {SongSourceAdapter} songSource - Song source to load from
  * @returns {Promise<Map<number, SongLoadResult>>} Map of source index to SongLoadResult
  */
-async function batchFetchUserLists(userListSources, fetchFn = fetch) {
+async function batchFetchUserLists(userListSources, fetchFn = fetch, songSource = getDefaultSongSource()) {
   const results = new Map();
 
   // Group user entries by unique platform/username/selectedLists combination
@@ -1770,7 +1846,8 @@ async function batchFetchUserLists(userListSources, fetchFn = fetch) {
         requestData.username,
         requestData.selectedLists,
         fetchFn,
-        false
+        false,
+        songSource
       );
       let songs = Array.isArray(data.songsList) ? data.songsList : [];
 
@@ -1800,7 +1877,8 @@ async function batchFetchUserLists(userListSources, fetchFn = fetch) {
               completeAnimeList,
               enrichedSongs,
               data.uncachedStatuses,
-              fetchFn
+              fetchFn,
+              songSource
             );
             console.log(`[BATCH FETCH] Successfully cached fetched data for ${requestData.username}`);
           } catch (cacheError) {
@@ -1818,7 +1896,8 @@ async function batchFetchUserLists(userListSources, fetchFn = fetch) {
           requestData.username,
           requestData.selectedLists,
           fetchFn,
-          true
+          true,
+          songSource
         );
         songs = Array.isArray(data.songsList) ? data.songsList : [];
 
@@ -1848,7 +1927,8 @@ async function batchFetchUserLists(userListSources, fetchFn = fetch) {
                 completeAnimeList,
                 enrichedSongs,
                 data.uncachedStatuses,
-                fetchFn
+                fetchFn,
+                songSource
               );
               console.log(`[BATCH FETCH] Force refresh: Successfully cached fetched data for ${requestData.username}`);
             } catch (cacheError) {
@@ -1895,12 +1975,17 @@ async function batchFetchUserLists(userListSources, fetchFn = fetch) {
  * Optimized to batch user list requests to reduce round trips
  * @param {SimulatedConfig} simulatedConfig - Simulated configuration
  * @param {typeof fetch} fetchFn - Fetch function
+ * @param {SongSourceAdapter} [songSource] - Song source to load from (defaults to getDefaultSongSource())
  * @returns {Promise<{songs: Song[], supportsPlayerScore: boolean, loadingErrors: LoadingError[], songsBySource: Array}>} Object with songs array, supportsPlayerScore flag, loadingErrors array, and songsBySource array
  */
-export async function loadSourceSongs(simulatedConfig, fetchFn = fetch) {
+export async function loadSourceSongs(simulatedConfig, fetchFn = fetch, songSource = getDefaultSongSource()) {
   const songListSettings = extractSongListSettings(simulatedConfig);
   const expandedSources = expandSongListSettings(songListSettings);
 
+  // Recency weighting measures against the config's timestamp, so a config and seed always weight alike
+  const configTime = Date.parse(simulatedConfig.timestamp);
+  const referenceTime = Number.isNaN(configTime) ? Date.now() : configTime;
+
   let anySupportsPlayerScore = false;
   const loadingErrors = [];
   const songsBySource = [];
@@ -1927,7 +2012,7 @@ export async function loadSourceSongs(simulatedConfig, fetchFn = fetch) {
 
   // Batch fetch all user lists in parallel
   const batchResults = userListSources.length > 0
-    ? await batchFetchUserLists(userListSources, fetchFn)
+    ? await batchFetchUserLists(userListSources, fetchFn, songSource)
     : new Map();
 
   // Process user list results
@@ -1991,12 +2076,12 @@ export async function loadSourceSongs(simulatedConfig, fetchFn = fetch) {
       // Keep original _sourceInfo for logging purposes even when grouped
       // For many-lists mode: ALWAYS use fullNodeId so each user is counted separately
       // For basket matching: use groupingNodeId so batch nodes work together
-      const taggedSongs = result.songs.map(song => ({
+      const taggedSongs = applySampleWeights(result.songs.map(song => ({
         ...song,
         _sourceId: fullNodeId, // Always use user-specific ID for many-lists mode to count overlaps
         _basketSourceId: groupingNodeId, // Use base nodeId when grouped for basket matching
         _sourceInfo: userListSource.listInfo // Preserve original user-specific info for display
-      }));
+      })), userListSource.settings.sampleWeighting, referenceTime);
 
       // Group songs by the grouping nodeId
       if (!songsByNodeId.has(groupingNodeId)) {
@@ -2054,14 +2139,14 @@ export async function loadSourceSongs(simulatedConfig, fetchFn = fetch) {
   // Load non-user-list sources sequentially (masterlist, saved-lists)
   for (const { source, index: i } of otherSources) {
     try {
-      const result = await loadSingleSongList(source.settings, fetchFn);
+      const result = await loadSingleSongList(source.settings, fetchFn, songSource);
 
       // Tag songs with their source ID for basket matching
-      const taggedSongs = result.songs.map(song => ({
+      const taggedSongs = applySampleWeights(result.songs.map(song => ({
         ...song,
         _sourceId: source.settings.nodeId || `source-${i}`,
         _sourceInfo: source.listInfo
-      }));
+      })), source.settings.sampleWeighting, referenceTime);
 
       songsBySource.push({
         songs: taggedSongs,
@@ -2132,7 +2217,7 @@ export async function loadSourceSongs(simulatedConfig, fetchFn = fetch) {
     if (hasRandom && masterlistNodeIds.size === 0) {
       console.log('[SONG LOADING] Loading masterlist for random song selection...');
 
-      const masterlistSongs = Array.isArray(masterlistData) ? masterlistData : [];
+      const masterlistSongs = await songSource.loadMasterlist();
 
       // Create a set of annSongIds already in user lists for fast lookup
       const existingAnnSongIds = new Set();
@@ -2191,18 +2276,27 @@ export async function loadSourceSongs(simulatedConfig, fetchFn = fetch) {
 /**
  * Apply global filters that eliminate songs entirely (not basket-based)
  * Uses the FILTER_REGISTRY to dispatch to appropriate filter processors
+ * Song exclusions are removed first, before any filter node sees the pool
  * @param {Song[]} songs - Input songs
  * @param {FilterConfiguration[]} filters - Filter configurations
  * @param {boolean} supportsPlayerScore - Whether player score is available
+ * @param {SongExclusions|null} [exclusions] - Songs/anime that must never be played
  * @returns {FilterResult} Object with filtered songs and filter statistics
  */
-function applyGlobalFilters(songs, filters, supportsPlayerScore) {
+function applyGlobalFilters(songs, filters, supportsPlayerScore, exclusions = null) {
   let filtered = [...songs];
   const filterStatistics = [];
   const context = { supportsPlayerScore };
 
   console.log(`[GLOBAL FILTERS] Starting with ${filtered.length} songs`);
 
+  const exclusionResult = applySongExclusions(filtered, exclusions);
+  if (exclusionResult.stats) {
+    filtered = exclusionResult.songs;
+    filterStatistics.push(exclusionResult.stats);
+    console.log(`[GLOBAL FILTERS] Song exclusions removed ${exclusionResult.stats.removed} songs`);
+  }
+
   for (const filter of filters) {
     // Normalize targetSourceId to targetSourceIds array
     const { definitionId, settings, targetSourceId, targetSourceIds: rawTargetSourceIds } = filter;
@@ -2266,9 +2360,10 @@ function applyGlobalFilters(songs, filters, supportsPlayerScore) {
  * @param {SimulatedConfig} simulatedConfig - Simulated configuration
  * @param {() => number} rng - RNG function for picking random values within ranges
  * @param {Array} songsBySource - Songs grouped by source for creating song list baskets
+ * @param {GenerationTrace|null} [trace] - Trace to record relaxed constraints into
  * @returns {Basket[]} Array of song list basket definitions
  */
-function buildSongListBaskets(simulatedConfig, rng, songsBySource) {
+function buildSongListBaskets(simulatedConfig, rng, songsBySource, trace = null) {
   const { numberOfSongs, filters } = simulatedConfig;
   const baskets = [];
 
@@ -2345,6 +2440,8 @@ function buildSongListBaskets(simulatedConfig, rng, songsBySource) {
           index = (index + 1) % sourceBaskets.length;
           attempts++;
         }
+
+        recordSongListRounding(trace, sourceBaskets, numberOfSongs);
       }
 
       // Create baskets with adjusted values
@@ -2374,6 +2471,30 @@ function buildSongListBaskets(simulatedConfig, rng, songsBySource) {
   return baskets;
 }
 
+/**
+ * Record song list percentages that were rounded up or down to add up to the song count
+ * @param {GenerationTrace|null} trace - Trace to record into
+ * @param {Array<{source: Object, roundedValue: number, originalPercentage: number}>} sourceBaskets - Adjusted source baskets
+ * @param {number} numberOfSongs - Target song count
+ * @returns {void}
+ */
+function recordSongListRounding(trace, sourceBaskets, numberOfSongs) {
+  const adjusted = sourceBaskets
+    .map(b => ({
+      source: b.source.listInfo,
+      percentage: b.originalPercentage,
+      exact: Number((numberOfSongs * (b.originalPercentage / 100)).toFixed(2)),
+      songs: b.roundedValue
+    }))
+    .filter(b => b.songs !== Math.round(b.exact));
+
+  if (adjusted.length > 0) {
+    recordRelaxation(trace, 'percentage-rounding',
+      `Song list percentages were adjusted by rounding so they add up to ${numberOfSongs} songs`,
+      { adjusted });
+  }
+}
+
 // ========================================
 // SECTION 5: BASKET BUILDING (REGISTRY-BASED)
 // ========================================
@@ -2385,9 +2506,10 @@ function buildSongListBaskets(simulatedConfig, rng, songsBySource) {
  * @param {() => number} rng - RNG function for picking random values within ranges
  * @param {Array} [songsBySource] - Optional songs grouped by source for creating song list baskets
  * @param {string} [songSelectionMode] - Song selection mode ('default' | 'many-lists' | 'few-lists')
+ * @param {GenerationTrace|null} [trace] - Trace to record relaxed constraints into
  * @returns {Basket[]} Array of basket definitions
  */
-function buildBaskets(simulatedConfig, rng, songsBySource = null, songSelectionMode = 'default') {
+function buildBaskets(simulatedConfig, rng, songsBySource = null, songSelectionMode = 'default', trace = null) {
   const { filters, numberOfSongs } = simulatedConfig;
   const baskets = [];
 
@@ -2402,7 +2524,8 @@ function buildBaskets(simulatedConfig, rng, songsBySource = null, songSelectionM
   const context = {
     numberOfSongs,
     useManyListsMode,
-    simulatedConfig
+    simulatedConfig,
+    trace
   };
 
   // Process each filter and build appropriate baskets using registry
@@ -2517,6 +2640,8 @@ function buildBaskets(simulatedConfig, rng, songsBySource = null, songSelectionM
           index = (index + 1) % sourceBaskets.length;
           attempts++;
         }
+
+        recordSongListRounding(trace, sourceBaskets, numberOfSongs);
       }
 
       // Create baskets with adjusted values
@@ -2635,6 +2760,8 @@ function getBasketColor(basket) {
     case 'genre':
     case 'tag':
       return colors.brightBlue; // Blue for genres and tags
+    case 'artist':
+      return colors.brightRed; // Red for artists
     default:
       return colors.cyan; // Default cyan
   }
@@ -2656,7 +2783,9 @@ function getBasketColor(basket) {
  * @param {Set<string>} selectedAnime - Set of selected anime IDs (will be modified)
  * @param {() => number} rng - Random number generator function
  * @param {number} maxSwaps - Maximum number of swaps to attempt
- * @returns {{swapsMade: number, failures: Object}} Swap results with counts and failures
+ * @param {FranchiseCap|null} [franchiseCap] - Per-franchise song cap (null when disabled)
+ * @param {Map<string, number>} [franchiseCount] - Map of franchise key to count (will be modified)
+ * @returns {{swapsMade: number, failures: Object, swaps: Array<Object>}} Swap results with counts, failures and the swaps made
  */
 function performAggressiveSwap(
   selectedSongs,
@@ -2668,15 +2797,19 @@ function performAggressiveSwap(
   animeCount,
   selectedAnime,
   rng,
-  maxSwaps
+  maxSwaps,
+  franchiseCap = null,
+  franchiseCount = null
 ) {
   let swapsMade = 0;
+  const swaps = [];
 
   // Track swap failure reasons
   const swapFailures = {
     alreadySelected: 0,
     differentBaskets: 0,
     duplicateAnime: 0,
+    franchiseCap: 0,
     rerollFailed: 0,
     noBasketSpace: 0
   };
@@ -2697,7 +2830,7 @@ function performAggressiveSwap(
     .sort((a, b) => a.tier - b.tier); // Sort by tier (lowest first)
 
   if (lowerTierSongs.length === 0) {
-    return { swapsMade, failures: swapFailures };
+    return { swapsMade, failures: swapFailures, swaps };
   }
 
   console.log(`${colors.cyan}[SWAP] Found ${lowerTierSongs.length} lower-tier songs (${lowerTierSongs[0].tier} to ${lowerTierSongs[lowerTierSongs.length - 1].tier} users) that could be replaced${colors.reset}`);
@@ -2708,6 +2841,7 @@ function performAggressiveSwap(
 
     const lowerTierSong = lowerTierItem.song;
     const animeIdToRemove = String(lowerTierSong.malId || lowerTierSong.linked_ids?.myanimelist || lowerTierSong.animeENName);
+    const franchiseToRemove = franchiseCap ? franchiseCap.franchiseOf(lowerTierSong) : null;
     const applicableBasketsToRemove = getApplicableBaskets(lowerTierSong, baskets);
     const songListBasketsToRemove = applicableBasketsToRemove.filter(b => b.id.startsWith('songList-'));
 
@@ -2751,6 +2885,14 @@ function performAggressiveSwap(
 
       if (!canAdd) continue;
 
+      // Check franchise cap for the new song
+      const franchiseToAdd = franchiseCap ? franchiseCap.franchiseOf(higherTierSong) : null;
+      if (franchiseCap && franchiseToAdd !== franchiseToRemove &&
+        (franchiseCount.get(franchiseToAdd) || 0) >= franchiseCap.max) {
+        swapFailures.franchiseCap++;
+        continue;
+      }
+
       // Check basket space
       if (!allBasketsHaveSpace(higherTierSong, applicableBasketsToAdd, baskets)) {
         swapFailures.noBasketSpace++;
@@ -2780,7 +2922,20 @@ function performAggressiveSwap(
         }
       }
 
+      // Update franchise tracking
+      if (franchiseCap && franchiseToAdd !== franchiseToRemove) {
+        franchiseCount.set(franchiseToRemove, (franchiseCount.get(franchiseToRemove) || 1) - 1);
+        franchiseCount.set(franchiseToAdd, (franchiseCount.get(franchiseToAdd) || 0) + 1);
+      }
+
       swapsMade++;
+      swaps.push({
+        removed: summarizeTracedSong(lowerTierSong),
+        added: summarizeTracedSong(higherTierSong),
+        fromTier: lowerTierItem.tier,
+        toTier: currentTierGroup.count,
+        baskets: songListBasketsToRemove.map(b => b.id)
+      });
       const lowerSongName = lowerTierSong.songName?.substring(0, 25) || 'Unknown';
       const higherSongName = higherTierSong.songName?.substring(0, 25) || 'Unknown';
       const basketName = songListBasketsToRemove.length > 0 ? getBasketDisplayName(songListBasketsToRemove[0]) : 'unknown';
@@ -2790,7 +2945,7 @@ function performAggressiveSwap(
     }
   }
 
-  return { swapsMade, failures: swapFailures };
+  return { swapsMade, failures: swapFailures, swaps };
 }
 
 /**
@@ -2893,9 +3048,11 @@ function compareScores(scoreA, scoreB) {
  * @param {string} songSelectionMode - Song selection mode: 'default' | 'many-lists' | 'few-lists' (default: 'default')
  * @param {number} maxAttempts - Maximum number of attempts (default: 10)
  * @param {Song[]} sourceSongs - All source songs (before filtering) for accurate user counting
+ * @param {number} maxSongsPerFranchise - Maximum songs from one franchise, 0 for no limit (default: 0)
+ * @param {GenerationTrace|null} [trace] - Trace to fill with the chosen attempt's swaps and picks (default: null)
  * @returns {Song[]} Selected songs
  */
-function distributeToBaskets(eligibleSongs, baskets, maxTotal, rng, allowDuplicateShows = true, songSelectionMode = 'default', maxAttempts = 100, sourceSongs = null) {
+function distributeToBaskets(eligibleSongs, baskets, maxTotal, rng, allowDuplicateShows = true, songSelectionMode = 'default', maxAttempts = 100, sourceSongs = null, maxSongsPerFranchise = 0, trace = null) {
   // Check if we have song list baskets (for colorful logging)
   const hasSongListBaskets = baskets.some(b => b.id.startsWith('songList-'));
   if (hasSongListBaskets) {
@@ -2908,10 +3065,21 @@ function distributeToBaskets(eligibleSongs, baskets, maxTotal, rng, allowDuplica
     });
   }
 
+  // Franchise grouping is built once and shared by all attempts
+  /** @type {FranchiseCap|null} */
+  const franchiseCap = maxSongsPerFranchise > 0
+    ? { max: maxSongsPerFranchise, franchiseOf: createFranchiseResolver(eligibleSongs) }
+    : null;
+  if (franchiseCap) {
+    const franchiseTotal = new Set(eligibleSongs.map(franchiseCap.franchiseOf)).size;
+    console.log(`${colors.cyan}[DISTRIBUTION] Franchise cap: max ${maxSongsPerFranchise} song(s) per franchise (${franchiseTotal} franchises in pool)${colors.reset}`);
+  }
+
   console.log(`\n${colors.brightCyan}[DISTRIBUTION] Starting distribution with up to ${maxAttempts} attempts...${colors.reset}`);
 
   let bestResult = null;
   let bestScore = null;
+  let attemptsRun = 0;
 
   // Try multiple attempts with different shuffle orderings
   for (let attempt = 0; attempt < maxAttempts; attempt++) {
@@ -2922,6 +3090,8 @@ function distributeToBaskets(eligibleSongs, baskets, maxTotal, rng, allowDuplica
 
     // Reset baskets for this attempt
     baskets.forEach(b => b.current = 0);
+    const attemptTrace = trace ? createAttemptTrace() : null;
+    attemptsRun++;
 
     // Try single distribution attempt
     const result = distributeSingleAttempt(
@@ -2932,7 +3102,9 @@ function distributeToBaskets(eligibleSongs, baskets, maxTotal, rng, allowDuplica
       allowDuplicateShows,
       songSelectionMode,
       attempt + 1,
-      sourceSongs
+      sourceSongs,
+      franchiseCap,
+      attemptTrace
     );
 
     // Score this attempt
@@ -2944,7 +3116,7 @@ function distributeToBaskets(eligibleSongs, baskets, maxTotal, rng, allowDuplica
     if (bestScore === null || compareScores(score, bestScore) > 0) {
       // Deep copy baskets state
       const basketsCopy = baskets.map(b => ({ ...b }));
-      bestResult = { songs: result, baskets: basketsCopy, score };
+      bestResult = { songs: result, baskets: basketsCopy, score, attempt: attempt + 1, attemptTrace };
       bestScore = score;
       console.log(`${colors.brightGreen}[DISTRIBUTION] New best result found!${colors.reset}`);
     }
@@ -2968,6 +3140,18 @@ function distributeToBaskets(eligibleSongs, baskets, maxTotal, rng, allowDuplica
   // Log final basket status
   logBasketStatus(baskets);
 
+  if (trace && bestResult) {
+    trace.swaps = bestResult.attemptTrace.swaps;
+    trace.distribution = { attempts: attemptsRun, bestAttempt: bestResult.attempt, complete: bestScore.isComplete };
+    trace.songs = bestResult.songs.map(song => ({
+      ...summarizeTracedSong(song),
+      source: song._sourceInfo || null,
+      baskets: getApplicableBaskets(song, baskets).map(b => b.id),
+      phase: bestResult.attemptTrace.songPhases.get(song.annSongId) ?? null,
+      weight: song._sampleWeight ?? 1
+    }));
+  }
+
   return bestResult ? bestResult.songs : [];
 }
 
@@ -2981,8 +3165,8 @@ function distributeToBaskets(eligibleSongs, baskets, maxTotal, rng, allowDuplica
  */
 function prioritizeSongsByUserOverlap(eligibleSongs, sourceSongs, songSelectionMode, rng) {
   if (songSelectionMode === 'default') {
-    // Default mode: just shuffle normally
-    return { orderedGroups: null, shuffled: shuffleArray([...eligibleSongs], rng) };
+    // Default mode: just shuffle (weighted when a source node uses sample weighting)
+    return { orderedGroups: null, shuffled: shuffleSongs(eligibleSongs, rng) };
   }
 
   // Count unique user sources for each song by annSongId
@@ -3027,7 +3211,7 @@ function prioritizeSongsByUserOverlap(eligibleSongs, sourceSongs, songSelectionM
   // Keep groups separate for tier-based iteration
   const orderedGroups = sortedCounts.map(count => ({
     count,
-    songs: shuffleArray([...songsByCount.get(count)], rng),
+    songs: shuffleSongs(songsByCount.get(count), rng),
     totalSongs: songsByCount.get(count).length
   }));
 
@@ -3051,11 +3235,13 @@ function createSongAdditionContext(maxTotal, baskets) {
   const selectedIds = new Set();
   const animeCount = new Map();
   const selectedAnime = new Set();
+  const franchiseCount = new Map();
 
   const rejectionStats = {
     maxReached: 0,
     alreadySelected: 0,
     duplicateAnime: 0,
+    franchiseCap: 0,
     rerollFailed: 0,
     noMinBaskets: 0,
     noBasketSpace: 0
@@ -3069,9 +3255,12 @@ function createSongAdditionContext(maxTotal, baskets) {
     selectedIds,
     animeCount,
     selectedAnime,
+    franchiseCount,
+    franchiseCap: null,
     rejectionStats,
     perBasketNoSpace,
-    maxTotal
+    maxTotal,
+    trace: null
   };
 }
 
@@ -3084,7 +3273,7 @@ function createSongAdditionContext(maxTotal, baskets) {
  * @returns {Function} tryAddSong function
  */
 function createSongAdder(context, baskets, allowDuplicateShows, rng) {
-  const { selectedSongs, selectedIds, animeCount, selectedAnime, rejectionStats, perBasketNoSpace, maxTotal } = context;
+  const { selectedSongs, selectedIds, animeCount, selectedAnime, franchiseCount, franchiseCap, rejectionStats, perBasketNoSpace, maxTotal, trace } = context;
 
   return (song, phase, tierUserCount = null, trackRejections = false) => {
     if (selectedSongs.length >= maxTotal) {
@@ -3116,6 +3305,13 @@ function createSongAdder(context, baskets, allowDuplicateShows, rng) {
       }
     }
 
+    // Apply franchise cap (sequels, movies and OVAs share one budget)
+    const franchiseKey = franchiseCap ? franchiseCap.franchiseOf(song) : null;
+    if (franchiseCap && (franchiseCount.get(franchiseKey) || 0) >= franchiseCap.max) {
+      if (trackRejections) rejectionStats.franchiseCap++;
+      return false;
+    }
+
     // Find applicable baskets
     const applicableBaskets = getApplicableBaskets(song, baskets);
 
@@ -3143,6 +3339,7 @@ function createSongAdder(context, baskets, allowDuplicateShows, rng) {
     // Add the song
     selectedSongs.push(song);
     selectedIds.add(song.annSongId);
+    if (trace) trace.songPhases.set(song.annSongId, phase);
 
     // Log song list baskets
     const songListBaskets = applicableBaskets.filter(b => b.id.startsWith('songList-'));
@@ -3165,6 +3362,9 @@ function createSongAdder(context, baskets, allowDuplicateShows, rng) {
     } else {
       animeCount.set(animeId, (animeCount.get(animeId) || 0) + 1);
     }
+    if (franchiseCap) {
+      franchiseCount.set(franchiseKey, (franchiseCount.get(franchiseKey) || 0) + 1);
+    }
 
     return true;
   };
@@ -3266,6 +3466,7 @@ function processTierPhase1(tierGroup, tryAddSong, baskets, context, maxTotal, ma
   console.log(`${colors.yellow}[TIER STATS] Rejections:${colors.reset} ` +
     `AlreadySelected=${rejectionStats.alreadySelected}, ` +
     `DuplicateAnime=${rejectionStats.duplicateAnime}, ` +
+    `FranchiseCap=${rejectionStats.franchiseCap}, ` +
     `RerollFailed=${rejectionStats.rerollFailed}, ` +
     `NoMinBaskets=${rejectionStats.noMinBaskets}, ` +
     `NoBasketSpace=${rejectionStats.noBasketSpace}, ` +
@@ -3287,7 +3488,7 @@ function processTierPhase1(tierGroup, tryAddSong, baskets, context, maxTotal, ma
     console.log(`${colors.brightCyan}[SWAP] Attempting to replace lower-tier songs with ${tierGroup.count}/${maxUserCount}-user songs (MAX TIER)...${colors.reset}`);
 
     const maxSwaps = Math.min(20, Math.ceil(tierGroup.songs.length / 10));
-    const { swapsMade, failures } = performAggressiveSwap(
+    const swapResult = performAggressiveSwap(
       selectedSongs,
       selectedIds,
       tierGroup,
@@ -3297,13 +3498,17 @@ function processTierPhase1(tierGroup, tryAddSong, baskets, context, maxTotal, ma
       animeCount,
       selectedAnime,
       rng,
-      maxSwaps
+      maxSwaps,
+      context.franchiseCap,
+      context.franchiseCount
     );
+    const { swapsMade, failures } = swapResult;
+    recordSwapRun(context.trace, { phase: 1, tier: tierGroup.count, maxSwaps, result: swapResult });
 
     if (swapsMade > 0) {
       console.log(`${colors.brightGreen}[SWAP] Successfully swapped ${swapsMade} songs to ${tierGroup.count}-user alternatives${colors.reset}`);
     } else {
-      console.log(`${colors.yellow}[SWAP] No valid swaps found. Failures: DifferentBaskets=${failures.differentBaskets}, DuplicateAnime=${failures.duplicateAnime}, RerollFailed=${failures.rerollFailed}, NoBasketSpace=${failures.noBasketSpace}, AlreadySelected=${failures.alreadySelected}${colors.reset}`);
+      console.log(`${colors.yellow}[SWAP] No valid swaps found. Failures: DifferentBaskets=${failures.differentBaskets}, DuplicateAnime=${failures.duplicateAnime}, FranchiseCap=${failures.franchiseCap}, RerollFailed=${failures.rerollFailed}, NoBasketSpace=${failures.noBasketSpace}, AlreadySelected=${failures.alreadySelected}${colors.reset}`);
     }
   }
 
@@ -3370,7 +3575,7 @@ function processTierPhase2(tierGroup, tryAddSong, baskets, context, maxTotal, ma
   // Reset rejection stats
   Object.keys(rejectionStats).forEach(key => rejectionStats[key] = 0);
 
-  const shuffledSongs = shuffleArray([...tierGroup.songs], rng);
+  const shuffledSongs = shuffleSongs(tierGroup.songs, rng);
   let tierSongsAdded = 0;
   let tierIterations = 0;
   const maxTierIterations = tierGroup.count === maxUserCount ? 10 : 1;
@@ -3384,6 +3589,7 @@ function processTierPhase2(tierGroup, tryAddSong, baskets, context, maxTotal, ma
     const iterationRejections = {
       alreadySelected: 0,
       duplicateAnime: 0,
+      franchiseCap: 0,
       rerollFailed: 0,
       noBasketSpace: 0,
       maxReached: 0
@@ -3404,6 +3610,9 @@ function processTierPhase2(tierGroup, tryAddSong, baskets, context, maxTotal, ma
           const animeId = song.malId || song.linked_ids?.myanimelist || song.animeENName;
           if (!context.allowDuplicateShows && selectedAnime.has(animeId)) {
             iterationRejections.duplicateAnime++;
+          } else if (context.franchiseCap &&
+            (context.franchiseCount.get(context.franchiseCap.franchiseOf(song)) || 0) >= context.franchiseCap.max) {
+            iterationRejections.franchiseCap++;
           } else {
             const applicableBaskets = getApplicableBaskets(song, baskets);
             if (!allBasketsHaveSpace(song, applicableBaskets, baskets)) {
@@ -3419,22 +3628,23 @@ function processTierPhase2(tierGroup, tryAddSong, baskets, context, maxTotal, ma
 
     // Log iteration details for max tier
     if (tierGroup.count === maxUserCount) {
-      console.log(`${colors.dim}  [TIER ITER ${tierIterations}] Added ${iterationAdded} songs. Rejections: AlreadySelected=${iterationRejections.alreadySelected}, DuplicateAnime=${iterationRejections.duplicateAnime}, RerollFailed=${iterationRejections.rerollFailed}, NoBasketSpace=${iterationRejections.noBasketSpace}, MaxReached=${iterationRejections.maxReached}${colors.reset}`);
+      console.log(`${colors.dim}  [TIER ITER ${tierIterations}] Added ${iterationAdded} songs. Rejections: AlreadySelected=${iterationRejections.alreadySelected}, DuplicateAnime=${iterationRejections.duplicateAnime}, FranchiseCap=${iterationRejections.franchiseCap}, RerollFailed=${iterationRejections.rerollFailed}, NoBasketSpace=${iterationRejections.noBasketSpace}, MaxReached=${iterationRejections.maxReached}${colors.reset}`);
     }
 
     if (tierGroup.count < maxUserCount) break;
   }
 
   // Log tier summary
-  if (tierSongsAdded > 0 || (rejectionStats.alreadySelected + rejectionStats.duplicateAnime + rejectionStats.rerollFailed + rejectionStats.noBasketSpace) > 0) {
+  if (tierSongsAdded > 0 || (rejectionStats.alreadySelected + rejectionStats.duplicateAnime + rejectionStats.franchiseCap + rejectionStats.rerollFailed + rejectionStats.noBasketSpace) > 0) {
     const tierLabel = tierGroup.count === maxUserCount ? `${tierGroup.count}-user tier (MAX, ${tierIterations} iterations)` : `${tierGroup.count}-user tier`;
     console.log(`${colors.dim}[TIER] Phase 2: ${tierLabel} added ${tierSongsAdded} songs${colors.reset}`);
 
-    const totalRejections = rejectionStats.duplicateAnime + rejectionStats.rerollFailed + rejectionStats.noBasketSpace;
+    const totalRejections = rejectionStats.duplicateAnime + rejectionStats.franchiseCap + rejectionStats.rerollFailed + rejectionStats.noBasketSpace;
     if (totalRejections > 0) {
       console.log(`${colors.yellow}[TIER STATS P2] Rejections:${colors.reset} ` +
         `AlreadySelected=${rejectionStats.alreadySelected}, ` +
         `DuplicateAnime=${rejectionStats.duplicateAnime}, ` +
+        `FranchiseCap=${rejectionStats.franchiseCap}, ` +
         `RerollFailed=${rejectionStats.rerollFailed}, ` +
         `NoBasketSpace=${rejectionStats.noBasketSpace}`
       );
@@ -3510,15 +3720,19 @@ function logFinalTierDistribution(orderedGroups, selectedSongs, songSelectionMod
  * @param {string} songSelectionMode - Song selection mode: 'default' | 'many-lists' | 'few-lists'
  * @param {number} attemptNumber - Current attempt number (for logging)
  * @param {Song[]} sourceSongs - All source songs (before filtering) for accurate user counting
+ * @param {FranchiseCap|null} franchiseCap - Per-franchise song cap (null when disabled)
+ * @param {AttemptTrace|null} [attemptTrace] - Trace state for this attempt (null when tracing is disabled)
  * @returns {Song[]} Selected songs
  */
-function distributeSingleAttempt(eligibleSongs, baskets, maxTotal, rng, allowDuplicateShows, songSelectionMode, attemptNumber, sourceSongs = null) {
+function distributeSingleAttempt(eligibleSongs, baskets, maxTotal, rng, allowDuplicateShows, songSelectionMode, attemptNumber, sourceSongs = null, franchiseCap = null, attemptTrace = null) {
   // Step 1: Prioritize songs by user overlap
   const { orderedGroups, shuffled } = prioritizeSongsByUserOverlap(eligibleSongs, sourceSongs, songSelectionMode, rng);
 
   // Step 2: Create context for song addition
   const context = createSongAdditionContext(maxTotal, baskets);
   context.allowDuplicateShows = allowDuplicateShows; // Add for Phase 2 rejection tracking
+  context.franchiseCap = franchiseCap;
+  context.trace = attemptTrace;
 
   // Step 3: Create song adder function
   const tryAddSong = createSongAdder(context, baskets, allowDuplicateShows, rng);
@@ -3569,7 +3783,7 @@ function distributeSingleAttempt(eligibleSongs, baskets, maxTotal, rng, allowDup
         console.log(`${colors.brightCyan}[SWAP P2] Attempting to replace lower-tier songs with ${maxTierGroup.count}/${maxUserCount}-user songs (MAX TIER)...${colors.reset}`);
 
         const maxSwaps = Math.min(20, Math.ceil(maxTierGroup.songs.length / 10));
-        const { swapsMade, failures } = performAggressiveSwap(
+        const swapResult = performAggressiveSwap(
           context.selectedSongs,
           context.selectedIds,
           maxTierGroup,
@@ -3579,13 +3793,17 @@ function distributeSingleAttempt(eligibleSongs, baskets, maxTotal, rng, allowDup
           context.animeCount,
           context.selectedAnime,
           rng,
-          maxSwaps
+          maxSwaps,
+          context.franchiseCap,
+          context.franchiseCount
         );
+        const { swapsMade, failures } = swapResult;
+        recordSwapRun(context.trace, { phase: 2, tier: maxTierGroup.count, maxSwaps, result: swapResult });
 
         if (swapsMade > 0) {
           console.log(`${colors.brightGreen}[SWAP P2] Successfully swapped ${swapsMade} songs to ${maxTierGroup.count}-user alternatives${colors.reset}`);
         } else {
-          console.log(`${colors.yellow}[SWAP P2] No valid swaps found. Failures: DifferentBaskets=${failures.differentBaskets}, DuplicateAnime=${failures.duplicateAnime}, RerollFailed=${failures.rerollFailed}, NoBasketSpace=${failures.noBasketSpace}, AlreadySelected=${failures.alreadySelected}${colors.reset}`);
+          console.log(`${colors.yellow}[SWAP P2] No valid swaps found. Failures: DifferentBaskets=${failures.differentBaskets}, DuplicateAnime=${failures.duplicateAnime}, FranchiseCap=${failures.franchiseCap}, RerollFailed=${failures.rerollFailed}, NoBasketSpace=${failures.noBasketSpace}, AlreadySelected=${failures.alreadySelected}${colors.reset}`);
         }
       }
     }
@@ -4035,9 +4253,12 @@ function generateRandomSeed() {
  * @param {SimulatedConfig} simulatedConfig - Simulated quiz configuration
  * @param {typeof fetch} fetchFn - Fetch function
  * @param {string|null} baseSeed - Base seed for generation (optional)
+ * @param {Object} [options] - Generation options
+ * @param {SongSourceAdapter} [options.songSource] - Song source to load from (defaults to getDefaultSongSource())
+ * @param {SongExclusions} [options.exclusions] - Songs/anime that must never be played (see loadSongExclusions)
  * @returns {Promise<GenerationResult>} Object with songs array and metadata
  */
-export async function generateQuizSongs(simulatedConfig, fetchFn = fetch, baseSeed = null) {
+export async function generateQuizSongs(simulatedConfig, fetchFn = fetch, baseSeed = null, options = {}) {
   const { numberOfSongs, filters } = simulatedConfig;
   // Generate 16 random letters if no seed provided
   const seed = baseSeed || generateRandomSeed();
@@ -4047,12 +4268,20 @@ export async function generateQuizSongs(simulatedConfig, fetchFn = fetch, baseSe
   const isTrainingMode = simulatedConfig.trainingMode === true;
 
   // PHASE 1: Load source songs
-  let { songs: sourceSongs, supportsPlayerScore, loadingErrors, songsBySource } = await loadSourceSongs(simulatedConfig, fetchFn);
+  let { songs: sourceSongs, supportsPlayerScore, loadingErrors, songsBySource } = await loadSourceSongs(simulatedConfig, fetchFn, options.songSource);
 
   songsBySource = songsBySource || [];
 
   console.log(`[SONG GENERATION] Loaded ${sourceSongs.length} source songs`);
 
+  const trace = createGenerationTrace();
+  trace.sources = songsBySource.map(source => ({
+    nodeId: source.nodeId,
+    listInfo: source.listInfo,
+    songCount: source.songs?.length || 0,
+    percentage: source.percentage ?? null
+  }));
+
   // Check if any song list has useEntirePool enabled - if so, bypass all filters
   const songListSettings = extractSongListSettings(simulatedConfig);
   const hasUseEntirePool = songListSettings.some(settings => settings.useEntirePool === true);
@@ -4063,13 +4292,20 @@ export async function generateQuizSongs(simulatedConfig, fetchFn = fetch, baseSe
 
   if (hasUseEntirePool) {
     console.log(`[SONG GENERATION] useEntirePool enabled - bypassing filter nodes but respecting source node percentages`);
-    // Skip global filters, use all source songs
-    eligibleSongs = sourceSongs;
+    // Skip global filters, use all source songs (exclusions still apply)
+    const exclusionResult = applySongExclusions(sourceSongs, options.exclusions);
+    eligibleSongs = exclusionResult.songs;
+    if (exclusionResult.stats) {
+      filterStatistics.push(exclusionResult.stats);
+    }
+    recordRelaxation(trace, 'use-entire-pool',
+      'A song list uses its entire pool - filter nodes were skipped, only source percentages apply');
   } else {
-    const filterResult = applyGlobalFilters(sourceSongs, filters, supportsPlayerScore);
+    const filterResult = applyGlobalFilters(sourceSongs, filters, supportsPlayerScore, options.exclusions);
     eligibleSongs = filterResult.songs;
     filterStatistics = filterResult.filterStatistics;
   }
+  trace.filters = filterStatistics;
 
   if (eligibleSongs.length === 0) {
     console.error('[SONG GENERATION] No eligible songs after global filters!');
@@ -4088,7 +4324,8 @@ export async function generateQuizSongs(simulatedConfig, fetchFn = fetch, baseSe
         filterStatistics: filterStatistics,
         loadingErrors: loadingErrors,
         songsBySource: songsBySource || [],
-        songSourceMap: []
+        songSourceMap: [],
+        trace
       }
     };
   }
@@ -4105,6 +4342,10 @@ export async function generateQuizSongs(simulatedConfig, fetchFn = fetch, baseSe
   console.log(`[SONG GENERATION] DEBUG: duplicateShows raw value = ${JSON.stringify(simulatedConfig.basicSettings?.duplicateShows)}, type = ${typeof simulatedConfig.basicSettings?.duplicateShows}`);
   console.log(`[SONG GENERATION] Duplicate shows: ${allowDuplicateShows ? 'ENABLED (with reroll logic)' : 'DISABLED (unique anime only)'}`);
 
+  // Extract franchise cap from basic settings (0 or missing = no limit)
+  const maxSongsPerFranchise = Math.max(0, Math.floor(Number(simulatedConfig.basicSettings?.maxSongsPerFranchise) || 0));
+  console.log(`[SONG GENERATION] Max songs per franchise: ${maxSongsPerFranchise > 0 ? maxSongsPerFranchise : 'UNLIMITED'}`);
+
   // Extract song selection mode BEFORE building baskets (needed for basket strategy)
   songSelectionMode = songListSettings.find(settings =>
     (settings.nodeType === 'batch-user-list' || settings.nodeType === 'live-node') &&
@@ -4116,8 +4357,8 @@ export async function generateQuizSongs(simulatedConfig, fetchFn = fetch, baseSe
   // When useEntirePool is enabled, only build song list baskets (source percentages), skip filter baskets
   // For many-lists/few-lists modes, use flexible aggregate baskets instead of resolved sub-ranges
   const baskets = hasUseEntirePool
-    ? buildSongListBaskets(simulatedConfig, rng, songsBySource)
-    : buildBaskets(simulatedConfig, rng, songsBySource, songSelectionMode);
+    ? buildSongListBaskets(simulatedConfig, rng, songsBySource, trace)
+    : buildBaskets(simulatedConfig, rng, songsBySource, songSelectionMode, trace);
   console.log(`[SONG GENERATION] Created ${baskets.length} baskets${hasUseEntirePool ? ' (source nodes only)' : ''}`);
 
   if (isTrainingMode) {
@@ -4179,7 +4420,7 @@ export async function generateQuizSongs(simulatedConfig, fetchFn = fetch, baseSe
   } else {
     // PHASE 4: Distribute songs to baskets (includes internal retry logic)
     // Pass sourceSongs for accurate user counting in many-lists/few-lists mode
-    selectedSongs = distributeToBaskets(eligibleSongs, baskets, numberOfSongs, rng, allowDuplicateShows, songSelectionMode, 100, sourceSongs);
+    selectedSongs = distributeToBaskets(eligibleSongs, baskets, numberOfSongs, rng, allowDuplicateShows, songSelectionMode, 100, sourceSongs, maxSongsPerFranchise, trace);
 
     console.log(`[SONG GENERATION] Selected ${selectedSongs.length}/${numberOfSongs} songs`);
 
@@ -4218,6 +4459,17 @@ export async function generateQuizSongs(simulatedConfig, fetchFn = fetch, baseSe
 
     // Identify failed baskets
     failedBaskets = basketStatus.filter(b => !b.meetsMin);
+    trace.baskets = basketStatus;
+    failedBaskets.forEach(basket => {
+      recordRelaxation(trace, 'basket-minimum',
+        `${basket.id} got ${basket.current} of its minimum ${basket.min} song(s) - not enough eligible songs matched it`,
+        { basketId: basket.id, current: basket.current, min: basket.min });
+    });
+    if (selectedSongs.length < numberOfSongs) {
+      recordRelaxation(trace, 'song-count',
+        `Only ${selectedSongs.length} of ${numberOfSongs} songs could be selected`,
+        { selected: selectedSongs.length, target: numberOfSongs });
+    }
   }
 
   // Display final song list if we got any songs
@@ -4370,7 +4622,8 @@ export async function generateQuizSongs(simulatedConfig, fetchFn = fetch, baseSe
       filterStatistics: filterStatistics,
       loadingErrors: loadingErrors,
       songsBySource: songsBySource, // Include source information
-      songSourceMap: songSourceMapArray // Array of {annSongId, sourceInfo, nodeId, username} for AMQ+ connector
+      songSourceMap: songSourceMapArray, // Array of {annSongId, sourceInfo, nodeId, username} for AMQ+ connector
+      trace
     }
   };
 }
@@ -0,0 +1,61 @@
+/**
+ * Song source adapters
+ * Abstracts where songFiltering loads song pools from (masterlist, saved lists, user list cache,
+ * provider imports). The remote adapter is the default; set SONG_SOURCE_DIR to serve every source
+ * from local JSON files instead (see localSongSource.js for the directory layout).
+ *
+ * @module lib/server/songSources
+ */
+
+// @ts-ignore
+import { env } from '$env/dynamic/private';
+import { createRemoteSongSource } from './remoteSongSource.js';
+import { createLocalSongSource } from './localSongSource.js';
+
+export { createRemoteSongSource } from './remoteSongSource.js';
+export { createLocalSongSource } from './localSongSource.js';
+export { USER_LIST_STATUS_MAP, getSelectedStatuses } from './songSourceUtils.js';
+
+/**
+ * @typedef {Object} UserListCacheRequest
+ * @property {string} platform - Platform ('anilist' | 'mal' | 'kitsu')
+ * @property {string} username - Username
+ * @property {Object} [selectedLists] - Selected status lists (for fetch)
+ * @property {boolean} [forceRefresh] - Ignore cached data (for fetch)
+ * @property {Object} [cacheData] - Anime and songs grouped by status (for store)
+ */
+
+/**
+ * @typedef {Object} SongSourceAdapter
+ * @property {string} name - Adapter name for logging
+ * @property {() => Promise<any[]>} loadMasterlist - Load the full song database
+ * @property {(listId: string) => Promise<{songs: any[], name: string}>} loadSavedList - Load a saved song list
+ * @property {(request: UserListCacheRequest, fetchFn?: typeof fetch) => Promise<Object>} fetchUserListCache - Read cached user list data (UserListCacheResponse shape)
+ * @property {(request: UserListCacheRequest, fetchFn?: typeof fetch) => Promise<Object>} storeUserListCache - Store freshly fetched user list data
+ * @property {(providerImport: Object) => Promise<any[]>} loadProviderImport - Load songs of a provider import
+ */
+
+/** @type {SongSourceAdapter|null} */
+let defaultSongSource = null;
+
+/**
+ * Get the song source used when loadSourceSongs is not given one
+ * @returns {SongSourceAdapter}
+ */
+export function getDefaultSongSource() {
+  if (!defaultSongSource) {
+    defaultSongSource = env.SONG_SOURCE_DIR
+      ? createLocalSongSource(env.SONG_SOURCE_DIR)
+      : createRemoteSongSource();
+  }
+  return defaultSongSource;
+}
+
+/**
+ * Replace the default song source (e.g. from a script or test setup)
+ * @param {SongSourceAdapter|null} adapter - Adapter to use, or null to restore the environment default
+ * @returns {void}
+ */
+export function setDefaultSongSource(adapter) {
+  defaultSongSource = adapter;
+}
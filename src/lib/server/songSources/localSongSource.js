@@ -0,0 +1,131 @@
+/**
+ * Local filesystem song source
+ * Reads every song source from JSON files under one directory, so song generation can run
+ * self-hosted without Pixeldrain or Supabase and in tests without live services.
+ *
+ * Directory layout:
+ *   masterlist.json                                   - array of songs
+ *   saved-lists/<listId>.json                         - array of songs, or {name, songs}
+ *   user-lists/<platform>/<username>/<STATUS>.json    - {animeList, songsList} per cache status
+ *                                                       (COMPLETED, CURRENT, PLANNING, PAUSED, DROPPED)
+ *
+ * @module lib/server/songSources/localSongSource
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { getProviderImportSongs, getSelectedStatuses } from './songSourceUtils.js';
+
+/** @typedef {import('./index.js').SongSourceAdapter} SongSourceAdapter */
+
+/**
+ * Read and parse a JSON file, returning null when it does not exist
+ * @param {string} filePath - Absolute file path
+ * @returns {Promise<any|null>} Parsed JSON or null
+ */
+async function readJsonIfExists(filePath) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf-8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw new Error(`Failed to read ${filePath}: ${error.message}`);
+  }
+}
+
+/**
+ * Make a user-supplied name safe to use as a single path segment
+ * @param {string} value - Raw value
+ * @returns {string} Path segment
+ */
+function toPathSegment(value) {
+  return encodeURIComponent(String(value).trim().toLowerCase());
+}
+
+/**
+ * Create a song source backed by JSON files in a directory
+ * @param {string} rootDir - Directory holding the song source files
+ * @returns {SongSourceAdapter}
+ */
+export function createLocalSongSource(rootDir) {
+  if (!rootDir) {
+    throw new Error('createLocalSongSource requires a directory');
+  }
+  const root = path.resolve(rootDir);
+
+  const userListDir = (platform, username) =>
+    path.join(root, 'user-lists', toPathSegment(platform), toPathSegment(username));
+
+  return {
+    name: `local:${root}`,
+
+    async loadMasterlist() {
+      const songs = await readJsonIfExists(path.join(root, 'masterlist.json'));
+      if (!Array.isArray(songs)) {
+        throw new Error(`Masterlist not found at ${path.join(root, 'masterlist.json')}`);
+      }
+      return songs;
+    },
+
+    async loadSavedList(listId) {
+      const data = await readJsonIfExists(path.join(root, 'saved-lists', `${toPathSegment(listId)}.json`));
+      if (!data) {
+        throw new Error(`Failed to load saved list: List with ID "${listId}" not found in ${path.join(root, 'saved-lists')}`);
+      }
+      return Array.isArray(data)
+        ? { songs: data, name: String(listId) }
+        : { songs: Array.isArray(data.songs) ? data.songs : [], name: data.name || String(listId) };
+    },
+
+    async fetchUserListCache({ platform, username, selectedLists, forceRefresh = false }) {
+      const requestedStatuses = getSelectedStatuses(selectedLists);
+      const animeList = [];
+      const songsList = [];
+      const cachedStatuses = [];
+      const uncachedStatuses = [];
+
+      for (const status of requestedStatuses) {
+        const data = forceRefresh ? null : await readJsonIfExists(path.join(userListDir(platform, username), `${status}.json`));
+        if (!data) {
+          uncachedStatuses.push(status);
+          continue;
+        }
+        animeList.push(...(data.animeList || []));
+        songsList.push(...(data.songsList || []));
+        cachedStatuses.push(status);
+      }
+
+      return {
+        success: true,
+        animeList,
+        songsList,
+        count: animeList.length,
+        songsCount: songsList.length,
+        cached: cachedStatuses.length > 0,
+        cachedStatuses,
+        uncachedStatuses,
+        needsSongsFetch: uncachedStatuses.length > 0
+      };
+    },
+
+    async storeUserListCache({ platform, username, cacheData }) {
+      const dir = userListDir(platform, username);
+      await fs.mkdir(dir, { recursive: true });
+
+      const storedStatuses = [];
+      for (const [status, data] of Object.entries(cacheData || {})) {
+        const statusName = status.toUpperCase();
+        await fs.writeFile(
+          path.join(dir, `${statusName}.json`),
+          JSON.stringify({ animeList: data.animeList || [], songsList: data.songsList || [] })
+        );
+        storedStatuses.push(statusName);
+      }
+
+      return { success: true, storedStatuses };
+    },
+
+    async loadProviderImport(providerImport) {
+      return getProviderImportSongs(providerImport);
+    }
+  };
+}
@@ -0,0 +1,138 @@
+/**
+ * Remote song source
+ * Default adapter used by the hosted site: bundled masterlist, saved lists in Supabase with
+ * song files on Pixeldrain, and the /api/user-list-cache route for user lists.
+ *
+ * @module lib/server/songSources/remoteSongSource
+ */
+
+import { createSupabaseAdmin } from '../supabase-admin.js';
+import { fetchFromPixeldrain } from '../pixeldrain.js';
+import { getProviderImportSongs } from './songSourceUtils.js';
+
+/** @typedef {import('./index.js').SongSourceAdapter} SongSourceAdapter */
+
+/** @type {any[]|null} */
+let masterlistCache = null;
+
+/**
+ * Load saved list directly from database (server-side only, bypasses auth)
+ * @param {string} listId - Song list ID
+ * @returns {Promise<{songs: any[], name: string}>} Songs and list name
+ */
+async function loadSavedListDirect(listId) {
+  const supabaseAdmin = createSupabaseAdmin();
+
+  // Fetch the list metadata (bypass auth check - server has admin access)
+  const { data: listData, error: dbError } = await supabaseAdmin
+    .from('song_lists')
+    .select('id, name, songs_list_link')
+    .eq('id', listId)
+    .single();
+
+  if (dbError) {
+    console.error('[SONG LOADING] Database error loading saved list:', {
+      listId,
+      error: dbError,
+      code: dbError.code,
+      message: dbError.message,
+      details: dbError.details
+    });
+
+    if (dbError.code === 'PGRST116') {
+      throw new Error(`Failed to load saved list: List with ID "${listId}" not found in database`);
+    } else {
+      throw new Error(`Failed to load saved list from database: ${dbError.message || dbError.code || 'Unknown database error'}`);
+    }
+  }
+
+  if (!listData) {
+    throw new Error(`Failed to load saved list: List with ID "${listId}" not found`);
+  }
+
+  // Fetch songs from Pixeldrain
+  let songs = [];
+  if (listData.songs_list_link) {
+    try {
+      songs = await fetchFromPixeldrain(listData.songs_list_link);
+      console.log(`[SONG LOADING] Successfully loaded ${songs.length} songs from Pixeldrain for list "${listData.name}" (ID: ${listId})`);
+    } catch (err) {
+      console.error('[SONG LOADING] Failed to fetch songs from Pixeldrain:', {
+        listId,
+        listName: listData.name,
+        pixeldrainUrl: listData.songs_list_link,
+        error: err.message,
+        stack: err.stack
+      });
+      throw new Error(`Failed to load songs from storage (Pixeldrain) for list "${listData.name}": ${err.message || 'Unknown error'}`);
+    }
+  } else {
+    console.warn(`[SONG LOADING] List "${listData.name}" (ID: ${listId}) has no songs_list_link, returning empty songs array`);
+  }
+
+  return { songs, name: listData.name };
+}
+
+/**
+ * Create the remote (Supabase + Pixeldrain) song source
+ * @returns {SongSourceAdapter}
+ */
+export function createRemoteSongSource() {
+  return {
+    name: 'remote',
+
+    async loadMasterlist() {
+      if (!masterlistCache) {
+        const module = await import('../masterlist.json');
+        masterlistCache = Array.isArray(module.default) ? module.default : [];
+      }
+      return masterlistCache;
+    },
+
+    loadSavedList: loadSavedListDirect,
+
+    async fetchUserListCache({ platform, username, selectedLists, forceRefresh = false }, fetchFn = fetch) {
+      const response = await fetchFn('/api/user-list-cache', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          action: 'fetch',
+          platform,
+          username,
+          selectedLists,
+          forceRefresh
+        })
+      });
+
+      if (!response.ok) {
+        throw new Error(`Failed to load user list for ${username}`);
+      }
+
+      return await response.json();
+    },
+
+    async storeUserListCache({ platform, username, cacheData }, fetchFn = fetch) {
+      const response = await fetchFn('/api/user-list-cache', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          action: 'store',
+          platform,
+          username: username.trim(),
+          cacheData
+        })
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to store cache');
+      }
+
+      return await response.json();
+    },
+
+    async loadProviderImport(providerImport) {
+      return getProviderImportSongs(providerImport);
+    }
+  };
+}
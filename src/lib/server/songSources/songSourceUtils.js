@@ -0,0 +1,43 @@
+/**
+ * Helpers shared by song source adapters
+ *
+ * @module lib/server/songSources/songSourceUtils
+ */
+
+/**
+ * Frontend list names (selectedLists keys) mapped to the status names used by the user list cache.
+ * Mirrors mapStatusToDatabase in /api/user-list-cache.
+ * @type {Record<string, string>}
+ */
+export const USER_LIST_STATUS_MAP = {
+  completed: 'COMPLETED',
+  watching: 'CURRENT',
+  planning: 'PLANNING',
+  on_hold: 'PAUSED',
+  dropped: 'DROPPED',
+  repeating: 'REPEATING'
+};
+
+/**
+ * Get the cache status names for the selected lists
+ * @param {Object} selectedLists - Object mapping list names to booleans
+ * @returns {string[]} Upper-case cache status names
+ */
+export function getSelectedStatuses(selectedLists) {
+  return Object.keys(selectedLists || {})
+    .filter((status) => selectedLists[status])
+    .map((status) => USER_LIST_STATUS_MAP[status] || status.toUpperCase());
+}
+
+/**
+ * Get the songs of a provider import (processed in the editor when the file was uploaded)
+ * @param {Object} providerImport - providerImport settings of a song list node
+ * @returns {any[]} Songs
+ */
+export function getProviderImportSongs(providerImport) {
+  const songs = providerImport?.processedData?.songs;
+  if (!Array.isArray(songs)) {
+    throw new Error('Provider import has no processed songs - re-upload the file in the Song List node');
+  }
+  return songs;
+}
@@ -0,0 +1,449 @@
+/**
+ * Anki Interchange - Export and import training progress in Anki-compatible CSV
+ *
+ * Export produces two files:
+ * - a notes file in Anki's text import format (header directives, Front/Back/Tags columns), one
+ *   note per song, tagged with its AMQ song ID so it can be matched on the way back;
+ * - a review log in the FSRS optimizer's revlog CSV format
+ *   (card_id, review_time, review_rating, review_state, review_duration), with card_id = AMQ song ID.
+ *
+ * Import reads a review log in that format, or a raw Anki revlog dump (id, cid, ease, time, type).
+ * Reviews done in Anki are logged against Anki's own card IDs, so those are matched to songs through
+ * the ANN_SONG_ID_TAG tag of the card's note: either from a tags column in the review log itself or
+ * from a cards file imported together with it (card ID and note tags per card, see
+ * parseAnkiCardMap). The reviews are stored as plays of an import session and each song's FSRS
+ * state is rebuilt from its plays with recalculateSongProgress.
+ *
+ * Only anime cards (the default card type) are exchanged: a card_id is a song, so there is no room
+ * for the song's other card types.
+ */
+
+import { State } from './fsrs-service.js';
+import { recalculateSongProgress } from './training-utils.js';
+import { queryInChunks } from './paged-queries.js';
+import { DEFAULT_CARD_TYPE } from '$lib/utils/trainingCardTypes.js';
+
+/** Reviews accepted per import */
+export const MAX_IMPORT_REVIEWS = 50000;
+
+/** Songs accepted per import, each one's progress is rebuilt before the request returns */
+export const MAX_IMPORT_SONGS = 2000;
+
+/** Songs whose progress is rebuilt at the same time */
+const RECALCULATE_BATCH_SIZE = 10;
+
+/** Plays inserted per request */
+const INSERT_CHUNK_SIZE = 500;
+
+/** Reviews of the same song closer than this are treated as the same review on re-import */
+const DUPLICATE_WINDOW_MS = 1000;
+
+/** Tag prefix carrying the AMQ song ID on exported notes */
+export const ANN_SONG_ID_TAG = 'amq::ann_song_id::';
+
+export const REVLOG_COLUMNS = ['card_id', 'review_time', 'review_rating', 'review_state', 'review_duration'];
+
+/**
+ * Card IDs from this value up are Anki card IDs (creation time in epoch milliseconds), not AMQ song IDs
+ */
+const MIN_ANKI_CARD_ID = 1e11;
+
+/** Song ID tag among a note's space-separated tags */
+const SONG_ID_TAG_PATTERN = new RegExp(`(?:^|\\s)${ANN_SONG_ID_TAG}(\\d+)(?=\\s|$)`);
+
+/**
+ * @typedef {Object} ImportedReview
+ * @property {number} songAnnId - AMQ song ID
+ * @property {Date} reviewedAt - Review time
+ * @property {number} rating - FSRS rating (1-4)
+ * @property {number|null} durationMs - Time spent, in milliseconds
+ */
+
+/**
+ * Quote a CSV field when needed
+ * @param {unknown} value - Field value
+ * @returns {string} CSV-safe field
+ */
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Parse CSV text into rows, handling quoted fields and both line ending styles
+ * @param {string} text - CSV text
+ * @returns {string[][]} Rows of fields (empty lines dropped)
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      if (row.length > 1 || row[0] !== '') rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  row.push(field);
+  if (row.length > 1 || row[0] !== '') rows.push(row);
+  return rows;
+}
+
+/**
+ * Build an Anki notes file (text import format) for a quiz's songs
+ * @param {Array} progressRecords - training_progress rows
+ * @param {Map<number, string>} answersBySong - Latest correct answer per song_ann_id (note back)
+ * @param {string} deckName - Target Anki deck
+ * @returns {string} CSV with Anki header directives
+ */
+export function buildAnkiNotesCsv(progressRecords, answersBySong, deckName) {
+  const lines = [
+    '#separator:Comma',
+    '#html:false',
+    '#notetype:Basic',
+    `#deck:${deckName.replace(/[\r\n]/g, ' ')}`,
+    '#tags column:3',
+    '#columns:Front,Back,Tags'
+  ];
+
+  for (const record of progressRecords) {
+    if (!record.song_ann_id) continue;
+    const state = record.fsrs_state?.state ?? State.New;
+    const tags = [
+      'amqplus',
+      `${ANN_SONG_ID_TAG}${record.song_ann_id}`,
+      `amq::state::${String(State[state] || 'New').toLowerCase()}`,
+      ...(record.tags || [])
+    ];
+    lines.push([
+      csvField(`AMQ song ${record.song_ann_id}`),
+      csvField(answersBySong.get(record.song_ann_id) || ''),
+      csvField(tags.join(' '))
+    ].join(','));
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Build a review log in the FSRS optimizer's revlog CSV format
+ * @param {Array} plays - training_session_plays rows (song_ann_id, played_at, rating, time_spent_ms, fsrs_before)
+ * @returns {string} CSV with a header row
+ */
+export function buildAnkiRevlogCsv(plays) {
+  const lines = [REVLOG_COLUMNS.join(',')];
+
+  const sorted = plays
+    .filter(play => play.song_ann_id && play.rating >= 1 && play.rating <= 4)
+    .sort((a, b) => new Date(a.played_at).getTime() - new Date(b.played_at).getTime());
+
+  for (const play of sorted) {
+    lines.push([
+      play.song_ann_id,
+      new Date(play.played_at).getTime(),
+      play.rating,
+      play.fsrs_before?.state ?? State.New,
+      play.time_spent_ms ?? 0
+    ].join(','));
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Parse a review time: epoch milliseconds, epoch seconds or an ISO date
+ * @param {string} value - Raw value
+ * @returns {Date|null} Review time, or null when unreadable
+ */
+function parseReviewTime(value) {
+  const trimmed = value.trim();
+  if (/^\d+$/.test(trimmed)) {
+    const number = Number(trimmed);
+    // Anki revlog ids and FSRS review_time are milliseconds, anything shorter is seconds
+    return new Date(number < 1e11 ? number * 1000 : number);
+  }
+  const date = new Date(trimmed);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Read the AMQ song ID from a note's tags
+ * @param {string|undefined} tags - Space-separated Anki tags
+ * @returns {number|null} Song ID, or null when the note has no song ID tag
+ */
+export function getSongIdFromTags(tags) {
+  const match = SONG_ID_TAG_PATTERN.exec(tags || '');
+  return match ? Number(match[1]) : null;
+}
+
+/**
+ * Find a column in a CSV header
+ * @param {string[]} header - Lowercased header names
+ * @param {...string} names - Accepted names
+ * @returns {number} Column index, or -1
+ */
+function findColumn(header, ...names) {
+  return header.findIndex(name => names.includes(name));
+}
+
+/**
+ * Parse a cards file that links Anki card IDs to the notes' tags
+ * Expects a header with a card ID column (card_id or cid) and a tags column, e.g. the result of
+ * `SELECT c.id AS cid, n.tags FROM cards c JOIN notes n ON n.id = c.nid`. Cards of notes without
+ * the song ID tag (notes that did not come from AMQ+) are left out.
+ * @param {string} text - CSV text
+ * @returns {{ songByCard: Map<string, number>, error: string|null }} Song ID per Anki card ID
+ */
+export function parseAnkiCardMap(text) {
+  const rows = parseCsv(text || '').filter(row => !row[0]?.startsWith('#'));
+  const header = (rows[0] || []).map(name => name.trim().toLowerCase());
+  const cardColumn = findColumn(header, 'card_id', 'cid');
+  const tagsColumn = findColumn(header, 'tags');
+
+  /** @type {Map<string, number>} */
+  const songByCard = new Map();
+
+  if (cardColumn < 0 || tagsColumn < 0) {
+    return { songByCard, error: 'Unrecognised cards file, expected a card_id (or cid) column and a tags column' };
+  }
+
+  for (const row of rows.slice(1)) {
+    const cardId = row[cardColumn]?.trim();
+    const songAnnId = getSongIdFromTags(row[tagsColumn]);
+    if (cardId && songAnnId) {
+      songByCard.set(cardId, songAnnId);
+    }
+  }
+
+  return { songByCard, error: null };
+}
+
+/**
+ * Parse an imported review log
+ * Accepts the FSRS revlog CSV format written by buildAnkiRevlogCsv (card_id = AMQ song ID), or an
+ * Anki revlog dump (id, cid, ease, time, type). Anki card IDs are matched to songs through a tags
+ * column in the log or through songByCard (see parseAnkiCardMap); reviews of cards that can't be
+ * matched are skipped.
+ * @param {string} text - CSV text
+ * @param {Map<string, number>|null} [songByCard] - Song ID per Anki card ID
+ * @returns {{ reviews: ImportedReview[], skipped: number, error: string|null }} Parsed reviews
+ */
+export function parseAnkiReviewLog(text, songByCard = null) {
+  const rows = parseCsv(text || '').filter(row => !row[0]?.startsWith('#'));
+  if (rows.length === 0) {
+    return { reviews: [], skipped: 0, error: 'The review log is empty' };
+  }
+
+  const header = rows[0].map(name => name.trim().toLowerCase());
+  const columns = {
+    card: findColumn(header, 'card_id', 'cid'),
+    time: findColumn(header, 'review_time', 'id'),
+    rating: findColumn(header, 'review_rating', 'ease'),
+    duration: findColumn(header, 'review_duration', 'time'),
+    type: findColumn(header, 'type'),
+    tags: findColumn(header, 'tags')
+  };
+
+  if (columns.card < 0 || columns.time < 0 || columns.rating < 0) {
+    return {
+      reviews: [],
+      skipped: 0,
+      error: `Unrecognised review log, expected the columns ${REVLOG_COLUMNS.join(', ')}`
+    };
+  }
+
+  if (rows.length - 1 > MAX_IMPORT_REVIEWS) {
+    return { reviews: [], skipped: 0, error: `Review logs are limited to ${MAX_IMPORT_REVIEWS} reviews` };
+  }
+
+  /** @type {ImportedReview[]} */
+  const reviews = [];
+  let skipped = 0;
+  let unmatchedAnkiCards = 0;
+
+  for (const row of rows.slice(1)) {
+    const cardId = (row[columns.card] || '').trim();
+    const taggedSongId = columns.tags >= 0 ? getSongIdFromTags(row[columns.tags]) : null;
+    const isAnkiCard = Number(cardId) >= MIN_ANKI_CARD_ID;
+    const songAnnId = taggedSongId ?? songByCard?.get(cardId) ?? (isAnkiCard ? NaN : Number(cardId));
+    const reviewedAt = parseReviewTime(row[columns.time] || '');
+    const rating = Number(row[columns.rating]);
+    // Anki revlog type 4 marks manual reschedules, which are not reviews
+    const isManual = columns.type >= 0 && Number(row[columns.type]) === 4;
+
+    if (!Number.isInteger(songAnnId) || songAnnId <= 0 || !reviewedAt || !(rating >= 1 && rating <= 4) || isManual) {
+      if (isAnkiCard && Number.isNaN(songAnnId)) unmatchedAnkiCards++;
+      skipped++;
+      continue;
+    }
+
+    const duration = columns.duration >= 0 ? Number(row[columns.duration]) : NaN;
+    reviews.push({
+      songAnnId,
+      reviewedAt,
+      rating,
+      durationMs: Number.isFinite(duration) && duration >= 0 ? Math.round(duration) : null
+    });
+  }
+
+  if (reviews.length === 0 && unmatchedAnkiCards > 0) {
+    return {
+      reviews,
+      skipped,
+      error: songByCard
+        ? 'None of the reviewed cards belong to notes exported from AMQ+ (no amq::ann_song_id:: tag)'
+        : 'The review log uses Anki card IDs, import it together with a cards file (card ID and note tags) to match the cards to songs'
+    };
+  }
+
+  if (new Set(reviews.map(review => review.songAnnId)).size > MAX_IMPORT_SONGS) {
+    return { reviews: [], skipped, error: `Review logs are limited to ${MAX_IMPORT_SONGS} songs, split the log and import it in parts` };
+  }
+
+  reviews.sort((a, b) => a.reviewedAt.getTime() - b.reviewedAt.getTime());
+  return { reviews, skipped, error: null };
+}
+
+/**
+ * Import a review log into a quiz's training history
+ * Reviews are stored as plays of a new, already finished session, then every affected song's
+ * progress is rebuilt from its plays. Reviews already present (same song, same second) are skipped,
+ * so importing the same file twice changes nothing.
+ * @param {Object} supabase - Supabase admin client
+ * @param {string} userId - User ID
+ * @param {string} quizId - Quiz ID
+ * @param {ImportedReview[]} reviews - Parsed reviews (see parseAnkiReviewLog)
+ * @returns {Promise<{ imported: number, duplicates: number, songs: number, failedSongs: number, sessionId: string|null }>} Import summary
+ * @throws {Error} If reading history or storing plays fails
+ */
+export async function importAnkiReviews(supabase, userId, quizId, reviews) {
+  const songIds = [...new Set(reviews.map(review => review.songAnnId))];
+  if (songIds.length === 0) {
+    return { imported: 0, duplicates: 0, songs: 0, failedSongs: 0, sessionId: null };
+  }
+
+  let existingPlays;
+  try {
+    existingPlays = await queryInChunks(songIds, chunk => supabase
+      .from('training_session_plays')
+      .select('song_ann_id, played_at')
+      .eq('user_id', userId)
+      .eq('quiz_id', quizId)
+      .eq('card_type', DEFAULT_CARD_TYPE)
+      .eq('play_type', 'review')
+      .in('song_ann_id', chunk));
+  } catch (err) {
+    throw new Error(`Failed to fetch existing plays: ${err.message}`);
+  }
+
+  const existingTimes = new Map();
+  for (const play of existingPlays) {
+    if (!existingTimes.has(play.song_ann_id)) existingTimes.set(play.song_ann_id, []);
+    existingTimes.get(play.song_ann_id).push(new Date(play.played_at).getTime());
+  }
+
+  const newReviews = reviews.filter(review =>
+    !(existingTimes.get(review.songAnnId) || []).some(time => Math.abs(time - review.reviewedAt.getTime()) < DUPLICATE_WINDOW_MS)
+  );
+  const duplicates = reviews.length - newReviews.length;
+
+  if (newReviews.length === 0) {
+    return { imported: 0, duplicates, songs: 0, failedSongs: 0, sessionId: null };
+  }
+
+  const correctCount = newReviews.filter(review => review.rating > 1).length;
+  const importedSongIds = [...new Set(newReviews.map(review => review.songAnnId))];
+
+  const { data: session, error: sessionError } = await supabase
+    .from('training_sessions')
+    .insert({
+      user_id: userId,
+      quiz_id: quizId,
+      started_at: newReviews[0].reviewedAt.toISOString(),
+      ended_at: newReviews[newReviews.length - 1].reviewedAt.toISOString(),
+      total_songs: newReviews.length,
+      correct_songs: correctCount,
+      incorrect_songs: newReviews.length - correctCount,
+      session_data: {
+        source: 'anki-import',
+        importedAt: new Date().toISOString(),
+        reviewCount: newReviews.length,
+        songCount: importedSongIds.length
+      }
+    })
+    .select('id')
+    .single();
+
+  if (sessionError || !session) {
+    throw new Error(`Failed to create import session: ${sessionError?.message}`);
+  }
+
+  for (let i = 0; i < newReviews.length; i += INSERT_CHUNK_SIZE) {
+    const chunk = newReviews.slice(i, i + INSERT_CHUNK_SIZE).map(review => ({
+      user_id: userId,
+      session_id: session.id,
+      quiz_id: quizId,
+      song_ann_id: review.songAnnId,
+      card_type: DEFAULT_CARD_TYPE,
+      played_at: review.reviewedAt.toISOString(),
+      rating: review.rating,
+      success: review.rating > 1,
+      time_spent_ms: review.durationMs,
+      answer_data: { source: 'anki-import' }
+    }));
+
+    const { error: insertError } = await supabase.from('training_session_plays').insert(chunk);
+
+    if (insertError) {
+      // Don't leave a half-imported session behind, its plays cascade with it
+      await supabase.from('training_sessions').delete().eq('id', session.id);
+      throw new Error(`Failed to store imported reviews: ${insertError.message}`);
+    }
+  }
+
+  // Rebuild FSRS state from the full play history of every imported song
+  let failedSongs = 0;
+  for (let i = 0; i < importedSongIds.length; i += RECALCULATE_BATCH_SIZE) {
+    await Promise.all(importedSongIds.slice(i, i + RECALCULATE_BATCH_SIZE).map(async songAnnId => {
+      try {
+        await recalculateSongProgress(supabase, userId, quizId, songAnnId);
+      } catch (err) {
+        console.error('[ANKI IMPORT] Failed to recalculate song', songAnnId, err);
+        failedSongs++;
+      }
+    }));
+  }
+
+  console.log(`[ANKI IMPORT] Imported ${newReviews.length} reviews of ${importedSongIds.length} songs for user ${userId} (${duplicates} duplicates skipped)`);
+
+  return {
+    imported: newReviews.length,
+    duplicates,
+    songs: importedSongIds.length,
+    failedSongs,
+    sessionId: session.id
+  };
+}
@@ -0,0 +1,333 @@
+/**
+ * FSRS Optimizer - Fits per-user FSRS weights from the training_session_plays review log
+ *
+ * Replays every song's review history with candidate weights, scores how well the predicted
+ * retrievability matched what actually happened (log loss over recall/forget outcomes) and
+ * improves the weights by coordinate descent. Fitted weights are stored in
+ * training_fsrs_parameters (per user, optionally per quiz) and picked up by loadTrainingScheduler,
+ * together with the quiz's retention and maximum interval preferences.
+ */
+
+import {
+  FSRSAlgorithm,
+  generatorParameters,
+  default_w,
+  CLAMP_PARAMETERS,
+  W17_W18_Ceiling,
+  dateDiffInDays
+} from 'ts-fsrs';
+import { TrainingScheduler, trainingScheduler } from './fsrs-service.js';
+import { loadTrainingPreferences, toSchedulerParameters } from './training-preferences.js';
+
+/**
+ * Minimum number of scored reviews (reviews of already-seen songs on a later day) before
+ * fitted weights are trusted over the defaults
+ */
+export const MIN_REVIEWS_FOR_OPTIMIZATION = 400;
+
+/** Most recent plays used for a fit */
+const MAX_PLAYS = 10000;
+
+/** Upper bound on loss evaluations per fit */
+const MAX_EVALUATIONS = 400;
+
+/**
+ * Time budget for the descent in milliseconds. The fit runs on the request thread, so it stops
+ * searching after this long and keeps the best weights found so far.
+ */
+export const MAX_OPTIMIZATION_MS = 1000;
+
+/** Pull towards the default weights so sparse histories don't produce extreme parameters */
+const REGULARIZATION = 0.05;
+
+/**
+ * @typedef {Object} ReviewStep
+ * @property {number} rating - FSRS rating (1-4)
+ * @property {number} elapsedDays - Whole days since the previous review of the same song
+ */
+
+/**
+ * @typedef {Object} OptimizationResult
+ * @property {number[]} weights - Fitted weights (the defaults when there is too little history)
+ * @property {boolean} optimized - Whether fitted weights are usable
+ * @property {number} reviewCount - Number of scored reviews
+ * @property {number} songCount - Number of songs with history
+ * @property {number|null} logLoss - Log loss with the fitted weights
+ * @property {number|null} defaultLogLoss - Log loss with the default weights
+ */
+
+/**
+ * Group plays into per-card review sequences
+ * Only reviews are fitted. Forgetting a card resets its memory, so the reviews after a forget start
+ * a new sequence; other card actions (known, reschedule) are left out.
+ * @param {Array} plays - training_session_plays rows (song_ann_id, card_type, quiz_id, play_type, rating, played_at)
+ * @returns {ReviewStep[][]} One chronological sequence per card (song and card type) and forget
+ */
+export function buildReviewHistories(plays) {
+  const bySong = new Map();
+  for (const play of plays) {
+    const playType = play.play_type ?? 'review';
+    const isReview = playType === 'review' && play.rating >= 1 && play.rating <= 4;
+    if (!play.song_ann_id || !(isReview || playType === 'forget')) continue;
+    const key = `${play.quiz_id}:${play.song_ann_id}:${play.card_type}`;
+    if (!bySong.has(key)) bySong.set(key, []);
+    bySong.get(key).push(play);
+  }
+
+  const histories = [];
+  for (const songPlays of bySong.values()) {
+    songPlays.sort((a, b) => new Date(a.played_at).getTime() - new Date(b.played_at).getTime());
+    let previous = null;
+    let steps = [];
+    for (const play of songPlays) {
+      if (play.play_type === 'forget') {
+        if (steps.length > 0) histories.push(steps);
+        steps = [];
+        previous = null;
+        continue;
+      }
+      const playedAt = new Date(play.played_at);
+      steps.push({
+        rating: play.rating,
+        elapsedDays: previous ? Math.max(0, dateDiffInDays(previous, playedAt)) : 0
+      });
+      previous = playedAt;
+    }
+    if (steps.length > 0) histories.push(steps);
+  }
+  return histories;
+}
+
+/**
+ * Count the reviews that contribute to the loss
+ * @param {ReviewStep[][]} histories - Review sequences
+ * @returns {number} Reviews after the first one that happened on a later day
+ */
+export function countScoredReviews(histories) {
+  let count = 0;
+  for (const steps of histories) {
+    for (let i = 1; i < steps.length; i++) {
+      if (steps[i].elapsedDays > 0) count++;
+    }
+  }
+  return count;
+}
+
+/**
+ * Mean log loss of the predicted retrievability against actual recall
+ * @param {ReviewStep[][]} histories - Review sequences
+ * @param {number[]|readonly number[]} weights - FSRS weights
+ * @returns {number} Mean log loss (lower is better)
+ */
+export function evaluateWeights(histories, weights) {
+  const algorithm = new FSRSAlgorithm(generatorParameters({ w: weights, enable_fuzz: false }));
+  let loss = 0;
+  let count = 0;
+
+  for (const steps of histories) {
+    let memoryState = null;
+    for (const { rating, elapsedDays } of steps) {
+      if (memoryState && elapsedDays > 0) {
+        const retrievability = Math.min(Math.max(algorithm.forgetting_curve(elapsedDays, memoryState.stability), 1e-4), 1 - 1e-4);
+        loss -= rating > 1 ? Math.log(retrievability) : Math.log(1 - retrievability);
+        count++;
+      }
+      memoryState = algorithm.next_state(memoryState, elapsedDays, rating);
+    }
+  }
+
+  return count > 0 ? loss / count : 0;
+}
+
+/**
+ * Fit FSRS weights to review histories
+ * @param {ReviewStep[][]} histories - Review sequences
+ * @param {Object} [options] - Optimisation options
+ * @param {number} [options.minReviews] - Minimum scored reviews required
+ * @param {number} [options.maxEvaluations] - Loss evaluation budget
+ * @param {number} [options.maxMilliseconds] - Time budget for the descent
+ * @returns {OptimizationResult} Fitted weights and fit statistics
+ */
+export function optimizeWeights(histories, { minReviews = MIN_REVIEWS_FOR_OPTIMIZATION, maxEvaluations = MAX_EVALUATIONS, maxMilliseconds = MAX_OPTIMIZATION_MS } = {}) {
+  const reviewCount = countScoredReviews(histories);
+  const baseResult = {
+    weights: [...default_w],
+    optimized: false,
+    reviewCount,
+    songCount: histories.length,
+    logLoss: null,
+    defaultLogLoss: null
+  };
+
+  if (reviewCount < minReviews) {
+    return baseResult;
+  }
+
+  const bounds = CLAMP_PARAMETERS(W17_W18_Ceiling, true);
+  const ranges = bounds.map(([min, max]) => max - min);
+  const clampWeight = (/** @type {number} */ i, /** @type {number} */ value) => Math.min(Math.max(value, bounds[i][0]), bounds[i][1]);
+
+  // Regularised objective, the penalty shrinks as more reviews back the fit
+  const penaltyScale = REGULARIZATION * Math.sqrt(MIN_REVIEWS_FOR_OPTIMIZATION / reviewCount);
+  const objective = (/** @type {number[]} */ weights) => {
+    let penalty = 0;
+    for (let i = 0; i < weights.length; i++) {
+      penalty += ((weights[i] - default_w[i]) / ranges[i]) ** 2;
+    }
+    return evaluateWeights(histories, weights) + penaltyScale * penalty;
+  };
+
+  const defaultLogLoss = evaluateWeights(histories, default_w);
+  let weights = [...default_w];
+  let best = objective(weights);
+  let evaluations = 1;
+  let steps = ranges.map(range => range * 0.05);
+  const deadline = Date.now() + maxMilliseconds;
+  const withinBudget = () => evaluations < maxEvaluations && Date.now() < deadline;
+
+  // Coordinate descent: try a step up and down per weight, keep improvements, halve steps when stuck
+  while (withinBudget()) {
+    let improved = false;
+    for (let i = 0; i < weights.length && withinBudget(); i++) {
+      for (const direction of [1, -1]) {
+        const candidate = [...weights];
+        candidate[i] = clampWeight(i, weights[i] + direction * steps[i]);
+        if (candidate[i] === weights[i]) continue;
+        const score = objective(candidate);
+        evaluations++;
+        if (score < best) {
+          best = score;
+          weights = candidate;
+          improved = true;
+          break;
+        }
+      }
+    }
+    if (!improved) {
+      steps = steps.map(step => step / 2);
+      if (steps.every((step, i) => step < ranges[i] * 0.001)) break;
+    }
+  }
+
+  const logLoss = evaluateWeights(histories, weights);
+
+  return {
+    ...baseResult,
+    weights: weights.map(w => parseFloat(w.toFixed(4))),
+    optimized: logLoss < defaultLogLoss,
+    logLoss: parseFloat(logLoss.toFixed(4)),
+    defaultLogLoss: parseFloat(defaultLogLoss.toFixed(4))
+  };
+}
+
+/**
+ * Fit and store FSRS weights for a user
+ * @param {Object} supabase - Supabase admin client
+ * @param {string} userId - User ID
+ * @param {string|null} [quizId] - Fit only this quiz's history (null = all of the user's quizzes)
+ * @returns {Promise<OptimizationResult>} Fit result (stored only when optimized is true)
+ */
+export async function optimizeUserParameters(supabase, userId, quizId = null) {
+  let query = supabase
+    .from('training_session_plays')
+    .select('song_ann_id, card_type, quiz_id, play_type, rating, played_at')
+    .eq('user_id', userId)
+    .in('play_type', ['review', 'forget'])
+    .order('played_at', { ascending: false })
+    .limit(MAX_PLAYS);
+
+  if (quizId) {
+    query = query.eq('quiz_id', quizId);
+  }
+
+  const { data: plays, error } = await query;
+
+  if (error) {
+    throw new Error(`Failed to fetch review history: ${error.message}`);
+  }
+
+  const result = optimizeWeights(buildReviewHistories(plays || []));
+
+  console.log('[FSRS OPTIMIZER] Fit for user', userId, quizId ? `quiz ${quizId}` : '(all quizzes)', {
+    reviews: result.reviewCount,
+    logLoss: result.logLoss,
+    defaultLogLoss: result.defaultLogLoss,
+    optimized: result.optimized
+  });
+
+  if (!result.optimized) {
+    return result;
+  }
+
+  const { error: saveError } = await supabase
+    .from('training_fsrs_parameters')
+    .upsert({
+      user_id: userId,
+      quiz_id: quizId,
+      weights: result.weights,
+      review_count: result.reviewCount,
+      log_loss: result.logLoss,
+      default_log_loss: result.defaultLogLoss,
+      optimized_at: new Date().toISOString()
+    }, { onConflict: 'user_id,quiz_id' });
+
+  if (saveError) {
+    throw new Error(`Failed to save FSRS parameters: ${saveError.message}`);
+  }
+
+  return result;
+}
+
+/**
+ * Load the stored FSRS parameters that apply to a user and quiz
+ * Quiz-specific weights win over the user's global weights.
+ * @param {Object} supabase - Supabase admin client
+ * @param {string} userId - User ID
+ * @param {string|null} [quizId] - Quiz ID
+ * @returns {Promise<Object|null>} training_fsrs_parameters row, or null when none are stored
+ */
+export async function loadUserParameters(supabase, userId, quizId = null) {
+  const query = () => supabase
+    .from('training_fsrs_parameters')
+    .select('*')
+    .eq('user_id', userId);
+
+  // Separate filters rather than an or() string, so the quiz ID is never parsed as filter syntax
+  const results = await Promise.all([
+    quizId ? query().eq('quiz_id', quizId).maybeSingle() : { data: null, error: null },
+    query().is('quiz_id', null).maybeSingle()
+  ]);
+
+  const failed = results.find(result => result.error);
+  if (failed) {
+    console.warn('[FSRS OPTIMIZER] Failed to load parameters, using defaults:', failed.error.message);
+    return null;
+  }
+
+  return results[0].data || results[1].data || null;
+}
+
+/**
+ * Get a scheduler using the user's fitted weights and quiz preferences
+ * @param {Object} supabase - Supabase admin client
+ * @param {string} userId - User ID
+ * @param {string|null} [quizId] - Quiz ID
+ * @param {import('./training-preferences.js').TrainingPreferences|null} [preferences] - Quiz preferences (loaded when omitted)
+ * @returns {Promise<TrainingScheduler>} Personalised scheduler, or the default one
+ */
+export async function loadTrainingScheduler(supabase, userId, quizId = null, preferences = null) {
+  const [parameters, quizPreferences] = await Promise.all([
+    loadUserParameters(supabase, userId, quizId),
+    preferences || !quizId ? preferences : loadTrainingPreferences(supabase, userId, quizId)
+  ]);
+
+  const schedulerParameters = {
+    ...(parameters?.weights?.length ? { w: parameters.weights } : {}),
+    ...(quizPreferences ? toSchedulerParameters(quizPreferences) : {})
+  };
+
+  if (Object.keys(schedulerParameters).length === 0) {
+    return trainingScheduler;
+  }
+  return new TrainingScheduler(schedulerParameters);
+}
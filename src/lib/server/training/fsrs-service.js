@@ -6,6 +6,8 @@
  */
 
 import { fsrs, generatorParameters, Rating, State, createEmptyCard } from 'ts-fsrs';
+import { getCardKey, DEFAULT_CARD_TYPE } from '$lib/utils/trainingCardTypes.js';
+import { mulberry32 } from '$lib/components/amqplus/editor/utils/mathUtils.js';
 
 /**
  * FSRS Rating scale:
@@ -25,8 +27,80 @@ export { Rating };
  */
 export { State };
 
+/**
+ * Leech handling policies:
+ * suspend - leeches are left out of sessions
+ * deprioritize - leeches come after every other due song and are never used as revision filler
+ * intensive - leeches are left out of regular sessions and only played in 'intensive' sessions
+ */
+export const LEECH_POLICIES = ['suspend', 'deprioritize', 'intensive'];
+
+/** Lapses after which a song counts as a leech (Anki's default) */
+export const DEFAULT_LEECH_THRESHOLD = 8;
+
+export const DEFAULT_LEECH_POLICY = 'deprioritize';
+
+/** Tag stored on training_progress.tags for detected leeches */
+export const LEECH_TAG = 'leech';
+
+/** Stability (days) given to songs marked as known */
+export const KNOWN_STABILITY_DAYS = 365;
+
+/** First-attempt recall rate assumed for new songs without enough history */
+const DEFAULT_NEW_CARD_RECALL = 0.5;
+
+/** Songs with history needed before the first-attempt recall rate is estimated from it */
+const MIN_RECORDS_FOR_RECALL_ESTIMATE = 20;
+
+/**
+ * One day of a simulated workload
+ * @typedef {Object} WorkloadDay
+ * @property {string} date - Day (YYYY-MM-DD)
+ * @property {number} reviews - Reviews of songs already introduced
+ * @property {number} newCards - New songs introduced
+ * @property {number} forgotten - Reviews that were failed
+ * @property {number} backlog - Reviews left over for the next day
+ */
+
+/**
+ * Totals of a simulated workload
+ * @param {WorkloadDay[]} days - Daily workload
+ * @returns {{ totalReviews: number, totalNewCards: number, averageReviews: number, peakReviews: number, peakDate: string|null, finalBacklog: number }} Totals
+ */
+export function summarizeWorkload(days) {
+  const totalReviews = days.reduce((sum, day) => sum + day.reviews, 0);
+  const peak = days.reduce((max, day) => (max && max.reviews >= day.reviews ? max : day), null);
+
+  return {
+    totalReviews,
+    totalNewCards: days.reduce((sum, day) => sum + day.newCards, 0),
+    averageReviews: days.length > 0 ? Math.round((totalReviews / days.length) * 10) / 10 : 0,
+    peakReviews: peak?.reviews ?? 0,
+    peakDate: peak?.date ?? null,
+    finalBacklog: days.at(-1)?.backlog ?? 0
+  };
+}
+
+/**
+ * Start of the next training day (4:00 AM tomorrow), when buried songs come back
+ * and when same-day reviews are pushed to
+ * @param {Date} now - Current time
+ * @returns {Date} Tomorrow at 4:00 AM
+ */
+export function startOfNextTrainingDay(now = new Date()) {
+  const tomorrow = new Date(now);
+  tomorrow.setDate(tomorrow.getDate() + 1);
+  tomorrow.setHours(4, 0, 0, 0);
+  return tomorrow;
+}
+
 export class TrainingScheduler {
-  constructor(params = {}) {
+  /**
+   * @param {Object} [params] - ts-fsrs generator parameters, plus leech settings
+   * @param {number} [params.leechThreshold] - Lapses after which a song is a leech
+   * @param {string} [params.leechPolicy] - How leeches are handled in sessions (see LEECH_POLICIES)
+   */
+  constructor({ leechThreshold = DEFAULT_LEECH_THRESHOLD, leechPolicy = DEFAULT_LEECH_POLICY, ...params } = {}) {
     // Initialize FSRS with custom parameters
     // enable_fuzz adds randomness to intervals to avoid review clustering
     const fsrsParams = generatorParameters({
@@ -35,6 +109,52 @@ export class TrainingScheduler {
     });
 
     this.scheduler = fsrs(fsrsParams);
+    this.leechThreshold = leechThreshold;
+    this.leechPolicy = LEECH_POLICIES.includes(leechPolicy) ? leechPolicy : DEFAULT_LEECH_POLICY;
+  }
+
+  /**
+   * Check whether a song keeps failing
+   * @param {Object} record - training_progress record
+   * @returns {boolean} True when the song has lapsed at least leechThreshold times
+   */
+  isLeech(record) {
+    return (record?.fsrs_state?.lapses ?? 0) >= this.leechThreshold;
+  }
+
+  /**
+   * Get the leeches among progress records
+   * @param {Array} progressRecords - Array of training_progress records
+   * @returns {Array} Leeches, most lapses first
+   */
+  getLeeches(progressRecords) {
+    return progressRecords
+      .filter(record => this.isLeech(record))
+      .sort((a, b) => (b.fsrs_state?.lapses ?? 0) - (a.fsrs_state?.lapses ?? 0) ||
+        (a.fsrs_state?.stability ?? 0) - (b.fsrs_state?.stability ?? 0));
+  }
+
+  /**
+   * Add or remove the leech tag after a card changes
+   * @param {string[]|null|undefined} tags - Current tags
+   * @param {Object} fsrsState - Updated FSRS state
+   * @returns {string[]} Tags with the leech tag in sync with the lapse count
+   */
+  updateLeechTags(tags, fsrsState) {
+    const otherTags = (tags || []).filter(tag => tag !== LEECH_TAG);
+    return this.isLeech({ fsrs_state: fsrsState }) ? [...otherTags, LEECH_TAG] : otherTags;
+  }
+
+  /**
+   * Key of the card a progress record or quiz card belongs to
+   * Records and songs without a card type are anime cards.
+   * @param {Object} item - training_progress record (song_ann_id, card_type) or quiz card (annSongId, cardType)
+   * @returns {string} Card key
+   */
+  getRecordCardKey(item) {
+    return item.song_ann_id !== undefined
+      ? getCardKey(item.song_ann_id, item.card_type)
+      : getCardKey(item.annSongId, item.cardType);
   }
 
   /**
@@ -52,17 +172,14 @@ export class TrainingScheduler {
   }
 
   /**
-   * Schedule next review based on user's rating
-   * @param {Object} card - Current FSRS card state
-   * @param {number} rating - User rating (1-4)
-   * @param {Date} now - Current time (defaults to now)
-   * @returns {Object} Updated FSRS card state
+   * Convert our card format (stored as JSON, dates as strings) to a ts-fsrs Card
+   * Uses createEmptyCard as base to ensure all required properties are present
+   * @param {Object} card - FSRS card state
+   * @returns {import('ts-fsrs').Card} ts-fsrs card
    */
-  scheduleNext(card, rating, now = new Date()) {
-    // Convert our card format to ts-fsrs Card format
-    // Use createEmptyCard as base to ensure all required properties are present
+  toFsrsCard(card) {
     const baseCard = createEmptyCard();
-    const fsrsCard = {
+    return {
       ...baseCard,
       due: new Date(card.due),
       stability: card.stability ?? baseCard.stability,
@@ -74,12 +191,20 @@ export class TrainingScheduler {
       state: card.state ?? baseCard.state,
       last_review: card.last_review ? new Date(card.last_review) : undefined
     };
+  }
 
-    // Get scheduling info for all possible ratings
-    const schedulingInfo = this.scheduler.repeat(fsrsCard, now);
+  /**
+   * Schedule next review based on user's rating
+   * @param {Object} card - Current FSRS card state
+   * @param {number} rating - User rating (1-4)
+   * @param {Date} now - Current time (defaults to now)
+   * @returns {Object} Updated FSRS card state
+   */
+  scheduleNext(card, rating, now = new Date()) {
+    const fsrsCard = this.toFsrsCard(card);
 
-    // Get the card for the selected rating
-    const selectedRating = schedulingInfo[rating];
+    // Get scheduling info for the selected rating only (workload simulations call this a lot)
+    const selectedRating = this.scheduler.next(fsrsCard, now, /** @type {import('ts-fsrs').Grade} */ (rating));
 
     // Enforce no same-day reviews
     // If the next due date is today or earlier, bump it to tomorrow
@@ -100,13 +225,8 @@ export class TrainingScheduler {
 
     if (isSameDay || isEarlier) {
       // Bump to next day at 4:00 AM to ensure it appears in the next daily cycle
-      const tomorrow = new Date(now);
-      tomorrow.setDate(tomorrow.getDate() + 1);
-      tomorrow.setHours(4, 0, 0, 0);
-
-      // Use the later of the calculated due date or tomorrow 4am
-      // (Though if it was same day/earlier, tomorrow 4am is definitely later)
-      nextDueDate = tomorrow;
+      // (if it was same day/earlier, tomorrow 4am is definitely later)
+      nextDueDate = startOfNextTrainingDay(now);
     }
 
     return {
@@ -116,6 +236,72 @@ export class TrainingScheduler {
     };
   }
 
+  /**
+   * Check whether a song can be picked for a session
+   * @param {Object} record - training_progress record
+   * @param {Date} [now] - Current time
+   * @returns {boolean} False for suspended songs and songs buried until later
+   */
+  isAvailable(record, now = new Date()) {
+    if (record?.suspended_at) return false;
+    return !(record?.buried_until && new Date(record.buried_until) > now);
+  }
+
+  /**
+   * Reset a card to new, as if the song had never been reviewed
+   * @param {Object} card - Current FSRS card state
+   * @returns {Object} New FSRS card state, due now
+   */
+  forgetCard(card) {
+    return this.createNewCard(card?.songKey ?? '');
+  }
+
+  /**
+   * Treat a song as already known: a review card with a long interval
+   * @param {Object} card - Current FSRS card state
+   * @param {Date} [now] - Current time
+   * @returns {Object} Updated FSRS card state
+   */
+  markCardKnown(card, now = new Date()) {
+    const stability = Math.max(card?.stability ?? 0, KNOWN_STABILITY_DAYS);
+    const interval = this.scheduler.next_interval(stability, 0);
+    const difficulty = card?.difficulty > 0
+      ? card.difficulty
+      : Math.min(Math.max(this.scheduler.init_difficulty(Rating.Easy), 1), 10);
+    const due = new Date(now);
+    due.setDate(due.getDate() + interval);
+
+    return {
+      ...createEmptyCard(),
+      ...card,
+      state: State.Review,
+      stability,
+      difficulty,
+      elapsed_days: 0,
+      scheduled_days: interval,
+      reps: (card?.reps ?? 0) + 1,
+      due: due.toISOString(),
+      last_review: now.toISOString()
+    };
+  }
+
+  /**
+   * Move a card's next review to a chosen date
+   * @param {Object} card - Current FSRS card state
+   * @param {Date} dueDate - New due date
+   * @returns {Object} Updated FSRS card state
+   */
+  rescheduleCard(card, dueDate) {
+    const lastReview = card?.last_review ? new Date(card.last_review) : new Date();
+    const scheduledDays = Math.max(0, Math.round((dueDate.getTime() - lastReview.getTime()) / (1000 * 60 * 60 * 24)));
+
+    return {
+      ...card,
+      due: dueDate.toISOString(),
+      scheduled_days: scheduledDays
+    };
+  }
+
   /**
    * Get songs that are due for review
    * @param {Array} progressRecords - Array of training_progress records
@@ -158,17 +344,17 @@ export class TrainingScheduler {
     console.log('[TRAINING SELECTION]   Total quiz songs:', allQuizSongs.length);
     console.log('[TRAINING SELECTION]   Practiced songs:', progressRecords.length);
 
-    // Create set of practiced song_ann_ids for fast lookup
-    const practicedIds = new Set(progressRecords.map(r => r.song_ann_id).filter(Boolean));
+    // Create set of practiced cards (song_ann_id + card type) for fast lookup
+    const practicedKeys = new Set(progressRecords.filter(r => r.song_ann_id).map(r => this.getRecordCardKey(r)));
 
-    // Find songs not yet practiced (using numeric annSongId from quiz songs)
+    // Find cards not yet practiced (using numeric annSongId and card type from quiz songs)
     const newSongs = allQuizSongs
       .filter(song => {
-        return !practicedIds.has(song.annSongId);
+        return !practicedKeys.has(this.getRecordCardKey(song));
       })
       .slice(0, limit);
 
-    console.log('[TRAINING SELECTION]   Found new songs:', allQuizSongs.length - practicedIds.size);
+    console.log('[TRAINING SELECTION]   Found new songs:', allQuizSongs.length - practicedKeys.size);
     console.log('[TRAINING SELECTION]   Returning:', newSongs.length, 'songs');
 
     return newSongs;
@@ -221,10 +407,11 @@ export class TrainingScheduler {
    * Uses configurable split between due and new songs with smart fallback logic
    * 
    * @typedef {Object} PlaylistOptions
-   * @property {'auto'|'manual'} [mode='auto'] - Selection mode: 'auto' uses FSRS with daily caps, 'manual' uses percentage-based distribution
+   * @property {'auto'|'manual'|'intensive'} [mode='auto'] - Selection mode: 'auto' uses FSRS with daily caps, 'manual' uses percentage-based distribution, 'intensive' drills leeches only
    * @property {number} [dueSongPercentage=70] - Percentage of due songs (used in manual mode)
    * @property {number} [maxNewPercentage=30] - Maximum percentage of new songs (used in auto mode)
    * @property {number} [remainingDueCapacity=9999] - Remaining daily capacity for due songs (used in auto mode)
+   * @property {number} [remainingNewCapacity=9999] - Remaining daily capacity for new songs (both modes)
    * 
    * @param {Array} progressRecords - Array of training_progress records
    * @param {Array} allQuizSongs - All songs in the quiz
@@ -238,6 +425,7 @@ export class TrainingScheduler {
       dueSongPercentage: 70,
       maxNewPercentage: 30,
       remainingDueCapacity: 9999,
+      remainingNewCapacity: 9999,
       ...options
     };
 
@@ -253,12 +441,30 @@ export class TrainingScheduler {
     } else {
       console.log('[TRAINING SELECTION]   Manual due target:', config.dueSongPercentage + '%');
     }
+    console.log('[TRAINING SELECTION]   New song capacity:', config.remainingNewCapacity);
 
     // Step 1: Get available songs in each category
+    // Suspended and buried songs are skipped, leeches are set aside according to the leech policy
+    // (both still count as practiced for new songs)
+    const now = new Date();
+    const activeRecords = progressRecords.filter(record => this.isAvailable(record, now));
+    const availableLeeches = this.getLeeches(activeRecords);
+    const leechKeys = new Set(availableLeeches.map(record => this.getRecordCardKey(record)));
+    const regularRecords = activeRecords.filter(record => !leechKeys.has(this.getRecordCardKey(record)));
+    if (activeRecords.length < progressRecords.length) {
+      console.log('[TRAINING SELECTION]   Suspended or buried:', progressRecords.length - activeRecords.length);
+    }
+    console.log('[TRAINING SELECTION]   Leeches:', availableLeeches.length, '(policy:', this.leechPolicy + ', threshold:', this.leechThreshold, 'lapses)');
+
     console.log('[TRAINING SELECTION] Available pool:');
-    const availableDueSongs = this.getDueSongs(progressRecords, 9999); // Get all due songs
+    let availableDueSongs = this.getDueSongs(regularRecords, 9999); // Get all due songs
     const availableNewSongs = this.getNewSongs(progressRecords, allQuizSongs, 9999); // Get all new songs
-    const availableRevisionSongs = this.getSongsNeedingRevision(progressRecords, 9999); // Get all revision candidates
+    const availableRevisionSongs = this.getSongsNeedingRevision(regularRecords, 9999); // Get all revision candidates
+
+    if (this.leechPolicy === 'deprioritize') {
+      // Due leeches only get the slots left after every other due song
+      availableDueSongs = [...availableDueSongs, ...this.getDueSongs(availableLeeches, 9999)];
+    }
 
     console.log('[TRAINING SELECTION]   Total available: due =', availableDueSongs.length,
       ', new =', availableNewSongs.length, ', revision candidates =', availableRevisionSongs.length);
@@ -267,12 +473,29 @@ export class TrainingScheduler {
     let selectedDue = [];
     let selectedNew = [];
     let selectedRevision = [];
+    let selectedLeeches = [];
     let warnings = [];
 
     let targetDueCount = 0;
     let targetNewCount = 0;
 
-    if (config.mode === 'auto') {
+    // New songs past the daily new-song cap are left for another day
+    const allowedNewSongs = availableNewSongs.slice(0, config.remainingNewCapacity);
+    if (allowedNewSongs.length < availableNewSongs.length) {
+      warnings.push(`Daily new song limit reached: ${allowedNewSongs.length} of ${availableNewSongs.length} new songs allowed today`);
+    }
+
+    if (config.mode === 'intensive') {
+      // Intensive mode: only leeches, worst first, regardless of due dates
+      selectedLeeches = availableLeeches.slice(0, maxSessionLength);
+      console.log('[TRAINING SELECTION] Intensive session:', selectedLeeches.length, 'leeches');
+
+      if (availableLeeches.length === 0) {
+        warnings.push('No leeches to practice');
+      } else if (selectedLeeches.length < maxSessionLength) {
+        warnings.push(`Only ${selectedLeeches.length} leeches available (requested: ${maxSessionLength})`);
+      }
+    } else if (config.mode === 'auto') {
       // New auto mode logic
       // 1. Take all due songs up to capacity and session limit
       const dueLimit = Math.min(config.remainingDueCapacity, maxSessionLength);
@@ -294,12 +517,12 @@ export class TrainingScheduler {
       const newLimit = Math.min(maxNewCount, remainingSlots);
       targetNewCount = maxNewCount; // Target is the cap
 
-      if (availableNewSongs.length >= newLimit) {
-        selectedNew = availableNewSongs.slice(0, newLimit);
+      if (allowedNewSongs.length >= newLimit) {
+        selectedNew = allowedNewSongs.slice(0, newLimit);
         console.log('[TRAINING SELECTION] ✓ Got', selectedNew.length, 'new songs');
       } else {
-        selectedNew = availableNewSongs;
-        console.log('[TRAINING SELECTION] ⚠ Only', availableNewSongs.length, 'new songs available (limit:', newLimit + ')');
+        selectedNew = allowedNewSongs;
+        console.log('[TRAINING SELECTION] ⚠ Only', allowedNewSongs.length, 'new songs available (limit:', newLimit + ')');
       }
 
       // 4. Fill remaining with revision songs
@@ -313,9 +536,9 @@ export class TrainingScheduler {
       }
 
       // 5. If still have slots (because no revisions available), fill with MORE new songs (ignoring the cap)
-      if (remainingSlots > 0 && availableNewSongs.length > selectedNew.length) {
+      if (remainingSlots > 0 && allowedNewSongs.length > selectedNew.length) {
         console.log('[TRAINING SELECTION] Still', remainingSlots, 'slots remaining after revisions. Filling with more new songs...');
-        const additionalNew = availableNewSongs.slice(selectedNew.length, selectedNew.length + remainingSlots);
+        const additionalNew = allowedNewSongs.slice(selectedNew.length, selectedNew.length + remainingSlots);
         selectedNew = [...selectedNew, ...additionalNew];
         console.log('[TRAINING SELECTION] Added', additionalNew.length, 'additional new songs');
         
@@ -348,13 +571,13 @@ export class TrainingScheduler {
       const remainingSlots = maxSessionLength - selectedDue.length;
 
       // Try to get new songs for remaining slots
-      if (availableNewSongs.length >= remainingSlots) {
-        selectedNew = availableNewSongs.slice(0, remainingSlots);
+      if (allowedNewSongs.length >= remainingSlots) {
+        selectedNew = allowedNewSongs.slice(0, remainingSlots);
         console.log('[TRAINING SELECTION] ✓ Got', remainingSlots, 'new songs to fill remaining slots');
       } else {
-        selectedNew = availableNewSongs;
-        console.log('[TRAINING SELECTION] ⚠ Only', availableNewSongs.length, 'new songs available (needed:', remainingSlots + ')');
-        warnings.push(`Only ${availableNewSongs.length} new songs available (needed: ${remainingSlots})`);
+        selectedNew = allowedNewSongs;
+        console.log('[TRAINING SELECTION] ⚠ Only', allowedNewSongs.length, 'new songs available (needed:', remainingSlots + ')');
+        warnings.push(`Only ${allowedNewSongs.length} new songs available (needed: ${remainingSlots})`);
 
         // Still have slots? Try to fill with revision songs
         const stillRemaining = remainingSlots - selectedNew.length;
@@ -375,7 +598,8 @@ export class TrainingScheduler {
     console.log('[TRAINING SELECTION]   Due songs:', selectedDue.length);
     console.log('[TRAINING SELECTION]   New songs:', selectedNew.length);
     console.log('[TRAINING SELECTION]   Revision songs:', selectedRevision.length);
-    console.log('[TRAINING SELECTION]   Total:', selectedDue.length + selectedNew.length + selectedRevision.length);
+    console.log('[TRAINING SELECTION]   Leeches:', selectedLeeches.length);
+    console.log('[TRAINING SELECTION]   Total:', selectedDue.length + selectedNew.length + selectedRevision.length + selectedLeeches.length);
 
     // Step 3: Build playlist with detailed song information
     console.log('[TRAINING SELECTION] ----------------------------------------');
@@ -398,7 +622,7 @@ export class TrainingScheduler {
     if (selectedNew.length > 0) {
       console.log('[TRAINING SELECTION] Selected New Songs (' + selectedNew.length + '):');
       selectedNew.forEach((song, idx) => {
-        const songKey = `${song.songArtist}_${song.songName}`;
+        const songKey = getCardKey(`${song.songArtist}_${song.songName}`, song.cardType);
         const anime = song.animeENName || song.animeRomajiName || song.animeEnglishName || 'Unknown';
         const songType = song.songType || 'Unknown';
         console.log(`[TRAINING SELECTION]   ${idx + 1}. ${songKey} | never practiced | ` +
@@ -424,7 +648,7 @@ export class TrainingScheduler {
     // Combine into playlist, filtering out songs not found in quiz
     const dueSongsWithData = selectedDue
       .map(record => {
-        const songData = this.findSongInQuiz(allQuizSongs, record.song_ann_id);
+        const songData = this.findSongInQuiz(allQuizSongs, record.song_ann_id, record.card_type);
         if (!songData) {
           console.warn(`[TRAINING SELECTION] ⚠ Due song not found in quiz: song_ann_id=${record.song_ann_id}`);
           return null;
@@ -451,7 +675,7 @@ export class TrainingScheduler {
 
     const revisionSongsWithData = selectedRevision
       .map(record => {
-        const songData = this.findSongInQuiz(allQuizSongs, record.song_ann_id);
+        const songData = this.findSongInQuiz(allQuizSongs, record.song_ann_id, record.card_type);
         if (!songData) {
           console.warn(`[TRAINING SELECTION] ⚠ Revision song not found in quiz: song_ann_id=${record.song_ann_id}`);
           return null;
@@ -466,19 +690,36 @@ export class TrainingScheduler {
       })
       .filter(item => item !== null);
 
+    const leechSongsWithData = selectedLeeches
+      .map(record => {
+        const songData = this.findSongInQuiz(allQuizSongs, record.song_ann_id, record.card_type);
+        if (!songData) {
+          console.warn(`[TRAINING SELECTION] ⚠ Leech not found in quiz: song_ann_id=${record.song_ann_id}`);
+          return null;
+        }
+        return {
+          ...songData,
+          progress: record,
+          is_new: false,
+          selection_reason: 'leech'
+        };
+      })
+      .filter(item => item !== null);
+
     const playlist = [
       ...dueSongsWithData,
       ...newSongsWithData,
-      ...revisionSongsWithData
+      ...revisionSongsWithData,
+      ...leechSongsWithData
     ];
 
     // Warn if songs were skipped and log details
     const skippedDueSongs = selectedDue.filter(record => {
-      const found = this.findSongInQuiz(allQuizSongs, record.song_ann_id);
+      const found = this.findSongInQuiz(allQuizSongs, record.song_ann_id, record.card_type);
       return !found;
     });
     const skippedRevisionSongs = selectedRevision.filter(record => {
-      const found = this.findSongInQuiz(allQuizSongs, record.song_ann_id);
+      const found = this.findSongInQuiz(allQuizSongs, record.song_ann_id, record.card_type);
       return !found;
     });
     const skippedCount = skippedDueSongs.length + skippedRevisionSongs.length;
@@ -548,6 +789,7 @@ export class TrainingScheduler {
           dueCount: dueSongsWithData.length,
           newCount: newSongsWithData.length,
           revisionCount: revisionSongsWithData.length,
+          leechCount: leechSongsWithData.length,
           duePercentage: actualDuePercentage,
           newPercentage: actualNewPercentage,
           revisionPercentage: actualRevisionPercentage
@@ -556,8 +798,10 @@ export class TrainingScheduler {
           dueCount: availableDueSongs.length,
           newCount: availableNewSongs.length,
           revisionCount: availableRevisionSongs.length,
+          leechCount: availableLeeches.length,
           totalPoolSize: allQuizSongs.length
         },
+        leechPolicy: this.leechPolicy,
         warnings: warnings
       }
     };
@@ -579,15 +823,17 @@ export class TrainingScheduler {
   }
 
   /**
-   * Find a song in the quiz by song_ann_id
-   * @param {Array} allQuizSongs - All songs in quiz
+   * Find a card in the quiz by song_ann_id and card type
+   * @param {Array} allQuizSongs - All songs (cards) in quiz
    * @param {number} songAnnId - AMQ song ID (numeric)
+   * @param {string|null} [cardType] - Card type (anime when not given)
    * @returns {Object|null} Song object or null
    */
-  findSongInQuiz(allQuizSongs, songAnnId) {
-    // Match by numeric AMQ song ID (the annSongId property on quiz songs)
+  findSongInQuiz(allQuizSongs, songAnnId, cardType = DEFAULT_CARD_TYPE) {
+    // Match by numeric AMQ song ID (the annSongId property on quiz songs) and card type
     if (songAnnId) {
-      return allQuizSongs.find(song => song.annSongId === songAnnId) || null;
+      const key = getCardKey(songAnnId, cardType);
+      return allQuizSongs.find(song => this.getRecordCardKey(song) === key) || null;
     }
     return null;
   }
@@ -627,37 +873,189 @@ export class TrainingScheduler {
 
   /**
    * Get review forecast for upcoming days
+   * Besides the songs already due, projects the follow-up reviews of songs that come due within
+   * the window (assuming they are recalled), so a higher target retention shows up as more load.
+   * With a daily review limit, reviews over the limit carry over to the next day as backlog.
+   * Suspended songs are left out.
    * @param {Array} progressRecords - Array of training_progress records
    * @param {number} days - Number of days to forecast (default 7)
-   * @returns {Array} Array of {date, count} for each day
+   * @param {Object} [options] - Forecast options
+   * @param {number|null} [options.dailyReviewLimit] - Maximum reviews per day (null = unlimited)
+   * @returns {Array} Array of {date, count, due, projected, backlog} for each day; count is what gets reviewed
    */
-  getForecast(progressRecords, days = 7) {
+  getForecast(progressRecords, days = 7, { dailyReviewLimit = null } = {}) {
     const now = new Date();
+    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    const dayMs = 1000 * 60 * 60 * 24;
+    const dayIndex = (/** @type {Date} */ date) => Math.max(0, Math.floor(
+      (new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime() - today.getTime()) / dayMs
+    ));
+
+    const due = new Array(days).fill(0);
+    const projected = new Array(days).fill(0);
+
+    for (const record of progressRecords) {
+      if (!record.fsrs_state?.due || record.suspended_at) continue;
+
+      let card = record.fsrs_state;
+      let dueDate = new Date(card.due);
+      // Buried songs come back once the burial ends
+      if (record.buried_until && new Date(record.buried_until) > dueDate) {
+        dueDate = new Date(record.buried_until);
+      }
+      let index = dayIndex(dueDate);
+      if (index >= days) continue;
+      due[index]++;
+
+      // Follow-up reviews inside the window (overdue songs are reviewed today)
+      for (let step = 0; step < days; step++) {
+        card = this.scheduleNext(card, Rating.Good, dueDate < now ? now : dueDate);
+        dueDate = new Date(card.due);
+        index = dayIndex(dueDate);
+        if (index >= days) break;
+        projected[index]++;
+      }
+    }
+
     const forecast = [];
+    let backlog = 0;
 
     for (let i = 0; i < days; i++) {
-      const targetDate = new Date(now);
-      targetDate.setDate(now.getDate() + i);
-      targetDate.setHours(23, 59, 59, 999); // End of day
+      const targetDate = new Date(today);
+      targetDate.setDate(today.getDate() + i);
 
-      const startOfDay = new Date(targetDate);
-      startOfDay.setHours(0, 0, 0, 0);
-
-      const count = progressRecords.filter(record => {
-        const dueDate = record.fsrs_state?.due ? new Date(record.fsrs_state.due) : null;
-        if (!dueDate) return false;
-
-        return dueDate >= startOfDay && dueDate <= targetDate;
-      }).length;
+      const total = due[i] + projected[i] + backlog;
+      const count = dailyReviewLimit === null ? total : Math.min(total, dailyReviewLimit);
+      backlog = total - count;
 
       forecast.push({
-        date: targetDate.toISOString().split('T')[0],
-        count
+        date: `${targetDate.getFullYear()}-${String(targetDate.getMonth() + 1).padStart(2, '0')}-${String(targetDate.getDate()).padStart(2, '0')}`,
+        count,
+        due: due[i],
+        projected: projected[i],
+        backlog
       });
     }
 
     return forecast;
   }
+
+  /**
+   * Share of new songs recalled on their first attempt, from the songs' histories
+   * @param {Array} progressRecords - Array of training_progress records
+   * @returns {number} First-attempt recall rate (0-1); DEFAULT_NEW_CARD_RECALL with too little history
+   */
+  estimateNewCardRecall(progressRecords) {
+    const firstAttempts = progressRecords
+      .map(record => record.history?.[0])
+      .filter(Boolean);
+
+    if (firstAttempts.length < MIN_RECORDS_FOR_RECALL_ESTIMATE) {
+      return DEFAULT_NEW_CARD_RECALL;
+    }
+    return firstAttempts.filter(attempt => attempt.success).length / firstAttempts.length;
+  }
+
+  /**
+   * Simulate the review workload of the coming days
+   * Unlike getForecast, every review is played out: a card is recalled with its predicted
+   * retrievability on the day it is reviewed (rated Good, otherwise Again), and newPerDay new songs
+   * are introduced every day, recalled on their first attempt at the rate the user has shown so far.
+   * Reviews over the daily review limit carry over to the next day as backlog. Suspended songs are
+   * left out, buried songs come back once the burial ends. Random draws are seeded, so the same
+   * inputs give the same projection.
+   * @param {Array} progressRecords - Array of training_progress records
+   * @param {number} days - Number of days to simulate
+   * @param {Object} [options] - Simulation options
+   * @param {number} [options.newPerDay] - New songs introduced per day
+   * @param {number|null} [options.newCardLimit] - New songs left to introduce (null = unlimited)
+   * @param {number|null} [options.dailyReviewLimit] - Maximum reviews per day (null = unlimited)
+   * @param {number} [options.newCardRecall] - First-attempt recall rate of new songs (estimated from history when omitted)
+   * @param {number} [options.seed] - Seed of the random draws
+   * @returns {{ days: WorkloadDay[], summary: ReturnType<typeof summarizeWorkload>, newCardRecall: number }}
+   *   Daily workload, its totals and the first-attempt recall rate used for new songs
+   */
+  simulateWorkload(progressRecords, days, {
+    newPerDay = 0,
+    newCardLimit = null,
+    dailyReviewLimit = null,
+    newCardRecall = this.estimateNewCardRecall(progressRecords),
+    seed = 1
+  } = {}) {
+    const now = new Date();
+    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    const dayMs = 1000 * 60 * 60 * 24;
+    const dayIndex = (/** @type {Date} */ date) => Math.max(0, Math.floor(
+      (new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime() - today.getTime()) / dayMs
+    ));
+    const random = mulberry32(seed);
+
+    /** @type {Object[][]} Cards due per day */
+    const buckets = Array.from({ length: days }, () => []);
+    const schedule = (/** @type {Object} */ card) => {
+      const index = dayIndex(new Date(card.due));
+      if (index < days) buckets[index].push(card);
+    };
+
+    for (const record of progressRecords) {
+      if (!record.fsrs_state?.due || record.suspended_at) continue;
+
+      let card = record.fsrs_state;
+      // Buried songs come back once the burial ends
+      if (record.buried_until && new Date(record.buried_until) > new Date(card.due)) {
+        card = { ...card, due: record.buried_until };
+      }
+      schedule(card);
+    }
+
+    /** @type {WorkloadDay[]} */
+    const result = [];
+    let newCardsLeft = newCardLimit ?? Infinity;
+    /** @type {Object[]} */
+    let backlog = [];
+
+    for (let i = 0; i < days; i++) {
+      const date = new Date(today);
+      date.setDate(today.getDate() + i);
+      // Today's reviews happen now, later days' around noon
+      const reviewAt = i === 0 ? now : new Date(date.getFullYear(), date.getMonth(), date.getDate(), 12);
+
+      // Overdue backlog first, then the songs due today
+      const queue = [...backlog, ...buckets[i]];
+      const reviewCount = dailyReviewLimit === null ? queue.length : Math.min(queue.length, dailyReviewLimit);
+      backlog = queue.slice(reviewCount);
+
+      let forgotten = 0;
+      for (const card of queue.slice(0, reviewCount)) {
+        const recall = this.scheduler.get_retrievability(this.toFsrsCard(card), reviewAt, false);
+        const recalled = random() < recall;
+        if (!recalled) forgotten++;
+        schedule(this.scheduleNext(card, recalled ? Rating.Good : Rating.Again, reviewAt));
+      }
+
+      const newCards = Math.min(newPerDay, newCardsLeft);
+      newCardsLeft -= newCards;
+      for (let n = 0; n < newCards; n++) {
+        const recalled = random() < newCardRecall;
+        const card = { ...createEmptyCard(reviewAt), due: reviewAt };
+        schedule(this.scheduleNext(card, recalled ? Rating.Good : Rating.Again, reviewAt));
+      }
+
+      result.push({
+        date: `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`,
+        reviews: reviewCount,
+        newCards,
+        forgotten,
+        backlog: backlog.length
+      });
+    }
+
+    return {
+      days: result,
+      summary: summarizeWorkload(result),
+      newCardRecall: Math.round(newCardRecall * 100) / 100
+    };
+  }
 }
 
 /**
@@ -0,0 +1,52 @@
+/**
+ * Paged Queries - Read every matching row despite PostgREST's limits
+ *
+ * PostgREST returns at most PAGE_SIZE rows per request (the max-rows setting) and `in` filters go
+ * into the request URL, so large reads are split into chunks of values and each chunk is read page
+ * by page with range().
+ */
+
+/** IDs per `in` filter, to keep request URLs short */
+export const QUERY_CHUNK_SIZE = 200;
+
+/** Rows per request, the PostgREST max-rows setting */
+export const PAGE_SIZE = 1000;
+
+/**
+ * Run a query page by page and concatenate the rows
+ * Pages are ordered by id after any order the query sets, so no row is skipped or read twice.
+ * @param {() => any} query - Builds the query (a fresh builder per page)
+ * @returns {Promise<Array>} All rows
+ * @throws {Error} If a page fails
+ */
+export async function queryAllPages(query) {
+  const rows = [];
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await query()
+      .order('id', { ascending: true })
+      .range(from, from + PAGE_SIZE - 1);
+    if (error) {
+      throw new Error(error.message);
+    }
+    rows.push(...(data || []));
+    if (!data || data.length < PAGE_SIZE) {
+      return rows;
+    }
+  }
+}
+
+/**
+ * Run a query per chunk of values, page by page, and concatenate the rows
+ * @param {unknown[]} values - Values to filter on
+ * @param {(chunk: unknown[]) => any} query - Builds the query for one chunk
+ * @returns {Promise<Array>} Rows of all chunks
+ * @throws {Error} If a query fails
+ */
+export async function queryInChunks(values, query) {
+  const rows = [];
+  for (let i = 0; i < values.length; i += QUERY_CHUNK_SIZE) {
+    const chunk = values.slice(i, i + QUERY_CHUNK_SIZE);
+    rows.push(...await queryAllPages(() => query(chunk)));
+  }
+  return rows;
+}
@@ -0,0 +1,260 @@
+/**
+ * Progress Scope - Per-quiz or global (cross-quiz) training progress
+ *
+ * In 'quiz' mode every quiz keeps its own FSRS card per song (training_progress.quiz_id set).
+ * In 'global' mode a user has one card per song (quiz_id NULL, keyed by song_ann_id) that reviews
+ * from any quiz update, so overlapping quizzes don't schedule the same song twice. Plays always
+ * keep the quiz they happened in.
+ */
+
+import { mergeSongProgress } from './training-utils.js';
+import { getCardKey, DEFAULT_CARD_TYPE } from '$lib/utils/trainingCardTypes.js';
+
+/** @typedef {'quiz'|'global'} ProgressMode */
+
+/** @type {ProgressMode[]} */
+export const PROGRESS_MODES = ['quiz', 'global'];
+
+/**
+ * Where a user's progress for a quiz lives
+ * @typedef {Object} ProgressScope
+ * @property {ProgressMode} mode - Progress mode
+ * @property {string|null} quizId - quiz_id of the progress rows (null for global cards)
+ * @property {string} sourceQuizId - The quiz being trained
+ */
+
+/**
+ * Load a user's training settings
+ * @param {Object} supabase - Supabase admin client
+ * @param {string} userId - User ID
+ * @returns {Promise<{ progressMode: ProgressMode, globalMigratedAt: string|null }>} Settings with defaults
+ */
+export async function loadTrainingSettings(supabase, userId) {
+  const { data, error } = await supabase
+    .from('training_user_settings')
+    .select('progress_mode, global_migrated_at')
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) {
+    console.warn('[PROGRESS SCOPE] Failed to load training settings, using per-quiz progress:', error.message);
+  }
+
+  return {
+    progressMode: data?.progress_mode === 'global' ? 'global' : 'quiz',
+    globalMigratedAt: data?.global_migrated_at ?? null
+  };
+}
+
+/**
+ * Resolve where a user's progress for a quiz is stored
+ * @param {Object} supabase - Supabase admin client
+ * @param {string} userId - User ID
+ * @param {string} quizId - Quiz being trained
+ * @returns {Promise<ProgressScope>} Progress scope
+ */
+export async function resolveProgressScope(supabase, userId, quizId) {
+  const { progressMode } = await loadTrainingSettings(supabase, userId);
+  return {
+    mode: progressMode,
+    quizId: progressMode === 'global' ? null : quizId,
+    sourceQuizId: quizId
+  };
+}
+
+/**
+ * Restrict a training_progress query to a scope
+ * @param {any} query - Supabase query builder on training_progress
+ * @param {ProgressScope} scope - Progress scope
+ * @returns {any} Filtered query
+ */
+export function applyProgressScope(query, scope) {
+  return scope.quizId ? query.eq('quiz_id', scope.quizId) : query.is('quiz_id', null);
+}
+
+/**
+ * Load the progress records shown for a quiz
+ * In global mode these are the shared cards of songs that were played in this quiz.
+ * @param {Object} supabase - Supabase admin client
+ * @param {string} userId - User ID
+ * @param {ProgressScope} scope - Progress scope
+ * @param {string} [columns] - Columns to select
+ * @returns {Promise<{ data: Array|null, error: any }>} Progress records
+ */
+export async function loadQuizProgress(supabase, userId, scope, columns = '*') {
+  if (scope.mode === 'quiz') {
+    return await supabase
+      .from('training_progress')
+      .select(columns)
+      .eq('user_id', userId)
+      .eq('quiz_id', scope.quizId);
+  }
+
+  const { data: plays, error: playsError } = await supabase
+    .from('training_session_plays')
+    .select('song_ann_id')
+    .eq('user_id', userId)
+    .eq('quiz_id', scope.sourceQuizId)
+    .eq('play_type', 'review');
+
+  if (playsError) {
+    return { data: null, error: playsError };
+  }
+
+  const songIds = [...new Set((plays || []).map(play => play.song_ann_id).filter(Boolean))];
+  if (songIds.length === 0) {
+    return { data: [], error: null };
+  }
+
+  return await supabase
+    .from('training_progress')
+    .select(columns)
+    .eq('user_id', userId)
+    .is('quiz_id', null)
+    .in('song_ann_id', songIds);
+}
+
+/**
+ * Songs a user has played per quiz, for splitting global cards by quiz
+ * @param {Object} supabase - Supabase admin client
+ * @param {string} userId - User ID
+ * @returns {Promise<Map<string, Set<number>>>} Played song_ann_ids by quiz ID
+ */
+export async function loadPlayedSongsByQuiz(supabase, userId) {
+  const { data: plays, error } = await supabase
+    .from('training_session_plays')
+    .select('quiz_id, song_ann_id')
+    .eq('user_id', userId)
+    .eq('play_type', 'review');
+
+  if (error) {
+    console.warn('[PROGRESS SCOPE] Failed to load played songs:', error.message);
+  }
+
+  /** @type {Map<string, Set<number>>} */
+  const songsByQuiz = new Map();
+  for (const play of plays || []) {
+    if (!play.quiz_id || !play.song_ann_id) continue;
+    if (!songsByQuiz.has(play.quiz_id)) songsByQuiz.set(play.quiz_id, new Set());
+    songsByQuiz.get(play.quiz_id).add(play.song_ann_id);
+  }
+  return songsByQuiz;
+}
+
+/**
+ * Fold a user's per-quiz cards into global cards, one per song and card type
+ * Cards of the same song and card type are combined with mergeSongProgress (earliest due date, averaged
+ * stability/difficulty, combined history). Per-quiz cards are kept so switching back is lossless.
+ * @param {Object} supabase - Supabase admin client
+ * @param {string} userId - User ID
+ * @returns {Promise<{ songs: number, merged: number }>} Global cards written and how many combined several quizzes
+ * @throws {Error} If reading or writing progress fails
+ */
+export async function migrateToGlobalProgress(supabase, userId) {
+  const { data: records, error } = await supabase
+    .from('training_progress')
+    .select('*')
+    .eq('user_id', userId)
+    .not('quiz_id', 'is', null)
+    .not('song_ann_id', 'is', null);
+
+  if (error) {
+    throw new Error(`Failed to fetch training progress: ${error.message}`);
+  }
+
+  const { data: existingGlobal, error: globalError } = await supabase
+    .from('training_progress')
+    .select('*')
+    .eq('user_id', userId)
+    .is('quiz_id', null);
+
+  if (globalError) {
+    throw new Error(`Failed to fetch global progress: ${globalError.message}`);
+  }
+
+  const existingByCard = new Map((existingGlobal || []).map(record => [getCardKey(record.song_ann_id, record.card_type), record]));
+
+  /** @type {Map<string, { record: Object, sources: number }>} */
+  const byCard = new Map();
+  for (const record of records || []) {
+    const cardKey = getCardKey(record.song_ann_id, record.card_type);
+    const entry = byCard.get(cardKey);
+    if (entry) {
+      entry.record = mergeSongProgress(entry.record, record);
+      entry.sources++;
+    } else {
+      byCard.set(cardKey, { record, sources: 1 });
+    }
+  }
+
+  let merged = 0;
+  for (const [cardKey, { record, sources }] of byCard) {
+    if (sources > 1) merged++;
+
+    const globalRecord = {
+      fsrs_state: record.fsrs_state,
+      attempt_count: record.attempt_count,
+      success_count: record.success_count,
+      failure_count: record.failure_count,
+      success_streak: record.success_streak,
+      failure_streak: record.failure_streak,
+      history: record.history,
+      last_attempt_at: record.last_attempt_at
+    };
+
+    const existing = existingByCard.get(cardKey);
+    const { error: writeError } = existing
+      ? await supabase.from('training_progress').update(globalRecord).eq('id', existing.id)
+      : await supabase.from('training_progress').insert({
+        ...globalRecord,
+        user_id: userId,
+        quiz_id: null,
+        song_ann_id: record.song_ann_id,
+        card_type: record.card_type || DEFAULT_CARD_TYPE
+      });
+
+    if (writeError) {
+      throw new Error(`Failed to write global progress for card ${cardKey}: ${writeError.message}`);
+    }
+  }
+
+  console.log(`[PROGRESS SCOPE] Migrated ${byCard.size} cards to global progress for user ${userId} (${merged} shared between quizzes)`);
+
+  return { songs: byCard.size, merged };
+}
+
+/**
+ * Switch a user's progress mode
+ * The first switch to global mode builds the global cards from the per-quiz ones; later switches
+ * reuse the global cards as they were left.
+ * @param {Object} supabase - Supabase admin client
+ * @param {string} userId - User ID
+ * @param {ProgressMode} mode - New progress mode
+ * @returns {Promise<{ progressMode: ProgressMode, migration: { songs: number, merged: number }|null }>} New mode and migration result
+ * @throws {Error} If the migration or saving fails
+ */
+export async function setProgressMode(supabase, userId, mode) {
+  const settings = await loadTrainingSettings(supabase, userId);
+  let migration = null;
+  let globalMigratedAt = settings.globalMigratedAt;
+
+  if (mode === 'global' && !globalMigratedAt) {
+    migration = await migrateToGlobalProgress(supabase, userId);
+    globalMigratedAt = new Date().toISOString();
+  }
+
+  const { error } = await supabase
+    .from('training_user_settings')
+    .upsert({
+      user_id: userId,
+      progress_mode: mode,
+      global_migrated_at: globalMigratedAt,
+      updated_at: new Date().toISOString()
+    }, { onConflict: 'user_id' });
+
+  if (error) {
+    throw new Error(`Failed to save progress mode: ${error.message}`);
+  }
+
+  return { progressMode: mode, migration };
+}
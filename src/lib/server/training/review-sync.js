@@ -0,0 +1,371 @@
+/**
+ * Review Sync - Offline-first, append-only review log sync
+ *
+ * Clients keep a log of reviews, each with a client-generated ID and the time it happened, and
+ * send whatever hasn't been synced yet. The server stores every review once as a play (the ID is
+ * unique per user, so retries and queues flushed from several devices don't double count), then
+ * rebuilds each affected card by replaying all of its plays in time order with
+ * recalculateSongProgress. The canonical state of those cards goes back to the client, together
+ * with the conflicts found on the way:
+ * - id_mismatch: the review ID is already stored for a different card, rating or time; the stored
+ *   review wins and this one is ignored
+ * - out_of_order: the review is older than the card's latest stored review (another device
+ *   synced first); it is replayed in time order, so the client's local state is outdated
+ * - clock_skew: the review time is in the future; it is stored at the server's receive time
+ */
+
+import { Rating } from './fsrs-service.js';
+import { recalculateSongProgress } from './training-utils.js';
+import { resolveProgressScope, applyProgressScope } from './progress-scope.js';
+import { queryInChunks } from './paged-queries.js';
+import { DEFAULT_CARD_TYPE, isCardType, parseCardKey } from '$lib/utils/trainingCardTypes.js';
+
+/** Reviews accepted per sync request */
+export const MAX_SYNC_REVIEWS = 1000;
+
+/** Longest accepted review ID */
+const MAX_REVIEW_ID_LENGTH = 100;
+
+/** How far ahead of the server clock a review time may be before it counts as clock skew */
+const CLOCK_SKEW_TOLERANCE_MS = 5 * 60 * 1000;
+
+/** Plays inserted per request */
+const INSERT_CHUNK_SIZE = 500;
+
+/**
+ * A review from a client's log
+ * @typedef {Object} SyncReview
+ * @property {string} reviewId - Client-generated review ID
+ * @property {number} songAnnId - AMQ song ID
+ * @property {import('$lib/utils/trainingCardTypes.js').CardType} cardType - Card type
+ * @property {number} rating - FSRS rating (1-4)
+ * @property {boolean} success - Whether the answer was correct
+ * @property {Date} reviewedAt - When the review happened (client clock)
+ * @property {number|null} timeSpentMs - Answer time
+ * @property {string|null} userAnswer - Typed answer
+ * @property {string|null} correctAnswer - Expected answer
+ */
+
+/**
+ * A review the server resolved differently from the client
+ * @typedef {Object} SyncConflict
+ * @property {string} reviewId - Client review ID
+ * @property {number} songAnnId - AMQ song ID
+ * @property {string} cardType - Card type
+ * @property {'id_mismatch'|'out_of_order'|'clock_skew'} type - What went wrong
+ * @property {string} resolution - What the server did about it
+ */
+
+/**
+ * Work out which card a reviewed song is
+ * The song is given by annSongId (or songAnnId) or by a card key in songKey ("12345::artist"),
+ * the card type by cardType or the card key suffix. Shared by the sync and the per-song progress
+ * report, so both read song keys the same way.
+ * @param {{ annSongId?: unknown, songAnnId?: unknown, songKey?: unknown, cardType?: unknown }} review - Review fields
+ * @returns {{ songAnnId: number, cardType: import('$lib/utils/trainingCardTypes.js').CardType, error: null }|{ songAnnId: null, cardType: null, error: string }}
+ *   The card, or why it could not be identified
+ */
+export function parseReviewCard(review) {
+  const cardKey = parseCardKey(review.songKey ?? '');
+  const songAnnId = Number(review.annSongId ?? review.songAnnId ?? cardKey.songKey);
+  const cardType = review.cardType ?? cardKey.cardType;
+
+  if (!Number.isInteger(songAnnId) || songAnnId <= 0) {
+    const error = review.songKey != null && review.annSongId == null && review.songAnnId == null
+      ? 'songKey must be a card key (AMQ song ID, e.g. "12345::artist"), {artist}_{title} keys are not supported'
+      : 'annSongId must be an AMQ song ID';
+    return { songAnnId: null, cardType: null, error };
+  }
+  if (!isCardType(cardType)) {
+    return { songAnnId: null, cardType: null, error: 'Unknown card type' };
+  }
+  return { songAnnId, cardType, error: null };
+}
+
+/**
+ * Validate and normalise reviews from a sync request
+ * Reviews are identified by reviewId; reviews without one get an ID derived from their content, so
+ * resending them is still harmless. Cards are given by annSongId or by a card key in songKey; the
+ * old {artist}_{title} song keys name no AMQ song and are rejected.
+ * @param {unknown} input - Reviews from the request body
+ * @returns {{ reviews: SyncReview[], rejected: Array<{ index: number, reviewId: string|null, error: string }>, error: string|null }}
+ *   Valid reviews, invalid ones with the reason, or an error for the whole request
+ */
+export function parseSyncReviews(input) {
+  if (!Array.isArray(input)) {
+    return { reviews: [], rejected: [], error: 'reviews must be an array' };
+  }
+  if (input.length > MAX_SYNC_REVIEWS) {
+    return { reviews: [], rejected: [], error: `At most ${MAX_SYNC_REVIEWS} reviews can be synced at once` };
+  }
+
+  /** @type {SyncReview[]} */
+  const reviews = [];
+  const rejected = [];
+
+  input.forEach((item, index) => {
+    const review = item && typeof item === 'object' ? item : {};
+    const card = parseReviewCard(review);
+    const { songAnnId, cardType } = card;
+    const rating = Number(review.rating);
+    const reviewedAt = review.reviewedAt ? new Date(review.reviewedAt) : null;
+    const reviewId = review.reviewId != null
+      ? String(review.reviewId)
+      : review.reviewedAt
+        ? `derived:${songAnnId}:${cardType}:${review.reviewedAt}:${rating}`
+        : null;
+
+    const reject = (/** @type {string} */ error) => rejected.push({ index, reviewId, error });
+
+    if (!reviewId || reviewId.length > MAX_REVIEW_ID_LENGTH) {
+      return reject(`reviewId is required (at most ${MAX_REVIEW_ID_LENGTH} characters)`);
+    }
+    if (card.error) {
+      return reject(card.error);
+    }
+    if (!Number.isInteger(rating) || rating < Rating.Again || rating > Rating.Easy) {
+      return reject('Rating must be between 1 (Again) and 4 (Easy)');
+    }
+    if (!reviewedAt || Number.isNaN(reviewedAt.getTime())) {
+      return reject('reviewedAt must be a valid time');
+    }
+
+    const timeSpent = Number(review.timeSpent ?? review.timeSpentMs);
+    reviews.push({
+      reviewId,
+      songAnnId,
+      cardType,
+      rating,
+      success: typeof review.success === 'boolean' ? review.success : rating >= Rating.Good,
+      reviewedAt,
+      timeSpentMs: Number.isFinite(timeSpent) && timeSpent >= 0 ? Math.round(timeSpent) : null,
+      userAnswer: typeof review.userAnswer === 'string' ? review.userAnswer : null,
+      correctAnswer: typeof review.correctAnswer === 'string' ? review.correctAnswer : null
+    });
+  });
+
+  return { reviews, rejected, error: null };
+}
+
+/**
+ * Key of a review's card
+ * @param {{ songAnnId: number, cardType: string }} review - Review or card
+ * @returns {string} "songAnnId:cardType"
+ */
+function cardOf(review) {
+  return `${review.songAnnId}:${review.cardType}`;
+}
+
+/**
+ * Check whether a stored play is the same review as a synced one
+ * @param {Object} play - training_session_plays row
+ * @param {SyncReview} review - Synced review
+ * @returns {boolean} True when card, rating and time match
+ */
+function isSameReview(play, review) {
+  return play.song_ann_id === review.songAnnId &&
+    (play.card_type || DEFAULT_CARD_TYPE) === review.cardType &&
+    play.rating === review.rating &&
+    Math.abs(new Date(play.played_at).getTime() - review.reviewedAt.getTime()) < 1000;
+}
+
+/**
+ * Store a client's reviews and rebuild the affected cards
+ * @param {Object} supabase - Supabase admin client
+ * @param {string} userId - User ID
+ * @param {string} quizId - Quiz the reviews were played in
+ * @param {SyncReview[]} reviews - Reviews (see parseSyncReviews)
+ * @param {Object} [options] - Sync options
+ * @param {string|null} [options.clientId] - Device or install sending the reviews
+ * @returns {Promise<{ accepted: number, duplicates: number, conflicts: SyncConflict[], failedCards: Array<{ songAnnId: number, cardType: string }>, progress: Array, sessionId: string|null, syncedAt: string }>}
+ *   Sync summary with the canonical progress of every card in the request
+ * @throws {Error} If reading or storing reviews fails
+ */
+export async function syncReviews(supabase, userId, quizId, reviews, { clientId = null } = {}) {
+  const syncedAt = new Date();
+  /** @type {SyncConflict[]} */
+  const conflicts = [];
+  const conflict = (/** @type {SyncReview} */ review, /** @type {SyncConflict['type']} */ type, /** @type {string} */ resolution) =>
+    conflicts.push({ reviewId: review.reviewId, songAnnId: review.songAnnId, cardType: review.cardType, type, resolution });
+
+  // 1. Dedupe within the request, then against reviews stored by earlier syncs
+  /** @type {Map<string, SyncReview>} */
+  const byId = new Map();
+  let duplicates = 0;
+  for (const review of reviews) {
+    const first = byId.get(review.reviewId);
+    if (!first) {
+      byId.set(review.reviewId, review);
+    } else {
+      duplicates++;
+      if (cardOf(first) !== cardOf(review) || first.rating !== review.rating) {
+        conflict(review, 'id_mismatch', 'ignored, the first review with this ID was kept');
+      }
+    }
+  }
+
+  const storedPlays = await queryInChunks([...byId.keys()], chunk => supabase
+    .from('training_session_plays')
+    .select('client_review_id, song_ann_id, card_type, rating, played_at')
+    .eq('user_id', userId)
+    .in('client_review_id', chunk));
+
+  for (const play of storedPlays) {
+    const review = byId.get(play.client_review_id);
+    if (!review) continue;
+    byId.delete(play.client_review_id);
+    duplicates++;
+    if (!isSameReview(play, review)) {
+      conflict(review, 'id_mismatch', 'ignored, the stored review with this ID was kept');
+    }
+  }
+
+  const newReviews = [...byId.values()].sort((a, b) => a.reviewedAt.getTime() - b.reviewedAt.getTime());
+  const cards = new Map(reviews.map(review => [cardOf(review), { songAnnId: review.songAnnId, cardType: review.cardType }]));
+  const songIds = [...new Set(reviews.map(review => review.songAnnId))];
+  const scope = await resolveProgressScope(supabase, userId, quizId);
+
+  /** @returns {Promise<Array>} Progress of the request's cards */
+  const loadCanonicalProgress = async () => (await queryInChunks(songIds, chunk => applyProgressScope(
+    supabase
+      .from('training_progress')
+      .select('*')
+      .eq('user_id', userId),
+    scope
+  ).in('song_ann_id', chunk))).filter(record => cards.has(cardOf({ songAnnId: record.song_ann_id, cardType: record.card_type || DEFAULT_CARD_TYPE })));
+
+  if (newReviews.length === 0) {
+    return { accepted: 0, duplicates, conflicts, failedCards: [], progress: await loadCanonicalProgress(), sessionId: null, syncedAt: syncedAt.toISOString() };
+  }
+
+  // 2. Reviews older than what another device already synced are replayed in order
+  const latestByCard = new Map();
+  for (const record of await loadCanonicalProgress()) {
+    if (record.last_attempt_at) {
+      latestByCard.set(cardOf({ songAnnId: record.song_ann_id, cardType: record.card_type || DEFAULT_CARD_TYPE }), new Date(record.last_attempt_at).getTime());
+    }
+  }
+
+  for (const review of newReviews) {
+    if (review.reviewedAt.getTime() > syncedAt.getTime() + CLOCK_SKEW_TOLERANCE_MS) {
+      conflict(review, 'clock_skew', 'stored at the server time');
+      review.reviewedAt = syncedAt;
+    } else if (review.reviewedAt.getTime() < (latestByCard.get(cardOf(review)) ?? -Infinity)) {
+      conflict(review, 'out_of_order', 'replayed in time order with the stored reviews');
+    }
+  }
+
+  // 3. Append the reviews as plays of a finished sync session
+  const correctCount = newReviews.filter(review => review.success).length;
+  const { data: session, error: sessionError } = await supabase
+    .from('training_sessions')
+    .insert({
+      user_id: userId,
+      quiz_id: quizId,
+      started_at: newReviews[0].reviewedAt.toISOString(),
+      ended_at: newReviews[newReviews.length - 1].reviewedAt.toISOString(),
+      total_songs: newReviews.length,
+      correct_songs: correctCount,
+      incorrect_songs: newReviews.length - correctCount,
+      session_data: {
+        source: 'offline-sync',
+        clientId,
+        syncedAt: syncedAt.toISOString(),
+        reviewCount: newReviews.length
+      }
+    })
+    .select('id')
+    .single();
+
+  if (sessionError || !session) {
+    throw new Error(`Failed to create sync session: ${sessionError?.message}`);
+  }
+
+  const toPlay = (/** @type {SyncReview} */ review) => ({
+    user_id: userId,
+    session_id: session.id,
+    quiz_id: quizId,
+    song_ann_id: review.songAnnId,
+    card_type: review.cardType,
+    played_at: review.reviewedAt.toISOString(),
+    rating: review.rating,
+    success: review.success,
+    user_answer: review.userAnswer,
+    correct_answer: review.correctAnswer,
+    time_spent_ms: review.timeSpentMs,
+    answer_data: { source: 'offline-sync' },
+    client_review_id: review.reviewId,
+    client_id: clientId
+  });
+
+  let accepted = 0;
+  /** @type {SyncReview[]} */
+  const storedReviews = [];
+  for (let i = 0; i < newReviews.length; i += INSERT_CHUNK_SIZE) {
+    const chunk = newReviews.slice(i, i + INSERT_CHUNK_SIZE);
+    const { error: insertError } = await supabase.from('training_session_plays').insert(chunk.map(toPlay));
+
+    if (!insertError) {
+      accepted += chunk.length;
+      storedReviews.push(...chunk);
+      continue;
+    }
+
+    // A concurrent sync stored some of these reviews first: insert one by one, skipping those
+    if (insertError.code !== '23505') {
+      await supabase.from('training_sessions').delete().eq('id', session.id);
+      throw new Error(`Failed to store reviews: ${insertError.message}`);
+    }
+    for (const review of chunk) {
+      const { error: rowError } = await supabase.from('training_session_plays').insert(toPlay(review));
+      if (!rowError) {
+        accepted++;
+        storedReviews.push(review);
+      } else if (rowError.code === '23505') {
+        duplicates++;
+      } else {
+        throw new Error(`Failed to store review ${review.reviewId}: ${rowError.message}`);
+      }
+    }
+  }
+
+  if (storedReviews.length === 0) {
+    await supabase.from('training_sessions').delete().eq('id', session.id);
+    return { accepted: 0, duplicates, conflicts, failedCards: [], progress: await loadCanonicalProgress(), sessionId: null, syncedAt: syncedAt.toISOString() };
+  }
+  if (storedReviews.length < newReviews.length) {
+    const storedCorrect = storedReviews.filter(review => review.success).length;
+    await supabase
+      .from('training_sessions')
+      .update({
+        total_songs: storedReviews.length,
+        correct_songs: storedCorrect,
+        incorrect_songs: storedReviews.length - storedCorrect
+      })
+      .eq('id', session.id);
+  }
+
+  // 4. Rebuild every card that got new reviews from its full play history
+  const failedCards = [];
+  const affectedCards = new Map(storedReviews.map(review => [cardOf(review), review]));
+  for (const { songAnnId, cardType } of affectedCards.values()) {
+    try {
+      await recalculateSongProgress(supabase, userId, quizId, songAnnId, cardType);
+    } catch (err) {
+      console.error('[REVIEW SYNC] Failed to recalculate card', songAnnId, cardType, err);
+      failedCards.push({ songAnnId, cardType });
+    }
+  }
+
+  console.log(`[REVIEW SYNC] Stored ${accepted} reviews of ${affectedCards.size} cards for user ${userId} (${duplicates} duplicates, ${conflicts.length} conflicts)`);
+
+  return {
+    accepted,
+    duplicates,
+    conflicts,
+    failedCards,
+    progress: await loadCanonicalProgress(),
+    sessionId: session.id,
+    syncedAt: syncedAt.toISOString()
+  };
+}
@@ -0,0 +1,261 @@
+/**
+ * Training Preferences - Per-quiz scheduling preferences
+ *
+ * Target retention and maximum interval feed the FSRS scheduler; the daily caps limit how many
+ * new and due songs training sessions pick per day; the leech settings decide when a song that
+ * keeps failing counts as a leech and what sessions do with it. Card types pick which cards
+ * (anime name, song title, artist, OP/ED number) sessions train for each song.
+ */
+
+import { LEECH_POLICIES, DEFAULT_LEECH_THRESHOLD, DEFAULT_LEECH_POLICY } from './fsrs-service.js';
+import { CARD_TYPES, DEFAULT_CARD_TYPE, isCardType } from '$lib/utils/trainingCardTypes.js';
+
+/**
+ * @typedef {Object} TrainingPreferences
+ * @property {number} desiredRetention - Target recall probability when a song comes due (0.7-0.99)
+ * @property {number} maximumInterval - Longest interval between reviews, in days
+ * @property {number|null} dailyNewLimit - Maximum new songs introduced per day (null = no cap)
+ * @property {number|null} dailyReviewLimit - Maximum due songs reviewed per day (null = use the last session length)
+ * @property {number} leechThreshold - Lapses after which a song is a leech
+ * @property {string} leechPolicy - Leech handling: 'suspend', 'deprioritize' or 'intensive'
+ * @property {import('$lib/utils/trainingCardTypes.js').CardType[]} cardTypes - Card types trained for each song
+ * @property {boolean} [leechDrillRequested] - Whether the next session drills leeches (set with requestLeechDrill, not a saved preference)
+ */
+
+/** @type {TrainingPreferences} */
+export const DEFAULT_TRAINING_PREFERENCES = {
+  desiredRetention: 0.9,
+  maximumInterval: 36500,
+  dailyNewLimit: null,
+  dailyReviewLimit: null,
+  leechThreshold: DEFAULT_LEECH_THRESHOLD,
+  leechPolicy: DEFAULT_LEECH_POLICY,
+  cardTypes: [DEFAULT_CARD_TYPE]
+};
+
+export const RETENTION_RANGE = { min: 0.7, max: 0.99 };
+export const MAXIMUM_INTERVAL_RANGE = { min: 1, max: 36500 };
+export const LEECH_THRESHOLD_RANGE = { min: 2, max: 50 };
+
+/**
+ * Convert a training_quiz_preferences row to preferences
+ * @param {Object|null} row - Database row
+ * @returns {TrainingPreferences} Preferences with defaults for missing values
+ */
+function fromRow(row) {
+  if (!row) {
+    return { ...DEFAULT_TRAINING_PREFERENCES, cardTypes: [...DEFAULT_TRAINING_PREFERENCES.cardTypes] };
+  }
+  return {
+    desiredRetention: row.desired_retention ?? DEFAULT_TRAINING_PREFERENCES.desiredRetention,
+    maximumInterval: row.maximum_interval ?? DEFAULT_TRAINING_PREFERENCES.maximumInterval,
+    dailyNewLimit: row.daily_new_limit ?? null,
+    dailyReviewLimit: row.daily_review_limit ?? null,
+    leechThreshold: row.leech_threshold ?? DEFAULT_TRAINING_PREFERENCES.leechThreshold,
+    leechPolicy: row.leech_policy ?? DEFAULT_TRAINING_PREFERENCES.leechPolicy,
+    cardTypes: row.card_types?.length ? row.card_types.filter(isCardType) : [DEFAULT_CARD_TYPE],
+    leechDrillRequested: !!row.leech_drill_requested_at
+  };
+}
+
+/**
+ * Validate and normalise preferences from a request body
+ * @param {Object} input - Partial preferences
+ * @returns {{ preferences: TrainingPreferences|null, error: string|null }} Normalised preferences or a validation error
+ */
+export function validateTrainingPreferences(input) {
+  const preferences = { ...DEFAULT_TRAINING_PREFERENCES, ...input };
+
+  const retention = Number(preferences.desiredRetention);
+  if (!(retention >= RETENTION_RANGE.min && retention <= RETENTION_RANGE.max)) {
+    return { preferences: null, error: `Target retention must be between ${RETENTION_RANGE.min * 100}% and ${RETENTION_RANGE.max * 100}%` };
+  }
+
+  const maximumInterval = Number(preferences.maximumInterval);
+  if (!Number.isInteger(maximumInterval) || maximumInterval < MAXIMUM_INTERVAL_RANGE.min || maximumInterval > MAXIMUM_INTERVAL_RANGE.max) {
+    return { preferences: null, error: `Maximum interval must be a whole number of days between ${MAXIMUM_INTERVAL_RANGE.min} and ${MAXIMUM_INTERVAL_RANGE.max}` };
+  }
+
+  /** @type {Record<string, number|null>} */
+  const limits = {};
+  for (const key of ['dailyNewLimit', 'dailyReviewLimit']) {
+    const value = preferences[key];
+    if (value === null || value === undefined || value === '') {
+      limits[key] = null;
+      continue;
+    }
+    const limit = Number(value);
+    if (!Number.isInteger(limit) || limit < 0) {
+      return { preferences: null, error: 'Daily limits must be empty or a whole number of songs' };
+    }
+    limits[key] = limit;
+  }
+
+  const leechThreshold = Number(preferences.leechThreshold);
+  if (!Number.isInteger(leechThreshold) || leechThreshold < LEECH_THRESHOLD_RANGE.min || leechThreshold > LEECH_THRESHOLD_RANGE.max) {
+    return { preferences: null, error: `Leech threshold must be a whole number of lapses between ${LEECH_THRESHOLD_RANGE.min} and ${LEECH_THRESHOLD_RANGE.max}` };
+  }
+
+  if (!LEECH_POLICIES.includes(preferences.leechPolicy)) {
+    return { preferences: null, error: `Leech policy must be one of: ${LEECH_POLICIES.join(', ')}` };
+  }
+
+  if (!Array.isArray(preferences.cardTypes) || preferences.cardTypes.length === 0 || !preferences.cardTypes.every(isCardType)) {
+    return { preferences: null, error: `Card types must be a non-empty list of: ${CARD_TYPES.join(', ')}` };
+  }
+
+  return {
+    preferences: {
+      desiredRetention: retention,
+      maximumInterval,
+      dailyNewLimit: limits.dailyNewLimit,
+      dailyReviewLimit: limits.dailyReviewLimit,
+      leechThreshold,
+      leechPolicy: preferences.leechPolicy,
+      // Keep the canonical order and drop duplicates
+      cardTypes: CARD_TYPES.filter(cardType => preferences.cardTypes.includes(cardType))
+    },
+    error: null
+  };
+}
+
+/**
+ * Load a user's preferences for a quiz
+ * @param {Object} supabase - Supabase admin client
+ * @param {string} userId - User ID
+ * @param {string} quizId - Quiz ID
+ * @returns {Promise<TrainingPreferences>} Stored preferences, or the defaults
+ */
+export async function loadTrainingPreferences(supabase, userId, quizId) {
+  const { data, error } = await supabase
+    .from('training_quiz_preferences')
+    .select('*')
+    .eq('user_id', userId)
+    .eq('quiz_id', quizId)
+    .maybeSingle();
+
+  if (error) {
+    console.warn('[TRAINING PREFERENCES] Failed to load preferences, using defaults:', error.message);
+  }
+
+  return fromRow(data);
+}
+
+/**
+ * Store a user's preferences for a quiz
+ * @param {Object} supabase - Supabase admin client
+ * @param {string} userId - User ID
+ * @param {string} quizId - Quiz ID
+ * @param {TrainingPreferences} preferences - Validated preferences
+ * @returns {Promise<TrainingPreferences>} Stored preferences
+ * @throws {Error} If saving fails
+ */
+export async function saveTrainingPreferences(supabase, userId, quizId, preferences) {
+  const { data, error } = await supabase
+    .from('training_quiz_preferences')
+    .upsert({
+      user_id: userId,
+      quiz_id: quizId,
+      desired_retention: preferences.desiredRetention,
+      maximum_interval: preferences.maximumInterval,
+      daily_new_limit: preferences.dailyNewLimit,
+      daily_review_limit: preferences.dailyReviewLimit,
+      leech_threshold: preferences.leechThreshold,
+      leech_policy: preferences.leechPolicy,
+      card_types: preferences.cardTypes,
+      updated_at: new Date().toISOString()
+    }, { onConflict: 'user_id,quiz_id' })
+    .select()
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to save training preferences: ${error.message}`);
+  }
+
+  return fromRow(data);
+}
+
+/**
+ * Ask for (or cancel) a leech drill as the next training session of a quiz
+ * @param {Object} supabase - Supabase admin client
+ * @param {string} userId - User ID
+ * @param {string} quizId - Quiz ID
+ * @param {boolean} requested - True to request a drill, false to cancel it
+ * @returns {Promise<void>}
+ * @throws {Error} If saving fails
+ */
+export async function requestLeechDrill(supabase, userId, quizId, requested) {
+  const { error } = await supabase
+    .from('training_quiz_preferences')
+    .upsert({
+      user_id: userId,
+      quiz_id: quizId,
+      leech_drill_requested_at: requested ? new Date().toISOString() : null
+    }, { onConflict: 'user_id,quiz_id' });
+
+  if (error) {
+    throw new Error(`Failed to save leech drill request: ${error.message}`);
+  }
+}
+
+/**
+ * Clear a pending leech drill once a session has been started for it
+ * @param {Object} supabase - Supabase admin client
+ * @param {string} userId - User ID
+ * @param {string} quizId - Quiz ID
+ * @returns {Promise<void>}
+ */
+export async function clearLeechDrill(supabase, userId, quizId) {
+  const { error } = await supabase
+    .from('training_quiz_preferences')
+    .update({ leech_drill_requested_at: null })
+    .eq('user_id', userId)
+    .eq('quiz_id', quizId);
+
+  if (error) {
+    console.warn('[TRAINING PREFERENCES] Failed to clear leech drill request:', error.message);
+  }
+}
+
+/**
+ * TrainingScheduler parameters for preferences
+ * @param {TrainingPreferences} preferences - Preferences
+ * @returns {{ request_retention: number, maximum_interval: number, leechThreshold: number, leechPolicy: string }} Parameters for TrainingScheduler
+ */
+export function toSchedulerParameters(preferences) {
+  return {
+    request_retention: preferences.desiredRetention,
+    maximum_interval: preferences.maximumInterval,
+    leechThreshold: preferences.leechThreshold,
+    leechPolicy: preferences.leechPolicy
+  };
+}
+
+/**
+ * Count the due and new songs already scheduled today for a quiz
+ * @param {Object} supabase - Supabase admin client
+ * @param {string} userId - User ID
+ * @param {string} quizId - Quiz ID
+ * @returns {Promise<{ due: number, new: number }>} Songs scheduled in today's sessions
+ */
+export async function getTodayTrainingUsage(supabase, userId, quizId) {
+  const now = new Date();
+  const todayStart = new Date(now.getFullYear(), now.getMonth(), now.getDate(), 0, 0, 0);
+  const todayEnd = new Date(now.getFullYear(), now.getMonth(), now.getDate(), 23, 59, 59);
+
+  const { data: todaySessions } = await supabase
+    .from('training_sessions')
+    .select('session_data')
+    .eq('user_id', userId)
+    .eq('quiz_id', quizId)
+    .gte('started_at', todayStart.toISOString())
+    .lte('started_at', todayEnd.toISOString());
+
+  const usage = { due: 0, new: 0 };
+  todaySessions?.forEach(session => {
+    // Safely access nested properties
+    usage.due += session.session_data?.composition?.due || 0;
+    usage.new += session.session_data?.composition?.new || 0;
+  });
+  return usage;
+}
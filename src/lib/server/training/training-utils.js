@@ -7,6 +7,10 @@
 import crypto from 'crypto';
 import bcrypt from 'bcrypt';
 import { trainingScheduler, State } from './fsrs-service.js';
+import { loadTrainingScheduler } from './fsrs-optimizer.js';
+import { resolveProgressScope, applyProgressScope } from './progress-scope.js';
+import { queryInChunks } from './paged-queries.js';
+import { CARD_TYPES, getCardKey, DEFAULT_CARD_TYPE } from '$lib/utils/trainingCardTypes.js';
 
 /**
  * Generate a high-entropy random token
@@ -37,6 +41,84 @@ export async function verifyToken(token, hash) {
   return await bcrypt.compare(token, hash);
 }
 
+/**
+ * Length of the public token ID prefix (8 bytes as hex)
+ */
+const TOKEN_ID_LENGTH = 16;
+
+/**
+ * Generate a connector token with a public lookup ID
+ * Format: "<tokenId>.<secret>". The token ID is stored in plaintext (indexed) so a token can be
+ * found with one query; only the secret is hashed, as bcrypt ignores input past 72 bytes.
+ * @returns {{ token: string, tokenId: string, secret: string }} Plaintext token, its public ID and the secret to hash
+ */
+export function generateTrainingToken() {
+  const tokenId = crypto.randomBytes(TOKEN_ID_LENGTH / 2).toString('hex');
+  const secret = generateHighEntropyToken();
+  return { token: `${tokenId}.${secret}`, tokenId, secret };
+}
+
+/**
+ * Split a connector token into its public ID and secret
+ * @param {string} token - Plaintext token
+ * @returns {{ tokenId: string, secret: string }|null} Token parts, or null when the token has no ID prefix
+ */
+export function parseTrainingToken(token) {
+  const separator = token.indexOf('.');
+  const tokenId = token.slice(0, separator);
+  const secret = token.slice(separator + 1);
+  if (separator !== TOKEN_ID_LENGTH || !/^[0-9a-f]+$/.test(tokenId) || !secret) {
+    return null;
+  }
+  return { tokenId, secret };
+}
+
+/**
+ * Find a token row by ID and verify the secret against its hash
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Supabase admin client
+ * @param {string} tokenId - Public token ID
+ * @param {string} secret - Secret to verify
+ * @returns {Promise<Object|null>} training_tokens row, or null when there is no match
+ * @throws {Error} If the token lookup fails
+ */
+async function findTokenById(supabase, tokenId, secret) {
+  const { data: dbToken, error } = await supabase
+    .from('training_tokens')
+    .select('*')
+    .eq('token_id', tokenId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to look up token: ${error.message}`);
+  }
+
+  return dbToken && await verifyToken(secret, dbToken.token_hash) ? dbToken : null;
+}
+
+/**
+ * Authenticate a connector token
+ * Shared by all /api/training/* routes the connector calls. Tokens are looked up by their ID
+ * prefix and verified with a single hash check; anything without an ID (including tokens issued
+ * before IDs existed, which have been revoked) is rejected without hashing.
+ *
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Supabase admin client
+ * @param {string} token - Plaintext token from the request
+ * @returns {Promise<Object|null>} training_tokens row, or null when the token is invalid
+ * @throws {Error} If the token lookup fails
+ */
+export async function authenticateTrainingToken(supabase, token) {
+  if (!token || typeof token !== 'string') {
+    return null;
+  }
+
+  const parsed = parseTrainingToken(token);
+  if (!parsed) {
+    return null;
+  }
+
+  return await findTokenById(supabase, parsed.tokenId, parsed.secret);
+}
+
 /**
  * Merge training progress from source quiz to target quiz
  * 
@@ -73,10 +155,10 @@ export async function mergeProgress(supabase, targetQuizId, sourceQuizId, userId
     throw new Error(`Failed to fetch target progress: ${targetError.message}`);
   }
 
-  // Create map of target songs for fast lookup using song_ann_id
+  // Create map of target cards for fast lookup using song_ann_id and card type
   const targetMap = new Map();
   for (const record of targetProgress || []) {
-    targetMap.set(record.song_ann_id, record);
+    targetMap.set(getCardKey(record.song_ann_id, record.card_type), record);
   }
 
   let mergedCount = 0;
@@ -86,7 +168,7 @@ export async function mergeProgress(supabase, targetQuizId, sourceQuizId, userId
 
   // Process each source record
   for (const sourceRecord of sourceProgress || []) {
-    const targetRecord = targetMap.get(sourceRecord.song_ann_id);
+    const targetRecord = targetMap.get(getCardKey(sourceRecord.song_ann_id, sourceRecord.card_type));
 
     if (targetRecord) {
       // Song exists in both - merge data
@@ -155,7 +237,7 @@ export async function mergeProgress(supabase, targetQuizId, sourceQuizId, userId
  * @param {Object} source - Source record
  * @returns {Object} Merged record
  */
-function mergeSongProgress(target, source) {
+export function mergeSongProgress(target, source) {
   // Average FSRS state values
   const mergedFsrsState = {
     state: Math.max(target.fsrs_state.state, source.fsrs_state.state),
@@ -297,6 +379,32 @@ export function calculateQuizStats(progressRecords) {
   };
 }
 
+/**
+ * Calculate statistics per card type
+ * Records without a card type are anime cards.
+ * 
+ * @param {Array} progressRecords - Array of training_progress records
+ * @param {string[]|null} [trainedCardTypes] - Card types the quiz trains; these are listed even
+ *   without progress, and every entry is flagged with whether its type is trained
+ * @returns {Object} Statistics object (see calculateQuizStats, plus totalCards and trained when
+ *   trainedCardTypes is given) per card type that has progress or is trained, in CARD_TYPES order
+ */
+export function calculateCardTypeStats(progressRecords, trainedCardTypes = null) {
+  const byCardType = {};
+  for (const cardType of CARD_TYPES) {
+    const records = (progressRecords || []).filter(record => (record.card_type || DEFAULT_CARD_TYPE) === cardType);
+    const trained = trainedCardTypes?.includes(cardType);
+    if (records.length > 0 || trained) {
+      byCardType[cardType] = {
+        ...calculateQuizStats(records),
+        totalCards: records.length,
+        ...(trainedCardTypes ? { trained } : {})
+      };
+    }
+  }
+  return byCardType;
+}
+
 /**
  * Reconstruct songs from localStorage by querying AnisongDB
  * 
@@ -632,41 +740,55 @@ export async function getActivityCalendar(supabase, userId, days = 365) {
 
 /**
  * Rebuild training progress for a song from its play records
- * Used when a play is deleted to restore correct FSRS state and history
+ * Used when a play is deleted to restore correct FSRS state and history.
+ * Logged card actions (forget, known, reschedule) are applied at their place in the history.
+ * With global progress the shared card is rebuilt from the song's plays in every quiz.
+ * Only the given card type is rebuilt, the song's other cards are left alone.
  * 
  * @param {Object} supabase - Supabase client
  * @param {string} userId - User ID
  * @param {string} quizId - Quiz ID
  * @param {number} songAnnId - Song AMQ ID (numeric)
+ * @param {string} [cardType] - Card type (anime by default)
  */
-export async function recalculateSongProgress(supabase, userId, quizId, songAnnId) {
-  // 1. Fetch all remaining plays for this song, ordered by time
-  const { data: plays, error: playsError } = await supabase
+export async function recalculateSongProgress(supabase, userId, quizId, songAnnId, cardType = DEFAULT_CARD_TYPE) {
+  const scope = await resolveProgressScope(supabase, userId, quizId);
+
+  // 1. Fetch all remaining plays for this card, ordered by time
+  let playsQuery = supabase
     .from('training_session_plays')
     .select('*')
     .eq('user_id', userId)
-    .eq('quiz_id', quizId)
     .eq('song_ann_id', songAnnId)
+    .eq('card_type', cardType)
     .order('played_at', { ascending: true });
 
+  if (scope.quizId) {
+    playsQuery = playsQuery.eq('quiz_id', scope.quizId);
+  }
+
+  const { data: plays, error: playsError } = await playsQuery;
+
   if (playsError) {
     throw new Error(`Failed to fetch plays for recalculation: ${playsError.message}`);
   }
 
   // 2. If no plays left, delete the progress record
   if (!plays || plays.length === 0) {
-    await supabase
-      .from('training_progress')
-      .delete()
-      .eq('user_id', userId)
-      .eq('quiz_id', quizId)
-      .eq('song_ann_id', songAnnId);
+    await applyProgressScope(
+      supabase
+        .from('training_progress')
+        .delete()
+        .eq('user_id', userId),
+      scope
+    ).eq('song_ann_id', songAnnId).eq('card_type', cardType);
     return null;
   }
 
-  // 3. Replay history to rebuild state
+  // 3. Replay history to rebuild state with the user's (possibly personalised) weights
   // Start with a fresh card
-  let fsrsState = trainingScheduler.createNewCard(String(songAnnId));
+  const scheduler = await loadTrainingScheduler(supabase, userId, quizId);
+  let fsrsState = scheduler.createNewCard(String(songAnnId));
   let history = [];
   let successCount = 0;
   let failureCount = 0;
@@ -677,13 +799,32 @@ export async function recalculateSongProgress(supabase, userId, quizId, songAnnI
   // Sort plays by time just in case DB sort failed (though query had order)
   plays.sort((a, b) => new Date(a.played_at).getTime() - new Date(b.played_at).getTime());
 
+  let reviewCount = 0;
+
   for (const play of plays) {
+    const playedAt = play.played_at;
+
+    // Manual card actions are replayed in place so a rebuild does not undo them
+    switch (play.play_type ?? 'review') {
+      case 'forget':
+        fsrsState = scheduler.forgetCard(fsrsState);
+        successStreak = 0;
+        failureStreak = 0;
+        continue;
+      case 'known':
+        fsrsState = scheduler.markCardKnown(fsrsState, new Date(playedAt));
+        continue;
+      case 'reschedule':
+        fsrsState = scheduler.rescheduleCard(fsrsState, new Date(play.answer_data.dueDate));
+        continue;
+    }
+
     const rating = play.rating;
     const isSuccess = play.success;
-    const playedAt = play.played_at;
 
     // Re-schedule using the play timestamp as 'now'
-    fsrsState = trainingScheduler.scheduleNext(fsrsState, rating, new Date(playedAt));
+    fsrsState = scheduler.scheduleNext(fsrsState, rating, new Date(playedAt));
+    reviewCount++;
 
     // Update stats
     if (isSuccess) {
@@ -705,29 +846,106 @@ export async function recalculateSongProgress(supabase, userId, quizId, songAnnI
     });
   }
 
-  // 4. Update training_progress
+  // 4. Update training_progress (or create it for songs that only have imported plays)
+  const { data: existingRecord, error: existingError } = await applyProgressScope(
+    supabase
+      .from('training_progress')
+      .select('id, tags')
+      .eq('user_id', userId),
+    scope
+  )
+    .eq('song_ann_id', songAnnId)
+    .eq('card_type', cardType)
+    .maybeSingle();
+
+  if (existingError) {
+    throw new Error(`Failed to fetch progress record: ${existingError.message}`);
+  }
+
   const updatedRecord = {
     fsrs_state: fsrsState,
-    attempt_count: plays.length,
+    attempt_count: reviewCount,
     success_count: successCount,
     failure_count: failureCount,
     success_streak: successStreak,
     failure_streak: failureStreak,
     history: history,
+    tags: scheduler.updateLeechTags(existingRecord?.tags, fsrsState),
     last_attempt_at: lastAttemptAt,
     updated_at: new Date().toISOString()
   };
 
-  const { error: updateError } = await supabase
-    .from('training_progress')
-    .update(updatedRecord)
-    .eq('user_id', userId)
-    .eq('quiz_id', quizId)
-    .eq('song_ann_id', songAnnId);
+  if (existingRecord) {
+    const { error: updateError } = await supabase
+      .from('training_progress')
+      .update(updatedRecord)
+      .eq('id', existingRecord.id);
+
+    if (updateError) {
+      throw new Error(`Failed to update progress record: ${updateError.message}`);
+    }
+  } else {
+    const { error: insertError } = await supabase
+      .from('training_progress')
+      .insert({
+        ...updatedRecord,
+        user_id: userId,
+        quiz_id: scope.quizId,
+        song_ann_id: songAnnId,
+        card_type: cardType
+      });
 
-  if (updateError) {
-    throw new Error(`Failed to update progress record: ${updateError.message}`);
+    if (insertError) {
+      throw new Error(`Failed to create progress record: ${insertError.message}`);
+    }
   }
 
   return updatedRecord;
 }
+
+/**
+ * Find the quiz's leeches
+ * @param {Object} supabase - Supabase admin client
+ * @param {string} userId - User ID
+ * @param {string} quizId - Quiz ID
+ * @param {import('./fsrs-service.js').TrainingScheduler} scheduler - Scheduler with the quiz's leech threshold
+ * @param {Array} progressRecords - Progress records
+ * @returns {Promise<Array>} Leeches with card type, lapses and the card's latest correct answer
+ */
+export async function loadLeeches(supabase, userId, quizId, scheduler, progressRecords) {
+  const leeches = scheduler.getLeeches(progressRecords);
+  if (leeches.length === 0) {
+    return [];
+  }
+
+  // Card actions carry no answer, only reviews do; leeches are still listed if answers fail to load
+  let plays = [];
+  try {
+    plays = await queryInChunks([...new Set(leeches.map(record => record.song_ann_id))], chunk => supabase
+      .from('training_session_plays')
+      .select('song_ann_id, card_type, correct_answer, played_at')
+      .eq('user_id', userId)
+      .eq('quiz_id', quizId)
+      .eq('play_type', 'review')
+      .in('song_ann_id', chunk)
+      .not('correct_answer', 'is', null)
+      .order('played_at', { ascending: true }));
+  } catch (err) {
+    console.warn('[TRAINING] Failed to load leech answers:', err.message);
+  }
+
+  // Plays are in chronological order, so the latest answer per card wins
+  const answersByCard = new Map(plays.map(play => [getCardKey(play.song_ann_id, play.card_type), play.correct_answer]));
+
+  return leeches.map(record => ({
+    songAnnId: record.song_ann_id,
+    cardType: record.card_type || DEFAULT_CARD_TYPE,
+    correctAnswer: answersByCard.get(getCardKey(record.song_ann_id, record.card_type)) || null,
+    lapses: record.fsrs_state?.lapses ?? 0,
+    failureStreak: record.failure_streak || 0,
+    attemptCount: record.attempt_count || 0,
+    successCount: record.success_count || 0,
+    lastAttemptAt: record.last_attempt_at,
+    due: record.fsrs_state?.due || null
+  }));
+}
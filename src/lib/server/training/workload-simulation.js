@@ -0,0 +1,187 @@
+/**
+ * Workload Simulation - Projected daily reviews for the coming 30, 90 or 365 days
+ *
+ * Plays out the user's current cards with TrainingScheduler.simulateWorkload while new songs keep
+ * coming in at the daily new-song rate, so players can see what raising new songs per day does to
+ * their review load before changing it.
+ */
+
+import { trainingScheduler, summarizeWorkload } from './fsrs-service.js';
+import { loadTrainingScheduler } from './fsrs-optimizer.js';
+import { loadTrainingPreferences } from './training-preferences.js';
+import { loadTrainingSettings, resolveProgressScope, loadQuizProgress } from './progress-scope.js';
+import { DEFAULT_CARD_TYPE } from '$lib/utils/trainingCardTypes.js';
+
+/** Simulation windows offered, in days */
+export const WORKLOAD_WINDOWS = [30, 90, 365];
+
+/** New songs per day simulated when neither the request nor the quiz preferences set one */
+export const DEFAULT_SIMULATED_NEW_PER_DAY = 10;
+
+/** Highest new songs per day that can be simulated */
+export const MAX_SIMULATED_NEW_PER_DAY = 100;
+
+/**
+ * Read the simulation window and new songs per day from request query parameters
+ * @param {URLSearchParams} searchParams - Query parameters (days, newPerDay)
+ * @returns {{ days: number, newPerDay: number|null, error: string|null }} Options (newPerDay null = use preferences) or a validation error
+ */
+export function parseWorkloadOptions(searchParams) {
+  const days = Number(searchParams.get('days') ?? WORKLOAD_WINDOWS[0]);
+  if (!WORKLOAD_WINDOWS.includes(days)) {
+    return { days: 0, newPerDay: null, error: `days must be one of ${WORKLOAD_WINDOWS.join(', ')}` };
+  }
+
+  const rawNewPerDay = searchParams.get('newPerDay');
+  if (rawNewPerDay === null || rawNewPerDay === '') {
+    return { days, newPerDay: null, error: null };
+  }
+
+  const newPerDay = Number(rawNewPerDay);
+  if (!Number.isInteger(newPerDay) || newPerDay < 0 || newPerDay > MAX_SIMULATED_NEW_PER_DAY) {
+    return { days, newPerDay: null, error: `newPerDay must be a whole number between 0 and ${MAX_SIMULATED_NEW_PER_DAY}` };
+  }
+  return { days, newPerDay, error: null };
+}
+
+/**
+ * New cards a quiz has left to introduce, as counted by its latest training session
+ * @param {Object} supabase - Supabase admin client
+ * @param {string} userId - User ID
+ * @param {string} quizId - Quiz ID
+ * @returns {Promise<number|null>} New cards left, or null before the first session
+ */
+async function loadRemainingNewCards(supabase, userId, quizId) {
+  const { data: latestSession } = await supabase
+    .from('training_sessions')
+    .select('session_data')
+    .eq('user_id', userId)
+    .eq('quiz_id', quizId)
+    .order('started_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  return latestSession?.session_data?.poolDistribution?.available?.new ?? null;
+}
+
+/**
+ * Simulate the workload of one quiz under its training preferences
+ * Only cards of the quiz's enabled card types are simulated, as in training sessions.
+ * @param {Object} supabase - Supabase admin client
+ * @param {string} userId - User ID
+ * @param {string} quizId - Quiz ID
+ * @param {Object} options - Simulation options
+ * @param {number} options.days - Days to simulate
+ * @param {number|null} [options.newPerDay] - New songs per day (null = the quiz's daily new limit)
+ * @returns {Promise<Object>} Daily workload, totals and the assumptions used
+ * @throws {Error} If progress cannot be loaded
+ */
+export async function simulateQuizWorkload(supabase, userId, quizId, { days, newPerDay = null }) {
+  const scope = await resolveProgressScope(supabase, userId, quizId);
+  const [{ data: progress, error }, preferences, newCardLimit] = await Promise.all([
+    loadQuizProgress(supabase, userId, scope),
+    loadTrainingPreferences(supabase, userId, quizId),
+    loadRemainingNewCards(supabase, userId, quizId)
+  ]);
+
+  if (error) {
+    throw new Error(`Failed to load progress: ${error.message}`);
+  }
+
+  const scheduler = await loadTrainingScheduler(supabase, userId, quizId, preferences);
+  const records = (progress || []).filter(record =>
+    preferences.cardTypes.includes(record.card_type || DEFAULT_CARD_TYPE)
+  );
+  const simulatedNewPerDay = newPerDay ?? preferences.dailyNewLimit ?? DEFAULT_SIMULATED_NEW_PER_DAY;
+
+  const workload = scheduler.simulateWorkload(records, days, {
+    newPerDay: simulatedNewPerDay,
+    newCardLimit,
+    dailyReviewLimit: preferences.dailyReviewLimit
+  });
+
+  return {
+    ...workload,
+    newPerDay: simulatedNewPerDay,
+    newCardLimit,
+    dailyReviewLimit: preferences.dailyReviewLimit
+  };
+}
+
+/**
+ * Simulate a user's workload across all trained quizzes
+ * In per-quiz progress mode every quiz is simulated under its own preferences and the days are
+ * added up; in global mode the shared cards are simulated once.
+ * @param {Object} supabase - Supabase admin client
+ * @param {string} userId - User ID
+ * @param {Object} options - Simulation options
+ * @param {number} options.days - Days to simulate
+ * @param {number|null} [options.newPerDay] - New songs per day, per quiz in per-quiz mode (null = each quiz's daily new limit)
+ * @returns {Promise<Object>} Daily workload, totals and the assumptions used
+ * @throws {Error} If progress cannot be loaded
+ */
+export async function simulateOverallWorkload(supabase, userId, { days, newPerDay = null }) {
+  const { progressMode } = await loadTrainingSettings(supabase, userId);
+
+  if (progressMode === 'global') {
+    const { data: progress, error } = await supabase
+      .from('training_progress')
+      .select('*')
+      .eq('user_id', userId)
+      .is('quiz_id', null);
+
+    if (error) {
+      throw new Error(`Failed to load progress: ${error.message}`);
+    }
+
+    const scheduler = await loadTrainingScheduler(supabase, userId, null);
+    const simulatedNewPerDay = newPerDay ?? DEFAULT_SIMULATED_NEW_PER_DAY;
+    return {
+      ...scheduler.simulateWorkload(progress || [], days, { newPerDay: simulatedNewPerDay }),
+      progressMode,
+      newPerDay: simulatedNewPerDay
+    };
+  }
+
+  const { data: quizRows, error } = await supabase
+    .from('training_progress')
+    .select('quiz_id')
+    .eq('user_id', userId)
+    .not('quiz_id', 'is', null);
+
+  if (error) {
+    throw new Error(`Failed to load progress: ${error.message}`);
+  }
+
+  // One quiz at a time: a year of simulated reviews is CPU-bound
+  const quizIds = [...new Set((quizRows || []).map(row => row.quiz_id))];
+  const workloads = [];
+  for (const quizId of quizIds) {
+    workloads.push(await simulateQuizWorkload(supabase, userId, quizId, { days, newPerDay }));
+  }
+
+  // Nothing trained yet: an empty calendar
+  if (workloads.length === 0) {
+    workloads.push(trainingScheduler.simulateWorkload([], days));
+  }
+
+  const combinedDays = workloads[0].days.map((day, index) => {
+    const combined = { ...day };
+    for (const workload of workloads.slice(1)) {
+      const other = workload.days[index];
+      combined.reviews += other.reviews;
+      combined.newCards += other.newCards;
+      combined.forgotten += other.forgotten;
+      combined.backlog += other.backlog;
+    }
+    return combined;
+  });
+
+  return {
+    days: combinedDays,
+    summary: summarizeWorkload(combinedDays),
+    progressMode,
+    newPerDay,
+    quizCount: quizIds.length
+  };
+}
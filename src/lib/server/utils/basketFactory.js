@@ -26,7 +26,7 @@ export function createBasket(id, min, max, matcher) {
 /**
  * Get basket type from basket ID
  * @param {string} basketId - Basket ID string
- * @returns {string} Basket type ('songType', 'difficulty', 'animeType', 'vintage', 'category', 'playerScore', 'animeScore', 'genre', 'tag', 'songList', 'other')
+ * @returns {string} Basket type ('songType', 'difficulty', 'animeType', 'vintage', 'category', 'playerScore', 'animeScore', 'genre', 'tag', 'artist', 'songList', 'other')
  */
 export function getBasketType(basketId) {
   if (basketId.startsWith('songType-')) return 'songType';
@@ -38,6 +38,7 @@ export function getBasketType(basketId) {
   if (basketId.startsWith('animeScore-')) return 'animeScore';
   if (basketId.startsWith('genre-')) return 'genre';
   if (basketId.startsWith('tag-')) return 'tag';
+  if (basketId.startsWith('artists-')) return 'artist';
   if (basketId.startsWith('songList-')) return 'songList';
   return 'other';
 }
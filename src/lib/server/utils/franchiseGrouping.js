@@ -0,0 +1,143 @@
+/**
+ * Franchise grouping utilities for song distribution
+ * Groups sequels, movies and OVAs of the same series so quizzes can cap songs per franchise
+ *
+ * @module lib/server/utils/franchiseGrouping
+ */
+
+/**
+ * Suffixes that mark a follow-up entry of a series (checked repeatedly, so they can stack)
+ * @type {RegExp[]}
+ */
+const SEQUEL_SUFFIX_PATTERNS = [
+  /\s+(?:the\s+)?(?:final\s+)?season(?:\s+\d+)?$/,
+  /\s+(?:\d+(?:st|nd|rd|th)|second|third|fourth|fifth)$/,
+  /\s+(?:part|cour|kou-?hen|zen-?pen)\s*\d*$/,
+  /\s+(?:the\s+)?movie(?:\s+\d+)?$/,
+  /\s+(?:ova|oad|ona|specials?|recap)$/,
+  /\s+(?:ii|iii|iv|v|vi)$/,
+  /\s+\d+$/,
+  /\s+s\d+$/
+];
+
+/**
+ * Get the anime ID used for duplicate show tracking
+ * @param {Object} song - Song object
+ * @returns {string} Anime ID
+ */
+export function getAnimeKey(song) {
+  return String(song.malId || song.linked_ids?.myanimelist || song.animeENName);
+}
+
+/**
+ * Reduce an anime title to the base name shared by its sequels and side stories
+ * Strips subtitles after ": ", leading "Gekijouban"/"Movie" markers and trailing season/part/format suffixes.
+ * @param {string} name - Anime title
+ * @returns {string} Normalized base name, or '' when nothing usable is left
+ */
+export function getFranchiseBaseName(name) {
+  if (!name || typeof name !== 'string') return '';
+
+  let base = name
+    .toLowerCase()
+    .replace(/[‘’]/g, "'")
+    .split(/:\s|\s[-–—~]\s/)[0]
+    .replace(/^(?:gekijouban|gekijou-ban|movie|eiga)\s+/, '')
+    .replace(/[!?.,'"()[\]]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  let changed = true;
+  while (changed) {
+    changed = false;
+    for (const pattern of SEQUEL_SUFFIX_PATTERNS) {
+      const stripped = base.replace(pattern, '').trim();
+      if (stripped !== base && stripped.length > 0) {
+        base = stripped;
+        changed = true;
+      }
+    }
+  }
+
+  return base;
+}
+
+/**
+ * Collect explicit franchise/series/relation IDs from song metadata
+ * @param {Object} song - Song object
+ * @returns {{franchiseIds: string[], relatedAnimeIds: string[]}} Explicit grouping IDs
+ */
+function getExplicitFranchiseIds(song) {
+  const sourceAnime = song.sourceAnime || {};
+  const franchiseIds = [song.franchiseId, song.seriesId, sourceAnime.franchiseId, sourceAnime.seriesId]
+    .filter(id => id !== null && id !== undefined && id !== '')
+    .map(String);
+
+  const relations = [
+    ...(Array.isArray(song.relatedMalIds) ? song.relatedMalIds : []),
+    ...(Array.isArray(sourceAnime.relations) ? sourceAnime.relations : [])
+  ];
+  const relatedAnimeIds = relations
+    .map(rel => (rel && typeof rel === 'object' ? rel.malId ?? rel.idMal ?? rel.id : rel))
+    .filter(id => id !== null && id !== undefined && id !== '')
+    .map(String);
+
+  return { franchiseIds, relatedAnimeIds };
+}
+
+/**
+ * Build a resolver mapping songs to franchise keys
+ * Anime are joined into one franchise when they share a franchise/series ID, list each other
+ * as relations, or reduce to the same base name (see getFranchiseBaseName).
+ * Songs not seen at build time are grouped lazily on first lookup.
+ * @param {Object[]} songs - Songs to group
+ * @returns {(song: Object) => string} Function returning the franchise key of a song
+ */
+export function createFranchiseResolver(songs) {
+  /** @type {Map<string, string>} */
+  const parent = new Map();
+
+  const find = (key) => {
+    if (!parent.has(key)) parent.set(key, key);
+    let root = key;
+    while (parent.get(root) !== root) root = parent.get(root);
+    // Path compression
+    let node = key;
+    while (parent.get(node) !== root) {
+      const next = parent.get(node);
+      parent.set(node, root);
+      node = next;
+    }
+    return root;
+  };
+
+  const union = (a, b) => {
+    const rootA = find(a);
+    const rootB = find(b);
+    if (rootA !== rootB) parent.set(rootB, rootA);
+  };
+
+  const registered = new Set();
+  const register = (song) => {
+    const animeKey = `anime:${getAnimeKey(song)}`;
+    if (registered.has(animeKey)) return animeKey;
+    registered.add(animeKey);
+    find(animeKey);
+
+    const { franchiseIds, relatedAnimeIds } = getExplicitFranchiseIds(song);
+    franchiseIds.forEach(id => union(animeKey, `franchise:${id}`));
+    relatedAnimeIds.forEach(id => union(animeKey, `anime:${id}`));
+
+    // Name heuristic fallback - romaji and English titles can each catch sequels the other misses
+    [song.animeJPName, song.animeENName].forEach(name => {
+      const base = getFranchiseBaseName(name);
+      if (base) union(animeKey, `name:${base}`);
+    });
+
+    return animeKey;
+  };
+
+  (songs || []).forEach(register);
+
+  return (song) => find(register(song));
+}
@@ -0,0 +1,102 @@
+/**
+ * Generation trace utilities for explaining how a quiz's songs were picked
+ * The trace is returned in generation metadata and rendered in the Export Simulation modal,
+ * so it only holds plain JSON (no matchers, no Maps)
+ *
+ * @module lib/server/utils/generationTrace
+ */
+
+/**
+ * @typedef {Object} GenerationTrace
+ * @property {Array<{nodeId: string, listInfo: string, songCount: number, percentage: number|null}>} sources - Loaded song sources
+ * @property {Array<Object>} filters - Per-filter before/after counts (recordFilterStat objects)
+ * @property {Array<{id: string, current: number, min: number, max: number, meetsMin: boolean}>} baskets - Final basket fill
+ * @property {Array<{constraint: string, message: string, details: Object}>} relaxations - Constraints that were relaxed or not met
+ * @property {Array<Object>} swaps - Aggressive swap runs of the chosen attempt (see recordSwapRun)
+ * @property {Array<{annSongId: number, songName: string, animeName: string, source: string|null, baskets: string[], phase: number|string, weight: number}>} songs - Why each selected song was picked
+ * @property {{attempts: number, bestAttempt: number, complete: boolean}|null} distribution - Distribution attempt summary
+ */
+
+/**
+ * Per-attempt trace state kept by the distribution loop
+ * @typedef {Object} AttemptTrace
+ * @property {Array<Object>} swaps - Swap runs made during the attempt
+ * @property {Map<number, number|string>} songPhases - annSongId → phase that added the song (1, 2 or 'swap')
+ */
+
+/**
+ * Create an empty generation trace
+ * @returns {GenerationTrace} Trace object
+ */
+export function createGenerationTrace() {
+  return {
+    sources: [],
+    filters: [],
+    baskets: [],
+    relaxations: [],
+    swaps: [],
+    songs: [],
+    distribution: null
+  };
+}
+
+/**
+ * Create an empty per-attempt trace
+ * @returns {AttemptTrace} Attempt trace
+ */
+export function createAttemptTrace() {
+  return {
+    swaps: [],
+    songPhases: new Map()
+  };
+}
+
+/**
+ * Record a constraint that generation had to relax (or could not satisfy)
+ * Does nothing when tracing is disabled (trace is null)
+ * @param {GenerationTrace|null} trace - Trace to record into
+ * @param {string} constraint - Short constraint key (e.g. 'percentage-rounding', 'basket-minimum')
+ * @param {string} message - Human readable explanation
+ * @param {Object} [details] - Constraint-specific details
+ * @returns {void}
+ */
+export function recordRelaxation(trace, constraint, message, details = {}) {
+  if (!trace) return;
+  trace.relaxations.push({ constraint, message, details });
+}
+
+/**
+ * Record one performAggressiveSwap run and mark swapped-in songs
+ * @param {AttemptTrace|null} attemptTrace - Attempt trace to record into
+ * @param {Object} run - Swap run
+ * @param {number} run.phase - Distribution phase the swap ran in
+ * @param {number} run.tier - User count of the tier songs were swapped up to
+ * @param {number} run.maxSwaps - Swap budget
+ * @param {{swapsMade: number, failures: Object, swaps: Array<Object>}} run.result - performAggressiveSwap result
+ * @returns {void}
+ */
+export function recordSwapRun(attemptTrace, { phase, tier, maxSwaps, result }) {
+  if (!attemptTrace) return;
+  attemptTrace.swaps.push({
+    phase,
+    tier,
+    maxSwaps,
+    swapsMade: result.swapsMade,
+    failures: { ...result.failures },
+    swaps: result.swaps
+  });
+  result.swaps.forEach(swap => attemptTrace.songPhases.set(swap.added.annSongId, 'swap'));
+}
+
+/**
+ * Short song description used in swap and song entries
+ * @param {Object} song - Song
+ * @returns {{annSongId: number, songName: string, animeName: string}} Song summary
+ */
+export function summarizeTracedSong(song) {
+  return {
+    annSongId: song.annSongId,
+    songName: song.songName || 'Unknown',
+    animeName: song.animeENName || song.animeJPName || 'Unknown'
+  };
+}
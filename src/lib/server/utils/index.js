@@ -13,3 +13,7 @@ export * from './scoreBasketBuilder.js';
 export * from './anisongdbEnrichment.js';
 export * from './userListExpansion.js';
 
+export * from './franchiseGrouping.js';
+export * from './generationTrace.js';
+export * from './sampleWeighting.js';
+export * from './songExclusions.js';
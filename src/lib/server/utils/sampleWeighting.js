@@ -0,0 +1,136 @@
+/**
+ * Sample weighting utilities for basket distribution
+ * Lets source nodes bias which eligible songs are tried first (higher user scores, recently
+ * completed shows, rewatched entries) instead of a uniform shuffle. Weights only change the
+ * order songs are offered to baskets, so nothing is ever filtered out of the pool.
+ *
+ * @module lib/server/utils/sampleWeighting
+ */
+
+/**
+ * @typedef {Object} SampleWeighting
+ * @property {'none'|'score'|'recency'|'rewatch'} mode - What to favour
+ * @property {number} strength - Weighting strength (0-100, 0 = uniform)
+ */
+
+/** Weighting modes accepted on source nodes */
+export const SAMPLE_WEIGHTING_MODES = ['none', 'score', 'recency', 'rewatch'];
+
+/** At full strength, a song with the best factor is this many times as likely to be tried first as one with the worst */
+const MAX_WEIGHT = 8;
+
+/** Completions this many years old count half as much for recency weighting */
+const RECENCY_HALF_LIFE_YEARS = 2;
+
+/** Rewatch count that earns the full rewatch factor */
+const FULL_REWATCH_COUNT = 3;
+
+const MS_PER_YEAR = 365.25 * 24 * 60 * 60 * 1000;
+
+/**
+ * Check whether a weighting setting changes anything
+ * @param {SampleWeighting|null|undefined} weighting - Weighting setting from a source node
+ * @returns {boolean} True when songs from the source should be weighted
+ */
+export function isSampleWeightingActive(weighting) {
+  return Boolean(weighting) &&
+    SAMPLE_WEIGHTING_MODES.includes(weighting.mode) &&
+    weighting.mode !== 'none' &&
+    Number(weighting.strength) > 0;
+}
+
+/**
+ * Convert an AniList-style date object ({year, month, day}) to a timestamp
+ * @param {{year?: number, month?: number, day?: number}|null|undefined} date - Date object
+ * @returns {number|null} Timestamp in ms, or null when the year is missing
+ */
+function dateObjectToTime(date) {
+  if (!date?.year) return null;
+  return Date.UTC(date.year, (date.month || 1) - 1, date.day || 1);
+}
+
+/**
+ * Get how strongly a song matches the weighting mode
+ * Songs without the needed list data get a neutral factor so they are not pushed out entirely.
+ * @param {Object} song - Song with sourceAnime user list data
+ * @param {SampleWeighting['mode']} mode - Weighting mode
+ * @param {number} now - Reference time in ms (for recency)
+ * @returns {number} Factor between 0 and 1
+ */
+export function getSampleWeightFactor(song, mode, now) {
+  const entry = song.sourceAnime || {};
+
+  if (mode === 'score') {
+    // List fetchers convert scores to 0-10 (AniList formats, Kitsu's 2-20); 0 means "not scored"
+    const score = Number(entry.score);
+    if (!score) return 0.5;
+    return Math.min(1, Math.max(0, score / 10));
+  }
+
+  if (mode === 'recency') {
+    if (entry.status === 'CURRENT' || entry.status === 'REPEATING') return 1;
+    const completedAt = dateObjectToTime(entry.completedAt);
+    if (completedAt === null) return 0;
+    const ageYears = Math.max(0, (now - completedAt) / MS_PER_YEAR);
+    return Math.pow(0.5, ageYears / RECENCY_HALF_LIFE_YEARS);
+  }
+
+  if (mode === 'rewatch') {
+    const rewatches = (Number(entry.repeat) || 0) + (entry.status === 'REPEATING' ? 1 : 0);
+    return Math.min(1, rewatches / FULL_REWATCH_COUNT);
+  }
+
+  return 0;
+}
+
+/**
+ * Get the sample weight of a song (1 = uniform)
+ * @param {Object} song - Song with sourceAnime user list data
+ * @param {SampleWeighting} weighting - Weighting setting
+ * @param {number} now - Reference time in ms (for recency)
+ * @returns {number} Weight between 1 and MAX_WEIGHT
+ */
+export function computeSampleWeight(song, weighting, now) {
+  if (!isSampleWeightingActive(weighting)) return 1;
+  const strength = Math.min(100, Number(weighting.strength)) / 100;
+  const factor = getSampleWeightFactor(song, weighting.mode, now);
+  return Math.pow(MAX_WEIGHT, strength * factor);
+}
+
+/**
+ * Tag songs of one source with their sample weight (_sampleWeight)
+ * Returns the songs unchanged when weighting is off, so unweighted sources keep a uniform shuffle.
+ * @param {Object[]} songs - Songs of one source
+ * @param {SampleWeighting|null|undefined} weighting - Weighting setting from the source node
+ * @param {number} now - Reference time in ms (for recency), so the same config weights songs the same way
+ * @returns {Object[]} Songs with _sampleWeight set
+ */
+export function applySampleWeights(songs, weighting, now) {
+  if (!isSampleWeightingActive(weighting)) return songs;
+  return songs.map(song => ({
+    ...song,
+    _sampleWeight: computeSampleWeight(song, weighting, now)
+  }));
+}
+
+/**
+ * Check whether any song carries a non-uniform sample weight
+ * @param {Object[]} songs - Songs
+ * @returns {boolean} True when weightedShuffle should be used
+ */
+export function hasSampleWeights(songs) {
+  return songs.some(song => song._sampleWeight && song._sampleWeight !== 1);
+}
+
+/**
+ * Order songs so heavier songs tend to come first (Efraimidis-Spirakis weighted sampling)
+ * @param {Object[]} songs - Songs to order (not modified)
+ * @param {() => number} rng - Seeded random number generator
+ * @returns {Object[]} New ordered array
+ */
+export function weightedShuffle(songs, rng) {
+  return songs
+    .map(song => ({ song, key: Math.pow(rng(), 1 / (song._sampleWeight || 1)) }))
+    .sort((a, b) => b.key - a.key)
+    .map(item => item.song);
+}
@@ -0,0 +1,84 @@
+/**
+ * Song exclusion utilities
+ * Removes songs a user never wants played (single songs by annSongId or whole anime by annId)
+ * before any filter or basket sees them
+ *
+ * @module lib/server/utils/songExclusions
+ */
+
+import { recordFilterStat } from './filterStatistics.js';
+
+/**
+ * @typedef {Object} SongExclusions
+ * @property {number[]} songIds - Excluded annSongIds
+ * @property {number[]} animeIds - Excluded annIds (every song of the anime)
+ */
+
+/**
+ * Build exclusions from song_exclusions rows
+ * @param {Array<{target_type: 'song'|'anime', target_id: number}>} rows - Exclusion rows
+ * @returns {SongExclusions} Exclusions
+ */
+export function buildSongExclusions(rows) {
+  const songIds = new Set();
+  const animeIds = new Set();
+  for (const row of rows || []) {
+    const id = Number(row.target_id);
+    if (!Number.isFinite(id)) continue;
+    if (row.target_type === 'anime') {
+      animeIds.add(id);
+    } else {
+      songIds.add(id);
+    }
+  }
+  return { songIds: [...songIds], animeIds: [...animeIds] };
+}
+
+/**
+ * Check whether exclusions contain anything
+ * @param {SongExclusions|null|undefined} exclusions - Exclusions
+ * @returns {boolean} True when at least one song or anime is excluded
+ */
+export function hasSongExclusions(exclusions) {
+  return Boolean(exclusions) &&
+    ((exclusions.songIds?.length || 0) > 0 || (exclusions.animeIds?.length || 0) > 0);
+}
+
+/**
+ * Remove excluded songs
+ * @param {Object[]} songs - Songs
+ * @param {SongExclusions|null|undefined} exclusions - Exclusions
+ * @returns {{songs: Object[], stats: Object|null}} Remaining songs and filter statistics (null when nothing is excluded)
+ */
+export function applySongExclusions(songs, exclusions) {
+  if (!hasSongExclusions(exclusions)) {
+    return { songs, stats: null };
+  }
+
+  const songIds = new Set(exclusions.songIds || []);
+  const animeIds = new Set(exclusions.animeIds || []);
+  let songMatches = 0;
+  let animeMatches = 0;
+
+  const remaining = songs.filter(song => {
+    if (songIds.has(song.annSongId)) {
+      songMatches++;
+      return false;
+    }
+    if (song.annId != null && animeIds.has(Number(song.annId))) {
+      animeMatches++;
+      return false;
+    }
+    return true;
+  });
+
+  return {
+    songs: remaining,
+    stats: recordFilterStat('Song Exclusions', songs.length, remaining.length, {
+      excludedSongs: songIds.size,
+      excludedAnime: animeIds.size,
+      removedBySong: songMatches,
+      removedByAnime: animeMatches
+    })
+  };
+}
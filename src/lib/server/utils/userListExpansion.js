@@ -37,6 +37,7 @@ export function expandUserListNode(settings, nodeType, listInfoPrefix) {
           nodeType: nodeType,
           mode: 'user-lists',
           useEntirePool: settings.useEntirePool || false,
+          sampleWeighting: settings.sampleWeighting,
           userListImport: {
             platform: userEntry.platform || 'anilist',
             username: userEntry.username || '',
@@ -69,6 +70,7 @@ export function expandUserListNode(settings, nodeType, listInfoPrefix) {
           nodeType: nodeType,
           mode: 'user-lists',
           useEntirePool: settings.useEntirePool || false,
+          sampleWeighting: settings.sampleWeighting,
           userListImport: {
             platform: userEntry.platform || 'anilist',
             username: userEntry.username || '',
@@ -101,6 +103,7 @@ export function expandUserListNode(settings, nodeType, listInfoPrefix) {
           nodeType: nodeType,
           mode: 'user-lists',
           useEntirePool: settings.useEntirePool || false,
+          sampleWeighting: settings.sampleWeighting,
           userListImport: {
             platform: userEntry.platform || 'anilist',
             username: userEntry.username || '',
@@ -139,6 +142,7 @@ export function expandUserListNode(settings, nodeType, listInfoPrefix) {
           nodeType: nodeType,
           mode: 'user-lists',
           useEntirePool: settings.useEntirePool || false,
+          sampleWeighting: settings.sampleWeighting,
           userListImport: {
             platform: userEntry.platform || 'anilist',
             username: userEntry.username || '',
@@ -62,7 +62,7 @@ const ANILIST_API_URL = 'https://graphql.anilist.co';
  * @typedef {Object} AniListMediaEntry
  * @property {number} id - Entry ID
  * @property {string} status - Entry status
- * @property {number} score - User score
+ * @property {number} score - User score (0-10, converted from the user's score format)
  * @property {number} progress - Episodes watched
  * @property {number} repeat - Rewatch count
  * @property {Object} startedAt - Start date
@@ -198,7 +198,7 @@ export async function fetchAniListData(username, options = {}) {
                     entries {
                         id
                         status
-                        score
+                        score(format: POINT_10_DECIMAL)
                         progress
                         repeat
                         private
@@ -0,0 +1,141 @@
+/**
+ * Answer normalisation for training mode correctness
+ * Compares a typed anime answer against its accepted titles without tripping over punctuation,
+ * romaji long vowels or season suffixes. Dependency-free so the training userscript can carry
+ * the same rules (see normalizeAnswer in amqTrainingMode.js).
+ *
+ * @module lib/utils/answerNormalization
+ */
+
+/**
+ * How forgiving answer matching is
+ * - exact: case-insensitive exact match (the original userscript behaviour)
+ * - normal: also ignores punctuation, spacing, diacritics and romaji long vowels
+ * - lenient: also ignores season/part/cour suffixes ("2nd Season", "Season 2", "Part II", "S2")
+ * @typedef {'exact'|'normal'|'lenient'} AnswerStrictness
+ */
+
+/** Strictness levels from strictest to most forgiving */
+export const ANSWER_STRICTNESS = ['exact', 'normal', 'lenient'];
+
+/** @type {AnswerStrictness} */
+export const DEFAULT_ANSWER_STRICTNESS = 'normal';
+
+const ORDINAL = '(?:\\d+(?:st|nd|rd|th)|first|second|third|fourth|fifth|final)';
+const NUMERAL = '(?:\\d+|i{1,3}|iv|v|vi{0,3})';
+
+/** Trailing sequel markers removed in lenient mode, applied repeatedly ("... Season 2 Part 2") */
+const SEQUEL_SUFFIXES = [
+  new RegExp(`[\\s:,-]*${ORDINAL}\\s+(?:season|part|cour)$`),
+  new RegExp(`[\\s:,-]*(?:season|part|cour)\\s*${NUMERAL}$`),
+  /[\s:,-]*s\d+$/,
+  /[\s:,-]*\((?:tv|\d{4})\)$/,
+  /\s+(?:\d+|ii|iii|iv)$/
+];
+
+/** Romaji long vowel spellings folded to the short vowel ("Shōjo" / "Shoujo" / "Shojo") */
+const LONG_VOWELS = [
+  [/ou/g, 'o'],
+  [/oo/g, 'o'],
+  [/uu/g, 'u'],
+  [/aa/g, 'a'],
+  [/ii/g, 'i'],
+  [/ee/g, 'e']
+];
+
+/**
+ * Check whether a value is a known strictness level
+ * @param {unknown} strictness - Value to check
+ * @returns {strictness is AnswerStrictness} True for 'exact', 'normal' or 'lenient'
+ */
+export function isAnswerStrictness(strictness) {
+  return ANSWER_STRICTNESS.includes(/** @type {AnswerStrictness} */ (strictness));
+}
+
+/**
+ * Remove trailing season/part/cour markers
+ * @param {string} text - Lowercased title
+ * @returns {string} Title without sequel suffixes
+ */
+function stripSequelSuffixes(text) {
+  let previous;
+  let current = text.trim();
+  do {
+    previous = current;
+    for (const pattern of SEQUEL_SUFFIXES) {
+      current = current.replace(pattern, '').trim();
+    }
+  } while (current !== previous && current.length > 0);
+  // Never strip a title down to nothing ("Part 2" on its own stays as is)
+  return current || previous;
+}
+
+/**
+ * Normalise an answer or title for comparison
+ * @param {string|null|undefined} text - Answer or accepted title
+ * @param {AnswerStrictness} [strictness] - Strictness level
+ * @returns {string} Comparison key
+ */
+export function normalizeAnswer(text, strictness = DEFAULT_ANSWER_STRICTNESS) {
+  let value = String(text ?? '').trim().toLowerCase();
+  if (strictness === 'exact') return value;
+
+  // Split accented letters (incl. macrons) into letter + mark, then drop the marks
+  value = value.normalize('NFKD').replace(/\p{M}/gu, '');
+  value = value.replace(/&/g, ' and ').replace(/×/g, 'x');
+
+  if (strictness === 'lenient') {
+    value = stripSequelSuffixes(value);
+  }
+
+  // Fold long vowels while word boundaries still exist, then drop punctuation and spacing
+  for (const [pattern, replacement] of LONG_VOWELS) {
+    value = value.replace(pattern, replacement);
+  }
+  return value.replace(/[^\p{L}\p{N}]/gu, '');
+}
+
+/**
+ * Expand accepted titles with the user's answer replacements (original title → preferred answer)
+ * @param {Array<string|null|undefined>} acceptedAnswers - Accepted titles
+ * @param {Record<string, string>} [replacedAnswers] - Answer replacements
+ * @returns {string[]} Accepted titles plus replacements, without empties or duplicates
+ */
+export function buildAcceptedAnswers(acceptedAnswers, replacedAnswers = {}) {
+  const answers = new Set();
+  for (const answer of acceptedAnswers || []) {
+    if (!answer) continue;
+    answers.add(answer);
+    if (replacedAnswers[answer]) answers.add(replacedAnswers[answer]);
+  }
+  return [...answers];
+}
+
+/**
+ * Find the accepted title an answer matches
+ * @param {string|null|undefined} answer - Typed answer
+ * @param {Array<string|null|undefined>} acceptedAnswers - Accepted titles
+ * @param {Object} [options] - Matching options
+ * @param {AnswerStrictness} [options.strictness] - Strictness level
+ * @param {Record<string, string>} [options.replacedAnswers] - Answer replacements
+ * @returns {string|null} The matched accepted title, or null when the answer is wrong or empty
+ */
+export function matchAnswer(answer, acceptedAnswers, { strictness = DEFAULT_ANSWER_STRICTNESS, replacedAnswers = {} } = {}) {
+  const key = normalizeAnswer(answer, strictness);
+  if (!key) return null;
+  return buildAcceptedAnswers(acceptedAnswers, replacedAnswers)
+    .find(accepted => normalizeAnswer(accepted, strictness) === key) ?? null;
+}
+
+/**
+ * Check whether an answer matches one of the accepted titles
+ * @param {string|null|undefined} answer - Typed answer
+ * @param {Array<string|null|undefined>} acceptedAnswers - Accepted titles
+ * @param {Object} [options] - Matching options (see matchAnswer)
+ * @param {AnswerStrictness} [options.strictness] - Strictness level
+ * @param {Record<string, string>} [options.replacedAnswers] - Answer replacements
+ * @returns {boolean} True when the answer is correct
+ */
+export function isAnswerCorrect(answer, acceptedAnswers, options = {}) {
+  return matchAnswer(answer, acceptedAnswers, options) !== null;
+}
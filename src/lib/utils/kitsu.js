@@ -0,0 +1,311 @@
+/**
+ * Kitsu API utility functions.
+ * Provides functions for fetching user lists from the public Kitsu JSON:API.
+ * No credentials are needed for public libraries.
+ *
+ * @module kitsu
+ */
+
+const KITSU_API_URL = 'https://kitsu.app/api/edge';
+
+/** Kitsu caps library-entries pages at 500 entries */
+const KITSU_PAGE_LIMIT = 500;
+
+/** @typedef {import('../../types/types.js').UserAnimeData} UserAnimeData */
+
+/**
+ * JSON:API resource object returned by Kitsu.
+ * @typedef {Object} KitsuResource
+ * @property {string} id - Resource ID
+ * @property {string} type - Resource type ('libraryEntries', 'anime', 'mappings', ...)
+ * @property {Object} attributes - Resource attributes
+ * @property {Object} [relationships] - Resource relationships
+ */
+
+/**
+ * Fetches a user's anime list from Kitsu.
+ * Returns user data in the same shape as fetchAniListData/fetchMALData.
+ *
+ * @param {string} username - Kitsu username (profile slug or display name)
+ * @param {Object} [options={}] - Filtering options
+ * @param {Object} [options.selectedLists] - Object mapping status to boolean (e.g., {completed: true, watching: true})
+ * @returns {Promise<UserAnimeData[]>} Array of anime entries with user data
+ * @throws {Error} If username is missing, the user does not exist or API request fails
+ */
+export async function fetchKitsuData(username, options = {}) {
+	if (!username?.trim()) {
+		throw new Error('Username is required');
+	}
+
+	const selectedLists = options.selectedLists || {};
+
+	try {
+		const userId = await fetchKitsuUserId(username.trim());
+
+		// Get list of statuses to fetch (Kitsu accepts several statuses in one filter)
+		const statusesToFetch = Object.entries(selectedLists)
+			.filter(([_, enabled]) => enabled)
+			.map(([status, _]) => mapStatusToKitsu(status))
+			.filter(Boolean);
+
+		const url = new URL(`${KITSU_API_URL}/library-entries`);
+		url.searchParams.append('filter[userId]', userId);
+		url.searchParams.append('filter[kind]', 'anime');
+		if (statusesToFetch.length > 0) {
+			url.searchParams.append('filter[status]', statusesToFetch.join(','));
+		}
+		url.searchParams.append('include', 'anime,anime.mappings');
+		url.searchParams.append(
+			'fields[libraryEntries]',
+			'status,progress,reconsuming,reconsumeCount,ratingTwenty,startedAt,finishedAt,anime'
+		);
+		url.searchParams.append(
+			'fields[anime]',
+			'canonicalTitle,titles,subtype,status,startDate,episodeCount,episodeLength,averageRating,userCount,favoritesCount,mappings'
+		);
+		url.searchParams.append('fields[mappings]', 'externalSite,externalId');
+		url.searchParams.append('page[limit]', KITSU_PAGE_LIMIT.toString());
+
+		/** @type {KitsuResource[]} */
+		const entries = [];
+		/** @type {Map<string, KitsuResource>} */
+		const included = new Map();
+
+		let nextUrl = url.toString();
+		while (nextUrl) {
+			const page = await fetchKitsuJson(nextUrl);
+
+			entries.push(...(page.data || []));
+			for (const resource of page.included || []) {
+				included.set(`${resource.type}:${resource.id}`, resource);
+			}
+
+			nextUrl = page.links?.next || null;
+			if (nextUrl) {
+				// Small delay between pages to be respectful
+				await sleep(500);
+			}
+		}
+
+		if (entries.length === 0) {
+			throw new Error('No anime found in the list or the list is private');
+		}
+
+		return processKitsuData(entries, included);
+	} catch (error) {
+		console.error('Kitsu fetch error:', error);
+		throw new Error(`Failed to fetch Kitsu data: ${error.message}`);
+	}
+}
+
+/**
+ * Resolve a Kitsu username to its numeric user ID.
+ * Tries the profile slug first, then the display name.
+ * @param {string} username - Kitsu username
+ * @returns {Promise<string>} Kitsu user ID
+ */
+async function fetchKitsuUserId(username) {
+	for (const filter of ['slug', 'name']) {
+		const url = new URL(`${KITSU_API_URL}/users`);
+		url.searchParams.append(`filter[${filter}]`, username);
+		url.searchParams.append('fields[users]', 'name,slug');
+
+		const result = await fetchKitsuJson(url.toString());
+		if (result.data && result.data.length > 0) {
+			return result.data[0].id;
+		}
+	}
+
+	throw new Error('User not found');
+}
+
+/**
+ * Fetch a Kitsu JSON:API document
+ * @param {string} url - Request URL
+ * @returns {Promise<{data?: any, included?: KitsuResource[], links?: {next?: string}}>} Response document
+ */
+async function fetchKitsuJson(url) {
+	const response = await fetch(url, {
+		method: 'GET',
+		headers: {
+			Accept: 'application/vnd.api+json'
+		}
+	});
+
+	if (!response.ok) {
+		if (response.status === 404) {
+			throw new Error('User not found or list is private');
+		}
+		throw new Error(`Kitsu API error: ${response.status} ${response.statusText}`);
+	}
+
+	return await response.json();
+}
+
+/**
+ * Sleep utility for rate limiting
+ * @param {number} ms - Milliseconds to sleep
+ */
+function sleep(ms) {
+	return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Map UI status keys to Kitsu library statuses
+ * @param {string} uiStatus - UI status key
+ * @returns {string|null} Kitsu status value
+ */
+function mapStatusToKitsu(uiStatus) {
+	const mapping = {
+		watching: 'current',
+		completed: 'completed',
+		planning: 'planned',
+		on_hold: 'on_hold',
+		dropped: 'dropped'
+	};
+	return mapping[uiStatus] || null;
+}
+
+/**
+ * Process Kitsu library entries and format them consistently with AniList data structure
+ * @param {KitsuResource[]} entries - Library entry resources
+ * @param {Map<string, KitsuResource>} included - Included anime and mapping resources keyed by `type:id`
+ * @returns {UserAnimeData[]} Processed anime list
+ */
+function processKitsuData(entries, included) {
+	const animeList = [];
+
+	entries.forEach((entry) => {
+		const animeRef = entry.relationships?.anime?.data;
+		const anime = animeRef ? included.get(`anime:${animeRef.id}`) : null;
+		if (!anime) {
+			return;
+		}
+
+		const attributes = anime.attributes || {};
+		const listStatus = entry.attributes || {};
+		const externalIds = getExternalIds(anime, included);
+		const year = attributes.startDate ? parseInt(attributes.startDate.split('-')[0]) : null;
+
+		// Determine status: if rewatching, use REPEATING status
+		const isRewatching = listStatus.reconsuming || false;
+		const status = isRewatching ? 'REPEATING' : mapKitsuStatusToAniList(listStatus.status);
+
+		animeList.push({
+			// Entry data - matching AniList structure
+			entryId: parseInt(entry.id),
+			status: status,
+			// Kitsu stores ratings on a 2-20 scale; convert to the 0-10 scale used by MAL
+			score: listStatus.ratingTwenty ? listStatus.ratingTwenty / 2 : 0,
+			progress: listStatus.progress || 0,
+			repeat: listStatus.reconsumeCount || 0,
+			startedAt: parseKitsuDate(listStatus.startedAt),
+			completedAt: parseKitsuDate(listStatus.finishedAt),
+
+			// Media data - minimal fields needed, will be enriched from AniList
+			malId: externalIds.malId,
+			kitsuId: parseInt(anime.id),
+			title: {
+				romaji: attributes.titles?.en_jp || attributes.canonicalTitle || null,
+				english: attributes.titles?.en || null,
+				native: attributes.titles?.ja_jp || null
+			},
+			format: mapKitsuFormatToAniList(attributes.subtype),
+			year: year,
+			episodes: attributes.episodeCount || 0,
+
+			// These will be enriched from AniList later
+			anilistId: externalIds.anilistId,
+			mediaStatus: attributes.status || null,
+			startDate: year ? { year: year } : null,
+			duration: attributes.episodeLength || null,
+			source: null,
+			genres: [],
+			tags: [],
+			averageScore: attributes.averageRating
+				? Math.round(parseFloat(attributes.averageRating))
+				: null,
+			popularity: attributes.userCount || null,
+			favourites: attributes.favoritesCount || null
+		});
+	});
+
+	return animeList;
+}
+
+/**
+ * Read MAL and AniList IDs from an anime's included mappings
+ * @param {KitsuResource} anime - Anime resource
+ * @param {Map<string, KitsuResource>} included - Included resources keyed by `type:id`
+ * @returns {{malId: number|null, anilistId: number|null}} External IDs
+ */
+function getExternalIds(anime, included) {
+	let malId = null;
+	let anilistId = null;
+
+	for (const ref of anime.relationships?.mappings?.data || []) {
+		const mapping = included.get(`mappings:${ref.id}`);
+		const site = mapping?.attributes?.externalSite;
+		const id = parseInt(mapping?.attributes?.externalId);
+		if (!id) continue;
+
+		if (site === 'myanimelist/anime') {
+			malId = id;
+		} else if (site === 'anilist/anime') {
+			anilistId = id;
+		}
+	}
+
+	return { malId, anilistId };
+}
+
+/**
+ * Map Kitsu anime subtype to AniList format
+ * @param {string} kitsuType - Kitsu subtype
+ * @returns {string} AniList format
+ */
+function mapKitsuFormatToAniList(kitsuType) {
+	const mapping = {
+		tv: 'TV',
+		ova: 'OVA',
+		movie: 'MOVIE',
+		special: 'SPECIAL',
+		ona: 'ONA',
+		music: 'MUSIC'
+	};
+	return mapping[kitsuType?.toLowerCase()] || 'UNKNOWN';
+}
+
+/**
+ * Map Kitsu library status to AniList status
+ * @param {string} kitsuStatus - Kitsu library status
+ * @returns {string} AniList status
+ */
+function mapKitsuStatusToAniList(kitsuStatus) {
+	const mapping = {
+		current: 'CURRENT',
+		completed: 'COMPLETED',
+		on_hold: 'PAUSED',
+		dropped: 'DROPPED',
+		planned: 'PLANNING'
+	};
+	return mapping[kitsuStatus?.toLowerCase()] || 'PLANNING';
+}
+
+/**
+ * Parse Kitsu ISO timestamp to AniList date object
+ * @param {string|null} dateString - Kitsu timestamp (e.g. 2020-04-01T00:00:00.000Z)
+ * @returns {Object|null} Date object or null
+ */
+function parseKitsuDate(dateString) {
+	if (!dateString) return null;
+
+	const date = new Date(dateString);
+	if (isNaN(date.getTime())) return null;
+
+	return {
+		year: date.getUTCFullYear(),
+		month: date.getUTCMonth() + 1,
+		day: date.getUTCDate()
+	};
+}
@@ -0,0 +1,77 @@
+/**
+ * Quiz template gallery: categories, and loading a template into the editor.
+ * Shared by the template API, the quick start section and the editor's template guide.
+ *
+ * @module lib/utils/quizTemplates
+ */
+
+/**
+ * Template categories, in gallery order.
+ * @type {{value: string, label: string}[]}
+ */
+export const TEMPLATE_CATEGORIES = [
+  { value: 'getting-started', label: 'Getting Started' },
+  { value: 'randomization', label: 'Randomization' },
+  { value: 'advanced-flow', label: 'Advanced Flow' },
+  { value: 'themed', label: 'Themed' },
+  { value: 'difficulty', label: 'Difficulty' },
+  { value: 'other', label: 'Other' }
+];
+
+/** Category used when a submission does not pick one */
+export const DEFAULT_TEMPLATE_CATEGORY = 'other';
+
+/** Longest template guide (detailed explanation) accepted from submissions */
+export const MAX_TEMPLATE_EXPLANATION_LENGTH = 8000;
+
+/** Most feature tags on one template */
+export const MAX_TEMPLATE_FEATURES = 8;
+
+/** Session storage key the editor reads a template from on load */
+export const TEMPLATE_SESSION_KEY = 'templateToLoad';
+
+/**
+ * Check whether a value is a known template category.
+ * @param {any} value - Category to check
+ * @returns {boolean} True for categories in TEMPLATE_CATEGORIES
+ */
+export function isTemplateCategory(value) {
+  return TEMPLATE_CATEGORIES.some((category) => category.value === value);
+}
+
+/**
+ * Label of a template category.
+ * @param {string} value - Category value
+ * @returns {string} Label, or the value itself for unknown categories
+ */
+export function getTemplateCategoryLabel(value) {
+  return TEMPLATE_CATEGORIES.find((category) => category.value === value)?.label ?? value;
+}
+
+/**
+ * Fetches a template and stores it for the editor, which loads it on its next start.
+ * The caller navigates to /quizzes/create afterwards.
+ *
+ * @param {string} templateId - Template ID
+ * @returns {Promise<void>}
+ * @throws {Error} If the template cannot be loaded
+ */
+export async function prepareTemplateForEditor(templateId) {
+  const response = await fetch(`/api/templates/${templateId}`);
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(errorData.message || 'Failed to load template');
+  }
+
+  const data = await response.json();
+  sessionStorage.setItem(
+    TEMPLATE_SESSION_KEY,
+    JSON.stringify({
+      nodes: data.configuration_data?.nodes || [],
+      edges: data.configuration_data?.edges || [],
+      schemaVersion: data.configuration_data?.schemaVersion,
+      name: data.name,
+      metadata: data.metadata
+    })
+  );
+}
@@ -0,0 +1,161 @@
+/**
+ * Training card types
+ * A song can be trained as several cards, each asking for something different: the anime name
+ * (the original and default card), the song title, the artist or the OP/ED number. Every card type
+ * has its own FSRS card (training_progress.card_type) and its own card key, which is the song key
+ * with a card type suffix. Dependency-free so the training userscript can carry the same rules
+ * (see getCardAnswers in amqTrainingMode.js).
+ *
+ * @module lib/utils/trainingCardTypes
+ */
+
+/**
+ * What a card asks for
+ * - anime: anime name
+ * - song: song title
+ * - artist: song artist
+ * - type: OP/ED number ("OP2", "Ending 1"); insert songs have no number and get no card
+ * @typedef {'anime'|'song'|'artist'|'type'} CardType
+ */
+
+/** @type {CardType[]} */
+export const CARD_TYPES = ['anime', 'song', 'artist', 'type'];
+
+/** @type {CardType} */
+export const DEFAULT_CARD_TYPE = 'anime';
+
+/** Display names per card type */
+export const CARD_TYPE_LABELS = {
+  anime: 'Anime',
+  song: 'Song Title',
+  artist: 'Artist',
+  type: 'OP/ED Number'
+};
+
+/** Separates the song key from the card type in card keys */
+const CARD_KEY_SEPARATOR = '::';
+
+/**
+ * Check whether a value is a known card type
+ * @param {unknown} cardType - Value to check
+ * @returns {cardType is CardType} True for 'anime', 'song', 'artist' or 'type'
+ */
+export function isCardType(cardType) {
+  return CARD_TYPES.includes(/** @type {CardType} */ (cardType));
+}
+
+/**
+ * Build the key of a card
+ * Anime cards keep the plain song key, so keys from before card types stay valid.
+ * @param {string|number} songKey - Song key or AMQ song ID
+ * @param {CardType|null} [cardType] - Card type
+ * @returns {string} Card key, e.g. "12345" or "12345::artist"
+ */
+export function getCardKey(songKey, cardType = DEFAULT_CARD_TYPE) {
+  return !cardType || cardType === DEFAULT_CARD_TYPE
+    ? String(songKey)
+    : `${songKey}${CARD_KEY_SEPARATOR}${cardType}`;
+}
+
+/**
+ * Split a card key into song key and card type
+ * @param {string} cardKey - Card key
+ * @returns {{ songKey: string, cardType: CardType }} Song key and card type (anime without a known suffix)
+ */
+export function parseCardKey(cardKey) {
+  const key = String(cardKey ?? '');
+  const index = key.lastIndexOf(CARD_KEY_SEPARATOR);
+  if (index !== -1) {
+    const suffix = key.slice(index + CARD_KEY_SEPARATOR.length);
+    if (isCardType(suffix)) {
+      return { songKey: key.slice(0, index), cardType: suffix };
+    }
+  }
+  return { songKey: key, cardType: DEFAULT_CARD_TYPE };
+}
+
+/**
+ * Work out a song's OP/ED kind and number
+ * Accepts AMQ's numeric types (1 = OP, 2 = ED, 3 = insert, with a separate number) as well as
+ * AnisongDB's strings ("Opening 2", "Ending 1", "Insert Song").
+ * @param {string|number|null|undefined} songType - Song type
+ * @param {number|null} [typeNumber] - OP/ED number for numeric types
+ * @returns {{ kind: 'OP'|'ED', number: number }|null} Kind and number, or null for inserts and unknown types
+ */
+export function parseSongType(songType, typeNumber = null) {
+  if (typeof songType === 'number') {
+    if (songType !== 1 && songType !== 2) return null;
+    return { kind: songType === 1 ? 'OP' : 'ED', number: typeNumber || 1 };
+  }
+
+  const match = /^(opening|ending|op|ed)\s*(\d+)?/i.exec(String(songType ?? '').trim());
+  if (!match) return null;
+  return {
+    kind: match[1].toLowerCase().startsWith('o') ? 'OP' : 'ED',
+    number: Number(match[2] ?? typeNumber ?? 1)
+  };
+}
+
+/**
+ * Check whether a song can be trained as a card type
+ * @param {Object} song - Song with songName, songArtist and songType
+ * @param {CardType} cardType - Card type
+ * @returns {boolean} True when the song has what the card asks for
+ */
+export function supportsCardType(song, cardType) {
+  switch (cardType) {
+    case 'song':
+      return Boolean(song.songName);
+    case 'artist':
+      return Boolean(song.songArtist);
+    case 'type':
+      return parseSongType(song.songType, song.typeNumber) !== null;
+    default:
+      return true;
+  }
+}
+
+/**
+ * Accepted answers of a card
+ * @param {Object} song - Song (quiz song or userscript song)
+ * @param {CardType} cardType - Card type
+ * @returns {string[]} Accepted answers, compared with normalizeAnswer
+ */
+export function getCardAnswers(song, cardType) {
+  switch (cardType) {
+    case 'song':
+      return song.songName ? [song.songName] : [];
+    case 'artist':
+      return song.songArtist ? [song.songArtist] : [];
+    case 'type': {
+      const type = parseSongType(song.songType, song.typeNumber);
+      if (!type) return [];
+      const name = type.kind === 'OP' ? 'Opening' : 'Ending';
+      return [`${type.kind}${type.number}`, `${type.kind} ${type.number}`, `${name} ${type.number}`];
+    }
+    default:
+      return [
+        song.animeENName,
+        song.animeJPName,
+        song.animeRomajiName,
+        song.animeEnglishName,
+        ...(song.altAnimeNames || []),
+        ...(song.altAnimeNamesAnswers || [])
+      ].filter(Boolean);
+  }
+}
+
+/**
+ * Turn songs into cards, one per song and card type the song supports
+ * @template {Object} T
+ * @param {T[]} songs - Quiz songs
+ * @param {CardType[]} [cardTypes] - Card types to train
+ * @returns {Array<T & { cardType: CardType }>} Cards in song order, a song's cards next to each other
+ */
+export function buildCards(songs, cardTypes = [DEFAULT_CARD_TYPE]) {
+  return songs.flatMap(song =>
+    cardTypes
+      .filter(cardType => supportsCardType(song, cardType))
+      .map(cardType => ({ ...song, cardType }))
+  );
+}
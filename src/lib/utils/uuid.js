@@ -0,0 +1,16 @@
+/**
+ * UUID validation for IDs taken from requests
+ * IDs that reach a Postgres uuid column or a PostgREST filter string are checked first, so a
+ * malformed value is a 400 rather than a database error or extra filter syntax.
+ */
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Check whether a value is a UUID
+ * @param {unknown} value - Value to check
+ * @returns {boolean} True for a UUID string
+ */
+export function isUuid(value) {
+	return typeof value === 'string' && UUID_PATTERN.test(value);
+}
@@ -9,7 +9,26 @@ import { json, error } from '@sveltejs/kit';
 import { createSupabaseAdmin } from '$lib/server/supabase-admin.js';
 import { generateShareToken } from '$lib/utils/token.js';
 import { isAdmin } from '$lib/server/auth-utils.js';
-import { validateSongListAccess, extractSongListIds } from '$lib/server/song-list-utils.js';
+import { findUnauthorizedSongLists } from '$lib/server/song-list-utils.js';
+import { recordQuizRevision, ensureBaselineRevision, checkQuizEditAccess } from '$lib/server/quiz-revision-utils.js';
+import { resolveForkSource } from '$lib/server/quiz-lineage-utils.js';
+
+/**
+ * Write the revision for a save. The quiz is already saved at this point, so a failure is
+ * logged and reported as no revision instead of failing the save.
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabaseAdmin - Supabase admin client
+ * @param {string} quizId - Saved quiz ID
+ * @param {Parameters<typeof recordQuizRevision>[2]} revision - Revision contents
+ * @returns {Promise<Object|null>} The new revision, or null if none was written
+ */
+async function recordSaveRevision(supabaseAdmin, quizId, revision) {
+	try {
+		return await recordQuizRevision(supabaseAdmin, quizId, revision);
+	} catch (err) {
+		console.error('Error saving quiz revision:', err);
+		return null;
+	}
+}
 
 /**
  * GET /api/quiz-configurations
@@ -76,13 +95,16 @@ export async function GET({ locals }) {
  * @property {Object} configuration_data - JSONB data containing nodes and edges
  * @property {string} creator_username - Username of creator
  * @property {string} [existingQuizId] - Optional ID for updating existing quiz
+ * @property {string} [forked_from] - Quiz this one was remixed from (new quizzes only)
+ *
+ * Every save that changes the configuration also adds a revision to the quiz's history.
  */
 export async function POST({ request, locals }) {
 	const { session, user } = await locals.safeGetSession();
 
 	try {
 		const body = await request.json();
-		const { name, description, is_public, allow_remixing, configuration_data, quiz_metadata, creator_username, existingQuizId, share_token } =
+		const { name, description, is_public, allow_remixing, configuration_data, quiz_metadata, creator_username, existingQuizId, share_token, forked_from } =
 			body;
 
 		// Validate required fields
@@ -105,91 +127,28 @@ export async function POST({ request, locals }) {
 		// Validate song list access for authenticated users creating/updating quizzes
 		// This ensures users can only reference song lists they have permission to use
 		if (session && user) {
-			const userIsAdmin = isAdmin(user);
-			const songListIds = extractSongListIds(configuration_data);
-			
-			if (songListIds.length > 0) {
-				const validationResults = await Promise.all(
-					songListIds.map(listId => validateSongListAccess(listId, user.id, userIsAdmin))
-				);
-				
-				const unauthorizedLists = validationResults.filter(result => !result.authorized);
-				
-				if (unauthorizedLists.length > 0) {
-					const listNames = unauthorizedLists.map(r => `"${r.listName}" (${r.reason})`).join(', ');
-					throw error(403, { 
-						message: `You do not have permission to use the following song lists: ${listNames}` 
-					});
-				}
+			const songListError = await findUnauthorizedSongLists(configuration_data, user, isAdmin(user));
+			if (songListError) {
+				throw error(403, { message: songListError });
 			}
 		}
 
 		if (existingQuizId) {
-			// Update existing quiz
-			let existingQuiz;
-			let authMethod = null; // 'ownership' or 'share_token'
-
-			// Check authentication method
-			if (session && user) {
-				// User is logged in - first try ownership, then share token if provided
-				const { data: ownershipData, error: ownershipError } = await supabaseAdmin
-					.from('quiz_configurations')
-					.select('share_token, play_token, user_id, is_public')
-					.eq('id', existingQuizId)
-					.eq('user_id', user.id)
-					.single();
-
-				if (!ownershipError && ownershipData) {
-					// User owns the quiz
-					existingQuiz = ownershipData;
-					authMethod = 'ownership';
-				} else if (share_token) {
-					// Not the owner, but has share token - verify it
-					const { data: shareData, error: shareError } = await supabaseAdmin
-						.from('quiz_configurations')
-						.select('share_token, play_token, user_id, is_public')
-						.eq('id', existingQuizId)
-						.eq('share_token', share_token)
-						.single();
-
-					if (shareError || !shareData) {
-						throw error(403, { message: 'Invalid share token' });
-					}
-					
-					// Reject share_token authentication for public quizzes
-					if (shareData.is_public) {
-						throw error(403, { message: 'Public quizzes can only be edited by their owner' });
-					}
-					
-					existingQuiz = shareData;
-					authMethod = 'share_token';
-				} else {
-					throw error(404, { message: 'Quiz not found or access denied' });
-				}
-			} else if (share_token) {
-				// User is not logged in - verify share token
-				const { data, error: fetchError } = await supabaseAdmin
-					.from('quiz_configurations')
-					.select('share_token, play_token, user_id, is_public')
-					.eq('id', existingQuizId)
-					.eq('share_token', share_token)
-					.single();
-
-				if (fetchError || !data) {
-					throw error(403, { message: 'Invalid share token' });
-				}
-				
-				// Reject share_token authentication for public quizzes
-				if (data.is_public) {
-					throw error(403, { message: 'Public quizzes can only be edited by their owner' });
-				}
-				
-				existingQuiz = data;
-				authMethod = 'share_token';
-			} else {
-				throw error(401, { message: 'Authentication required' });
+			// Update existing quiz: the owner, or anyone with the share token of a private quiz
+			const access = await checkQuizEditAccess(
+				supabaseAdmin,
+				existingQuizId,
+				session ? user : null,
+				share_token
+			);
+
+			if (!access.quiz) {
+				throw error(access.status, { message: access.message });
 			}
 
+			const existingQuiz = access.quiz;
+			const authMethod = access.authMethod;
+
 			const updateData = {
 				name,
 				description: description || null,
@@ -217,6 +176,13 @@ export async function POST({ request, locals }) {
 				updateData.play_token = generateShareToken();
 			}
 
+			// Quizzes saved before revisions existed keep their current configuration as the first revision
+			try {
+				await ensureBaselineRevision(supabaseAdmin, existingQuizId);
+			} catch (err) {
+				console.error('Error saving baseline quiz revision:', err);
+			}
+
 			// Build the query conditionally based on authentication method
 			let updateQuery = supabaseAdmin
 				.from('quiz_configurations')
@@ -237,7 +203,15 @@ export async function POST({ request, locals }) {
 				throw error(500, { message: dbError.message });
 			}
 
-			return json({ data, updated: true });
+			const revision = await recordSaveRevision(supabaseAdmin, data.id, {
+				configurationData: configuration_data,
+				name,
+				source: 'save',
+				userId: user?.id ?? null,
+				username: creator_username
+			});
+
+			return json({ data, updated: true, revision });
 		} else {
 			// Create new quiz - requires authentication
 			if (!session || !user) {
@@ -249,6 +223,9 @@ export async function POST({ request, locals }) {
 			const shareToken = is_public ? null : generateShareToken();
 			const playToken = generateShareToken();
 
+			// Keep the remix link only if the user could actually remix the source quiz
+			const forkedFrom = await resolveForkSource(supabaseAdmin, forked_from, user);
+
 			const { data, error: dbError } = await supabaseAdmin
 				.from('quiz_configurations')
 				.insert({
@@ -262,9 +239,10 @@ export async function POST({ request, locals }) {
 					creator_username,
 					share_token: shareToken,
 					play_token: playToken,
+					forked_from: forkedFrom,
 					created_at: new Date().toISOString()
 				})
-				.select('id, name, description, is_public, allow_remixing, configuration_data, quiz_metadata, creator_username, share_token, play_token, user_id, created_at, updated_at')
+				.select('id, name, description, is_public, allow_remixing, configuration_data, quiz_metadata, creator_username, share_token, play_token, user_id, forked_from, created_at, updated_at')
 				.single();
 
 			if (dbError) {
@@ -272,7 +250,15 @@ export async function POST({ request, locals }) {
 				throw error(500, { message: dbError.message });
 			}
 
-			return json({ data, created: true });
+			const revision = await recordSaveRevision(supabaseAdmin, data.id, {
+				configurationData: configuration_data,
+				name,
+				source: 'create',
+				userId: user.id,
+				username: creator_username
+			});
+
+			return json({ data, created: true, revision });
 		}
 	} catch (err) {
 		console.error('Error saving quiz configuration:', err);
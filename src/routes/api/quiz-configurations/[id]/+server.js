@@ -157,6 +157,7 @@ export async function PATCH({ params, request, locals }) {
  * POST /api/quiz-configurations/[id]/clone
  * Clones an existing quiz configuration into a new quiz for the authenticated user.
  * The cloned quiz will have a new name (original name + " (Copy)") and will be private.
+ * The clone records the original in forked_from, so it shows up in the original's lineage.
  *
  * @param {Object} params - Request parameters
  * @param {Object} params.params - Route parameters
@@ -217,6 +218,7 @@ export async function POST({ params, request, locals }) {
 				configuration_data: originalQuiz.configuration_data,
 				creator_username:
 					user.user_metadata?.username || originalQuiz.creator_username || 'Unknown',
+				forked_from: params.id,
 				created_at: new Date().toISOString()
 			})
 			.select()
@@ -0,0 +1,43 @@
+/**
+ * Quiz configuration lineage API endpoint.
+ * Shows where a quiz was remixed from and the remixes built on it.
+ *
+ * @module api/quiz-configurations/[id]/lineage
+ */
+
+import { json, error } from '@sveltejs/kit';
+import { createSupabaseAdmin } from '$lib/server/supabase-admin.js';
+import { loadQuizLineage } from '$lib/server/quiz-lineage-utils.js';
+
+/**
+ * GET /api/quiz-configurations/[id]/lineage
+ * Fetches the ancestors of a quiz (original first) and the tree of its forks.
+ * Available for public quizzes and to the owner of a private quiz. Private quizzes of other users
+ * in the lineage are returned as hidden placeholders.
+ *
+ * @param {Object} event - Request event
+ * @param {Object} event.params - Route parameters
+ * @param {string} event.params.id - Quiz configuration ID
+ * @param {Object} event.locals - SvelteKit locals object
+ * @returns {Promise<Response>} { quiz, ancestors, truncated }
+ */
+export async function GET({ params, locals }) {
+	const { user } = await locals.safeGetSession();
+
+	try {
+		const supabaseAdmin = createSupabaseAdmin();
+		const lineage = await loadQuizLineage(supabaseAdmin, params.id, user);
+
+		if (!lineage) {
+			throw error(404, { message: 'Quiz not found' });
+		}
+
+		return json(lineage);
+	} catch (err) {
+		if (err.status && err.body) {
+			throw err;
+		}
+		console.error('Error loading quiz lineage:', err);
+		throw error(500, { message: 'Failed to load quiz lineage' });
+	}
+}
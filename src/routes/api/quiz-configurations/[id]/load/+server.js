@@ -8,12 +8,17 @@
 import { json, error } from '@sveltejs/kit';
 import { createSupabaseAdmin } from '$lib/server/supabase-admin.js';
 import { isAdmin } from '$lib/server/auth-utils.js';
+import {
+	migrateConfiguration,
+	getSchemaVersion,
+	CURRENT_SCHEMA_VERSION
+} from '$lib/components/amqplus/editor/utils/configMigrations.js';
 
 /**
  * Load response structure.
  * @typedef {Object} LoadResponse
  * @property {boolean} success - Whether the load was successful
- * @property {Object} configuration_data - Quiz configuration data (nodes, edges, metadata)
+ * @property {Object} configuration_data - Quiz configuration data (nodes, edges, metadata), migrated to the current schema version
  * @property {string} name - Quiz name
  * @property {string} [error] - Error message if load failed
  */
@@ -23,6 +28,7 @@ import { isAdmin } from '$lib/server/auth-utils.js';
  * Fetches a specific quiz configuration's full data
  * Requires authentication - only the owner can load their private quizzes
  * Public quizzes can be loaded by anyone
+ * Configurations saved with an older schema version are migrated before being returned
  *
  * @param {Object} event - Request event
  * @param {Object} event.params - Route parameters
@@ -81,8 +87,15 @@ export async function GET({ params, locals, url }) {
 			});
 		}
 
+		// Saved by a newer editor than this server knows how to read
+		if (getSchemaVersion(quizData.configuration_data) > CURRENT_SCHEMA_VERSION) {
+			throw error(409, {
+				message: 'This quiz was saved with a newer version of the editor. Please reload the page and try again.'
+			});
+		}
+
 		return json({
-			configuration_data: quizData.configuration_data,
+			configuration_data: migrateConfiguration(quizData.configuration_data),
 			name: quizData.name,
 			description: quizData.description,
 			is_public: quizData.is_public,
@@ -0,0 +1,49 @@
+/**
+ * Quiz configuration revisions API endpoint.
+ * Lists the saved revisions of a quiz for the editor's history panel.
+ *
+ * @module api/quiz-configurations/[id]/revisions
+ */
+
+import { json, error } from '@sveltejs/kit';
+import { createSupabaseAdmin } from '$lib/server/supabase-admin.js';
+import { checkQuizEditAccess, listQuizRevisions } from '$lib/server/quiz-revision-utils.js';
+
+/**
+ * GET /api/quiz-configurations/[id]/revisions
+ * Lists a quiz's revisions, newest first, without their configurations.
+ * Available to whoever can edit the quiz: the owner, or anyone with the share token of a private quiz.
+ *
+ * @param {Object} event - Request event
+ * @param {Object} event.params - Route parameters
+ * @param {string} event.params.id - Quiz configuration ID
+ * @param {Object} event.locals - SvelteKit locals object
+ * @param {URL} event.url - Request URL (share_token query parameter)
+ * @returns {Promise<Response>} Revisions of the quiz
+ */
+export async function GET({ params, locals, url }) {
+	const { user } = await locals.safeGetSession();
+
+	try {
+		const supabaseAdmin = createSupabaseAdmin();
+		const access = await checkQuizEditAccess(
+			supabaseAdmin,
+			params.id,
+			user,
+			url.searchParams.get('share_token')
+		);
+
+		if (!access.quiz) {
+			throw error(access.status, { message: access.message });
+		}
+
+		const revisions = await listQuizRevisions(supabaseAdmin, params.id);
+		return json({ revisions });
+	} catch (err) {
+		if (err.status && err.body) {
+			throw err;
+		}
+		console.error('Error loading quiz revisions:', err);
+		throw error(500, { message: 'Failed to load quiz revisions' });
+	}
+}
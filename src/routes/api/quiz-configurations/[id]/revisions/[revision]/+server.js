@@ -0,0 +1,65 @@
+/**
+ * Quiz configuration revision API endpoint.
+ * Fetches one saved revision of a quiz with its configuration, for diffs in the history panel.
+ *
+ * @module api/quiz-configurations/[id]/revisions/[revision]
+ */
+
+import { json, error } from '@sveltejs/kit';
+import { createSupabaseAdmin } from '$lib/server/supabase-admin.js';
+import { checkQuizEditAccess, loadQuizRevision } from '$lib/server/quiz-revision-utils.js';
+import { migrateConfiguration } from '$lib/components/amqplus/editor/utils/configMigrations.js';
+
+/**
+ * GET /api/quiz-configurations/[id]/revisions/[revision]
+ * Fetches a revision, migrated to the current configuration schema.
+ * Available to whoever can edit the quiz.
+ *
+ * @param {Object} event - Request event
+ * @param {Object} event.params - Route parameters
+ * @param {string} event.params.id - Quiz configuration ID
+ * @param {string} event.params.revision - Revision number
+ * @param {Object} event.locals - SvelteKit locals object
+ * @param {URL} event.url - Request URL (share_token query parameter)
+ * @returns {Promise<Response>} The revision with its configuration_data
+ */
+export async function GET({ params, locals, url }) {
+	const { user } = await locals.safeGetSession();
+
+	const revisionNumber = Number(params.revision);
+	if (!Number.isInteger(revisionNumber) || revisionNumber < 1) {
+		throw error(400, { message: 'Invalid revision number' });
+	}
+
+	try {
+		const supabaseAdmin = createSupabaseAdmin();
+		const access = await checkQuizEditAccess(
+			supabaseAdmin,
+			params.id,
+			user,
+			url.searchParams.get('share_token')
+		);
+
+		if (!access.quiz) {
+			throw error(access.status, { message: access.message });
+		}
+
+		const revision = await loadQuizRevision(supabaseAdmin, params.id, revisionNumber);
+		if (!revision) {
+			throw error(404, { message: 'Revision not found' });
+		}
+
+		return json({
+			revision: {
+				...revision,
+				configuration_data: migrateConfiguration(revision.configuration_data)
+			}
+		});
+	} catch (err) {
+		if (err.status && err.body) {
+			throw err;
+		}
+		console.error('Error loading quiz revision:', err);
+		throw error(500, { message: 'Failed to load quiz revision' });
+	}
+}
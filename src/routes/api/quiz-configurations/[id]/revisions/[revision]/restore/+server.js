@@ -0,0 +1,116 @@
+/**
+ * Quiz configuration revision restore API endpoint.
+ * Rolls a quiz back to one of its revisions.
+ *
+ * @module api/quiz-configurations/[id]/revisions/[revision]/restore
+ */
+
+import { json, error } from '@sveltejs/kit';
+import { createSupabaseAdmin } from '$lib/server/supabase-admin.js';
+import {
+	checkQuizEditAccess,
+	loadQuizRevision,
+	recordQuizRevision
+} from '$lib/server/quiz-revision-utils.js';
+import {
+	migrateConfiguration,
+	stampSchemaVersion
+} from '$lib/components/amqplus/editor/utils/configMigrations.js';
+import { generateQuizMetadata } from '$lib/utils/quizMetadata.js';
+import { findUnauthorizedSongLists } from '$lib/server/song-list-utils.js';
+import { isAdmin } from '$lib/server/auth-utils.js';
+
+/**
+ * POST /api/quiz-configurations/[id]/revisions/[revision]/restore
+ * Replaces the quiz's configuration with the one from a revision and records it as a new revision,
+ * so the restore itself can be undone from the history too.
+ * Available to whoever can edit the quiz. Like a save, a logged-in user can only restore a
+ * configuration whose song lists they may still use.
+ *
+ * Request body: { share_token?: string }
+ *
+ * @param {Object} event - Request event
+ * @param {Object} event.params - Route parameters
+ * @param {string} event.params.id - Quiz configuration ID
+ * @param {string} event.params.revision - Revision number to restore
+ * @param {Request} event.request - Request object
+ * @param {Object} event.locals - SvelteKit locals object
+ * @returns {Promise<Response>} The restored configuration_data and the new revision
+ */
+export async function POST({ params, request, locals }) {
+	const { user } = await locals.safeGetSession();
+
+	const revisionNumber = Number(params.revision);
+	if (!Number.isInteger(revisionNumber) || revisionNumber < 1) {
+		throw error(400, { message: 'Invalid revision number' });
+	}
+
+	try {
+		const body = await request.json().catch(() => ({}));
+		const supabaseAdmin = createSupabaseAdmin();
+		const access = await checkQuizEditAccess(supabaseAdmin, params.id, user, body.share_token);
+
+		if (!access.quiz) {
+			throw error(access.status, { message: access.message });
+		}
+
+		const revision = await loadQuizRevision(supabaseAdmin, params.id, revisionNumber);
+		if (!revision) {
+			throw error(404, { message: 'Revision not found' });
+		}
+
+		if (user) {
+			const songListError = await findUnauthorizedSongLists(
+				revision.configuration_data,
+				user,
+				isAdmin(user)
+			);
+			if (songListError) {
+				throw error(403, { message: songListError });
+			}
+		}
+
+		const configurationData = stampSchemaVersion({
+			...migrateConfiguration(revision.configuration_data),
+			metadata: {
+				...revision.configuration_data.metadata,
+				savedAt: new Date().toISOString()
+			}
+		});
+
+		const { error: updateError } = await supabaseAdmin
+			.from('quiz_configurations')
+			.update({
+				configuration_data: configurationData,
+				quiz_metadata: generateQuizMetadata(configurationData),
+				updated_at: new Date().toISOString()
+			})
+			.eq('id', params.id);
+
+		if (updateError) {
+			console.error('Database error:', updateError);
+			throw error(500, { message: 'Failed to restore revision' });
+		}
+
+		const restoredRevision = await recordQuizRevision(supabaseAdmin, params.id, {
+			configurationData,
+			name: access.quiz.name,
+			source: 'restore',
+			restoredFrom: revisionNumber,
+			userId: user?.id ?? null,
+			username: user?.user_metadata?.username ?? null
+		});
+
+		return json({
+			success: true,
+			configuration_data: configurationData,
+			revision: restoredRevision
+		});
+	} catch (err) {
+		if (err.status && err.body) {
+			throw err;
+		}
+		console.error('Error restoring quiz revision:', err);
+		throw error(500, { message: 'Failed to restore revision' });
+	}
+}
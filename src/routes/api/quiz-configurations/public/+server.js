@@ -8,6 +8,7 @@
 
 import { json, error } from '@sveltejs/kit';
 import { createSupabaseAdmin } from '$lib/server/supabase-admin.js';
+import { isUuid } from '$lib/utils/uuid.js';
 
 /**
  * GET /api/quiz-configurations/public
@@ -23,12 +24,18 @@ import { createSupabaseAdmin } from '$lib/server/supabase-admin.js';
  * - creator: Filter by creator username
  * - dateFrom: Filter by creation date (from)
  * - dateTo: Filter by creation date (to)
+ * - forkedFrom: Only list public remixes of this quiz (a quiz ID, 400 otherwise)
  *
  * @param {Object} params - SvelteKit request parameters
  * @param {URL} params.url - Request URL with query parameters
  * @returns {Promise<Response>} JSON response with quiz configurations and pagination info
  */
 export async function GET({ url }) {
+	const forkedFrom = url.searchParams.get('forkedFrom') || '';
+	if (forkedFrom && !isUuid(forkedFrom)) {
+		return error(400, { message: 'forkedFrom must be a quiz ID' });
+	}
+
 	try {
 		const supabaseAdmin = createSupabaseAdmin();
 
@@ -47,9 +54,12 @@ export async function GET({ url }) {
 		// Build query - use public_quiz_configurations view
 		let query = supabaseAdmin
 			.from('public_quiz_configurations')
-			.select('id, name, description, created_at, updated_at, creator_username, creator_id', {
-				count: 'exact'
-			});
+			.select(
+				'id, name, description, created_at, updated_at, creator_username, creator_id, forked_from',
+				{
+					count: 'exact'
+				}
+			);
 
 		// Apply filters
 		if (search) {
@@ -70,6 +80,10 @@ export async function GET({ url }) {
 			query = query.ilike('creator_username', `%${creator}%`);
 		}
 
+		if (forkedFrom) {
+			query = query.eq('forked_from', forkedFrom);
+		}
+
 		if (dateFrom) {
 			query = query.gte('created_at', dateFrom);
 		}
@@ -7,6 +7,7 @@
 
 import { json, error } from '@sveltejs/kit';
 import { createSupabaseAdmin } from '$lib/server/supabase-admin.js';
+import { migrateConfiguration } from '$lib/components/amqplus/editor/utils/configMigrations.js';
 
 /**
  * Load response structure.
@@ -56,7 +57,7 @@ export async function GET({ params }) {
 
     return json({
       id: quizData.id,
-      configuration_data: quizData.configuration_data,
+      configuration_data: migrateConfiguration(quizData.configuration_data),
       name: quizData.name,
       description: quizData.description,
       is_public: quizData.is_public,
@@ -0,0 +1,185 @@
+import { json, error } from '@sveltejs/kit';
+import { createSupabaseAdmin } from '$lib/server/supabase-admin.js';
+import { isUuid } from '$lib/utils/uuid.js';
+import { checkQuizEditAccess } from '$lib/server/quiz-revision-utils.js';
+
+const TARGET_TYPES = ['song', 'anime'];
+
+/**
+ * GET /api/song-exclusions?quiz_id=[optional]
+ * Fetches the authenticated user's song exclusions
+ * Without quiz_id only global exclusions are returned, with quiz_id the global and that quiz's ones
+ * Requires authentication
+ */
+// @ts-ignore
+export async function GET({ url, locals }) {
+	const { session, user } = await locals.safeGetSession();
+
+	if (!session || !user) {
+		return error(401, { message: 'You must be logged in to view song exclusions' });
+	}
+
+	const quizId = url.searchParams.get('quiz_id');
+	// quiz_id ends up in a PostgREST filter string, so only accept plain UUIDs
+	if (quizId && !isUuid(quizId)) {
+		return error(400, { message: 'quiz_id must be a valid UUID' });
+	}
+
+	try {
+		const supabaseAdmin = createSupabaseAdmin();
+
+		let query = supabaseAdmin
+			.from('song_exclusions')
+			.select('id, quiz_id, target_type, target_id, song_name, anime_name, reason, created_at')
+			.eq('user_id', user.id)
+			.order('created_at', { ascending: false });
+
+		query = quizId ? query.or(`quiz_id.is.null,quiz_id.eq.${quizId}`) : query.is('quiz_id', null);
+
+		const { data, error: dbError } = await query;
+
+		if (dbError) {
+			console.error('Database error:', dbError);
+			return error(500, { message: dbError.message });
+		}
+
+		return json({ data: data || [] });
+	} catch (err) {
+		console.error('Error fetching song exclusions:', err);
+		return error(500, { message: 'Failed to fetch song exclusions' });
+	}
+}
+
+/**
+ * POST /api/song-exclusions
+ * Excludes a song or a whole anime from the user's quizzes
+ * Quiz-only exclusions need edit access to the quiz, as for saving it (owner, or share token of a private quiz)
+ *
+ * Request body:
+ * {
+ *   target_type: 'song' | 'anime',
+ *   target_id: number,          // annSongId for songs, annId for anime
+ *   quiz_id?: string | null,    // null = all of the user's quizzes
+ *   share_token?: string,       // for quizzes the user edits via a share link
+ *   song_name?: string,
+ *   anime_name?: string,
+ *   reason?: string
+ * }
+ */
+// @ts-ignore
+export async function POST({ request, locals }) {
+	const { session, user } = await locals.safeGetSession();
+
+	if (!session || !user) {
+		return error(401, { message: 'Unauthorized' });
+	}
+
+	try {
+		const body = await request.json();
+		const {
+			target_type,
+			quiz_id = null,
+			share_token = null,
+			song_name = null,
+			anime_name = null,
+			reason = null
+		} = body;
+		const target_id = Number(body.target_id);
+
+		if (!TARGET_TYPES.includes(target_type) || !Number.isInteger(target_id)) {
+			return error(400, {
+				message: 'target_type must be "song" or "anime" with a numeric target_id'
+			});
+		}
+
+		if (quiz_id !== null && !isUuid(quiz_id)) {
+			return error(400, { message: 'quiz_id must be a valid UUID' });
+		}
+
+		const supabaseAdmin = createSupabaseAdmin();
+
+		if (quiz_id) {
+			const access = await checkQuizEditAccess(supabaseAdmin, quiz_id, user, share_token);
+
+			if (!access.quiz) {
+				return error(access.status, { message: access.message });
+			}
+		}
+
+		const { data, error: dbError } = await supabaseAdmin
+			.from('song_exclusions')
+			.upsert(
+				{
+					user_id: user.id,
+					quiz_id,
+					target_type,
+					target_id,
+					song_name,
+					anime_name,
+					reason
+				},
+				{ onConflict: 'user_id,quiz_id,target_type,target_id' }
+			)
+			.select()
+			.single();
+
+		if (dbError) {
+			console.error('Database error:', dbError);
+			return error(500, { message: dbError.message });
+		}
+
+		return json({ data, success: true });
+	} catch (err) {
+		console.error('Error adding song exclusion:', err);
+		// Validation and access errors are already HttpErrors
+		if (err.status && err.body) {
+			throw err;
+		}
+		return error(500, { message: 'Failed to add song exclusion' });
+	}
+}
+
+/**
+ * DELETE /api/song-exclusions
+ * Removes one of the user's song exclusions
+ *
+ * Request body:
+ * {
+ *   id: string
+ * }
+ */
+// @ts-ignore
+export async function DELETE({ request, locals }) {
+	const { session, user } = await locals.safeGetSession();
+
+	if (!session || !user) {
+		return error(401, { message: 'Unauthorized' });
+	}
+
+	try {
+		const body = await request.json();
+		const { id } = body;
+
+		if (!id) {
+			return error(400, { message: 'Missing id' });
+		}
+
+		const supabaseAdmin = createSupabaseAdmin();
+
+		const { error: dbError } = await supabaseAdmin
+			.from('song_exclusions')
+			.delete()
+			.eq('user_id', user.id)
+			.eq('id', id);
+
+		if (dbError) {
+			console.error('Database error:', dbError);
+			return error(500, { message: dbError.message });
+		}
+
+		return json({ success: true });
+	} catch (err) {
+		console.error('Error removing song exclusion:', err);
+		return error(500, { message: 'Failed to remove song exclusion' });
+	}
+}
@@ -0,0 +1,146 @@
+/**
+ * Template gallery API endpoint.
+ * Lists gallery templates and takes quiz submissions for the gallery.
+ *
+ * @module api/templates
+ */
+
+import { json, error } from '@sveltejs/kit';
+import { createSupabaseAdmin } from '$lib/server/supabase-admin.js';
+import { isAdmin } from '$lib/server/auth-utils.js';
+import {
+  MAX_TEMPLATES_PER_PAGE,
+  listTemplates,
+  normalizeTemplateFields,
+  submitTemplate
+} from '$lib/server/quiz-template-utils.js';
+import { isTemplateCategory } from '$lib/utils/quizTemplates.js';
+
+/** Review statuses admins can list */
+const REVIEW_STATUSES = ['pending', 'approved', 'rejected'];
+
+/**
+ * GET /api/templates
+ * Fetches a page of the template gallery. No authentication required for approved templates.
+ *
+ * Query parameters:
+ * - page: Page number (default: 1)
+ * - limit: Items per page (default: 12, max: 24)
+ * - category: Filter by category
+ * - search: Search across name and description
+ * - featured: Only featured templates when "true"
+ * - mine: The requester's own submissions in any status when "true" (requires login)
+ * - status: Review status to list (admins only, default: approved)
+ *
+ * @param {Object} event - Request event
+ * @param {URL} event.url - Request URL with query parameters
+ * @param {Object} event.locals - SvelteKit locals object
+ * @returns {Promise<Response>} Templates without configurations, pagination info and whether the requester can review submissions
+ */
+export async function GET({ url, locals }) {
+  const { user } = await locals.safeGetSession();
+
+  try {
+    const page = Math.max(parseInt(url.searchParams.get('page') || '1') || 1, 1);
+    const limit = Math.min(
+      Math.max(parseInt(url.searchParams.get('limit') || '12') || 12, 1),
+      MAX_TEMPLATES_PER_PAGE
+    );
+    const category = url.searchParams.get('category') || '';
+    const search = url.searchParams.get('search') || '';
+    const featured = url.searchParams.get('featured') === 'true';
+    const mine = url.searchParams.get('mine') === 'true';
+    const requestedStatus = url.searchParams.get('status') || '';
+    const canReview = isAdmin(user);
+
+    if (category && !isTemplateCategory(category)) {
+      throw error(400, { message: 'Unknown template category' });
+    }
+
+    if (mine && !user) {
+      throw error(401, { message: 'You must be logged in to see your template submissions' });
+    }
+
+    if (requestedStatus && (!canReview || !REVIEW_STATUSES.includes(requestedStatus))) {
+      throw error(canReview ? 400 : 403, { message: 'Invalid template status filter' });
+    }
+
+    const supabaseAdmin = createSupabaseAdmin();
+    const { templates, totalItems } = await listTemplates(supabaseAdmin, {
+      page,
+      limit,
+      category,
+      search,
+      featured,
+      // Own submissions are listed whatever their status
+      status: mine ? requestedStatus : requestedStatus || 'approved',
+      submittedBy: mine ? user.id : undefined
+    });
+
+    return json({
+      data: templates,
+      pagination: {
+        page,
+        limit,
+        totalItems,
+        totalPages: Math.ceil(totalItems / limit)
+      },
+      canReview
+    });
+  } catch (err) {
+    if (err.status && err.body) {
+      throw err;
+    }
+    console.error('Error fetching templates:', err);
+    throw error(500, { message: 'Failed to fetch templates' });
+  }
+}
+
+/**
+ * POST /api/templates
+ * Submits one of the user's quizzes to the template gallery. The template keeps a snapshot of the
+ * quiz's current configuration; submitting again replaces the snapshot. Submissions by admins are
+ * listed right away, others after review.
+ *
+ * Request body: { quiz_id, category?, name?, description?, detailed_explanation?, features? }
+ *
+ * @param {Object} event - Request event
+ * @param {Request} event.request - Request object
+ * @param {Object} event.locals - SvelteKit locals object
+ * @returns {Promise<Response>} The submitted template
+ */
+export async function POST({ request, locals }) {
+  const { session, user } = await locals.safeGetSession();
+
+  if (!session || !user) {
+    throw error(401, { message: 'You must be logged in to submit templates' });
+  }
+
+  try {
+    const body = await request.json();
+
+    if (!body.quiz_id) {
+      throw error(400, { message: 'Missing quiz_id' });
+    }
+
+    const { fields, message } = normalizeTemplateFields(body);
+    if (message) {
+      throw error(400, { message });
+    }
+
+    const supabaseAdmin = createSupabaseAdmin();
+    const result = await submitTemplate(supabaseAdmin, user, body.quiz_id, fields);
+
+    if (!result.template) {
+      throw error(result.status, { message: result.message });
+    }
+
+    return json({ data: result.template, success: true });
+  } catch (err) {
+    if (err.status && err.body) {
+      throw err;
+    }
+    console.error('Error submitting template:', err);
+    throw error(500, { message: 'Failed to submit template' });
+  }
+}
@@ -0,0 +1,145 @@
+/**
+ * Anki export/import of training progress
+ * GET: Download the quiz's songs as an Anki notes file (?file=notes, default) or its review log (?file=revlog)
+ * POST: Import a review log (with the cards file that maps Anki card IDs to songs) and rebuild the
+ *       affected songs' FSRS state from it
+ */
+
+import { json, error } from '@sveltejs/kit';
+import { createSupabaseAdmin } from '$lib/server/supabase-admin.js';
+import { resolveProgressScope, loadQuizProgress } from '$lib/server/training/progress-scope.js';
+import { queryAllPages } from '$lib/server/training/paged-queries.js';
+import { DEFAULT_CARD_TYPE } from '$lib/utils/trainingCardTypes.js';
+import {
+  buildAnkiNotesCsv,
+  buildAnkiRevlogCsv,
+  parseAnkiReviewLog,
+  parseAnkiCardMap,
+  importAnkiReviews
+} from '$lib/server/training/anki-interchange.js';
+
+/**
+ * File-name-safe version of a quiz name
+ * @param {string} name - Quiz name
+ * @returns {string} Slug
+ */
+function toFileSlug(name) {
+  return (name || 'quiz').replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '').toLowerCase() || 'quiz';
+}
+
+// @ts-ignore
+export async function GET({ params, url, locals: { safeGetSession } }) {
+  const { session } = await safeGetSession();
+
+  if (!session) {
+    throw error(401, { message: 'Unauthorized' });
+  }
+
+  const userId = session.user.id;
+  const { quizId } = params;
+  const file = url.searchParams.get('file') === 'revlog' ? 'revlog' : 'notes';
+  const supabaseAdmin = createSupabaseAdmin();
+
+  const { data: quiz, error: quizError } = await supabaseAdmin
+    .from('quiz_configurations')
+    .select('id, name')
+    .eq('id', quizId)
+    .single();
+
+  if (quizError || !quiz) {
+    throw error(404, { message: 'Quiz not found' });
+  }
+
+  let plays;
+  try {
+    plays = await queryAllPages(() => supabaseAdmin
+      .from('training_session_plays')
+      .select('song_ann_id, played_at, rating, time_spent_ms, correct_answer, fsrs_before')
+      .eq('user_id', userId)
+      .eq('quiz_id', quizId)
+      .eq('card_type', DEFAULT_CARD_TYPE)
+      .eq('play_type', 'review')
+      .order('played_at', { ascending: true }));
+  } catch (playsError) {
+    console.error('[Anki Export] Error fetching plays:', playsError);
+    throw error(500, { message: 'Failed to fetch review history' });
+  }
+
+  let csv;
+  if (file === 'revlog') {
+    csv = buildAnkiRevlogCsv(plays);
+  } else {
+    const scope = await resolveProgressScope(supabaseAdmin, userId, quizId);
+    const { data: progress, error: progressError } = await loadQuizProgress(supabaseAdmin, userId, scope);
+
+    if (progressError) {
+      console.error('[Anki Export] Error fetching progress:', progressError);
+      throw error(500, { message: 'Failed to fetch training progress' });
+    }
+
+    // Plays are in chronological order, so the last answer seen per song wins
+    const answersBySong = new Map();
+    for (const play of plays) {
+      if (play.song_ann_id && play.correct_answer) {
+        answersBySong.set(play.song_ann_id, play.correct_answer);
+      }
+    }
+
+    const animeCards = (progress || []).filter(record => (record.card_type || DEFAULT_CARD_TYPE) === DEFAULT_CARD_TYPE);
+    csv = buildAnkiNotesCsv(animeCards, answersBySong, `AMQ+::${quiz.name}`);
+  }
+
+  return new Response(csv, {
+    headers: {
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="${toFileSlug(quiz.name)}-${file === 'revlog' ? 'revlog' : 'anki-notes'}.csv"`
+    }
+  });
+}
+
+/**
+ * Request body:
+ * {
+ *   revlog: string,  // CSV: card_id,review_time,review_rating,review_state,review_duration, or an Anki revlog dump
+ *   cards?: string   // CSV with card_id (or cid) and tags columns, needed when card IDs are Anki card IDs
+ * }
+ */
+// @ts-ignore
+export async function POST({ params, request, locals: { safeGetSession } }) {
+  const { session } = await safeGetSession();
+
+  if (!session) {
+    throw error(401, { message: 'Unauthorized' });
+  }
+
+  const { revlog, cards } = await request.json().catch(() => ({}));
+
+  if (typeof revlog !== 'string' || revlog.trim() === '') {
+    return json({ message: 'A review log CSV is required' }, { status: 400 });
+  }
+
+  let songByCard = null;
+  if (typeof cards === 'string' && cards.trim() !== '') {
+    const cardMap = parseAnkiCardMap(cards);
+    if (cardMap.error) {
+      return json({ message: cardMap.error }, { status: 400 });
+    }
+    songByCard = cardMap.songByCard;
+  }
+
+  const { reviews, skipped, error: parseError } = parseAnkiReviewLog(revlog, songByCard);
+
+  if (parseError) {
+    return json({ message: parseError }, { status: 400 });
+  }
+
+  const supabaseAdmin = createSupabaseAdmin();
+
+  try {
+    const result = await importAnkiReviews(supabaseAdmin, session.user.id, params.quizId, reviews);
+    return json({ success: true, ...result, skipped });
+  } catch (err) {
+    console.error('[Anki Import] Error:', err);
+    throw error(500, { message: 'Failed to import review log' });
+  }
+}
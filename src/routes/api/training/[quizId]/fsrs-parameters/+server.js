@@ -0,0 +1,76 @@
+/**
+ * Personalised FSRS parameters
+ * GET: Fetch the weights used for this quiz (quiz-specific, else the user's global weights)
+ * POST: Fit new weights from the user's review history and store them
+ */
+
+import { json, error } from '@sveltejs/kit';
+import { createSupabaseAdmin } from '$lib/server/supabase-admin.js';
+import {
+  loadUserParameters,
+  optimizeUserParameters,
+  MIN_REVIEWS_FOR_OPTIMIZATION
+} from '$lib/server/training/fsrs-optimizer.js';
+
+// @ts-ignore
+export async function GET({ params, locals: { safeGetSession } }) {
+  const { session } = await safeGetSession();
+
+  if (!session) {
+    throw error(401, { message: 'Unauthorized' });
+  }
+
+  const supabaseAdmin = createSupabaseAdmin();
+  const parameters = await loadUserParameters(supabaseAdmin, session.user.id, params.quizId);
+
+  return json({
+    parameters,
+    personalised: !!parameters,
+    minReviews: MIN_REVIEWS_FOR_OPTIMIZATION
+  });
+}
+
+/**
+ * Request body:
+ * {
+ *   scope?: 'quiz' | 'all'   // fit on this quiz's plays only, or on all of the user's plays (default)
+ * }
+ */
+// @ts-ignore
+export async function POST({ params, request, locals: { safeGetSession } }) {
+  const { session } = await safeGetSession();
+
+  if (!session) {
+    throw error(401, { message: 'Unauthorized' });
+  }
+
+  const { scope = 'all' } = await request.json().catch(() => ({}));
+  const supabaseAdmin = createSupabaseAdmin();
+
+  try {
+    const result = await optimizeUserParameters(
+      supabaseAdmin,
+      session.user.id,
+      scope === 'quiz' ? params.quizId : null
+    );
+
+    if (!result.optimized) {
+      return json({
+        success: false,
+        ...result,
+        message: result.reviewCount < MIN_REVIEWS_FOR_OPTIMIZATION
+          ? `Not enough review history yet (${result.reviewCount}/${MIN_REVIEWS_FOR_OPTIMIZATION} reviews)`
+          : 'The default parameters already fit your history best'
+      });
+    }
+
+    return json({
+      success: true,
+      ...result,
+      message: `Scheduling tuned on ${result.reviewCount} reviews`
+    });
+  } catch (err) {
+    console.error('[FSRS Parameters] Error:', err);
+    throw error(500, { message: 'Failed to optimise FSRS parameters' });
+  }
+}
@@ -0,0 +1,46 @@
+/**
+ * Leech drill for a quiz
+ * Sessions are started from the connector, so a drill is requested here and the next session the
+ * connector starts for the quiz is an intensive (leeches only) session.
+ * POST: Request a drill for the next session
+ * DELETE: Cancel a pending drill
+ */
+
+import { json, error } from '@sveltejs/kit';
+import { createSupabaseAdmin } from '$lib/server/supabase-admin.js';
+import { requestLeechDrill } from '$lib/server/training/training-preferences.js';
+
+/**
+ * Save or cancel the drill request
+ * @param {string} quizId - Quiz ID
+ * @param {Function} safeGetSession - Session loader from locals
+ * @param {boolean} requested - True to request a drill, false to cancel it
+ * @returns {Promise<Response>} JSON response with the pending state
+ */
+async function setLeechDrill(quizId, safeGetSession, requested) {
+  const { session } = await safeGetSession();
+
+  if (!session) {
+    throw error(401, { message: 'Unauthorized' });
+  }
+
+  const supabaseAdmin = createSupabaseAdmin();
+
+  try {
+    await requestLeechDrill(supabaseAdmin, session.user.id, quizId, requested);
+    return json({ success: true, leechDrillRequested: requested });
+  } catch (err) {
+    console.error('[Leech Drill] Error:', err);
+    throw error(500, { message: 'Failed to save the leech drill request' });
+  }
+}
+
+// @ts-ignore
+export async function POST({ params, locals: { safeGetSession } }) {
+  return setLeechDrill(params.quizId, safeGetSession, true);
+}
+
+// @ts-ignore
+export async function DELETE({ params, locals: { safeGetSession } }) {
+  return setLeechDrill(params.quizId, safeGetSession, false);
+}
@@ -0,0 +1,70 @@
+/**
+ * Training preferences for a quiz
+ * GET: Fetch target retention, maximum interval and daily limits
+ * PUT: Update them
+ */
+
+import { json, error } from '@sveltejs/kit';
+import { createSupabaseAdmin } from '$lib/server/supabase-admin.js';
+import {
+  loadTrainingPreferences,
+  saveTrainingPreferences,
+  validateTrainingPreferences
+} from '$lib/server/training/training-preferences.js';
+
+// @ts-ignore
+export async function GET({ params, locals: { safeGetSession } }) {
+  const { session } = await safeGetSession();
+
+  if (!session) {
+    throw error(401, { message: 'Unauthorized' });
+  }
+
+  const supabaseAdmin = createSupabaseAdmin();
+  const preferences = await loadTrainingPreferences(supabaseAdmin, session.user.id, params.quizId);
+
+  return json({ preferences });
+}
+
+/**
+ * Request body (all optional, missing values keep their saved values):
+ * {
+ *   desiredRetention: number,        // 0.7 - 0.99
+ *   maximumInterval: number,         // days
+ *   dailyNewLimit: number | null,
+ *   dailyReviewLimit: number | null,
+ *   leechThreshold: number,          // lapses, 2 - 50
+ *   leechPolicy: 'suspend' | 'deprioritize' | 'intensive',
+ *   cardTypes: string[]              // 'anime' | 'song' | 'artist' | 'type', at least one
+ * }
+ */
+// @ts-ignore
+export async function PUT({ params, request, locals: { safeGetSession } }) {
+  const { session } = await safeGetSession();
+
+  if (!session) {
+    throw error(401, { message: 'Unauthorized' });
+  }
+
+  const body = await request.json().catch(() => ({}));
+  const supabaseAdmin = createSupabaseAdmin();
+
+  // Apply the update on top of the saved preferences so a partial body doesn't reset the rest
+  const current = await loadTrainingPreferences(supabaseAdmin, session.user.id, params.quizId);
+  const { preferences, error: validationError } = validateTrainingPreferences({
+    ...current,
+    ...(body && typeof body === 'object' && !Array.isArray(body) ? body : {})
+  });
+
+  if (validationError) {
+    return json({ message: validationError }, { status: 400 });
+  }
+
+  try {
+    const saved = await saveTrainingPreferences(supabaseAdmin, session.user.id, params.quizId, preferences);
+    return json({ success: true, preferences: saved });
+  } catch (err) {
+    console.error('[Training Preferences] Error:', err);
+    throw error(500, { message: 'Failed to save training preferences' });
+  }
+}
@@ -1,14 +1,15 @@
 /**
  * Training Progress API
  * GET: Fetch all training progress for a quiz
- * POST: Batch update progress (for offline sync)
+ * POST: Sync reviews recorded offline (append-only review log, deduped by review ID)
  * DELETE: Delete all progress for a quiz
  */
 
 import { json } from '@sveltejs/kit';
 import { createSupabaseAdmin } from '$lib/server/supabase-admin.js';
-import { verifyToken } from '$lib/server/training/training-utils.js';
-import { trainingScheduler } from '$lib/server/training/fsrs-service.js';
+import { authenticateTrainingToken } from '$lib/server/training/training-utils.js';
+import { resolveProgressScope, loadQuizProgress, applyProgressScope } from '$lib/server/training/progress-scope.js';
+import { parseSyncReviews, syncReviews } from '$lib/server/training/review-sync.js';
 
 // GET: Fetch training progress
 // @ts-ignore
@@ -28,19 +29,8 @@ export async function GET({ params, url, locals: { safeGetSession } }) {
     if (session) {
       userId = session.user.id;
     } else if (token) {
-      // Verify connector token
-      const { data: tokens } = await supabaseAdmin
-        .from('training_tokens')
-        .select('*');
-
-      let validToken = null;
-      for (const dbToken of tokens || []) {
-        const isValid = await verifyToken(token, dbToken.token_hash);
-        if (isValid) {
-          validToken = dbToken;
-          break;
-        }
-      }
+      // Verify token
+      const validToken = await authenticateTrainingToken(supabaseAdmin, token);
 
       if (!validToken) {
         return json({ error: 'Invalid token' }, { status: 401 });
@@ -51,146 +41,99 @@ export async function GET({ params, url, locals: { safeGetSession } }) {
       return json({ error: 'Unauthorized' }, { status: 401 });
     }
 
-    // Fetch progress
-    const { data: progress, error } = await supabase
-      .from('training_progress')
-      .select('*')
-      .eq('user_id', userId)
-      .eq('quiz_id', quizId)
-      .order('last_attempt_at', { ascending: false, nullsFirst: false });
+    // Fetch progress (the shared cards of this quiz's songs in global mode)
+    const scope = await resolveProgressScope(supabaseAdmin, userId, quizId);
+    const { data: progress, error } = await loadQuizProgress(supabaseAdmin, userId, scope);
 
     if (error) {
       console.error('Error fetching progress:', error);
       return json({ error: 'Failed to fetch progress' }, { status: 500 });
     }
 
-    return json({ progress: progress || [] });
+    // Most recently attempted first, never attempted last
+    const sortedProgress = (progress || []).sort((a, b) =>
+      (b.last_attempt_at ? new Date(b.last_attempt_at).getTime() : -Infinity) -
+      (a.last_attempt_at ? new Date(a.last_attempt_at).getTime() : -Infinity)
+    );
+
+    return json({ progress: sortedProgress });
   } catch (error) {
     console.error('Error in GET progress:', error);
     return json({ error: 'Internal server error' }, { status: 500 });
   }
 }
 
-// POST: Batch update progress (offline sync)
+// POST: Sync reviews recorded offline
+/**
+ * Request body:
+ * {
+ *   token: string,
+ *   clientId?: string,                 // device or install sending the reviews
+ *   reviews: [{
+ *     reviewId: string,                // client-generated, unique per user
+ *     annSongId: number,               // or songKey (card key, e.g. "12345::artist")
+ *     cardType?: string,               // 'anime' | 'song' | 'artist' | 'type'
+ *     rating: number,                  // 1-4
+ *     reviewedAt: string,              // client time of the review
+ *     success?: boolean,
+ *     timeSpent?: number,              // ms
+ *     userAnswer?: string,
+ *     correctAnswer?: string
+ *   }]
+ * }
+ * Bodies of the old batch update ({ updates: [...] }, keyed by {artist}_{title}) are rejected with a 400.
+ * Responds with the canonical progress of every card in the request and the conflicts found.
+ */
 // @ts-ignore
 export async function POST({ params, request }) {
 
   const supabaseAdmin = createSupabaseAdmin();
   try {
     const { quizId } = params;
-    const { token, updates } = await request.json();
+    const body = await request.json().catch(() => ({}));
+    const { token, clientId } = body;
 
-    if (!token || !updates || !Array.isArray(updates)) {
-      return json({ error: 'Token and updates array required' }, { status: 400 });
+    if (!token) {
+      return json({ error: 'Token required' }, { status: 400 });
     }
 
-    // Verify token
-    const { data: tokens } = await supabaseAdmin
-      .from('training_tokens')
-      .select('*');
-
-    let validToken = null;
-    for (const dbToken of tokens || []) {
-      const isValid = await verifyToken(token, dbToken.token_hash);
-      if (isValid) {
-        validToken = dbToken;
-        break;
-      }
+    if (body.updates !== undefined && body.reviews === undefined) {
+      return json({
+        error: 'The { updates } batch format is no longer supported, send { reviews } with an annSongId and reviewId per review'
+      }, { status: 400 });
     }
 
-    if (!validToken) {
-      return json({ error: 'Invalid token' }, { status: 401 });
+    const { reviews, rejected, error: validationError } = parseSyncReviews(body.reviews);
+    if (validationError) {
+      return json({ error: validationError }, { status: 400 });
     }
 
-    const userId = validToken.user_id;
-    let successCount = 0;
-    let failCount = 0;
-
-    // Process each update
-    for (const update of updates) {
-      try {
-        const { songKey, rating, timestamp, success } = update;
-
-        // Fetch or create progress
-        const { data: existingProgress } = await supabaseAdmin
-          .from('training_progress')
-          .select('*')
-          .eq('user_id', userId)
-          .eq('quiz_id', quizId)
-          .eq('song_key', songKey)
-          .single();
-
-        const isSuccess = success !== undefined ? success : rating >= 3;
-
-        if (existingProgress) {
-          // Update existing
-          const newFsrsState = trainingScheduler.updateCardState(
-            existingProgress.fsrs_state,
-            rating
-          );
-
-          const historyEntry = {
-            timestamp: timestamp || new Date().toISOString(),
-            success: isSuccess,
-            rating
-          };
-
-          await supabaseAdmin
-            .from('training_progress')
-            .update({
-              fsrs_state: newFsrsState,
-              attempt_count: existingProgress.attempt_count + 1,
-              success_count: existingProgress.success_count + (isSuccess ? 1 : 0),
-              failure_count: existingProgress.failure_count + (isSuccess ? 0 : 1),
-              success_streak: isSuccess ? existingProgress.success_streak + 1 : 0,
-              failure_streak: !isSuccess ? existingProgress.failure_streak + 1 : 0,
-              history: [...(existingProgress.history || []), historyEntry],
-              last_attempt_at: timestamp || new Date().toISOString()
-            })
-            .eq('id', existingProgress.id);
-
-          successCount++;
-        } else {
-          // Create new
-          const newCard = trainingScheduler.createNewCard(songKey);
-          const fsrsState = trainingScheduler.updateCardState(newCard, rating);
-
-          await supabaseAdmin.from('training_progress').insert({
-            user_id: userId,
-            quiz_id: quizId,
-            song_key: songKey,
-            fsrs_state: fsrsState,
-            attempt_count: 1,
-            success_count: isSuccess ? 1 : 0,
-            failure_count: isSuccess ? 0 : 1,
-            success_streak: isSuccess ? 1 : 0,
-            failure_streak: isSuccess ? 0 : 1,
-            history: [
-              {
-                timestamp: timestamp || new Date().toISOString(),
-                success: isSuccess,
-                rating
-              }
-            ],
-            last_attempt_at: timestamp || new Date().toISOString()
-          });
-
-          successCount++;
-        }
-      } catch (err) {
-        console.error('Error processing update:', err);
-        failCount++;
-      }
+    // Verify token
+    const validToken = await authenticateTrainingToken(supabaseAdmin, token);
+
+    if (!validToken) {
+      return json({ error: 'Invalid token' }, { status: 401 });
     }
 
-    return json({ success: true, processed: successCount, failed: failCount });
+    const result = await syncReviews(supabaseAdmin, validToken.user_id, quizId, reviews, {
+      clientId: typeof clientId === 'string' ? clientId.slice(0, 100) : null
+    });
+
+    return json({
+      success: true,
+      ...result,
+      rejected,
+      // Counts kept for clients of the old batch update
+      processed: result.accepted,
+      failed: rejected.length + result.failedCards.length
+    });
   } catch (error) {
-    console.error('Error in batch update:', error);
+    console.error('Error syncing reviews:', error);
     return json({ error: 'Internal server error' }, { status: 500 });
   }
 }
 
-// DELETE: Delete all progress for quiz
+// DELETE: Delete all progress for quiz (the shared cards of its songs in global mode)
 // @ts-ignore
 export async function DELETE({ params, request, locals: { safeGetSession } }) {
   const { session } = await safeGetSession();
@@ -206,12 +149,32 @@ export async function DELETE({ params, request, locals: { safeGetSession } }) {
 
   try {
     const { quizId } = params;
+    const scope = await resolveProgressScope(supabaseAdmin, userId, quizId);
+
+    let query = applyProgressScope(
+      supabaseAdmin
+        .from('training_progress')
+        .delete()
+        .eq('user_id', userId),
+      scope
+    );
+
+    if (scope.mode === 'global') {
+      const { data: records, error: fetchError } = await loadQuizProgress(supabaseAdmin, userId, scope, 'song_ann_id');
+
+      if (fetchError) {
+        console.error('Error fetching progress:', fetchError);
+        return json({ error: 'Failed to delete progress' }, { status: 500 });
+      }
+
+      if (!records || records.length === 0) {
+        return json({ success: true, message: 'All progress deleted' });
+      }
+
+      query = query.in('song_ann_id', [...new Set(records.map(record => record.song_ann_id))]);
+    }
 
-    const { error } = await supabaseAdmin
-      .from('training_progress')
-      .delete()
-      .eq('user_id', userId)
-      .eq('quiz_id', quizId);
+    const { error } = await query;
 
     if (error) {
       console.error('Error deleting progress:', error);
@@ -0,0 +1,171 @@
+/**
+ * Per-song training controls
+ * POST /api/training/[quizId]/progress/[songKey]
+ * songKey is the card key: the song's numeric AMQ song ID (song_ann_id), with a card type suffix
+ * for cards other than anime ("12345::artist")
+ *
+ * forget, known and reschedule are also logged in training_session_plays, so rebuilding the
+ * card from its plays keeps them.
+ *
+ * Request body:
+ * {
+ *   action: 'suspend' | 'unsuspend' | 'bury' | 'unbury' | 'reschedule' | 'forget' | 'known',
+ *   dueDate?: string   // YYYY-MM-DD, required for 'reschedule'
+ * }
+ */
+
+import { json, error } from '@sveltejs/kit';
+import { createSupabaseAdmin } from '$lib/server/supabase-admin.js';
+import { loadTrainingScheduler } from '$lib/server/training/fsrs-optimizer.js';
+import { startOfNextTrainingDay } from '$lib/server/training/fsrs-service.js';
+import { resolveProgressScope, applyProgressScope } from '$lib/server/training/progress-scope.js';
+import { parseCardKey } from '$lib/utils/trainingCardTypes.js';
+
+const ACTIONS = ['suspend', 'unsuspend', 'bury', 'unbury', 'reschedule', 'forget', 'known'];
+
+/**
+ * Parse a YYYY-MM-DD due date as the start of that training day (4:00 AM local time)
+ * @param {unknown} value - Raw date
+ * @returns {Date|null} Due date, or null when invalid
+ */
+function parseDueDate(value) {
+  const match = typeof value === 'string' ? value.match(/^(\d{4})-(\d{2})-(\d{2})$/) : null;
+  if (!match) return null;
+  const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]), 4, 0, 0, 0);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+// @ts-ignore
+export async function POST({ params, request, locals: { safeGetSession } }) {
+  const { session } = await safeGetSession();
+
+  if (!session) {
+    throw error(401, { message: 'Unauthorized' });
+  }
+
+  const userId = session.user.id;
+  const { quizId } = params;
+  const { songKey, cardType } = parseCardKey(params.songKey);
+  const songAnnId = Number(songKey);
+
+  if (!Number.isInteger(songAnnId) || songAnnId <= 0) {
+    return json({ message: 'Invalid song ID' }, { status: 400 });
+  }
+
+  const { action, dueDate } = await request.json().catch(() => ({}));
+
+  if (!ACTIONS.includes(action)) {
+    return json({ message: `Action must be one of: ${ACTIONS.join(', ')}` }, { status: 400 });
+  }
+
+  const parsedDueDate = action === 'reschedule' ? parseDueDate(dueDate) : null;
+  if (action === 'reschedule' && !parsedDueDate) {
+    return json({ message: 'A due date (YYYY-MM-DD) is required to reschedule' }, { status: 400 });
+  }
+
+  const supabaseAdmin = createSupabaseAdmin();
+
+  try {
+    const scope = await resolveProgressScope(supabaseAdmin, userId, quizId);
+    const { data: progress, error: fetchError } = await applyProgressScope(
+      supabaseAdmin
+        .from('training_progress')
+        .select('*')
+        .eq('user_id', userId),
+      scope
+    )
+      .eq('song_ann_id', songAnnId)
+      .eq('card_type', cardType)
+      .maybeSingle();
+
+    if (fetchError) {
+      console.error('[Training Song] Error fetching progress:', fetchError);
+      throw error(500, { message: 'Failed to fetch training progress' });
+    }
+
+    if (!progress) {
+      throw error(404, { message: 'No training progress for this song' });
+    }
+
+    const now = new Date();
+    const scheduler = await loadTrainingScheduler(supabaseAdmin, userId, quizId);
+
+    /** @type {Record<string, any>} */
+    let changes;
+    switch (action) {
+      case 'suspend':
+        changes = { suspended_at: now.toISOString() };
+        break;
+      case 'unsuspend':
+        changes = { suspended_at: null };
+        break;
+      case 'bury':
+        changes = { buried_until: startOfNextTrainingDay(now).toISOString() };
+        break;
+      case 'unbury':
+        changes = { buried_until: null };
+        break;
+      case 'reschedule':
+        changes = { fsrs_state: scheduler.rescheduleCard(progress.fsrs_state, parsedDueDate) };
+        break;
+      case 'forget': {
+        const fsrsState = scheduler.forgetCard(progress.fsrs_state);
+        changes = {
+          fsrs_state: fsrsState,
+          success_streak: 0,
+          failure_streak: 0,
+          tags: scheduler.updateLeechTags(progress.tags, fsrsState)
+        };
+        break;
+      }
+      case 'known':
+        changes = { fsrs_state: scheduler.markCardKnown(progress.fsrs_state, now) };
+        break;
+    }
+
+    // Card state changes are logged as plays so rebuilding progress from the plays keeps them
+    if (changes.fsrs_state) {
+      const { error: logError } = await supabaseAdmin.from('training_session_plays').insert({
+        user_id: userId,
+        session_id: null,
+        quiz_id: quizId,
+        song_ann_id: songAnnId,
+        card_type: cardType,
+        play_type: action,
+        played_at: now.toISOString(),
+        rating: null,
+        success: null,
+        answer_data: action === 'reschedule' ? { dueDate: parsedDueDate.toISOString() } : {},
+        fsrs_before: progress.fsrs_state,
+        fsrs_after: changes.fsrs_state
+      });
+
+      if (logError) {
+        console.error('[Training Song] Error logging card action:', logError);
+        throw error(500, { message: 'Failed to update training progress' });
+      }
+    }
+
+    const { data: updated, error: updateError } = await supabaseAdmin
+      .from('training_progress')
+      .update({ ...changes, updated_at: now.toISOString() })
+      .eq('id', progress.id)
+      .select()
+      .single();
+
+    if (updateError) {
+      console.error('[Training Song] Error updating progress:', updateError);
+      throw error(500, { message: 'Failed to update training progress' });
+    }
+
+    console.log(`[Training Song] ${action} song ${songAnnId} (${cardType} card) for user ${userId}`);
+
+    return json({ success: true, progress: updated });
+  } catch (err) {
+    console.error('[Training Song] Error:', err);
+    if (err.status) {
+      throw err;
+    }
+    throw error(500, { message: 'Failed to update song' });
+  }
+}
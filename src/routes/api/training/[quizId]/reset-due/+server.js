@@ -6,6 +6,7 @@
 
 import { json, error } from '@sveltejs/kit';
 import { createSupabaseAdmin } from '$lib/server/supabase-admin.js';
+import { resolveProgressScope, loadQuizProgress, applyProgressScope } from '$lib/server/training/progress-scope.js';
 
 // FSRS State constants
 const State = {
@@ -29,12 +30,9 @@ export async function POST({ params, locals: { safeGetSession } }) {
   const supabaseAdmin = createSupabaseAdmin();
 
   try {
-    // Fetch all due songs for this quiz
-    const { data: progressRecords, error: fetchError } = await supabaseAdmin
-      .from('training_progress')
-      .select('*')
-      .eq('user_id', userId)
-      .eq('quiz_id', quizId);
+    // Fetch all due songs for this quiz (the shared cards of its songs in global mode)
+    const scope = await resolveProgressScope(supabaseAdmin, userId, quizId);
+    const { data: progressRecords, error: fetchError } = await loadQuizProgress(supabaseAdmin, userId, scope);
 
     if (fetchError) {
       console.error('[Reset Due Songs] Error fetching progress:', fetchError);
@@ -92,6 +90,7 @@ export async function POST({ params, locals: { safeGetSession } }) {
 
         updates.push({
           song_ann_id: record.song_ann_id,
+          card_type: record.card_type,
           fsrs_state: updatedFsrsState,
           updated_at: now.toISOString()
         });
@@ -102,15 +101,16 @@ export async function POST({ params, locals: { safeGetSession } }) {
 
     // Batch update all records
     for (const update of updates) {
-      const { error: updateError } = await supabaseAdmin
-        .from('training_progress')
-        .update({
-          fsrs_state: update.fsrs_state,
-          updated_at: update.updated_at
-        })
-        .eq('user_id', userId)
-        .eq('quiz_id', quizId)
-        .eq('song_ann_id', update.song_ann_id);
+      const { error: updateError } = await applyProgressScope(
+        supabaseAdmin
+          .from('training_progress')
+          .update({
+            fsrs_state: update.fsrs_state,
+            updated_at: update.updated_at
+          })
+          .eq('user_id', userId),
+        scope
+      ).eq('song_ann_id', update.song_ann_id).eq('card_type', update.card_type);
 
       if (updateError) {
         console.error('[Reset Due Songs] Error updating song:', update.song_ann_id, updateError);
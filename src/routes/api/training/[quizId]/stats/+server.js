@@ -1,12 +1,14 @@
 /**
  * GET /api/training/[quizId]/stats
- * Get detailed training statistics for a quiz
+ * Get detailed training statistics for a quiz, overall and per card type
  */
 
 import { json } from '@sveltejs/kit';
 import { createSupabaseAdmin } from '$lib/server/supabase-admin.js';
-import { calculateQuizStats } from '$lib/server/training/training-utils.js';
-import { trainingScheduler } from '$lib/server/training/fsrs-service.js';
+import { calculateQuizStats, calculateCardTypeStats } from '$lib/server/training/training-utils.js';
+import { loadTrainingScheduler } from '$lib/server/training/fsrs-optimizer.js';
+import { loadTrainingPreferences } from '$lib/server/training/training-preferences.js';
+import { resolveProgressScope, loadQuizProgress } from '$lib/server/training/progress-scope.js';
 
 // @ts-ignore
 export async function GET({ params, locals: { safeGetSession } }) {
@@ -25,11 +27,8 @@ export async function GET({ params, locals: { safeGetSession } }) {
     const { quizId } = params;
 
     // Fetch progress
-    const { data: progress, error: progressError } = await supabaseAdmin
-      .from('training_progress')
-      .select('*')
-      .eq('user_id', userId)
-      .eq('quiz_id', quizId);
+    const scope = await resolveProgressScope(supabaseAdmin, userId, quizId);
+    const { data: progress, error: progressError } = await loadQuizProgress(supabaseAdmin, userId, scope);
 
     if (progressError) {
       console.error('Error fetching progress:', progressError);
@@ -38,9 +37,14 @@ export async function GET({ params, locals: { safeGetSession } }) {
 
     // Calculate stats
     const stats = calculateQuizStats(progress || []);
+    const cardTypeStats = calculateCardTypeStats(progress || []);
 
-    // Get forecast
-    const forecast = trainingScheduler.getForecast(progress || [], 7);
+    // Get forecast with the quiz's retention, maximum interval and daily review limit
+    const preferences = await loadTrainingPreferences(supabaseAdmin, userId, quizId);
+    const scheduler = await loadTrainingScheduler(supabaseAdmin, userId, quizId, preferences);
+    const forecast = scheduler.getForecast(progress || [], 7, {
+      dailyReviewLimit: preferences.dailyReviewLimit
+    });
 
     // Get performance over time (group by date)
     const performanceByDate = {};
@@ -71,6 +75,7 @@ export async function GET({ params, locals: { safeGetSession } }) {
 
     return json({
       stats,
+      cardTypeStats,
       forecast,
       performanceOverTime
     });
@@ -0,0 +1,33 @@
+/**
+ * GET /api/training/[quizId]/workload?days=30|90|365&newPerDay=N
+ * Simulate the quiz's daily reviews for the coming days, introducing newPerDay new songs a day
+ * (defaults to the quiz's daily new limit)
+ */
+
+import { json, error } from '@sveltejs/kit';
+import { createSupabaseAdmin } from '$lib/server/supabase-admin.js';
+import { parseWorkloadOptions, simulateQuizWorkload } from '$lib/server/training/workload-simulation.js';
+
+// @ts-ignore
+export async function GET({ params, url, locals: { safeGetSession } }) {
+  const { session } = await safeGetSession();
+
+  if (!session) {
+    throw error(401, { message: 'Unauthorized' });
+  }
+
+  const { days, newPerDay, error: validationError } = parseWorkloadOptions(url.searchParams);
+  if (validationError) {
+    throw error(400, { message: validationError });
+  }
+
+  const supabaseAdmin = createSupabaseAdmin();
+
+  try {
+    const workload = await simulateQuizWorkload(supabaseAdmin, session.user.id, params.quizId, { days, newPerDay });
+    return json(workload);
+  } catch (err) {
+    console.error('[TRAINING WORKLOAD] Error simulating workload:', err);
+    throw error(500, { message: 'Failed to simulate workload' });
+  }
+}
@@ -5,7 +5,7 @@
 
 import { json } from '@sveltejs/kit';
 import { createSupabaseAdmin } from '$lib/server/supabase-admin.js';
-import { importFromLocalStorage, reconstructSongsFromLocalStorage, verifyToken } from '$lib/server/training/training-utils.js';
+import { importFromLocalStorage, reconstructSongsFromLocalStorage, authenticateTrainingToken } from '$lib/server/training/training-utils.js';
 // @ts-ignore
 import { PIXELDRAIN_API_KEY } from '$env/static/private';
 
@@ -97,18 +97,7 @@ export async function POST({ request }) {
     // Verify token and get user
     let userId;
     try {
-      // Find token by trying to verify against all tokens
-      const { data: tokens } = await supabaseAdmin
-        .from('training_tokens')
-        .select('user_id, token_hash');
-
-      let validToken = null;
-      for (const t of tokens || []) {
-        if (await verifyToken(token, t.token_hash)) {
-          validToken = t;
-          break;
-        }
-      }
+      const validToken = await authenticateTrainingToken(supabaseAdmin, token);
 
       if (!validToken) {
         return json({ error: 'Invalid token' }, { status: 401 });
@@ -6,6 +6,7 @@
 import { json } from '@sveltejs/kit';
 import { createSupabaseAdmin } from '$lib/server/supabase-admin.js';
 import { getActivityCalendar } from '$lib/server/training/training-utils.js';
+import { loadTrainingSettings, loadPlayedSongsByQuiz } from '$lib/server/training/progress-scope.js';
 
 // @ts-ignore
 export async function GET({ locals: { safeGetSession } }) {
@@ -21,28 +22,31 @@ export async function GET({ locals: { safeGetSession } }) {
   const supabaseAdmin = createSupabaseAdmin();
 
   try {
-    // Get total quizzes with training
-    const { data: quizzesWithTraining } = await supabaseAdmin
-      .from('training_progress')
-      .select('quiz_id')
-      .eq('user_id', userId);
-
-    const uniqueQuizzes = new Set((quizzesWithTraining || []).map((p) => p.quiz_id));
-    const totalQuizzes = uniqueQuizzes.size;
+    const { progressMode } = await loadTrainingSettings(supabaseAdmin, userId);
 
-    // Get total songs practiced
-    const { data: allProgress } = await supabaseAdmin
+    // Get total songs practiced, counting only the cards of the active progress mode
+    const { data: storedProgress } = await supabaseAdmin
       .from('training_progress')
       .select('*')
       .eq('user_id', userId);
 
-    const totalSongs = allProgress?.length || 0;
+    const allProgress = (storedProgress || []).filter((p) =>
+      progressMode === 'global' ? p.quiz_id === null : p.quiz_id !== null
+    );
+    const totalSongs = allProgress.length;
+
+    // Get total quizzes with training (global cards have no quiz, use the quizzes they were played in)
+    const uniqueQuizzes =
+      progressMode === 'global'
+        ? new Set((await loadPlayedSongsByQuiz(supabaseAdmin, userId)).keys())
+        : new Set(allProgress.map((p) => p.quiz_id));
+    const totalQuizzes = uniqueQuizzes.size;
 
     // Calculate overall accuracy
     let totalAttempts = 0;
     let totalSuccess = 0;
 
-    for (const record of allProgress || []) {
+    for (const record of allProgress) {
       totalAttempts += record.attempt_count || 0;
       totalSuccess += record.success_count || 0;
     }
@@ -81,6 +85,7 @@ export async function GET({ locals: { safeGetSession } }) {
       totalSongs,
       overallAccuracy,
       totalAttempts,
+      progressMode,
       activityCalendar,
       recentSessions: recentSessionsSummary
     });
@@ -7,6 +7,8 @@
 
 import { json, error } from '@sveltejs/kit';
 import { createSupabaseAdmin } from '$lib/server/supabase-admin.js';
+import { authenticateTrainingToken } from '$lib/server/training/training-utils.js';
+import { resolveProgressScope, loadQuizProgress } from '$lib/server/training/progress-scope.js';
 
 /**
  * POST /api/training/quiz/[quizId]/stats
@@ -22,21 +24,16 @@ export async function POST({ params, request }) {
 	try {
 		const { token } = await request.json();
 
-		if (!token || typeof token !== 'string' || token.length !== 64) {
+		if (!token || typeof token !== 'string') {
 			return error(400, { message: 'Invalid token format' });
 		}
 
 		const supabaseAdmin = createSupabaseAdmin();
 
 		// Validate token and get user ID
-		const { data: tokenData, error: tokenError } = await supabaseAdmin
-			.from('training_tokens')
-			.select('user_id')
-			.eq('token', token)
-			.eq('is_active', true)
-			.single();
+		const tokenData = await authenticateTrainingToken(supabaseAdmin, token);
 
-		if (tokenError || !tokenData) {
+		if (!tokenData) {
 			console.error('[TRAINING QUIZ STATS] Invalid or inactive token');
 			return error(401, { message: 'Invalid or inactive token' });
 		}
@@ -61,11 +58,12 @@ export async function POST({ params, request }) {
 		}
 
 		// Fetch training progress for this quiz
-		const { data: progressRecords, error: progressError } = await supabaseAdmin
-			.from('training_progress')
-			.select('*')
-			.eq('user_id', userId)
-			.eq('quiz_id', quizId);
+		const scope = await resolveProgressScope(supabaseAdmin, userId, quizId);
+		const { data: progressRecords, error: progressError } = await loadQuizProgress(
+			supabaseAdmin,
+			userId,
+			scope
+		);
 
 		if (progressError) {
 			console.error('[TRAINING QUIZ STATS] Error fetching progress:', progressError);
@@ -86,7 +86,7 @@ export async function DELETE({ params, locals: { safeGetSession } }) {
     // 1. Fetch all plays for this session to know which songs are affected
     const { data: plays, error: playsError } = await supabaseAdmin
       .from('training_session_plays')
-      .select('id, quiz_id, song_ann_id')
+      .select('id, quiz_id, song_ann_id, card_type')
       .eq('session_id', sessionId)
       .eq('user_id', userId);
 
@@ -95,12 +95,12 @@ export async function DELETE({ params, locals: { safeGetSession } }) {
       throw error(500, { message: 'Failed to fetch session plays' });
     }
 
-    // 2. Build set of unique (quiz_id, song_ann_id) pairs affected
+    // 2. Build set of unique (quiz_id, song_ann_id, card_type) cards affected
     const affectedSongs = new Map();
     (plays || []).forEach(play => {
-      const key = `${play.quiz_id}:${play.song_ann_id}`;
+      const key = `${play.quiz_id}:${play.song_ann_id}:${play.card_type}`;
       if (!affectedSongs.has(key)) {
-        affectedSongs.set(key, { quizId: play.quiz_id, songAnnId: play.song_ann_id });
+        affectedSongs.set(key, { quizId: play.quiz_id, songAnnId: play.song_ann_id, cardType: play.card_type });
       }
     });
 
@@ -140,7 +140,7 @@ export async function DELETE({ params, locals: { safeGetSession } }) {
 
     for (const songInfo of affectedSongs.values()) {
       try {
-        await recalculateSongProgress(supabaseAdmin, userId, songInfo.quizId, songInfo.songAnnId);
+        await recalculateSongProgress(supabaseAdmin, userId, songInfo.quizId, songInfo.songAnnId, songInfo.cardType);
         recalcSuccessCount++;
       } catch (recalcError) {
         console.error('[Training Session Delete] Error recalculating progress for', songInfo.songAnnId, ':', recalcError);
@@ -5,7 +5,7 @@
 
 import { json } from '@sveltejs/kit';
 import { createSupabaseAdmin } from '$lib/server/supabase-admin.js';
-import { verifyToken } from '$lib/server/training/training-utils.js';
+import { authenticateTrainingToken } from '$lib/server/training/training-utils.js';
 
 // @ts-ignore
 export async function POST({ params, request }) {
@@ -21,18 +21,7 @@ export async function POST({ params, request }) {
     }
 
     // Verify token
-    const { data: tokens } = await supabaseAdmin
-      .from('training_tokens')
-      .select('*');
-
-    let validToken = null;
-    for (const dbToken of tokens || []) {
-      const isValid = await verifyToken(token, dbToken.token_hash);
-      if (isValid) {
-        validToken = dbToken;
-        break;
-      }
-    }
+    const validToken = await authenticateTrainingToken(supabaseAdmin, token);
 
     if (!validToken) {
       return json({ error: 'Invalid token' }, { status: 401 });
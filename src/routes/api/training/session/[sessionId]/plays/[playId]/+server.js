@@ -20,7 +20,7 @@ export async function DELETE({ params, locals: { safeGetSession } }) {
     // 1. Get the play to verify ownership and get song details
     const { data: play, error: fetchError } = await supabaseAdmin
       .from('training_session_plays')
-      .select('id, user_id, quiz_id, song_ann_id')
+      .select('id, user_id, quiz_id, song_ann_id, card_type')
       .eq('id', playId)
       .eq('session_id', sessionId)
       .single();
@@ -46,7 +46,7 @@ export async function DELETE({ params, locals: { safeGetSession } }) {
 
     // 3. Recalculate progress for this song
     try {
-      await recalculateSongProgress(supabaseAdmin, userId, play.quiz_id, play.song_ann_id);
+      await recalculateSongProgress(supabaseAdmin, userId, play.quiz_id, play.song_ann_id, play.card_type);
     } catch (recalcError) {
       console.error('Error recalculating progress:', recalcError);
       // Don't fail the request if deletion succeeded, but warn
@@ -2,12 +2,25 @@
  * POST /api/training/session/[sessionId]/progress
  * Report song completion and update training progress
  * Real-time sync after each song
+ * The card is given by annSongId, or by a card key in songKey ("12345::artist"), and cardType,
+ * read the same way as by the offline sync; every card type of a song has its own progress record
+ * A reviewId makes retries safe: a review already recorded under that ID is not applied again,
+ * and the same review can later be sent through the offline sync without counting twice
  */
 
 import { json } from '@sveltejs/kit';
 import { createSupabaseAdmin } from '$lib/server/supabase-admin.js';
-import { verifyToken } from '$lib/server/training/training-utils.js';
-import { trainingScheduler, Rating } from '$lib/server/training/fsrs-service.js';
+import { authenticateTrainingToken } from '$lib/server/training/training-utils.js';
+import { Rating } from '$lib/server/training/fsrs-service.js';
+import { loadTrainingScheduler } from '$lib/server/training/fsrs-optimizer.js';
+import { resolveProgressScope, applyProgressScope } from '$lib/server/training/progress-scope.js';
+import {
+  matchAnswer,
+  normalizeAnswer,
+  isAnswerStrictness,
+  DEFAULT_ANSWER_STRICTNESS
+} from '$lib/utils/answerNormalization.js';
+import { parseReviewCard } from '$lib/server/training/review-sync.js';
 
 // @ts-ignore
 export async function POST({ params, request }) {
@@ -16,22 +29,35 @@ export async function POST({ params, request }) {
 
   try {
     const { sessionId } = params;
-    const { token, songKey, annSongId, rating, success, userAnswer, correctAnswer, timeSpent } = await request.json();
+    const {
+      token,
+      songKey,
+      annSongId,
+      cardType: requestedCardType,
+      rating,
+      success,
+      userAnswer,
+      correctAnswer,
+      acceptedAnswers,
+      answerStrictness,
+      timeSpent,
+      reviewId,
+      clientId
+    } = await request.json();
 
     if (!token || rating === undefined) {
       return json({ error: 'Token and rating required' }, { status: 400 });
     }
 
-    // annSongId is the primary identifier now
-    if (!annSongId) {
-      console.warn('[TRAINING PROGRESS] annSongId not provided, using songKey as fallback');
+    if (annSongId == null && songKey == null) {
+      return json({ error: 'Either annSongId or songKey is required' }, { status: 400 });
     }
 
-    // Use annSongId as primary, fall back to songKey for backwards compatibility
-    const songIdentifier = annSongId || songKey;
-    if (!songIdentifier) {
-      return json({ error: 'Either annSongId or songKey is required' }, { status: 400 });
+    const card = parseReviewCard({ annSongId, songKey, cardType: requestedCardType });
+    if (card.error) {
+      return json({ error: card.error }, { status: 400 });
     }
+    const { songAnnId, cardType } = card;
 
     // Validate rating (1-4)
     if (rating < Rating.Again || rating > Rating.Easy) {
@@ -39,18 +65,7 @@ export async function POST({ params, request }) {
     }
 
     // Verify token
-    const { data: tokens } = await supabaseAdmin
-      .from('training_tokens')
-      .select('*');
-
-    let validToken = null;
-    for (const dbToken of tokens || []) {
-      const isValid = await verifyToken(token, dbToken.token_hash);
-      if (isValid) {
-        validToken = dbToken;
-        break;
-      }
-    }
+    const validToken = await authenticateTrainingToken(supabaseAdmin, token);
 
     if (!validToken) {
       return json({ error: 'Invalid token' }, { status: 401 });
@@ -70,33 +85,61 @@ export async function POST({ params, request }) {
       return json({ error: 'Session not found' }, { status: 404 });
     }
 
+    // Retried review: report the card as it is instead of applying the rating again
+    if (reviewId) {
+      const { data: recordedPlay } = await supabaseAdmin
+        .from('training_session_plays')
+        .select('fsrs_after')
+        .eq('user_id', userId)
+        .eq('client_review_id', String(reviewId))
+        .maybeSingle();
+
+      if (recordedPlay) {
+        return json({ success: true, duplicate: true, nextReview: recordedPlay.fsrs_after?.due ?? null });
+      }
+    }
+
     const quizId = session.quiz_id;
+    const [trainingScheduler, scope] = await Promise.all([
+      loadTrainingScheduler(supabaseAdmin, userId, quizId),
+      resolveProgressScope(supabaseAdmin, userId, quizId)
+    ]);
 
     // Fetch or create training progress record
-    // Try to find by numeric annSongId first (if provided), then by string songKey
-    let existingProgress = null;
-    
-    if (annSongId) {
-      const { data } = await supabaseAdmin
+    const { data: existingProgress } = await applyProgressScope(
+      supabaseAdmin
         .from('training_progress')
         .select('*')
-        .eq('user_id', userId)
-        .eq('quiz_id', quizId)
-        .eq('song_ann_id', annSongId)
-        .single();
-      existingProgress = data;
-    }
-    
-    // Fallback: if not found by song_ann_id, no legacy lookup needed
-    // The annSongId column is deprecated - all new records use song_ann_id
+        .eq('user_id', userId),
+      scope
+    )
+      .eq('song_ann_id', songAnnId)
+      .eq('card_type', cardType)
+      .maybeSingle();
 
     const now = new Date().toISOString();
-    const isSuccess = success !== undefined ? success : rating >= Rating.Good;
+
+    // Check the typed answer with the same normalisation the userscript uses, so the recorded
+    // play says why it counted (or not). An explicit success flag from the client still wins.
+    const strictness = isAnswerStrictness(answerStrictness) ? answerStrictness : DEFAULT_ANSWER_STRICTNESS;
+    const answerCheck = userAnswer && correctAnswer
+      ? {
+        strictness,
+        normalizedAnswer: normalizeAnswer(userAnswer, strictness),
+        matchedAnswer: matchAnswer(userAnswer, [correctAnswer, ...(Array.isArray(acceptedAnswers) ? acceptedAnswers : [])], { strictness })
+      }
+      : null;
+
+    const isSuccess = success !== undefined
+      ? success
+      : answerCheck
+        ? answerCheck.matchedAnswer !== null
+        : rating >= Rating.Good;
 
     // Capture state before update for history
     const fsrsBefore = existingProgress
       ? existingProgress.fsrs_state
-      : trainingScheduler.createNewCard(String(songIdentifier));
+      : trainingScheduler.createNewCard(String(songAnnId));
 
     let updatedProgress;
     let fsrsAfter; // To store state after update
@@ -129,6 +172,7 @@ export async function POST({ params, request }) {
         success_streak: newSuccessStreak,
         failure_streak: newFailureStreak,
         history: newHistory,
+        tags: trainingScheduler.updateLeechTags(existingProgress.tags, newFsrsState),
         last_attempt_at: now
       };
 
@@ -143,7 +187,7 @@ export async function POST({ params, request }) {
       }
     } else {
       // Create new progress record
-      const newFsrsState = trainingScheduler.createNewCard(String(songIdentifier));
+      const newFsrsState = trainingScheduler.createNewCard(String(songAnnId));
       const updatedFsrsState = trainingScheduler.updateCardState(newFsrsState, rating);
       fsrsAfter = updatedFsrsState;
 
@@ -155,8 +199,9 @@ export async function POST({ params, request }) {
 
       updatedProgress = {
         user_id: userId,
-        quiz_id: quizId,
-        song_ann_id: annSongId,
+        quiz_id: scope.quizId,
+        song_ann_id: songAnnId,
+        card_type: cardType,
         fsrs_state: updatedFsrsState,
         attempt_count: 1,
         success_count: isSuccess ? 1 : 0,
@@ -164,6 +209,7 @@ export async function POST({ params, request }) {
         success_streak: isSuccess ? 1 : 0,
         failure_streak: isSuccess ? 0 : 1,
         history: [historyEntry],
+        tags: trainingScheduler.updateLeechTags([], updatedFsrsState),
         last_attempt_at: now
       };
 
@@ -183,17 +229,21 @@ export async function POST({ params, request }) {
         user_id: userId,
         session_id: sessionId,
         quiz_id: quizId,
-        song_ann_id: annSongId,
+        song_ann_id: songAnnId,
+        card_type: cardType,
         played_at: now,
         rating,
         success: isSuccess,
         user_answer: userAnswer || null,
         correct_answer: correctAnswer || null,
+        answer_data: answerCheck ? { answerCheck } : {},
         time_spent_ms: timeSpent,
         fsrs_before: fsrsBefore,
-        fsrs_after: fsrsAfter
+        fsrs_after: fsrsAfter,
+        client_review_id: reviewId ? String(reviewId) : null,
+        client_id: typeof clientId === 'string' ? clientId : null
       });
-      console.log('[TRAINING PROGRESS] Recorded play:', { song_ann_id: annSongId, userAnswer, correctAnswer });
+      console.log('[TRAINING PROGRESS] Recorded play:', { song_ann_id: songAnnId, cardType, userAnswer, correctAnswer });
     } catch (playError) {
       console.error('Error recording play history:', playError);
       // Non-fatal, continue
@@ -212,6 +262,7 @@ export async function POST({ params, request }) {
     return json({
       success: true,
       nextReview: updatedProgress.fsrs_state?.due,
+      leech: trainingScheduler.isLeech(updatedProgress),
       currentStreak: isSuccess ? updatedProgress.success_streak : updatedProgress.success_streak
     });
   } catch (error) {
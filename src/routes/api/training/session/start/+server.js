@@ -2,15 +2,22 @@
  * POST /api/training/session/start
  * Start a new training session
  * Computes optimized playlist using FSRS algorithm
+ * Modes: 'auto' (daily caps), 'manual' (due percentage) or 'intensive' (leeches only)
+ * A leech drill requested on the training page turns the next session into an intensive one
  */
 
 import { json } from '@sveltejs/kit';
 import { createSupabaseAdmin } from '$lib/server/supabase-admin.js';
-import { verifyToken } from '$lib/server/training/training-utils.js';
-import { trainingScheduler } from '$lib/server/training/fsrs-service.js';
+import { authenticateTrainingToken } from '$lib/server/training/training-utils.js';
+import { loadTrainingScheduler } from '$lib/server/training/fsrs-optimizer.js';
+import { loadTrainingPreferences, getTodayTrainingUsage, clearLeechDrill } from '$lib/server/training/training-preferences.js';
+import { resolveProgressScope, applyProgressScope } from '$lib/server/training/progress-scope.js';
 import { generateQuizSongs } from '$lib/server/songFiltering.js';
+import { loadSongExclusions } from '$lib/server/song-exclusion-utils.js';
 import { simulateQuizConfiguration } from '$lib/components/amqplus/editor/utils/simulationUtils.js';
 import { buildQuizCommand } from '$lib/server/quiz-command-builder.js';
+import { migrateConfiguration } from '$lib/components/amqplus/editor/utils/configMigrations.js';
+import { buildCards, getCardKey, getCardAnswers, DEFAULT_CARD_TYPE } from '$lib/utils/trainingCardTypes.js';
 
 // @ts-ignore
 export async function POST({ request, url }) {
@@ -33,7 +40,7 @@ export async function POST({ request, url }) {
   const supabaseAdmin = createSupabaseAdmin();
 
   try {
-    const { token, quizId, sessionLength = 20, mode = 'auto', dueSongPercentage = 70, dueCount = null, newCount = null, revisionCount = null } = await request.json();
+    let { token, quizId, sessionLength = 20, mode = 'auto', dueSongPercentage = 70, dueCount = null, newCount = null, revisionCount = null } = await request.json();
 
     console.log('[TRAINING SESSION] ========================================');
     console.log('[TRAINING SESSION] New session request received');
@@ -68,18 +75,7 @@ export async function POST({ request, url }) {
 
     // Verify token
     console.log('[TRAINING SESSION] Verifying authentication token...');
-    const { data: tokens } = await supabaseAdmin
-      .from('training_tokens')
-      .select('*');
-
-    let validToken = null;
-    for (const dbToken of tokens || []) {
-      const isValid = await verifyToken(token, dbToken.token_hash);
-      if (isValid) {
-        validToken = dbToken;
-        break;
-      }
-    }
+    const validToken = await authenticateTrainingToken(supabaseAdmin, token);
 
     if (!validToken) {
       console.log('[TRAINING SESSION] ❌ Token validation failed');
@@ -106,7 +102,7 @@ export async function POST({ request, url }) {
 
     // Generate ALL possible songs from quiz configuration respecting all rules
     console.log('[TRAINING SESSION] Simulating quiz configuration...');
-    const configData = quiz.configuration_data;
+    const configData = migrateConfiguration(quiz.configuration_data);
     const simulatedConfig = simulateQuizConfiguration(
       configData.nodes || [],
       configData.edges || [],
@@ -150,7 +146,9 @@ export async function POST({ request, url }) {
     // This respects all filters, baskets, percentages, etc.
     // Pass serverFetch to handle relative URLs correctly
     console.log('[TRAINING SESSION] Generating song pool (respecting all quiz rules)...');
-    const generationResult = await generateQuizSongs(simulatedConfig, serverFetch);
+    // Both the quiz owner's and the trainee's exclusions apply
+    const exclusions = await loadSongExclusions(supabaseAdmin, [quiz.user_id, userId], quizId);
+    const generationResult = await generateQuizSongs(simulatedConfig, serverFetch, null, { exclusions });
 
     if (!generationResult.songs || generationResult.songs.length === 0) {
       console.log('[TRAINING SESSION] ❌ No songs generated matching quiz rules');
@@ -158,65 +156,75 @@ export async function POST({ request, url }) {
     }
 
     // Use all generated songs as the pool - FSRS will select up to sessionLength songs
-    const allSongs = generationResult.songs;
-    console.log('[TRAINING SESSION] ✓ Song pool generated:', allSongs.length, 'songs available');
+    const poolSongs = generationResult.songs;
+    console.log('[TRAINING SESSION] ✓ Song pool generated:', poolSongs.length, 'songs available');
 
     // Fetch existing training progress
     console.log('[TRAINING SESSION] Fetching existing training progress...');
-    const { data: progressRecords, error: progressError } = await supabaseAdmin
-      .from('training_progress')
-      .select('*')
-      .eq('user_id', userId)
-      .eq('quiz_id', quizId);
+    const scope = await resolveProgressScope(supabaseAdmin, userId, quizId);
+    const { data: scopedProgress, error: progressError } = await applyProgressScope(
+      supabaseAdmin
+        .from('training_progress')
+        .select('*')
+        .eq('user_id', userId),
+      scope
+    );
 
     if (progressError) {
       console.error('[TRAINING SESSION] ❌ Error fetching progress:', progressError);
       return json({ error: 'Failed to fetch training progress' }, { status: 500 });
     }
 
+    // Global cards cover every quiz the user trains, only this quiz's songs take part in the session
+    let progressRecords = scopedProgress;
+    if (scope.mode === 'global') {
+      const poolSongIds = new Set(poolSongs.map(song => song.annSongId));
+      progressRecords = (scopedProgress || []).filter(record => poolSongIds.has(record.song_ann_id));
+      console.log('[TRAINING SESSION] Global progress mode:', progressRecords.length, 'of', scopedProgress?.length || 0, 'shared cards are in this quiz');
+    }
+
     console.log('[TRAINING SESSION] ✓ Progress loaded:', progressRecords?.length || 0, 'songs with history');
 
+    // Per-quiz preferences: retention/max interval for the scheduler, daily caps for selection
+    const preferences = await loadTrainingPreferences(supabaseAdmin, userId, quizId);
+
+    // Every song becomes one card per enabled card type; cards of disabled types sit the session out
+    const allSongs = buildCards(poolSongs, preferences.cardTypes);
+    progressRecords = (progressRecords || []).filter(record =>
+      preferences.cardTypes.includes(record.card_type || DEFAULT_CARD_TYPE)
+    );
+    console.log('[TRAINING SESSION] Card types:', preferences.cardTypes.join(', '), '-', allSongs.length, 'cards in pool');
+    const todayUsage = await getTodayTrainingUsage(supabaseAdmin, userId, quizId);
+    console.log('[TRAINING SESSION] Preferences:', preferences, 'scheduled today:', todayUsage);
+
     // Calculate daily due cap and usage
     let remainingDueCapacity = 9999; // Default unlimited
+    const remainingNewCapacity = preferences.dailyNewLimit !== null
+      ? Math.max(0, preferences.dailyNewLimit - todayUsage.new)
+      : 9999;
 
     if (mode === 'auto') {
-      // 1. Get latest completed session for daily cap
-      const { data: lastSession } = await supabaseAdmin
-        .from('training_sessions')
-        .select('total_songs, ended_at')
-        .eq('user_id', userId)
-        .eq('quiz_id', quizId)
-        .not('ended_at', 'is', null)
-        .order('ended_at', { ascending: false })
-        .limit(1)
-        .maybeSingle(); // Use maybeSingle to handle no results gracefully
-
-      const dailyDueCap = lastSession ? lastSession.total_songs : 20; // Default to 20 if no last session
-      console.log('[TRAINING SESSION] Daily due cap:', dailyDueCap, lastSession ? '(from last session)' : '(default)');
-
-      // 2. Calculate due songs scheduled today
-      const now = new Date();
-      const todayStart = new Date(now.getFullYear(), now.getMonth(), now.getDate(), 0, 0, 0);
-      const todayEnd = new Date(now.getFullYear(), now.getMonth(), now.getDate(), 23, 59, 59);
-
-      const { data: todaySessions } = await supabaseAdmin
-        .from('training_sessions')
-        .select('session_data')
-        .eq('user_id', userId)
-        .eq('quiz_id', quizId)
-        .gte('started_at', todayStart.toISOString())
-        .lte('started_at', todayEnd.toISOString());
-
-      let dueScheduledToday = 0;
-      todaySessions?.forEach(session => {
-        // Safely access nested properties
-        const due = session.session_data?.composition?.due || 0;
-        dueScheduledToday += due;
-      });
-
-      console.log('[TRAINING SESSION] Due scheduled today:', dueScheduledToday);
+      let dailyDueCap = preferences.dailyReviewLimit;
+
+      if (dailyDueCap === null) {
+        // No review cap set: use the latest completed session's length
+        const { data: lastSession } = await supabaseAdmin
+          .from('training_sessions')
+          .select('total_songs, ended_at')
+          .eq('user_id', userId)
+          .eq('quiz_id', quizId)
+          .not('ended_at', 'is', null)
+          .order('ended_at', { ascending: false })
+          .limit(1)
+          .maybeSingle(); // Use maybeSingle to handle no results gracefully
+
+        dailyDueCap = lastSession ? lastSession.total_songs : 20; // Default to 20 if no last session
+        console.log('[TRAINING SESSION] Daily due cap:', dailyDueCap, lastSession ? '(from last session)' : '(default)');
+      } else {
+        console.log('[TRAINING SESSION] Daily due cap:', dailyDueCap, '(from preferences)');
+      }
 
-      remainingDueCapacity = Math.max(0, dailyDueCap - dueScheduledToday);
+      remainingDueCapacity = Math.max(0, dailyDueCap - todayUsage.due);
       console.log('[TRAINING SESSION] Remaining due capacity:', remainingDueCapacity);
     }
 
@@ -224,18 +232,39 @@ export async function POST({ request, url }) {
     // FSRS will select up to sessionLength songs from allSongs pool using configurable split
     console.log('[TRAINING SESSION] Computing FSRS-optimized playlist...');
     console.log('[TRAINING SESSION] Input: pool size =', allSongs.length, ', max session length =', sessionLength);
-    const result = trainingScheduler.computeSessionPlaylist(
+    const scheduler = await loadTrainingScheduler(supabaseAdmin, userId, quizId, preferences);
+
+    /** @param {string} selectionMode */
+    const selectPlaylist = (selectionMode) => scheduler.computeSessionPlaylist(
       progressRecords || [],
       allSongs,
       sessionLength,
-      mode === 'auto'
-        ? { mode: 'auto', remainingDueCapacity, maxNewPercentage: 30 }
-        : { mode: 'manual', dueSongPercentage }
+      selectionMode === 'auto'
+        ? { mode: 'auto', remainingDueCapacity, remainingNewCapacity, maxNewPercentage: 30 }
+        : selectionMode === 'intensive'
+          ? { mode: 'intensive' }
+          : { mode: 'manual', dueSongPercentage, remainingNewCapacity }
     );
 
+    // A drill requested from the leeches card replaces this session; with no leeches to play it lapses
+    let result = null;
+    if (preferences.leechDrillRequested && mode !== 'intensive') {
+      const drill = selectPlaylist('intensive');
+      if (drill.playlist.length > 0) {
+        console.log('[TRAINING SESSION] Leech drill requested, starting an intensive session instead of', mode);
+        mode = 'intensive';
+        result = drill;
+      }
+    }
+    result = result || selectPlaylist(mode);
+
     const playlist = result.playlist;
     const metadata = result.metadata;
 
+    if (mode === 'intensive' && playlist.length === 0) {
+      return json({ error: 'No leeches to practice in this quiz' }, { status: 400 });
+    }
+
     console.log('[TRAINING SESSION] ✓ Playlist computed:', playlist.length, 'songs selected');
     console.log('[TRAINING SESSION] Requested:', metadata.requested.dueCount, 'due,', metadata.requested.newCount, 'new');
     console.log('[TRAINING SESSION] Actual:', metadata.actual.dueCount, 'due,',
@@ -268,16 +297,19 @@ export async function POST({ request, url }) {
       sessionLength,
       playlistGenerated: new Date().toISOString(),
       mode: mode,
+      preferences,
       composition: {
         due: metadata.actual.dueCount,
         new: metadata.actual.newCount,
-        revision: metadata.actual.revisionCount
+        revision: metadata.actual.revisionCount,
+        leech: metadata.actual.leechCount
       },
       poolDistribution: {
         available: {
           due: metadata.available.dueCount,
           new: metadata.available.newCount,
           revision: metadata.available.revisionCount,
+          leech: metadata.available.leechCount,
           total: metadata.available.totalPoolSize
         },
         selected: {
@@ -317,6 +349,10 @@ export async function POST({ request, url }) {
 
     console.log('[TRAINING SESSION] ✓ Session created with ID:', session.id);
 
+    if (preferences.leechDrillRequested) {
+      await clearLeechDrill(supabaseAdmin, userId, quizId);
+    }
+
     // Return session info and playlist
     console.log('[TRAINING SESSION] ✓ Session ready! Returning playlist to client');
 
@@ -332,11 +368,14 @@ export async function POST({ request, url }) {
     console.log('[TRAINING SESSION] ========================================');
 
     // Create playlist metadata for client-side progress tracking
+    // Non-anime cards carry their card type as a song key suffix and the answers to check against
     const playlistMetadata = playlist.map(song => ({
       annSongId: song.annSongId,
       songArtist: song.songArtist,
       songName: song.songName,
-      songKey: `${song.songArtist}_${song.songName}` // Proper song key format
+      songKey: getCardKey(`${song.songArtist}_${song.songName}`, song.cardType), // Proper song key format
+      cardType: song.cardType,
+      acceptedAnswers: getCardAnswers(song, song.cardType)
     }));
 
     return json({
@@ -0,0 +1,58 @@
+/**
+ * Training settings for the current user
+ * GET: Fetch the progress mode (per-quiz or global cards)
+ * PUT: Switch the progress mode, building global cards on the first switch to global
+ */
+
+import { json, error } from '@sveltejs/kit';
+import { createSupabaseAdmin } from '$lib/server/supabase-admin.js';
+import {
+  loadTrainingSettings,
+  setProgressMode,
+  PROGRESS_MODES
+} from '$lib/server/training/progress-scope.js';
+
+// @ts-ignore
+export async function GET({ locals: { safeGetSession } }) {
+  const { session } = await safeGetSession();
+
+  if (!session) {
+    throw error(401, { message: 'Unauthorized' });
+  }
+
+  const supabaseAdmin = createSupabaseAdmin();
+  const settings = await loadTrainingSettings(supabaseAdmin, session.user.id);
+
+  return json({ settings });
+}
+
+/**
+ * Request body:
+ * {
+ *   progressMode: 'quiz' | 'global'
+ * }
+ */
+// @ts-ignore
+export async function PUT({ request, locals: { safeGetSession } }) {
+  const { session } = await safeGetSession();
+
+  if (!session) {
+    throw error(401, { message: 'Unauthorized' });
+  }
+
+  const { progressMode } = await request.json().catch(() => ({}));
+
+  if (!PROGRESS_MODES.includes(progressMode)) {
+    return json({ message: `Progress mode must be one of: ${PROGRESS_MODES.join(', ')}` }, { status: 400 });
+  }
+
+  const supabaseAdmin = createSupabaseAdmin();
+
+  try {
+    const result = await setProgressMode(supabaseAdmin, session.user.id, progressMode);
+    return json({ success: true, ...result });
+  } catch (err) {
+    console.error('[Training Settings] Error:', err);
+    throw error(500, { message: 'Failed to update progress mode' });
+  }
+}
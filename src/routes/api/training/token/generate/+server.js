@@ -6,7 +6,7 @@
 
 import { json } from '@sveltejs/kit';
 import { createSupabaseAdmin } from '$lib/server/supabase-admin.js';
-import { generateHighEntropyToken, hashToken } from '$lib/server/training/training-utils.js';
+import { generateTrainingToken, hashToken } from '$lib/server/training/training-utils.js';
 
 // @ts-ignore
 export async function POST({ locals: { safeGetSession } }) {
@@ -29,14 +29,15 @@ export async function POST({ locals: { safeGetSession } }) {
       .eq('user_id', userId);
 
     // Generate new token
-    const plainToken = generateHighEntropyToken();
-    const tokenHash = await hashToken(plainToken);
+    const { token: plainToken, tokenId, secret } = generateTrainingToken();
+    const tokenHash = await hashToken(secret);
 
     // Insert new token
     const { error: insertError } = await supabaseAdmin
       .from('training_tokens')
       .insert({
         user_id: userId,
+        token_id: tokenId,
         token_hash: tokenHash
       });
 
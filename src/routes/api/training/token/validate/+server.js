@@ -6,8 +6,9 @@
 
 import { json } from '@sveltejs/kit';
 import { createSupabaseAdmin } from '$lib/server/supabase-admin.js';
-import { verifyToken } from '$lib/server/training/training-utils.js';
+import { authenticateTrainingToken } from '$lib/server/training/training-utils.js';
 import { calculateQuizStats } from '$lib/server/training/training-utils.js';
+import { resolveProgressScope, loadQuizProgress } from '$lib/server/training/progress-scope.js';
 
 // @ts-ignore
 export async function POST({ request }) {
@@ -20,28 +21,20 @@ export async function POST({ request }) {
       return json({ error: 'Token required' }, { status: 400 });
     }
 
-    // Find token in database
-    const { data: tokens, error: tokenError } = await supabaseAdmin
-      .from('training_tokens')
-      .select('*');
-
-    if (tokenError) {
+    let validToken;
+    try {
+      validToken = await authenticateTrainingToken(supabaseAdmin, token);
+    } catch (tokenError) {
       console.error('Error fetching tokens:', tokenError);
       return json({ error: 'Failed to validate token' }, { status: 500 });
     }
 
-    // Verify token against hashes
-    let validToken = null;
-    for (const dbToken of tokens || []) {
-      const isValid = await verifyToken(token, dbToken.token_hash);
-      if (isValid) {
-        validToken = dbToken;
-        break;
-      }
-    }
-
     if (!validToken) {
-      return json({ error: 'Invalid token' }, { status: 401 });
+      // Tokens issued before token IDs were a bare 64 character hex string and have been revoked
+      const isRevokedFormat = typeof token === 'string' && /^[0-9a-f]{64}$/.test(token);
+      return json({
+        error: isRevokedFormat ? 'This token has expired, generate a new one on the training page' : 'Invalid token'
+      }, { status: 401 });
     }
 
     // Update last_used_at
@@ -72,14 +65,11 @@ export async function POST({ request }) {
       return json({ error: 'Failed to fetch quizzes' }, { status: 500 });
     }
 
-    // Fetch training progress for each quiz to calculate stats
+    // Fetch training progress for each quiz to calculate stats (the shared cards of its songs in global mode)
     const quizzesWithStats = await Promise.all(
       (quizzes || []).map(async (quiz) => {
-        const { data: progress } = await supabaseAdmin
-          .from('training_progress')
-          .select('*')
-          .eq('user_id', validToken.user_id)
-          .eq('quiz_id', quiz.id);
+        const scope = await resolveProgressScope(supabaseAdmin, validToken.user_id, quiz.id);
+        const { data: progress } = await loadQuizProgress(supabaseAdmin, validToken.user_id, scope);
 
         const stats = calculateQuizStats(progress || []);
 
@@ -0,0 +1,33 @@
+/**
+ * GET /api/training/workload?days=30|90|365&newPerDay=N
+ * Simulate the user's daily reviews across all trained quizzes for the coming days
+ * (newPerDay is per quiz and defaults to each quiz's daily new limit)
+ */
+
+import { json, error } from '@sveltejs/kit';
+import { createSupabaseAdmin } from '$lib/server/supabase-admin.js';
+import { parseWorkloadOptions, simulateOverallWorkload } from '$lib/server/training/workload-simulation.js';
+
+// @ts-ignore
+export async function GET({ url, locals: { safeGetSession } }) {
+  const { session } = await safeGetSession();
+
+  if (!session) {
+    throw error(401, { message: 'Unauthorized' });
+  }
+
+  const { days, newPerDay, error: validationError } = parseWorkloadOptions(url.searchParams);
+  if (validationError) {
+    throw error(400, { message: validationError });
+  }
+
+  const supabaseAdmin = createSupabaseAdmin();
+
+  try {
+    const workload = await simulateOverallWorkload(supabaseAdmin, session.user.id, { days, newPerDay });
+    return json(workload);
+  } catch (err) {
+    console.error('[TRAINING WORKLOAD] Error simulating workload:', err);
+    throw error(500, { message: 'Failed to simulate workload' });
+  }
+}
@@ -1,6 +1,6 @@
 /**
  * User List Cache API endpoint for caching anime list data.
- * Handles caching of AniList/MAL user lists to reduce external API calls.
+ * Handles caching of AniList/MAL/Kitsu user lists to reduce external API calls.
  * Cache is completely global and user-agnostic - no user_id is stored.
  * All users (authenticated and guests) can read and write to the same cache.
  * Cache expires after 24 hours per status.
@@ -13,6 +13,7 @@
 import { json } from '@sveltejs/kit';
 import { createSupabaseAdmin } from '$lib/server/supabase-admin.js';
 import { fetchMALData } from '$lib/utils/myanimelist.js';
+import { fetchKitsuData } from '$lib/utils/kitsu.js';
 import { fetchFromPixeldrain } from '$lib/server/pixeldrain.js';
 // @ts-ignore
 import { MAL_CLIENT_ID, PIXELDRAIN_API_KEY } from '$env/static/private';
@@ -25,7 +26,7 @@ import { MAL_CLIENT_ID, PIXELDRAIN_API_KEY } from '$env/static/private';
 
 /**
  * @typedef {Object} FetchCacheRequest
- * @property {'anilist'|'mal'} platform - Platform name
+ * @property {'anilist'|'mal'|'kitsu'} platform - Platform name
  * @property {string} username - Username on the platform
  * @property {Object} selectedLists - Object mapping status to boolean (e.g., {completed: true, watching: true})
  * @property {boolean} [forceRefresh] - Force refresh and bypass cache
@@ -34,7 +35,7 @@ import { MAL_CLIENT_ID, PIXELDRAIN_API_KEY } from '$env/static/private';
 
 /**
  * @typedef {Object} StoreCacheRequest
- * @property {'anilist'|'mal'} platform - Platform name
+ * @property {'anilist'|'mal'|'kitsu'} platform - Platform name
  * @property {string} username - Username on the platform
  * @property {Object<string, CacheData>} cacheData - Cache data grouped by status
  * @property {'store'} action - Action type
@@ -105,7 +106,7 @@ function mapStatusToFrontend(dbStatus) {
 
 /**
  * Fetch data for guest users (can read cache but cannot write)
- * @param {string} platform - Platform ('anilist' or 'mal')
+ * @param {string} platform - Platform ('anilist', 'mal' or 'kitsu')
  * @param {string} username - Username to fetch
  * @param {string[]} frontendStatuses - Array of frontend status names
  * @param {boolean} forceRefresh - Whether to bypass cache
@@ -218,6 +219,14 @@ async function fetchFreshDataForGuest(platform, username, frontendStatuses, forc
 			});
 			freshAnimeList = await fetchMALData(username, { selectedLists }, MAL_CLIENT_ID);
 			combinedAnimeList = [...freshAnimeList];
+		} else if (platform === 'kitsu') {
+			const selectedLists = {};
+			uncachedStatuses.forEach((status) => {
+				const frontendStatus = mapStatusToFrontend(status);
+				selectedLists[frontendStatus] = true;
+			});
+			freshAnimeList = await fetchKitsuData(username, { selectedLists });
+			combinedAnimeList = [...freshAnimeList];
 		}
 
 		const combinedSongsList = [];
@@ -295,9 +304,9 @@ async function handleFetchCache({ request, locals }) {
 			return json({ error: 'Missing required parameters: platform and username' }, { status: 400 });
 		}
 
-		if (!['anilist', 'mal'].includes(platform)) {
+		if (!['anilist', 'mal', 'kitsu'].includes(platform)) {
 			console.warn('[API: User List Cache] Invalid platform:', platform);
-			return json({ error: 'Invalid platform. Must be "anilist" or "mal"' }, { status: 400 });
+			return json({ error: 'Invalid platform. Must be "anilist", "mal" or "kitsu"' }, { status: 400 });
 		}
 
 		if (!selectedLists || typeof selectedLists !== 'object') {
@@ -451,6 +460,16 @@ async function handleFetchCache({ request, locals }) {
 			);
 			console.log('[API: User List Cache] Fetched', freshAnimeList.length, 'anime entries from MAL');
 			combinedAnimeList = [...freshAnimeList];
+		} else if (platform === 'kitsu') {
+			const uncachedSelectedLists = {};
+			uncachedStatuses.forEach((status) => {
+				const frontendStatus = mapStatusToFrontend(status);
+				uncachedSelectedLists[frontendStatus] = true;
+			});
+			console.log('[API: User List Cache] Fetching from Kitsu API for statuses:', Object.keys(uncachedSelectedLists));
+			freshAnimeList = await fetchKitsuData(username, { selectedLists: uncachedSelectedLists });
+			console.log('[API: User List Cache] Fetched', freshAnimeList.length, 'anime entries from Kitsu');
+			combinedAnimeList = [...freshAnimeList];
 		}
 
 		const combinedSongsList = [];
@@ -499,13 +518,13 @@ async function handleFetchCache({ request, locals }) {
  * Handles both fetching and storing cache
  *
  * For FETCHING (action: 'fetch' or no action specified):
- * - platform: 'anilist' or 'mal'
+ * - platform: 'anilist', 'mal' or 'kitsu'
  * - username: username on the platform
  * - selectedLists: object of selected list types
  * - forceRefresh: true to bypass cache and delete old entries (optional)
  *
  * For STORING (action: 'store'):
- * - platform: 'anilist' or 'mal'
+ * - platform: 'anilist', 'mal' or 'kitsu'
  * - username: username on the platform
  * - cacheData: object mapping status to { animeList: [], songsList: [] }
  */
@@ -567,7 +586,7 @@ async function handleStoreCache({ request, locals }) {
 			return json({ error: 'Missing required fields' }, { status: 400 });
 		}
 
-		if (!['anilist', 'mal'].includes(platform)) {
+		if (!['anilist', 'mal', 'kitsu'].includes(platform)) {
 			return json({ error: 'Invalid platform' }, { status: 400 });
 		}
 
@@ -612,7 +631,7 @@ async function handleStoreCache({ request, locals }) {
  * Forces next request to fetch fresh data
  *
  * Query parameters:
- * - platform: 'anilist' or 'mal'
+ * - platform: 'anilist', 'mal' or 'kitsu'
  * - username: username on the platform
  * - status: specific status to clear (optional, clears all if not provided)
  */
@@ -670,7 +689,7 @@ export async function DELETE({ url, locals }) {
  *
  * @param {Object} supabase - Supabase admin client
  * @param {string} userId - User ID (unused, kept for API compatibility)
- * @param {string} platform - Platform (anilist/mal)
+ * @param {string} platform - Platform (anilist/mal/kitsu)
  * @param {string} username - Username
  * @param {Array<string>} requestedStatuses - Array of status strings to fetch (in DB format)
  * @returns {Promise<Object>} Object with { cached: {...}, uncached: [...] }
@@ -717,7 +736,7 @@ async function getCachedListsByStatus(supabase, userId, platform, username, requ
  *
  * @param {Object} supabase - Supabase admin client
  * @param {string|null} userId - User ID (unused, kept for API compatibility)
- * @param {string} platform - Platform (anilist/mal)
+ * @param {string} platform - Platform (anilist/mal/kitsu)
  * @param {string} username - Username
  * @param {Object} cacheData - Object mapping status to { animeList, songsList }
  * @returns {Promise<Object>} Object mapping status to cache entry details
@@ -8,14 +8,21 @@
 import { json, error } from '@sveltejs/kit';
 import { createSupabaseAdmin } from '$lib/server/supabase-admin.js';
 import { generateQuizSongs } from '$lib/server/songFiltering.js';
-import { simulateQuizConfiguration } from '$lib/components/amqplus/editor/utils/simulationUtils.js';
 import {
+  simulateQuizConfiguration,
+  getSelectableRoutes
+} from '$lib/components/amqplus/editor/utils/simulationUtils.js';
+import { generateRandomSeed } from '$lib/components/amqplus/editor/utils/mathUtils.js';
+import { migrateConfiguration } from '$lib/components/amqplus/editor/utils/configMigrations.js';
+import {
+  NODE_CATEGORIES,
   ROUTER_CONFIG,
   BASIC_SETTINGS_CONFIG,
   NUMBER_OF_SONGS_CONFIG,
   FILTER_NODE_DEFINITIONS
 } from '$lib/components/amqplus/editor/utils/nodeDefinitions.js';
 import { buildQuizCommand } from '$lib/server/quiz-command-builder.js';
+import { loadSongExclusions } from '$lib/server/song-exclusion-utils.js';
 
 /**
  * @typedef {Object} RequestParams
@@ -27,10 +34,11 @@ import { buildQuizCommand } from '$lib/server/quiz-command-builder.js';
  */
 
 /**
- * GET /play/[quizId]?seed=[optional]
- * POST /play/[quizId]?seed=[optional]
+ * GET /play/[quizId]?seed=[optional]&route=[optional]
+ * POST /play/[quizId]?seed=[optional]&route=[optional]
  * Generates and returns the song list for a quiz configuration
  * POST can include liveNodeData to merge with quiz configuration
+ * The same seed replays the same Router branch and songs; route pins a Router branch by ID
  * 
  * @param {RequestParams} params - Request parameters
  * @returns {Promise<Response>} JSON response with song list
@@ -51,9 +59,13 @@ export async function POST({ params, url, locals, fetch, request }) {
 async function handlePlayRequest({ params, url, locals, fetch, request }) {
   const { quizId } = params;
   const seedParam = url.searchParams.get('seed');
+  const routeParam = url.searchParams.get('route');
   const format = url.searchParams.get('format'); // 'full' for full objects, otherwise just IDs
 
-  console.log(`[API: Play Quiz] Request for quiz ${quizId}, seed: ${seedParam || 'auto-generate'}, format: ${format || 'ids'}`);
+  console.log(`[API: Play Quiz] Request for quiz ${quizId}, seed: ${seedParam || 'auto-generate'}, route: ${routeParam || 'weighted'}, format: ${format || 'ids'}`);
+
+  // Resolve the seed once so simulation (Router branch) and generation replay together
+  const seed = seedParam || generateRandomSeed();
 
   /**
    * Filter songs to only include UI-displayed properties
@@ -61,6 +73,7 @@ async function handlePlayRequest({ params, url, locals, fetch, request }) {
    */
   const filterSongProperties = (songs) => songs.map(song => ({
     annSongId: song.annSongId,
+    annId: song.annId,
     animeENName: song.animeENName,
     songName: song.songName,
     songArtist: song['songArtist'],
@@ -163,7 +176,7 @@ async function handlePlayRequest({ params, url, locals, fetch, request }) {
     }
 
     // Merge live node data into quiz configuration if provided
-    let configurationData = quiz.configuration_data;
+    let configurationData = migrateConfiguration(quiz.configuration_data);
     if (liveNodeData && liveNodeData.userEntries) {
       // Find live node nodes and update them with live data
       const nodes = [...configurationData.nodes];
@@ -192,18 +205,48 @@ async function handlePlayRequest({ params, url, locals, fetch, request }) {
       }
     }
 
+    // Validate a pinned route against the quiz's Router node
+    if (routeParam) {
+      const routerNode = configurationData.nodes.find(n => n.data?.type === NODE_CATEGORIES.ROUTER);
+      const pinnable = getSelectableRoutes(routerNode);
+      if (!pinnable.some(route => route.id === routeParam)) {
+        console.error(`[API: Play Quiz] Unknown route: ${routeParam}`);
+        return json({
+          success: false,
+          errorType: 'invalid_route',
+          userMessage: routerNode
+            ? `Unknown route "${routeParam}". Available routes: ${pinnable.map(route => route.id).join(', ') || 'none'}`
+            : 'This quiz has no Router node, so a route cannot be pinned.'
+        }, { status: 400 });
+      }
+    }
+
     const simulatedConfig = simulateQuizConfiguration(
       configurationData.nodes,
       configurationData.edges,
       configs,
-      seedParam
+      seed,
+      { routeId: routeParam }
     );
 
+    // Songs the quiz owner excluded (globally or for this quiz) are never played
+    const exclusions = await loadSongExclusions(supabaseAdmin, [quiz.user_id], quiz.id);
+
     // Generate songs with retry logic built-in
-    const result = await generateQuizSongs(simulatedConfig, fetch, seedParam);
+    const result = await generateQuizSongs(simulatedConfig, fetch, seed, { exclusions });
 
     const { songs, metadata } = result;
 
+    // Report which Router branch was taken so the play can be replayed (seed) or pinned (route)
+    const routeSelection = {
+      seed,
+      routerId: simulatedConfig.router?.routerId || null,
+      routeIds: simulatedConfig.router?.selectedRouteId ? [simulatedConfig.router.selectedRouteId] : [],
+      routeName: simulatedConfig.router?.selectedRouteId ? simulatedConfig.router.selectedRoute : null,
+      pinned: simulatedConfig.router?.pinned || false
+    };
+    metadata.routeSelection = routeSelection;
+
     // Check for loading errors
     const hasLoadingErrors = metadata.loadingErrors && metadata.loadingErrors.length > 0;
 
@@ -248,7 +291,9 @@ async function handlePlayRequest({ params, url, locals, fetch, request }) {
           failedBaskets: metadata.failedBaskets,
           basketStatus: metadata.basketStatus,
           filterStatistics: metadata.filterStatistics,
-          loadingErrors: metadata.loadingErrors
+          loadingErrors: metadata.loadingErrors,
+          trace: metadata.trace,
+          routeSelection
         }
       }, { status: 422 });
     }
@@ -290,7 +335,9 @@ async function handlePlayRequest({ params, url, locals, fetch, request }) {
             failedBaskets: metadata.failedBaskets,
             basketStatus: metadata.basketStatus,
             filterStatistics: metadata.filterStatistics,
-            loadingErrors: metadata.loadingErrors
+            loadingErrors: metadata.loadingErrors,
+            trace: metadata.trace,
+            routeSelection
           }
         }, { status: 422 });
       }
@@ -324,7 +371,9 @@ async function handlePlayRequest({ params, url, locals, fetch, request }) {
             failedBaskets: metadata.failedBaskets,
             basketStatus: metadata.basketStatus,
             filterStatistics: metadata.filterStatistics,
-            loadingErrors: metadata.loadingErrors
+            loadingErrors: metadata.loadingErrors,
+            trace: metadata.trace,
+            routeSelection
           }
         }, { status: 422 });
       }
@@ -371,7 +420,8 @@ async function handlePlayRequest({ params, url, locals, fetch, request }) {
             },
             quizId: null
           }
-        }
+        },
+        routeSelection
       });
     }
 
@@ -419,7 +469,7 @@ async function handlePlayRequest({ params, url, locals, fetch, request }) {
         simulatedConfig: simulatedConfig,
         quizName: "AMQ+ " + quiz.name,
         quizDescription: quiz.description || "Imported from AMQ+",
-        seed: seedParam // Use seed from query param if provided
+        seed: seed // Same seed as generation so a replay reproduces sample points too
       });
 
       // Filter songSourceMap to only include annSongIds actually used in the quiz
@@ -453,7 +503,8 @@ async function handlePlayRequest({ params, url, locals, fetch, request }) {
 
       return json({
         command: command,
-        songSourceMap: filteredSongSourceMap
+        songSourceMap: filteredSongSourceMap,
+        routeSelection
       });
     }
   } catch (err) {
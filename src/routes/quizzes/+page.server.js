@@ -2,6 +2,41 @@ import { error } from '@sveltejs/kit';
 import { createSupabaseAdmin } from '$lib/server/supabase-admin.js';
 import { generateQuizMetadata } from '$lib/utils/quizMetadata.js';
 
+/**
+ * Look up the quizzes that listed quizzes were remixed from.
+ * Private parents are left out unless they belong to the current user.
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabaseAdmin - Supabase admin client
+ * @param {string[]} parentIds - forked_from IDs of the listed quizzes
+ * @param {string|null} currentUserId - Logged-in user on the My Quizzes view
+ * @returns {Promise<Object.<string, {id: string, name: string, creator_username: string}>>} Parents by ID
+ */
+async function loadForkParents(supabaseAdmin, parentIds, currentUserId) {
+	/** @type {Object.<string, {id: string, name: string, creator_username: string}>} */
+	const parentsMap = {};
+	if (parentIds.length === 0) return parentsMap;
+
+	const { data: parents, error: parentsError } = await supabaseAdmin
+		.from('quiz_configurations')
+		.select('id, name, creator_username, user_id, is_public')
+		.in('id', parentIds);
+
+	if (parentsError) {
+		console.error('Error loading remix parents:', parentsError);
+		return parentsMap;
+	}
+
+	(parents || []).forEach(parent => {
+		if (parent.is_public || (currentUserId && parent.user_id === currentUserId)) {
+			parentsMap[parent.id] = {
+				id: parent.id,
+				name: parent.name,
+				creator_username: parent.creator_username
+			};
+		}
+	});
+	return parentsMap;
+}
+
 /**
  * Load public quiz configurations with optional filtering and pagination
  * No authentication required, but favorites are only available for authenticated users
@@ -19,6 +54,7 @@ export const load = async ({ url, locals }) => {
 	const creator = url.searchParams.get('creator') || '';
 	const dateFrom = url.searchParams.get('dateFrom') || '';
 	const dateTo = url.searchParams.get('dateTo') || '';
+	const forkedFrom = url.searchParams.get('forkedFrom') || '';
 	const myQuizzes = url.searchParams.get('myQuizzes') === 'true';
 	const sortBy = url.searchParams.get('sortBy') || 'newest'; // newest, trending, mostLiked, mostPlayed
 
@@ -43,7 +79,7 @@ export const load = async ({ url, locals }) => {
 		query = supabaseAdmin
 			.from('quiz_configurations')
 			.select(
-				'id, name, description, created_at, updated_at, user_id, creator_username, is_public, allow_remixing, play_token, quiz_metadata, configuration_data',
+				'id, name, description, created_at, updated_at, user_id, creator_username, is_public, allow_remixing, play_token, quiz_metadata, configuration_data, forked_from',
 				{
 					count: 'exact'
 				}
@@ -52,7 +88,7 @@ export const load = async ({ url, locals }) => {
 	} else {
 		query = supabaseAdmin
 			.from('public_quiz_configurations')
-			.select('id, name, description, created_at, updated_at, creator_id, creator_username, allow_remixing, play_token, quiz_metadata', {
+			.select('id, name, description, created_at, updated_at, creator_id, creator_username, allow_remixing, play_token, quiz_metadata, forked_from', {
 				count: 'exact'
 			});
 	}
@@ -76,6 +112,10 @@ export const load = async ({ url, locals }) => {
 		query = query.ilike('creator_username', `%${creator}%`);
 	}
 
+	if (forkedFrom) {
+		query = query.eq('forked_from', forkedFrom);
+	}
+
 	if (dateFrom) {
 		query = query.gte('created_at', dateFrom);
 	}
@@ -112,7 +152,7 @@ export const load = async ({ url, locals }) => {
 		const quizIds = quizzesWithStats.map(q => q.id);
 		const { data: statsData } = await supabaseAdmin
 			.from('quiz_stats')
-			.select('quiz_id, likes, plays')
+			.select('quiz_id, likes, plays, forks')
 			.in('quiz_id', quizIds);
 
 		// Create a map of quiz_id -> stats
@@ -121,11 +161,16 @@ export const load = async ({ url, locals }) => {
 			statsData.forEach(stat => {
 				statsMap[stat.quiz_id] = {
 					likes: stat.likes || 0,
-					plays: stat.plays || 0
+					plays: stat.plays || 0,
+					forks: stat.forks || 0
 				};
 			});
 		}
 
+		// Fetch the quizzes these were remixed from, for the "remixed from" credit
+		const parentIds = [...new Set(quizzesWithStats.map(q => q.forked_from).filter(Boolean))];
+		const parentsMap = await loadForkParents(supabaseAdmin, parentIds, currentUserId);
+
 		quizzesWithStats = quizzesWithStats.map(quiz => {
 			let updatedMetadata = quiz.quiz_metadata;
 			if (quiz.configuration_data && (!updatedMetadata || !updatedMetadata.sourceNodes)) {
@@ -141,6 +186,8 @@ export const load = async ({ url, locals }) => {
 				...quiz,
 				likes: statsMap[quiz.id]?.likes || 0,
 				plays: statsMap[quiz.id]?.plays || 0,
+				forks: statsMap[quiz.id]?.forks || 0,
+				forked_from_quiz: quiz.forked_from ? parentsMap[quiz.forked_from] || null : null,
 				quiz_metadata: updatedMetadata
 			};
 		});
@@ -174,9 +221,17 @@ export const load = async ({ url, locals }) => {
 	} catch (err) {
 	}
 
+	// Name the quiz whose remixes are listed
+	let forkedFromQuiz = null;
+	if (forkedFrom) {
+		const parents = await loadForkParents(supabaseAdmin, [forkedFrom], currentUserId);
+		forkedFromQuiz = parents[forkedFrom] || null;
+	}
+
 	return {
 		quizzes: quizzesWithStats,
 		favoriteIds,
+		forkedFromQuiz,
 		pagination: {
 			page,
 			limit,
@@ -190,6 +245,7 @@ export const load = async ({ url, locals }) => {
 			creator,
 			dateFrom,
 			dateTo,
+			forkedFrom,
 			myQuizzes,
 			sortBy
 		}
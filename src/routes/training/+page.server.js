@@ -5,6 +5,7 @@
 
 import { redirect } from '@sveltejs/kit';
 import { createSupabaseAdmin } from '$lib/server/supabase-admin.js';
+import { loadTrainingSettings, loadPlayedSongsByQuiz } from '$lib/server/training/progress-scope.js';
 
 // @ts-ignore
 export async function load({ locals: { safeGetSession } }) {
@@ -29,15 +30,25 @@ export async function load({ locals: { safeGetSession } }) {
 
     const hasToken = !!token;
 
+    const { progressMode } = await loadTrainingSettings(supabaseAdmin, userId);
+
     // Calculate overview stats directly from database
-    const { data: allProgress } = await supabaseAdmin
+    const { data: storedProgress } = await supabaseAdmin
       .from('training_progress')
       .select('*')
       .eq('user_id', userId);
 
-    const uniqueQuizzes = new Set((allProgress || []).map(p => p.quiz_id));
+    // Only the cards of the active progress mode count: global cards (no quiz) or per-quiz cards
+    const allProgress = (storedProgress || []).filter(p => progressMode === 'global' ? p.quiz_id === null : p.quiz_id !== null);
+
+    // Global cards belong to every quiz their song was played in
+    const playedSongsByQuiz = progressMode === 'global' ? await loadPlayedSongsByQuiz(supabaseAdmin, userId) : null;
+
+    const uniqueQuizzes = playedSongsByQuiz
+      ? new Set(playedSongsByQuiz.keys())
+      : new Set(allProgress.map(p => p.quiz_id));
     const totalQuizzes = uniqueQuizzes.size;
-    const totalSongs = allProgress?.length || 0;
+    const totalSongs = allProgress.length;
 
     let totalAttempts = 0;
     let totalSuccess = 0;
@@ -46,7 +57,7 @@ export async function load({ locals: { safeGetSession } }) {
     let last10Success = 0;
     let last10Total = 0;
     
-    for (const record of allProgress || []) {
+    for (const record of allProgress) {
       totalAttempts += record.attempt_count || 0;
       totalSuccess += record.success_count || 0;
       
@@ -85,7 +96,9 @@ export async function load({ locals: { safeGetSession } }) {
     const quizzesWithStats = await Promise.all(
       (quizzes || []).map(async (quiz) => {
         // Filter progress for this specific quiz from already loaded data
-        const quizProgress = (allProgress || []).filter(p => p.quiz_id === quiz.id);
+        const quizProgress = playedSongsByQuiz
+          ? allProgress.filter(p => playedSongsByQuiz.get(quiz.id)?.has(p.song_ann_id))
+          : allProgress.filter(p => p.quiz_id === quiz.id);
 
         // Calculate basic stats
         const totalSongs = quizProgress.length;
@@ -148,6 +161,7 @@ export async function load({ locals: { safeGetSession } }) {
     return {
       hasToken,
       overviewStats,
+      progressMode,
       quizzes: quizzesWithStats
     };
   } catch (error) {
@@ -155,6 +169,7 @@ export async function load({ locals: { safeGetSession } }) {
     return {
       hasToken: false,
       overviewStats: null,
+      progressMode: 'quiz',
       quizzes: []
     };
   }
@@ -5,6 +5,10 @@
 
 import { redirect, error } from '@sveltejs/kit';
 import { createSupabaseAdmin } from '$lib/server/supabase-admin.js';
+import { loadTrainingScheduler } from '$lib/server/training/fsrs-optimizer.js';
+import { loadTrainingPreferences } from '$lib/server/training/training-preferences.js';
+import { resolveProgressScope, loadQuizProgress } from '$lib/server/training/progress-scope.js';
+import { loadLeeches, calculateCardTypeStats } from '$lib/server/training/training-utils.js';
 
 // @ts-ignore
 export async function load({ params, url, locals: { safeGetSession } }) {
@@ -57,13 +61,13 @@ export async function load({ params, url, locals: { safeGetSession } }) {
       }
     }
 
-    // Fetch all training progress for this quiz
-    const { data: progress, error: progressError } = await supabaseAdmin
-      .from('training_progress')
-      .select('*')
-      .eq('user_id', userId)
-      .eq('quiz_id', quizId)
-      .order('last_attempt_at', { ascending: false, nullsFirst: false });
+    // Fetch all training progress for this quiz (the shared cards of its songs in global mode)
+    const scope = await resolveProgressScope(supabaseAdmin, userId, quizId);
+    const { data: progress, error: progressError } = await loadQuizProgress(supabaseAdmin, userId, scope);
+    progress?.sort((a, b) =>
+      (b.last_attempt_at ? new Date(b.last_attempt_at).getTime() : -Infinity) -
+      (a.last_attempt_at ? new Date(a.last_attempt_at).getTime() : -Infinity)
+    );
 
     if (progressError) {
       console.error('[Training Detail] Error fetching progress:', progressError);
@@ -141,8 +145,17 @@ export async function load({ params, url, locals: { safeGetSession } }) {
     // Calculate performance over time
     const performanceOverTime = calculatePerformanceOverTime(progress || []);
 
-    // Calculate forecast (songs due in next 7 days)
-    const forecast = calculateForecast(progress || []);
+    // Calculate forecast (reviews in the next 7 days under the quiz's training preferences)
+    const preferences = await loadTrainingPreferences(supabaseAdmin, userId, quizId);
+
+    // Statistics per card type (trained ones and ones with leftover progress)
+    const cardTypeStats = Object.entries(calculateCardTypeStats(progress || [], preferences.cardTypes))
+      .map(([cardType, stats]) => ({ cardType, ...stats }));
+    const scheduler = await loadTrainingScheduler(supabaseAdmin, userId, quizId, preferences);
+    const forecast = calculateForecast(scheduler, progress || [], preferences);
+
+    // Leeches (songs past the quiz's lapse threshold), named after their latest answer
+    const leeches = await loadLeeches(supabaseAdmin, userId, quizId, scheduler, progress || []);
 
     return {
       quiz: {
@@ -153,9 +166,12 @@ export async function load({ params, url, locals: { safeGetSession } }) {
         createdAt: quiz.created_at
       },
       stats,
+      cardTypeStats,
       progress: progress || [],
       performanceOverTime,
       forecast,
+      preferences,
+      leeches,
       sessions: formattedSessions,
       selectedSession,
       sessionPlays
@@ -175,7 +191,9 @@ export async function load({ params, url, locals: { safeGetSession } }) {
 function calculateStats(progressRecords, totalQuizSongs = 0) {
   const now = new Date();
 
-  let totalSongs = progressRecords.length;
+  // A song trained as several card types still counts once
+  let totalSongs = new Set(progressRecords.map(record => record.song_ann_id ?? record.id)).size;
+  let totalCards = progressRecords.length;
   let totalAttempts = 0;
   let totalSuccess = 0;
   let dueToday = 0;
@@ -238,6 +256,7 @@ function calculateStats(progressRecords, totalQuizSongs = 0) {
 
   return {
     totalSongs,
+    totalCards,
     totalQuizSongs,
     totalAttempts,
     totalSuccess,
@@ -283,49 +302,22 @@ function calculatePerformanceOverTime(progressRecords) {
 }
 
 /**
- * Calculate forecast (songs due in next 7 days)
+ * Calculate forecast (reviews in the next 7 days)
+ * Includes projected follow-up reviews and backlog from the daily review limit
  */
-function calculateForecast(progressRecords) {
-  const now = new Date();
-  // Get today's date at midnight in local timezone
-  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-  const forecast = [];
-
-  for (let i = 0; i < 7; i++) {
-    const checkDate = new Date(today);
-    checkDate.setDate(checkDate.getDate() + i);
-
-    const nextDate = new Date(checkDate);
-    nextDate.setDate(nextDate.getDate() + 1);
-
-    // Format date as MM/DD/YYYY for display
-    const month = String(checkDate.getMonth() + 1).padStart(2, '0');
-    const day = String(checkDate.getDate()).padStart(2, '0');
-    const year = checkDate.getFullYear();
-    const dateStr = `${month}/${day}/${year}`;
-
-    let dueCount = 0;
-
-    for (const record of progressRecords) {
-      // Use fsrs_state.due instead of next_review_date
-      if (!record.fsrs_state?.due) continue;
-
-      const dueDateTime = new Date(record.fsrs_state.due);
-      // Normalize to midnight in local timezone for comparison
-      const dueDate = new Date(dueDateTime.getFullYear(), dueDateTime.getMonth(), dueDateTime.getDate());
-
-      // Check if due on this specific day OR earlier (including overdue songs on first day)
-      if (dueDate.getTime() === checkDate.getTime() || (i === 0 && dueDate < checkDate)) {
-        dueCount++;
-      }
-    }
-
-    forecast.push({
-      date: dateStr,
-      due: dueCount
+function calculateForecast(scheduler, progressRecords, preferences) {
+  return scheduler
+    .getForecast(progressRecords, 7, { dailyReviewLimit: preferences.dailyReviewLimit })
+    .map(day => {
+      // Format date as MM/DD/YYYY for display
+      const [year, month, date] = day.date.split('-');
+      return {
+        date: `${month}/${date}/${year}`,
+        due: day.due,
+        projected: day.projected,
+        reviews: day.count,
+        backlog: day.backlog
+      };
     });
-  }
-
-  return forecast;
 }
 
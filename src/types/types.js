@@ -19,6 +19,9 @@
  * @property {string} [play_token] - Token for playing the quiz
  * @property {number} [likes] - Number of likes
  * @property {number} [plays] - Number of plays
+ * @property {number} [forks] - Number of quizzes remixed from this one
+ * @property {string|null} [forked_from] - ID of the quiz this one was remixed from
+ * @property {{id: string, name: string, creator_username: string}|null} [forked_from_quiz] - Quiz this one was remixed from, when visible
  * @property {QuizMetadata} [quiz_metadata]
  * @property {QuizConfigurationData} [configuration_data]
  */
@@ -38,6 +41,7 @@
  * @typedef {Object} QuizConfigurationData
  * @property {Array} nodes - Array of node objects
  * @property {Array} edges - Array of edge objects
+ * @property {number} [schemaVersion] - Configuration schema version (missing = 1, see configMigrations.js)
  * @property {Object} [basicSettings]
  * @property {number} [numberOfSongs]
  * @property {Object} [router] - Router configuration
@@ -83,6 +87,7 @@
  * @property {string} [creator] - Creator filter
  * @property {string} [dateFrom] - Start date filter (ISO string)
  * @property {string} [dateTo] - End date filter (ISO string)
+ * @property {string} [forkedFrom] - Only quizzes remixed from this quiz ID
  * @property {boolean} [myQuizzes] - Whether to show only user's quizzes
  * @property {string} [sortBy] - Sort order (newest, trending, mostLiked, mostPlayed)
  */
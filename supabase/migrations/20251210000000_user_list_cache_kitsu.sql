@@ -0,0 +1,10 @@
+-- Allow Kitsu as a user list cache platform
+
+ALTER TABLE public.user_list_cache
+    DROP CONSTRAINT IF EXISTS user_list_cache_platform_check;
+
+ALTER TABLE public.user_list_cache
+    ADD CONSTRAINT user_list_cache_platform_check
+    CHECK (platform = ANY (ARRAY['anilist'::text, 'mal'::text, 'kitsu'::text]));
+
+COMMENT ON TABLE public.user_list_cache IS 'Caches user anime lists from AniList/MAL/Kitsu. Lists are stored in Pixeldrain (song_cache folder), only links stored here. Automatically cleaned by triggers.';
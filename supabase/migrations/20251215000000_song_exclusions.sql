@@ -0,0 +1,24 @@
+-- Song exclusion list
+-- Songs (or whole anime) a user never wants played, either in all of their quizzes or in one quiz
+
+CREATE TABLE IF NOT EXISTS public.song_exclusions (
+    id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id uuid NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    quiz_id uuid REFERENCES public.quiz_configurations(id) ON DELETE CASCADE,
+    target_type text NOT NULL CHECK (target_type = ANY (ARRAY['song'::text, 'anime'::text])),
+    target_id integer NOT NULL,
+    song_name text,
+    anime_name text,
+    reason text,
+    created_at timestamp with time zone DEFAULT now() NOT NULL,
+    UNIQUE NULLS NOT DISTINCT (user_id, quiz_id, target_type, target_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_song_exclusions_user_quiz
+    ON public.song_exclusions(user_id, quiz_id);
+
+ALTER TABLE public.song_exclusions ENABLE ROW LEVEL SECURITY;
+
+COMMENT ON TABLE public.song_exclusions IS 'Songs or anime a user never wants played. quiz_id NULL applies to all quizzes the user owns and their training sessions';
+COMMENT ON COLUMN public.song_exclusions.target_type IS 'song = exclude one song (target_id is annSongId), anime = exclude every song of an anime (target_id is annId)';
+COMMENT ON COLUMN public.song_exclusions.song_name IS 'Display label saved with the exclusion so the list can be shown without the song pool';
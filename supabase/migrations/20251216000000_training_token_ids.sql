@@ -0,0 +1,20 @@
+-- Public lookup IDs for training connector tokens
+-- Tokens have the form "<token_id>.<secret>" so they can be found by token_id and verified with one
+-- bcrypt check (token_hash holds the hash of the secret only) instead of comparing against every
+-- stored hash.
+-- Tokens issued before this carry no ID and could only be found by checking every such hash, so
+-- they are revoked; their users generate a new token on the training page.
+
+ALTER TABLE public.training_tokens
+    ADD COLUMN IF NOT EXISTS token_id text;
+
+DELETE FROM public.training_tokens
+    WHERE token_id IS NULL;
+
+ALTER TABLE public.training_tokens
+    ALTER COLUMN token_id SET NOT NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_training_tokens_token_id
+    ON public.training_tokens(token_id);
+
+COMMENT ON COLUMN public.training_tokens.token_id IS 'Public token ID prefix used to look up the token';
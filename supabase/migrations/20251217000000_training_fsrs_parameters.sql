@@ -0,0 +1,26 @@
+-- Per-user FSRS weights fitted from training_session_plays
+-- quiz_id NULL holds weights fitted on all of the user's quizzes; a row with a quiz_id overrides
+-- them for that quiz.
+
+CREATE TABLE IF NOT EXISTS public.training_fsrs_parameters (
+    id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id uuid NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    quiz_id uuid REFERENCES public.quiz_configurations(id) ON DELETE CASCADE,
+    weights double precision[] NOT NULL,
+    review_count integer NOT NULL DEFAULT 0,
+    log_loss double precision,
+    default_log_loss double precision,
+    optimized_at timestamp with time zone DEFAULT now() NOT NULL,
+    UNIQUE NULLS NOT DISTINCT (user_id, quiz_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_training_fsrs_parameters_user
+    ON public.training_fsrs_parameters(user_id);
+
+ALTER TABLE public.training_fsrs_parameters ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own FSRS parameters"
+    ON public.training_fsrs_parameters FOR SELECT
+    USING (auth.uid() = user_id);
+
+COMMENT ON TABLE public.training_fsrs_parameters IS 'FSRS weights fitted per user (optionally per quiz) from their review history';
@@ -0,0 +1,25 @@
+-- Per-quiz training preferences
+-- desired_retention and maximum_interval feed the FSRS scheduler, the daily limits cap how many
+-- new and due songs training sessions select per day (NULL = no explicit limit).
+
+CREATE TABLE IF NOT EXISTS public.training_quiz_preferences (
+    id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id uuid NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    quiz_id uuid NOT NULL REFERENCES public.quiz_configurations(id) ON DELETE CASCADE,
+    desired_retention double precision NOT NULL DEFAULT 0.9
+        CHECK (desired_retention >= 0.7 AND desired_retention <= 0.99),
+    maximum_interval integer NOT NULL DEFAULT 36500
+        CHECK (maximum_interval >= 1),
+    daily_new_limit integer CHECK (daily_new_limit >= 0),
+    daily_review_limit integer CHECK (daily_review_limit >= 0),
+    updated_at timestamp with time zone DEFAULT now() NOT NULL,
+    UNIQUE (user_id, quiz_id)
+);
+
+ALTER TABLE public.training_quiz_preferences ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own training preferences"
+    ON public.training_quiz_preferences FOR SELECT
+    USING (auth.uid() = user_id);
+
+COMMENT ON TABLE public.training_quiz_preferences IS 'Per-quiz training preferences: target retention, maximum interval and daily caps';
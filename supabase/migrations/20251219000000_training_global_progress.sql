@@ -0,0 +1,27 @@
+-- Optional global (cross-quiz) training progress
+-- In global mode a user has one FSRS card per song: a training_progress row with quiz_id NULL,
+-- keyed by song_ann_id, updated by reviews from any quiz. Per-quiz rows are kept untouched.
+
+ALTER TABLE public.training_progress
+    ALTER COLUMN quiz_id DROP NOT NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_training_progress_global_song
+    ON public.training_progress(user_id, song_ann_id)
+    WHERE quiz_id IS NULL;
+
+-- Per-user training settings
+CREATE TABLE IF NOT EXISTS public.training_user_settings (
+    user_id uuid PRIMARY KEY REFERENCES auth.users(id) ON DELETE CASCADE,
+    progress_mode text NOT NULL DEFAULT 'quiz' CHECK (progress_mode IN ('quiz', 'global')),
+    -- Set when per-quiz cards were first folded into global cards
+    global_migrated_at timestamp with time zone,
+    updated_at timestamp with time zone DEFAULT now() NOT NULL
+);
+
+ALTER TABLE public.training_user_settings ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own training settings"
+    ON public.training_user_settings FOR SELECT
+    USING (auth.uid() = user_id);
+
+COMMENT ON TABLE public.training_user_settings IS 'Per-user training settings (progress mode: per-quiz or global cards)';
@@ -0,0 +1,18 @@
+-- Leech detection
+-- Songs that lapsed leech_threshold times are leeches: they get the 'leech' tag in
+-- training_progress.tags and sessions handle them according to leech_policy.
+
+ALTER TABLE public.training_progress
+    ADD COLUMN IF NOT EXISTS tags text[] NOT NULL DEFAULT '{}';
+
+CREATE INDEX IF NOT EXISTS idx_training_progress_tags
+    ON public.training_progress USING gin (tags);
+
+ALTER TABLE public.training_quiz_preferences
+    ADD COLUMN IF NOT EXISTS leech_threshold integer NOT NULL DEFAULT 8
+        CHECK (leech_threshold >= 2 AND leech_threshold <= 50),
+    ADD COLUMN IF NOT EXISTS leech_policy text NOT NULL DEFAULT 'deprioritize'
+        CHECK (leech_policy IN ('suspend', 'deprioritize', 'intensive'));
+
+COMMENT ON COLUMN public.training_progress.tags IS 'Song tags, e.g. ''leech'' for songs that keep failing';
+COMMENT ON COLUMN public.training_quiz_preferences.leech_policy IS 'suspend: skip leeches, deprioritize: review them last, intensive: only in intensive sessions';
@@ -0,0 +1,10 @@
+-- Per-song training controls
+-- suspended_at: song is left out of training sessions until unsuspended
+-- buried_until: song is left out of training sessions until this time (next training day)
+
+ALTER TABLE public.training_progress
+    ADD COLUMN IF NOT EXISTS suspended_at timestamp with time zone,
+    ADD COLUMN IF NOT EXISTS buried_until timestamp with time zone;
+
+COMMENT ON COLUMN public.training_progress.suspended_at IS 'When the song was suspended (NULL = active)';
+COMMENT ON COLUMN public.training_progress.buried_until IS 'Song is skipped by training sessions until this time';
@@ -0,0 +1,30 @@
+-- Training card types
+-- A song can be trained as several cards (anime name, song title, artist, OP/ED number), each
+-- with its own FSRS card. Existing progress and plays are anime cards.
+
+ALTER TABLE public.training_progress
+    ADD COLUMN IF NOT EXISTS card_type text NOT NULL DEFAULT 'anime'
+        CHECK (card_type IN ('anime', 'song', 'artist', 'type'));
+
+ALTER TABLE public.training_session_plays
+    ADD COLUMN IF NOT EXISTS card_type text NOT NULL DEFAULT 'anime'
+        CHECK (card_type IN ('anime', 'song', 'artist', 'type'));
+
+-- Global cards are unique per song and card type
+DROP INDEX IF EXISTS idx_training_progress_global_song;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_training_progress_global_song
+    ON public.training_progress(user_id, song_ann_id, card_type)
+    WHERE quiz_id IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_training_progress_card_type
+    ON public.training_progress(user_id, quiz_id, song_ann_id, card_type);
+
+-- Card types trained per quiz
+ALTER TABLE public.training_quiz_preferences
+    ADD COLUMN IF NOT EXISTS card_types text[] NOT NULL DEFAULT '{anime}'
+        CHECK (card_types <@ ARRAY['anime', 'song', 'artist', 'type'] AND cardinality(card_types) > 0);
+
+COMMENT ON COLUMN public.training_progress.card_type IS 'What the card asks for: anime name, song title, artist or OP/ED number';
+COMMENT ON COLUMN public.training_session_plays.card_type IS 'Card type the play was graded as';
+COMMENT ON COLUMN public.training_quiz_preferences.card_types IS 'Card types trained in this quiz''s sessions';
@@ -0,0 +1,14 @@
+-- Offline review sync
+-- Clients give every review an ID, so a review sent twice (a retried request, a queue flushed
+-- from two devices) is stored once. Plays are an append-only log; progress is rebuilt from them.
+
+ALTER TABLE public.training_session_plays
+    ADD COLUMN IF NOT EXISTS client_review_id text,
+    ADD COLUMN IF NOT EXISTS client_id text;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_training_session_plays_client_review
+    ON public.training_session_plays(user_id, client_review_id)
+    WHERE client_review_id IS NOT NULL;
+
+COMMENT ON COLUMN public.training_session_plays.client_review_id IS 'Client-generated review ID, unique per user (NULL for plays recorded without one)';
+COMMENT ON COLUMN public.training_session_plays.client_id IS 'Device or install that recorded the review';
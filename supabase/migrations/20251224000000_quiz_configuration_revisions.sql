@@ -0,0 +1,25 @@
+-- Quiz configuration revisions
+-- Every save of a quiz keeps a copy of its configuration so edits can be reviewed and rolled back
+
+CREATE TABLE IF NOT EXISTS public.quiz_configuration_revisions (
+    id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+    quiz_id uuid NOT NULL REFERENCES public.quiz_configurations(id) ON DELETE CASCADE,
+    revision_number integer NOT NULL,
+    configuration_data jsonb NOT NULL,
+    name text NOT NULL,
+    source text NOT NULL DEFAULT 'save' CHECK (source = ANY (ARRAY['create'::text, 'save'::text, 'restore'::text, 'baseline'::text])),
+    restored_from integer,
+    created_by uuid REFERENCES auth.users(id) ON DELETE SET NULL,
+    created_by_username text,
+    created_at timestamp with time zone DEFAULT now() NOT NULL,
+    UNIQUE (quiz_id, revision_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_quiz_configuration_revisions_quiz
+    ON public.quiz_configuration_revisions(quiz_id, revision_number DESC);
+
+ALTER TABLE public.quiz_configuration_revisions ENABLE ROW LEVEL SECURITY;
+
+COMMENT ON TABLE public.quiz_configuration_revisions IS 'Configuration of a quiz after each save. Restoring a revision adds a new revision instead of removing later ones';
+COMMENT ON COLUMN public.quiz_configuration_revisions.source IS 'create = first save, save = editor save, restore = rollback to restored_from, baseline = configuration found when the first revision of an older quiz was written';
+COMMENT ON COLUMN public.quiz_configuration_revisions.created_by IS 'User who saved the revision, NULL for guests editing with a share token';
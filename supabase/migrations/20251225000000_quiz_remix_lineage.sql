@@ -0,0 +1,77 @@
+-- Quiz remix lineage
+-- A quiz saved from another (remixable or own) quiz keeps a link to it, and quiz_stats counts the forks
+
+ALTER TABLE public.quiz_configurations
+    ADD COLUMN IF NOT EXISTS forked_from uuid REFERENCES public.quiz_configurations(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_quiz_configurations_forked_from
+    ON public.quiz_configurations(forked_from)
+    WHERE forked_from IS NOT NULL;
+
+COMMENT ON COLUMN public.quiz_configurations.forked_from IS 'Quiz this one was remixed or cloned from. Set to NULL when that quiz is deleted';
+
+ALTER TABLE public.quiz_stats
+    ADD COLUMN IF NOT EXISTS forks integer DEFAULT 0 NOT NULL;
+
+COMMENT ON COLUMN public.quiz_stats.forks IS 'Number of quizzes with forked_from pointing at this quiz, kept up to date by trigger';
+
+-- Recount the forks of one quiz. Skipped when the quiz itself is being deleted
+-- (its forks are set to NULL and fire this again for the deleted parent)
+CREATE OR REPLACE FUNCTION public.refresh_quiz_fork_count(p_quiz_id uuid)
+RETURNS void
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    IF p_quiz_id IS NULL THEN
+        RETURN;
+    END IF;
+
+    INSERT INTO public.quiz_stats (quiz_id, forks)
+    SELECT p_quiz_id, (SELECT count(*) FROM public.quiz_configurations WHERE forked_from = p_quiz_id)
+    WHERE EXISTS (SELECT 1 FROM public.quiz_configurations WHERE id = p_quiz_id)
+    ON CONFLICT (quiz_id) DO UPDATE SET forks = EXCLUDED.forks;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.update_quiz_fork_counts()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    IF TG_OP = 'INSERT' THEN
+        PERFORM public.refresh_quiz_fork_count(NEW.forked_from);
+    ELSIF TG_OP = 'DELETE' THEN
+        PERFORM public.refresh_quiz_fork_count(OLD.forked_from);
+    ELSIF NEW.forked_from IS DISTINCT FROM OLD.forked_from THEN
+        PERFORM public.refresh_quiz_fork_count(OLD.forked_from);
+        PERFORM public.refresh_quiz_fork_count(NEW.forked_from);
+    END IF;
+
+    RETURN NULL;
+END;
+$$;
+
+CREATE TRIGGER update_quiz_fork_counts_trigger
+    AFTER INSERT OR DELETE OR UPDATE OF forked_from ON public.quiz_configurations
+    FOR EACH ROW
+    EXECUTE FUNCTION public.update_quiz_fork_counts();
+
+-- Expose the parent on the public listing
+CREATE OR REPLACE VIEW public.public_quiz_configurations WITH (security_invoker = on) AS
+ SELECT id,
+    name,
+    description,
+    created_at,
+    updated_at,
+    creator_username,
+    user_id AS creator_id,
+    allow_remixing,
+    play_token,
+    quiz_metadata,
+    forked_from
+   FROM public.quiz_configurations
+  WHERE is_public = true;
@@ -0,0 +1,70 @@
+-- Quiz templates
+-- Quizzes offered as starting points in the template gallery. Admins curate templates directly;
+-- users submit their own quizzes, which stay pending until an admin approves them.
+-- A template keeps a snapshot of the quiz configuration, so later edits to the quiz do not change
+-- an approved template until it is resubmitted.
+
+CREATE TABLE IF NOT EXISTS public.quiz_templates (
+    id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+    quiz_id uuid UNIQUE REFERENCES public.quiz_configurations(id) ON DELETE SET NULL,
+    name text NOT NULL,
+    description text,
+    detailed_explanation text,
+    features text[] DEFAULT '{}'::text[] NOT NULL,
+    category text DEFAULT 'other' NOT NULL CHECK (category = ANY (ARRAY['getting-started'::text, 'randomization'::text, 'advanced-flow'::text, 'themed'::text, 'difficulty'::text, 'other'::text])),
+    configuration_data jsonb NOT NULL,
+    preview_metadata jsonb,
+    node_count integer DEFAULT 0 NOT NULL,
+    status text DEFAULT 'pending' NOT NULL CHECK (status = ANY (ARRAY['pending'::text, 'approved'::text, 'rejected'::text])),
+    is_featured boolean DEFAULT false NOT NULL,
+    sort_order integer DEFAULT 0 NOT NULL,
+    review_note text,
+    submitted_by uuid REFERENCES auth.users(id) ON DELETE SET NULL,
+    submitted_by_username text,
+    reviewed_by uuid REFERENCES auth.users(id) ON DELETE SET NULL,
+    reviewed_at timestamp with time zone,
+    created_at timestamp with time zone DEFAULT now() NOT NULL,
+    updated_at timestamp with time zone DEFAULT now() NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_quiz_templates_gallery
+    ON public.quiz_templates(status, is_featured DESC, sort_order, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_quiz_templates_submitted_by
+    ON public.quiz_templates(submitted_by);
+
+CREATE TRIGGER update_quiz_templates_updated_at
+    BEFORE UPDATE ON public.quiz_templates
+    FOR EACH ROW
+    EXECUTE FUNCTION public.update_updated_at_column();
+
+ALTER TABLE public.quiz_templates ENABLE ROW LEVEL SECURITY;
+
+COMMENT ON TABLE public.quiz_templates IS 'Template gallery entries with a snapshot of the source quiz configuration';
+COMMENT ON COLUMN public.quiz_templates.quiz_id IS 'Quiz the template was made from, NULL once that quiz is deleted';
+COMMENT ON COLUMN public.quiz_templates.detailed_explanation IS 'Guide shown in the editor''s "About This Template" dialog. Supports **bold**, headings, bullets and numbered lines';
+COMMENT ON COLUMN public.quiz_templates.preview_metadata IS 'generateQuizMetadata output for the snapshot, shown on gallery cards';
+COMMENT ON COLUMN public.quiz_templates.is_featured IS 'Shown in the quick start section of the home page';
+
+-- The three templates previously hard-coded in the app, keeping their quiz IDs as template IDs
+INSERT INTO public.quiz_templates (
+    id, quiz_id, name, description, detailed_explanation, category, configuration_data, preview_metadata,
+    node_count, status, is_featured, sort_order, submitted_by, submitted_by_username, reviewed_at
+)
+SELECT
+    seed.id::uuid, q.id, seed.name, seed.description, seed.detailed_explanation, seed.category,
+    q.configuration_data, q.quiz_metadata, COALESCE(jsonb_array_length(q.configuration_data->'nodes'), 0),
+    'approved', true, seed.sort_order, q.user_id, q.creator_username, now()
+FROM (VALUES
+    ('0c27d99e-2a2c-459c-9786-99502ead9c68', 'Basic Linear Flow', 'getting-started', 1,
+     E'A comprehensive template showcasing all filter types in a simple linear sequence. Perfect for beginners learning the editor.\n\n• Linear flow through all major filter types\n• All filters use default settings for easy customization\n• Demonstrates the complete filtering pipeline',
+     E'This template demonstrates the fundamental quiz configuration structure in AMQ+. It shows how to build a complete filtering pipeline from start to finish.\n\n**Flow Structure:**\n1. **Song List** - Defines the source pool (entire database by default)\n2. **Basic Settings** - Core game settings (guess time, sample point, etc.)\n3. **Songs & Types** - Splits between openings/endings/inserts and watched/random\n4. **Anime Type** - Filters by format (TV, Movie, OVA, etc.)\n5. **Vintage** - Filters by release year/season\n6. **Song Difficulty** - Controls difficulty distribution\n7. **Player Score** - Filters based on user ratings (requires user list)\n8. **Anime Score** - Filters by AniList ratings\n9. **Song Categories** - Filters by category (Standard, Character, etc.)\n10. **Genres** - Include/exclude/optional genre filtering\n11. **Tags** - Include/exclude/optional tag filtering\n12. **Number of Songs** - Final song count'),
+    ('841e6154-5473-4981-81d2-253a256e67f6', 'Random Execution Chances', 'randomization', 2,
+     E'Demonstrates random node execution chances for creating dynamic quiz variations.\n\n• Multiple nodes with different execution chance percentages\n• Random selection of which nodes execute each simulation\n• Creates variety without complex routing logic',
+     E'⚠️ **IMPORTANT WARNING:** This template is for demonstration purposes only. Due to its complex filter configurations and advanced setup, it will fail to match any songs when played. Use this template to learn about execution chances, then modify the filters to create a working quiz.\n\n---\n\nThis template showcases random execution chances, a powerful feature for creating dynamic quiz configurations.\n\n**Execution Chance System:**\nEach node has an execution chance (default 100%) that determines if it will be used during quiz generation. By default, all node instances execute, but when execution chance is applied, nodes execute randomly based on their configured chances.\n\n**Execution Chance Types:**\n- **Static Value:** Fixed percentage (e.g., 75% = executes 75% of the time)\n- **Range:** Random percentage within range (e.g., 50-100% = executes 50-100% of the time randomly)\n\n**Template Structure:**\n1. **Song List** - Source pool\n2. **Basic Settings A** - Configuration variant 1 (70% execution chance)\n3. **Basic Settings B** - Configuration variant 2 (30% execution chance)\n4. **Filter Nodes** - Various filters with different execution chances\n5. **Number of Songs** - Final song count\n\n**How It Works:**\n- **Node Executes (passes chance roll):** The node\'s configured settings are used in the final quiz configuration\n- **Node Fails (fails chance roll):** The system tries other instances of the same type. If all instances of a required category fail, one available instance is randomly selected to ensure coverage\n\n**To Set Execution Chance:** Right-click any node → "Set Execution Chance"'),
+    ('e88e6b4c-df74-4223-815a-d89ce36a4867', 'Router & Modifier Nodes', 'advanced-flow', 3,
+     E'Advanced template featuring router-based branching and modifier nodes for complex quiz configurations.\n\n• Router node with multiple distinct routes\n• Selection Modifier nodes controlling execution\n• Advanced filter configurations with modifiers\n• Demonstrates complex flow control and dynamic behavior',
+     E'⚠️ **IMPORTANT WARNING:** This template is for demonstration purposes only. Due to its complex filter configurations and advanced setup, it will fail to match any songs when played. Use this template to learn about Router and Modifier nodes, then modify the filters to create a working quiz.\n\n---\n\nThis template demonstrates advanced quiz configuration using Router nodes and Modifier nodes to create sophisticated, dynamic quizes.\n\n**Router System:**\nThe Router node randomly selects ONE route to execute, creating entirely different quiz configurations from the same setup. Each route can have completely different settings and behaviors.\n\n**Modifier Nodes:**\nSelection Modifier nodes control how many instances of connected nodes execute, adding another layer of dynamic behavior within each route.\n\n**Template Architecture:**\n\n**Route 1 - Competitive Mode (50% chance):**\n- Focuses on challenging, skill-testing configurations\n- Song List → Basic Settings (competitive) → Modifier → Filters...\n- **Modifier Controls:**\n  - Selection Modifier limits filter execution\n  - Only specific filters run per simulation\n- **Filters:**\n  - Only openings (100%)\n  - Advanced difficulty ranges (mostly hard songs)\n  - High anime scores only (7-10)\n  - Specific genre requirements\n- **Result:** 30 challenging opening songs\n\n**Route 2 - Casual Mode (50% chance):**\n- Balanced, accessible configuration for all players\n- Song List → Basic Settings (casual) → Modifier → Filters...\n- **Modifier Controls:**\n  - Different Selection Modifier settings\n  - More flexible filter combinations\n- **Filters:**\n  - All song types (inserts included)\n  - Balanced difficulty distribution\n  - Wider score ranges\n  - Genre flexibility\n- **Result:** 25 varied songs across types\n\n**Advanced Features Demonstrated:**\n\n1. **Router-Based Branching:**\n   - Two distinct quiz modes\n   - Random selection between routes\n   - Complete configuration separation\n\n2. **Selection Modifier Usage:**\n   - Controls filter execution within routes\n   - Creates sub-variation within each route\n   - Different modifier settings per route\n\n3. **Route-Specific Configurations:**\n   - Different Basic Settings per route\n   - Unique filter combinations\n   - Varied song counts and difficulty\n\n4. **Dynamic Behavior:**\n   - Random route selection\n   - Modifier-controlled execution\n   - Multiple layers of variation\n\n**Learning Objectives:**\n- Understand router-based branching\n- Learn Selection Modifier functionality\n- Master advanced filter settings\n- Combine routers with modifiers\n- Create complex dynamic configurations\n\n**Practical Applications:**\n- Tournament vs. practice modes\n- Difficulty tiers with modifiers\n- Theme variations with dynamic filters\n- Player skill-based routing\n- Event-specific configurations\n\n**Customization Strategies:**\n\n1. **Add More Routes:**\n   - 3-4 routes for more variety\n   - Adjust route probabilities\n   - Create specialized modes\n\n2. **Enhance Modifiers:**\n   - Add more Selection Modifiers\n   - Create modifier chains\n   - Experiment with different settings\n\n3. **Nested Complexity:**\n   - Add sub-routers within routes\n   - Create modifier hierarchies\n   - Build decision trees\n\n4. **Advanced Combinations:**\n   - Combine routers with execution chances\n   - Layer multiple modifier types\n   - Create maximum configuration diversity\n\n**Common Pitfalls to Avoid:**\n- Don\'t forget to connect all route paths\n- Ensure each route has proper modifiers\n- Balance route probabilities\n- Test each route independently\n- Avoid disconnected nodes\n\n**Pro Tips:**\n- Use route badges to track complex flows\n- Name routes and modifiers descriptively\n- Document configuration differences\n- Test modifier behavior thoroughly\n- Consider execution chances for fine-tuning')
+) AS seed (id, name, category, sort_order, description, detailed_explanation)
+JOIN public.quiz_configurations q ON q.id = seed.id::uuid
+ON CONFLICT (id) DO NOTHING;
@@ -0,0 +1,9 @@
+-- Leech drills requested from the website
+-- Training sessions are started by the connector, so "Drill leeches" on the training page only
+-- records the request; the next session the connector starts for the quiz is then an intensive
+-- (leeches only) session and clears it.
+
+ALTER TABLE public.training_quiz_preferences
+    ADD COLUMN IF NOT EXISTS leech_drill_requested_at timestamp with time zone;
+
+COMMENT ON COLUMN public.training_quiz_preferences.leech_drill_requested_at IS 'When the user asked for the next session to drill leeches (NULL = no drill pending)';
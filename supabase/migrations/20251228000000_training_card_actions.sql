@@ -0,0 +1,28 @@
+-- Manual card actions in the play log
+-- Progress is rebuilt by replaying training_session_plays, so forgetting a card, marking it known
+-- or rescheduling it is logged as a play too; otherwise the next rebuild (a deleted play, a synced
+-- review) would undo it. Action plays belong to no session and carry no rating.
+
+ALTER TABLE public.training_session_plays
+    ADD COLUMN IF NOT EXISTS play_type text NOT NULL DEFAULT 'review';
+
+ALTER TABLE public.training_session_plays
+    DROP CONSTRAINT IF EXISTS training_session_plays_play_type_check;
+
+ALTER TABLE public.training_session_plays
+    ADD CONSTRAINT training_session_plays_play_type_check
+    CHECK (play_type IN ('review', 'forget', 'known', 'reschedule'));
+
+ALTER TABLE public.training_session_plays
+    ALTER COLUMN session_id DROP NOT NULL,
+    ALTER COLUMN rating DROP NOT NULL,
+    ALTER COLUMN success DROP NOT NULL;
+
+ALTER TABLE public.training_session_plays
+    DROP CONSTRAINT IF EXISTS training_session_plays_review_check;
+
+ALTER TABLE public.training_session_plays
+    ADD CONSTRAINT training_session_plays_review_check
+    CHECK (play_type <> 'review' OR (session_id IS NOT NULL AND rating IS NOT NULL AND success IS NOT NULL));
+
+COMMENT ON COLUMN public.training_session_plays.play_type IS 'review = a graded attempt; forget, known, reschedule = a manual card action replayed with the reviews (answer_data.dueDate holds the reschedule date)';
@@ -0,0 +1,160 @@
+/**
+ * Tests for anki-interchange.js: review log export, card mapping and reimport
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  buildAnkiNotesCsv,
+  buildAnkiRevlogCsv,
+  parseAnkiReviewLog,
+  parseAnkiCardMap,
+  getSongIdFromTags,
+  importAnkiReviews,
+  parseCsv,
+  MAX_IMPORT_SONGS
+} from '../src/lib/server/training/anki-interchange.js';
+import { createFakeSupabase, createPlaysForSongs, MAX_ROWS, USER_ID, QUIZ_ID } from './utils/trainingFixtures.js';
+
+// Three reviews of two songs over a few days
+const plays = [
+  { song_ann_id: 101, played_at: '2025-01-01T10:00:00.000Z', rating: 3, time_spent_ms: 4200, fsrs_before: null },
+  { song_ann_id: 202, played_at: '2025-01-01T10:01:00.000Z', rating: 1, time_spent_ms: 9000, fsrs_before: null },
+  { song_ann_id: 101, played_at: '2025-01-04T09:30:00.000Z', rating: 4, time_spent_ms: 2100, fsrs_before: { state: 2 } }
+];
+
+/**
+ * Compare stored plays with the originals on the fields a review log carries
+ * @param {Array<Object>} storedPlays - training_session_plays rows
+ * @returns {Array<Object>} Comparable plays in time order
+ */
+function comparablePlays(storedPlays) {
+  return storedPlays
+    .map((play) => ({
+      song_ann_id: play.song_ann_id,
+      played_at: new Date(play.played_at).toISOString(),
+      rating: play.rating,
+      time_spent_ms: play.time_spent_ms
+    }))
+    .sort((a, b) => a.played_at.localeCompare(b.played_at));
+}
+
+describe('Anki Interchange - Card Mapping', () => {
+  it('reads the song ID tag from note tags', () => {
+    expect(getSongIdFromTags('amqplus amq::ann_song_id::101 amq::state::review')).toBe(101);
+    expect(getSongIdFromTags('amqplus amq::ann_song_id::101x')).toBeNull();
+    expect(getSongIdFromTags('')).toBeNull();
+  });
+
+  it('maps Anki card IDs to songs through the exported note tags', () => {
+    const notes = buildAnkiNotesCsv(
+      [{ song_ann_id: 101, fsrs_state: { state: 2 } }, { song_ann_id: 202, fsrs_state: null }],
+      new Map([[101, 'Naruto']]),
+      'AMQ+::Test'
+    );
+    // Anki assigns its own card IDs; a cards file pairs them with the note tags
+    const tagsByNote = parseCsv(notes)
+      .filter((row) => !row[0].startsWith('#'))
+      .map((row) => row[2]);
+    const cards = ['cid,tags', `1700000000001,"${tagsByNote[0]}"`, `1700000000002,"${tagsByNote[1]}"`, '1700000000003,other-deck'].join('\n');
+
+    const { songByCard, error } = parseAnkiCardMap(cards);
+    expect(error).toBeNull();
+    expect(Object.fromEntries(songByCard)).toEqual({ 1700000000001: 101, 1700000000002: 202 });
+  });
+
+  it('rejects a cards file without card ID and tags columns', () => {
+    expect(parseAnkiCardMap('front,back\nNaruto,Blue Bird').error).toMatch(/card_id/);
+  });
+});
+
+describe('Anki Interchange - Review Log Parsing', () => {
+  it('matches Anki revlog card IDs to songs with the cards file', () => {
+    const revlog = [
+      'id,cid,ease,time,type',
+      '1735725600000,1700000000001,3,4200,1',
+      '1735725660000,1700000000002,1,9000,1',
+      '1735983000000,1700000000001,4,2100,1',
+      '1735983100000,1700000000003,3,1000,1'
+    ].join('\n');
+    const songByCard = new Map([
+      ['1700000000001', 101],
+      ['1700000000002', 202]
+    ]);
+
+    const { reviews, skipped, error } = parseAnkiReviewLog(revlog, songByCard);
+    expect(error).toBeNull();
+    expect(skipped).toBe(1);
+    expect(reviews.map((review) => review.songAnnId)).toEqual([101, 202, 101]);
+  });
+
+  it('uses a tags column in the review log itself', () => {
+    const revlog = ['id,cid,ease,time,type,tags', '1735725600000,1700000000001,3,4200,1,amq::ann_song_id::303'].join('\n');
+    expect(parseAnkiReviewLog(revlog).reviews.map((review) => review.songAnnId)).toEqual([303]);
+  });
+
+  it('does not take Anki card IDs for song IDs', () => {
+    const revlog = ['id,cid,ease,time,type', '1735725600000,1700000000001,3,4200,1'].join('\n');
+    const { reviews, error } = parseAnkiReviewLog(revlog);
+    expect(reviews).toHaveLength(0);
+    expect(error).toMatch(/cards file/);
+  });
+
+  it('skips manual reschedules', () => {
+    const revlog = ['id,cid,ease,time,type', '1735725600000,101,3,0,4'].join('\n');
+    expect(parseAnkiReviewLog(revlog).skipped).toBe(1);
+  });
+});
+
+describe('Anki Interchange - Export and Reimport', () => {
+  it('reimports the exported review log as the same plays', async () => {
+    const { reviews, skipped, error } = parseAnkiReviewLog(buildAnkiRevlogCsv(plays));
+    expect(error).toBeNull();
+    expect(skipped).toBe(0);
+
+    const supabase = createFakeSupabase();
+    const result = await importAnkiReviews(supabase, USER_ID, QUIZ_ID, reviews);
+
+    expect(result).toMatchObject({ imported: 3, duplicates: 0, songs: 2, failedSongs: 0 });
+    expect(comparablePlays(supabase.tables.training_session_plays)).toEqual(comparablePlays(plays));
+    expect(supabase.tables.training_session_plays.every((play) => play.quiz_id === QUIZ_ID && play.card_type === 'anime')).toBe(true);
+
+    // Every imported song gets a progress record rebuilt from its plays
+    const progress = Object.fromEntries(
+      supabase.tables.training_progress.map((record) => [record.song_ann_id, record])
+    );
+    expect(progress[101].attempt_count).toBe(2);
+    expect(progress[202].failure_count).toBe(1);
+  });
+
+  it('skips reviews that were already imported', async () => {
+    const { reviews } = parseAnkiReviewLog(buildAnkiRevlogCsv(plays));
+    const supabase = createFakeSupabase();
+    await importAnkiReviews(supabase, USER_ID, QUIZ_ID, reviews);
+
+    const again = await importAnkiReviews(supabase, USER_ID, QUIZ_ID, reviews);
+    expect(again).toMatchObject({ imported: 0, duplicates: 3 });
+    expect(supabase.tables.training_session_plays).toHaveLength(3);
+  });
+
+  it('skips already imported reviews of more songs than one request returns', async () => {
+    // Song IDs long enough that they don't fit in a single `in` filter either
+    const largeLog = createPlaysForSongs(MAX_ROWS + 500).map((play) => ({ ...play, song_ann_id: play.song_ann_id + 100000 }));
+    const { reviews, error } = parseAnkiReviewLog(buildAnkiRevlogCsv(largeLog));
+    expect(error).toBeNull();
+
+    const supabase = createFakeSupabase();
+    const first = await importAnkiReviews(supabase, USER_ID, QUIZ_ID, reviews);
+    expect(first).toMatchObject({ imported: largeLog.length, failedSongs: 0 });
+    expect(supabase.tables.training_progress).toHaveLength(largeLog.length);
+
+    const again = await importAnkiReviews(supabase, USER_ID, QUIZ_ID, reviews);
+    expect(again).toMatchObject({ imported: 0, duplicates: largeLog.length });
+    expect(supabase.tables.training_session_plays).toHaveLength(largeLog.length);
+  });
+
+  it('rejects review logs of too many songs', () => {
+    const { reviews, error } = parseAnkiReviewLog(buildAnkiRevlogCsv(createPlaysForSongs(MAX_IMPORT_SONGS + 1)));
+    expect(reviews).toHaveLength(0);
+    expect(error).toMatch(/songs/);
+  });
+});
@@ -0,0 +1,165 @@
+/**
+ * Tests for answerNormalization.js and its userscript copy in amqTrainingMode.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  normalizeAnswer,
+  matchAnswer,
+  isAnswerCorrect,
+  buildAcceptedAnswers,
+  isAnswerStrictness
+} from '../src/lib/utils/answerNormalization.js';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const cases = JSON.parse(
+  fs.readFileSync(path.join(__dirname, 'testConfigs', 'answer-matching-cases.json'), 'utf-8')
+);
+
+/**
+ * Cut a top-level function declaration out of the userscript source
+ * @param {string} source - Userscript source
+ * @param {string} name - Function name
+ * @returns {string} Function source
+ */
+function extractFunction(source, name) {
+  const start = source.indexOf(`\nfunction ${name}(`);
+  if (start === -1) throw new Error(`Function ${name} not found in amqTrainingMode.js`);
+  const end = source.indexOf('\n}\n', start);
+  return source.slice(start, end + 2);
+}
+
+/**
+ * Load the userscript's answer checking with its globals injected
+ * @returns {(state: Object, answer: string|null) => boolean} Runs isCorrectAnswer for one song
+ */
+function loadUserscriptAnswerCheck() {
+  const source = fs.readFileSync(path.join(__dirname, '..', 'amqTrainingMode.js'), 'utf-8');
+  const body = ['isCorrectAnswer', 'getCardAnswers', 'normalizeAnswer']
+    .map((name) => extractFunction(source, name))
+    .join('\n');
+  const factory = new Function(
+    'finalSongList',
+    'songOrder',
+    'reviewSong',
+    'replacedAnswers',
+    'answerStrictness',
+    'trainingCardType',
+    `${body}\nreturn isCorrectAnswer;`
+  );
+
+  return ({ accepted, replacedAnswers = {}, strictness }, answer) => {
+    const song = { altAnimeNames: accepted, altAnimeNamesAnswers: [] };
+    const isCorrectAnswer = factory([song], { 1: 0 }, () => {}, replacedAnswers, strictness, 'anime');
+    return isCorrectAnswer(1, answer);
+  };
+}
+
+describe('Answer Normalization - Strictness Levels', () => {
+  it('recognises the strictness levels', () => {
+    expect(isAnswerStrictness('exact')).toBe(true);
+    expect(isAnswerStrictness('normal')).toBe(true);
+    expect(isAnswerStrictness('lenient')).toBe(true);
+    expect(isAnswerStrictness('loose')).toBe(false);
+  });
+
+  it('exact only ignores case and surrounding spaces', () => {
+    expect(normalizeAnswer('  Steins;Gate ', 'exact')).toBe('steins;gate');
+    expect(normalizeAnswer('Shōjo', 'exact')).not.toBe(normalizeAnswer('Shoujo', 'exact'));
+  });
+
+  it('normal ignores punctuation, diacritics and romaji long vowels', () => {
+    expect(normalizeAnswer('Steins;Gate', 'normal')).toBe(normalizeAnswer('steins gate', 'normal'));
+    expect(normalizeAnswer('Shōjo', 'normal')).toBe(normalizeAnswer('Shoujo', 'normal'));
+    expect(normalizeAnswer('SPY×FAMILY', 'normal')).toBe(normalizeAnswer('Spy x Family', 'normal'));
+    expect(normalizeAnswer('Tom & Jerry', 'normal')).toBe(normalizeAnswer('Tom and Jerry', 'normal'));
+    expect(normalizeAnswer('Attack on Titan Season 2', 'normal')).not.toBe(
+      normalizeAnswer('Attack on Titan', 'normal')
+    );
+  });
+
+  it('lenient also ignores season, part and cour suffixes', () => {
+    const base = normalizeAnswer('Attack on Titan', 'lenient');
+    for (const title of [
+      'Attack on Titan Season 2',
+      'Attack on Titan 2nd Season',
+      'Attack on Titan Final Season Part 2',
+      'Attack on Titan: Part II',
+      'Attack on Titan S2',
+      'Attack on Titan (TV)'
+    ]) {
+      expect(normalizeAnswer(title, 'lenient')).toBe(base);
+    }
+  });
+
+  it('never strips a title down to nothing', () => {
+    expect(normalizeAnswer('Part 2', 'lenient')).toBe('part2');
+  });
+
+  it('defaults to normal', () => {
+    expect(normalizeAnswer('Steins;Gate')).toBe(normalizeAnswer('Steins;Gate', 'normal'));
+  });
+});
+
+describe('Answer Normalization - matchAnswer', () => {
+  it('returns the accepted title the answer matched', () => {
+    expect(matchAnswer('steins gate', ['Re:Zero', 'Steins;Gate'])).toBe('Steins;Gate');
+    expect(isAnswerCorrect('steins gate', ['Steins;Gate'])).toBe(true);
+  });
+
+  it('returns null for wrong, empty and punctuation-only answers', () => {
+    expect(matchAnswer('Naruto', ['Bleach'])).toBeNull();
+    expect(matchAnswer('', ['Naruto'])).toBeNull();
+    expect(matchAnswer('!?', ['Naruto'])).toBeNull();
+    expect(matchAnswer(null, ['Naruto'])).toBeNull();
+  });
+
+  it('accepts the user answer replacements', () => {
+    const replacedAnswers = { 'Attack on Titan': 'AoT' };
+    expect(buildAcceptedAnswers(['Attack on Titan', null, 'Attack on Titan'], replacedAnswers)).toEqual([
+      'Attack on Titan',
+      'AoT'
+    ]);
+    expect(isAnswerCorrect('aot', ['Attack on Titan'], { replacedAnswers })).toBe(true);
+  });
+
+  it('applies the requested strictness', () => {
+    expect(matchAnswer('Attack on Titan', ['Attack on Titan Season 2'], { strictness: 'normal' })).toBeNull();
+    expect(matchAnswer('Attack on Titan', ['Attack on Titan Season 2'], { strictness: 'lenient' })).toBe(
+      'Attack on Titan Season 2'
+    );
+  });
+
+  it.each(cases)('matches fixture case $answer ($strictness)', (testCase) => {
+    const { answer, accepted, strictness, replacedAnswers, expected } = testCase;
+    expect(matchAnswer(answer, accepted, { strictness, replacedAnswers })).toBe(expected);
+  });
+});
+
+describe('Answer Normalization - Userscript Copy', () => {
+  const userscriptIsCorrect = loadUserscriptAnswerCheck();
+
+  it.each(cases)('agrees with the userscript on $answer ($strictness)', (testCase) => {
+    const { answer, accepted, strictness, replacedAnswers } = testCase;
+    expect(userscriptIsCorrect(testCase, answer)).toBe(
+      isAnswerCorrect(answer, accepted, { strictness, replacedAnswers })
+    );
+  });
+
+  it('normalises every fixture title the same way', () => {
+    const source = fs.readFileSync(path.join(__dirname, '..', 'amqTrainingMode.js'), 'utf-8');
+    const userscriptNormalize = new Function(
+      `${extractFunction(source, 'normalizeAnswer')}\nreturn normalizeAnswer;`
+    )();
+    for (const { answer, accepted, strictness } of cases) {
+      for (const text of [answer, ...accepted]) {
+        expect(userscriptNormalize(text, strictness)).toBe(normalizeAnswer(text, strictness));
+      }
+    }
+  });
+});
@@ -0,0 +1,42 @@
+/**
+ * Tests for configExportUtils.js: seeded Router and execution-chance picks
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  selectRouteFromRouter,
+  shouldExecuteNode
+} from '../src/lib/components/amqplus/editor/utils/configExportUtils.js';
+import { makeRng } from '../src/lib/components/amqplus/editor/utils/mathUtils.js';
+
+// Router with three equally weighted routes
+const routerNode = {
+  data: {
+    currentValue: {
+      routes: ['a', 'b', 'c'].map((id) => ({ id, name: id, enabled: true, percentage: 33 }))
+    }
+  }
+};
+
+/**
+ * Pick routes with a fresh RNG for the seed
+ * @param {string} seed - Seed
+ * @returns {Array<string>} Route IDs of 20 picks
+ */
+function pickRoutes(seed) {
+  const rng = makeRng(seed);
+  return Array.from({ length: 20 }, () => selectRouteFromRouter(routerNode, rng).id);
+}
+
+describe('Config Export - Seeded Selection', () => {
+  it('picks the same routes for the same seed', () => {
+    expect(pickRoutes('seed-1')).toEqual(pickRoutes('seed-1'));
+    expect(new Set(pickRoutes('seed-1')).size).toBeGreaterThan(1);
+  });
+
+  it('draws execution chances from the given RNG', () => {
+    expect(shouldExecuteNode(50, () => 0.49)).toBe(true);
+    expect(shouldExecuteNode(50, () => 0.5)).toBe(false);
+    expect(shouldExecuteNode({ kind: 'range', min: 10, max: 20 }, () => 0.15)).toBe(true);
+  });
+});
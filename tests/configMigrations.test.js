@@ -0,0 +1,102 @@
+/**
+ * Tests for configMigrations.js using one saved configuration per historical schema version
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  migrateConfiguration,
+  getSchemaVersion,
+  stampSchemaVersion,
+  CURRENT_SCHEMA_VERSION
+} from '../src/lib/components/amqplus/editor/utils/configMigrations.js';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Load a saved configuration fixture
+function loadVersionFixture(filename) {
+  const configPath = path.join(__dirname, 'testConfigs', 'schema-versions', filename);
+  return JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+}
+
+// Current settings of the node with the given definition ID
+function getSettings(configuration, definitionId) {
+  return configuration.nodes.find(node => node.data.id === definitionId).data.currentValue;
+}
+
+const FIXTURES = ['v1-unversioned.json', 'v2.json', 'v3.json', 'v4.json'];
+
+describe('Config Migrations - Schema Versions', () => {
+  it('treats configurations without schemaVersion as version 1', () => {
+    expect(getSchemaVersion(loadVersionFixture('v1-unversioned.json'))).toBe(1);
+    expect(getSchemaVersion(loadVersionFixture('v3.json'))).toBe(3);
+  });
+
+  it('has a fixture for every schema version', () => {
+    expect(FIXTURES).toHaveLength(CURRENT_SCHEMA_VERSION);
+  });
+
+  it('stamps the current schema version', () => {
+    expect(stampSchemaVersion({ nodes: [], edges: [] }).schemaVersion).toBe(CURRENT_SCHEMA_VERSION);
+  });
+
+  it('rejects configurations from a newer schema version', () => {
+    expect(() => migrateConfiguration({ nodes: [], edges: [], schemaVersion: CURRENT_SCHEMA_VERSION + 1 })).toThrow();
+  });
+});
+
+describe('Config Migrations - Forward Migrations', () => {
+  for (const fixture of FIXTURES) {
+    it(`migrates ${fixture} to the current schema without changing the input`, () => {
+      const original = loadVersionFixture(fixture);
+      const snapshot = JSON.parse(JSON.stringify(original));
+      const migrated = migrateConfiguration(original);
+
+      expect(original).toEqual(snapshot);
+      expect(migrated.schemaVersion).toBe(CURRENT_SCHEMA_VERSION);
+      expect(migrated.edges).toEqual(original.edges);
+
+      const basicSettings = getSettings(migrated, 'basic-settings');
+      expect(basicSettings.duplicateShows).toBeDefined();
+      expect(basicSettings.maxSongsPerFranchise).toBeDefined();
+      expect(getSettings(migrated, 'song-list').sampleWeighting).toBeDefined();
+
+      const difficulty = getSettings(migrated, 'song-difficulty');
+      expect(difficulty.mode).toBe('count');
+      for (const level of ['easy', 'medium', 'hard']) {
+        expect(difficulty[level].count).toBeUndefined();
+        expect(difficulty[level].percentage).toBeUndefined();
+        expect(difficulty[level].countValue).toBeTypeOf('number');
+        expect(difficulty[level].percentageValue).toBeTypeOf('number');
+      }
+    });
+  }
+
+  it('moves version 1 difficulty values to their new fields', () => {
+    const difficulty = getSettings(migrateConfiguration(loadVersionFixture('v1-unversioned.json')), 'song-difficulty');
+    expect(difficulty.easy).toMatchObject({ countValue: 4, percentageValue: 20 });
+    expect(difficulty.medium).toMatchObject({ countValue: 10, percentageValue: 50 });
+    expect(difficulty.hard).toMatchObject({ countValue: 6, percentageValue: 30 });
+  });
+
+  it('fills settings added after a version with their defaults', () => {
+    const fromV1 = migrateConfiguration(loadVersionFixture('v1-unversioned.json'));
+    expect(getSettings(fromV1, 'basic-settings').duplicateShows.value).toBe(true);
+    expect(getSettings(fromV1, 'basic-settings').maxSongsPerFranchise.value).toBe(0);
+    expect(getSettings(fromV1, 'song-list').sampleWeighting).toEqual({ mode: 'none', strength: 50 });
+  });
+
+  it('keeps settings that were already saved', () => {
+    const fromV3 = migrateConfiguration(loadVersionFixture('v3.json'));
+    expect(getSettings(fromV3, 'basic-settings').duplicateShows.value).toBe(false);
+    expect(getSettings(fromV3, 'basic-settings').maxSongsPerFranchise.value).toBe(3);
+  });
+
+  it('returns current configurations unchanged', () => {
+    const current = loadVersionFixture(`v${CURRENT_SCHEMA_VERSION}.json`);
+    expect(migrateConfiguration(current)).toBe(current);
+  });
+});
@@ -0,0 +1,135 @@
+/**
+ * Tests for editorHistory.js: undo/redo checkpoints and pasting copied nodes
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  createEditorHistory,
+  createClipboardPayload,
+  parseClipboardPayload,
+  pasteSubgraph
+} from '../src/lib/components/amqplus/editor/utils/editorHistory.js';
+
+// Minimal editor node
+function makeNode(id, definitionId, value, extra = {}) {
+  return {
+    id,
+    type: 'filter',
+    position: { x: 100, y: 100 },
+    data: { id: definitionId, instanceId: id, title: definitionId, currentValue: value, onValueChange: () => {} },
+    ...extra
+  };
+}
+
+function makeEdge(source, target) {
+  return { id: `xy-edge__${source}-${target}`, source, target };
+}
+
+describe('Editor History - Undo/Redo', () => {
+  it('undoes and redoes recorded changes', () => {
+    const history = createEditorHistory();
+    const first = [makeNode('vintage-1', 'vintage', { mode: 'count' })];
+    history.reset(first, []);
+
+    const second = [...first, makeNode('tags-2', 'tags', {})];
+    history.record(second, [], 'Add Tags');
+    expect(history.getStatus()).toMatchObject({ canUndo: true, canRedo: false, undoLabel: 'Add Tags' });
+
+    expect(history.undo().nodes).toHaveLength(1);
+    expect(history.getStatus()).toMatchObject({ canUndo: false, canRedo: true, redoLabel: 'Add Tags' });
+    expect(history.redo().nodes).toHaveLength(2);
+  });
+
+  it('keeps snapshots safe from later in-place edits and leaves out callbacks', () => {
+    const history = createEditorHistory();
+    const value = { mode: 'count' };
+    const nodes = [makeNode('vintage-1', 'vintage', value)];
+    history.reset(nodes, []);
+    history.record([makeNode('vintage-1', 'vintage', { mode: 'percentage' })], [], 'Edit Vintage');
+
+    value.mode = 'changed in place';
+    const restored = history.undo();
+    expect(restored.nodes[0].data.currentValue.mode).toBe('count');
+    expect(restored.nodes[0].data.onValueChange).toBeUndefined();
+  });
+
+  it('merges value edits with the same key and drops the redo branch on a new change', () => {
+    const history = createEditorHistory();
+    history.reset([makeNode('vintage-1', 'vintage', 1)], []);
+    history.record([makeNode('vintage-1', 'vintage', 2)], [], 'Edit Vintage', 'value:vintage-1');
+    history.record([makeNode('vintage-1', 'vintage', 3)], [], 'Edit Vintage', 'value:vintage-1');
+
+    expect(history.undo().nodes[0].data.currentValue).toBe(1);
+    expect(history.getStatus().canUndo).toBe(false);
+
+    history.record([makeNode('vintage-1', 'vintage', 5)], [], 'Edit Vintage');
+    expect(history.getStatus().canRedo).toBe(false);
+  });
+
+  it('ignores changes to selection only', () => {
+    const history = createEditorHistory();
+    const nodes = [makeNode('vintage-1', 'vintage', 1)];
+    history.reset(nodes, []);
+    history.record([{ ...nodes[0], selected: true }], [], 'Select');
+    expect(history.getStatus().canUndo).toBe(false);
+  });
+
+  it('keeps at most the configured number of steps', () => {
+    const history = createEditorHistory({ limit: 2 });
+    history.reset([makeNode('vintage-1', 'vintage', 0)], []);
+    for (let value = 1; value <= 4; value++) {
+      history.record([makeNode('vintage-1', 'vintage', value)], [], `Edit ${value}`);
+    }
+    expect(history.undo()).not.toBeNull();
+    expect(history.undo().nodes[0].data.currentValue).toBe(2);
+    expect(history.undo()).toBeNull();
+  });
+});
+
+describe('Editor History - Clipboard', () => {
+  const nodes = [
+    makeNode('router-1', 'router', { routes: [] }, { selected: true }),
+    makeNode('vintage-2', 'vintage', {}, { selected: true, position: { x: 300, y: 200 } }),
+    makeNode('tags-3', 'tags', {})
+  ];
+  const edges = [makeEdge('router-1', 'vintage-2'), makeEdge('vintage-2', 'tags-3')];
+
+  it('copies the selected nodes with only the edges between them', () => {
+    const payload = parseClipboardPayload(JSON.stringify(createClipboardPayload(nodes, edges)));
+    expect(payload.nodes.map((node) => node.id)).toEqual(['router-1', 'vintage-2']);
+    expect(payload.edges).toHaveLength(1);
+  });
+
+  it('rejects text that is not copied nodes', () => {
+    expect(parseClipboardPayload('hello')).toBeNull();
+    expect(parseClipboardPayload(JSON.stringify({ nodes: [], edges: [] }))).toBeNull();
+    expect(createClipboardPayload([makeNode('tags-3', 'tags', {})], [])).toBeNull();
+  });
+
+  it('pastes copies with new IDs and reconnected edges', () => {
+    const payload = createClipboardPayload(nodes, edges);
+    let counter = 10;
+    const pasted = pasteSubgraph(payload, nodes, (definitionId) => `${definitionId}-${++counter}`, {
+      x: 0,
+      y: 0
+    });
+
+    expect(pasted.nodes.map((node) => node.id)).toEqual(['router-11', 'vintage-12']);
+    expect(pasted.nodes[0].data.instanceId).toBe('router-11');
+    expect(pasted.nodes[0].position).toEqual({ x: 0, y: 0 });
+    expect(pasted.nodes[1].position).toEqual({ x: 200, y: 100 });
+    expect(pasted.edges).toEqual([
+      { id: 'xy-edge__router-11-vintage-12', source: 'router-11', target: 'vintage-12' }
+    ]);
+  });
+
+  it('skips unique nodes the editor already has', () => {
+    const live = makeNode('live-node-1', 'live-node', {}, { selected: true });
+    live.data.unique = true;
+    const payload = createClipboardPayload([live], []);
+
+    const pasted = pasteSubgraph(payload, [live], (definitionId) => `${definitionId}-2`);
+    expect(pasted.nodes).toHaveLength(0);
+    expect(pasted.skipped).toBe(1);
+  });
+});
@@ -0,0 +1,33 @@
+/**
+ * Tests for loading stored FSRS parameters in fsrs-optimizer.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import { loadUserParameters } from '../src/lib/server/training/fsrs-optimizer.js';
+import { createFakeSupabase, USER_ID, QUIZ_ID } from './utils/trainingFixtures.js';
+
+const globalWeights = { user_id: USER_ID, quiz_id: null, weights: [1] };
+const quizWeights = { user_id: USER_ID, quiz_id: QUIZ_ID, weights: [2] };
+const otherQuizWeights = { user_id: USER_ID, quiz_id: 'quiz-2', weights: [3] };
+
+describe('FSRS Optimizer - Stored Parameters', () => {
+  const supabase = createFakeSupabase({ training_fsrs_parameters: [globalWeights, quizWeights, otherQuizWeights] });
+
+  it('prefers the quiz weights over the global ones', async () => {
+    expect((await loadUserParameters(supabase, USER_ID, QUIZ_ID)).weights).toEqual([2]);
+  });
+
+  it('falls back to the global weights', async () => {
+    expect((await loadUserParameters(supabase, USER_ID, 'quiz-3')).weights).toEqual([1]);
+    expect((await loadUserParameters(supabase, USER_ID)).weights).toEqual([1]);
+  });
+
+  it('treats the quiz ID as a value, not filter syntax', async () => {
+    const parameters = await loadUserParameters(supabase, USER_ID, 'quiz-3,quiz_id.eq.quiz-2');
+    expect(parameters.weights).toEqual([1]);
+  });
+
+  it('returns null when nothing is stored', async () => {
+    expect(await loadUserParameters(createFakeSupabase(), USER_ID, QUIZ_ID)).toBeNull();
+  });
+});
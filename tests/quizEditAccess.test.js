@@ -0,0 +1,43 @@
+/**
+ * Tests for checkQuizEditAccess, the edit rule shared by quiz saves and revision restores
+ */
+
+import { describe, it, expect } from 'vitest';
+import { checkQuizEditAccess } from '../src/lib/server/quiz-revision-utils.js';
+import { ADMIN_USER_IDS } from '../src/lib/server/auth-utils.js';
+import { createFakeSupabase } from './utils/fakeSupabase.js';
+
+const owner = { id: 'owner-1', user_metadata: {} };
+const admin = { id: ADMIN_USER_IDS[0], user_metadata: {} };
+
+const supabase = createFakeSupabase({
+  quiz_configurations: [
+    { id: 'private-quiz', user_id: owner.id, name: 'Private', is_public: false, share_token: 'share-1', play_token: 'play-1' },
+    { id: 'public-quiz', user_id: owner.id, name: 'Public', is_public: true, share_token: 'share-2', play_token: 'play-2' }
+  ]
+});
+
+describe('Quiz Edit Access', () => {
+  it('lets the owner edit', async () => {
+    const access = await checkQuizEditAccess(supabase, 'public-quiz', owner, null);
+    expect(access).toMatchObject({ authMethod: 'ownership', status: 200 });
+  });
+
+  it('lets anyone with the share token edit a private quiz', async () => {
+    expect(await checkQuizEditAccess(supabase, 'private-quiz', null, 'share-1')).toMatchObject({ authMethod: 'share_token' });
+    expect(await checkQuizEditAccess(supabase, 'private-quiz', admin, 'wrong')).toMatchObject({ quiz: null, status: 403 });
+  });
+
+  it('does not accept share tokens for public quizzes', async () => {
+    expect(await checkQuizEditAccess(supabase, 'public-quiz', null, 'share-2')).toMatchObject({ quiz: null, status: 403 });
+  });
+
+  it('does not let an admin edit a quiz they could not save', async () => {
+    expect(await checkQuizEditAccess(supabase, 'private-quiz', admin, null)).toMatchObject({ quiz: null, status: 403 });
+  });
+
+  it('asks guests to authenticate and reports missing quizzes', async () => {
+    expect(await checkQuizEditAccess(supabase, 'private-quiz', null, null)).toMatchObject({ status: 401 });
+    expect(await checkQuizEditAccess(supabase, 'missing', owner, null)).toMatchObject({ status: 404 });
+  });
+});
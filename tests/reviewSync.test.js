@@ -0,0 +1,149 @@
+/**
+ * Tests for review-sync.js: request validation, dedupe and conflict handling
+ */
+
+import { describe, it, expect } from 'vitest';
+import { parseSyncReviews, parseReviewCard, syncReviews, MAX_SYNC_REVIEWS } from '../src/lib/server/training/review-sync.js';
+import { createFakeSupabase, USER_ID, QUIZ_ID } from './utils/trainingFixtures.js';
+
+/**
+ * Parse reviews that are expected to be valid
+ * @param {Array<Object>} input - Reviews as sent by a client
+ * @returns {Array<Object>} Parsed reviews
+ */
+function parseValid(input) {
+  const { reviews, rejected, error } = parseSyncReviews(input);
+  expect(error).toBeNull();
+  expect(rejected).toEqual([]);
+  return reviews;
+}
+
+/**
+ * Build a client review
+ * @param {string} reviewId - Client review ID
+ * @param {number} annSongId - AMQ song ID
+ * @param {string} reviewedAt - ISO timestamp
+ * @param {number} [rating] - FSRS rating
+ * @returns {Object} Review as sent by a client
+ */
+const review = (reviewId, annSongId, reviewedAt, rating = 3) => ({ reviewId, annSongId, rating, reviewedAt });
+
+describe('Review Sync - Parsing', () => {
+  it('accepts card keys in songKey', () => {
+    const [parsed] = parseValid([{ reviewId: 'r1', songKey: '101::artist', rating: 3, reviewedAt: '2025-01-01T10:00:00.000Z' }]);
+    expect(parsed).toMatchObject({ songAnnId: 101, cardType: 'artist', success: true });
+  });
+
+  it('rejects {artist}_{title} song keys with a clear reason', () => {
+    const { reviews, rejected } = parseSyncReviews([
+      { songKey: 'LiSA_Gurenge', rating: 3, reviewedAt: '2025-01-01T10:00:00.000Z' }
+    ]);
+    expect(reviews).toHaveLength(0);
+    expect(rejected[0].error).toMatch(/card key/);
+  });
+
+  it('identifies cards by annSongId or card key, with an explicit card type winning', () => {
+    expect(parseReviewCard({ songKey: '101::artist' })).toMatchObject({ songAnnId: 101, cardType: 'artist' });
+    expect(parseReviewCard({ annSongId: 101, songKey: 'LiSA_Gurenge::song' })).toMatchObject({ songAnnId: 101, cardType: 'song' });
+    expect(parseReviewCard({ annSongId: 101, cardType: 'artist' })).toMatchObject({ songAnnId: 101, cardType: 'artist' });
+    expect(parseReviewCard({ songKey: 'LiSA_Gurenge::artist' }).error).toMatch(/card key/);
+    expect(parseReviewCard({ annSongId: 101, cardType: 'lyrics' }).error).toMatch(/card type/);
+  });
+
+  it('derives an ID for reviews sent without one', () => {
+    const input = [{ annSongId: 101, rating: 3, reviewedAt: '2025-01-01T10:00:00.000Z' }];
+    expect(parseValid(input)[0].reviewId).toBe(parseValid(input)[0].reviewId);
+  });
+
+  it('rejects invalid ratings and times', () => {
+    const { rejected } = parseSyncReviews([
+      review('r1', 101, '2025-01-01T10:00:00.000Z', 5),
+      review('r2', 101, 'not a date')
+    ]);
+    expect(rejected.map((item) => item.index)).toEqual([0, 1]);
+  });
+
+  it('rejects a body that is not an array', () => {
+    expect(parseSyncReviews(undefined).error).toMatch(/array/);
+  });
+});
+
+describe('Review Sync - Conflicts', () => {
+  it('stores a review sent twice in one request once', async () => {
+    const supabase = createFakeSupabase();
+    const reviews = parseValid([review('r1', 101, '2025-01-01T10:00:00.000Z'), review('r1', 101, '2025-01-01T10:00:00.000Z')]);
+
+    const result = await syncReviews(supabase, USER_ID, QUIZ_ID, reviews);
+    expect(result).toMatchObject({ accepted: 1, duplicates: 1, conflicts: [] });
+    expect(supabase.tables.training_session_plays).toHaveLength(1);
+    expect(result.progress[0].attempt_count).toBe(1);
+  });
+
+  it('skips reviews stored by an earlier sync', async () => {
+    const supabase = createFakeSupabase();
+    const reviews = parseValid([review('r1', 101, '2025-01-01T10:00:00.000Z')]);
+    await syncReviews(supabase, USER_ID, QUIZ_ID, reviews);
+
+    const again = await syncReviews(supabase, USER_ID, QUIZ_ID, reviews);
+    expect(again).toMatchObject({ accepted: 0, duplicates: 1, conflicts: [], sessionId: null });
+    expect(supabase.tables.training_session_plays).toHaveLength(1);
+  });
+
+  it('keeps the first review when an ID is reused for a different one', async () => {
+    const supabase = createFakeSupabase();
+    await syncReviews(supabase, USER_ID, QUIZ_ID, parseValid([review('r1', 101, '2025-01-01T10:00:00.000Z', 3)]));
+
+    const result = await syncReviews(supabase, USER_ID, QUIZ_ID, parseValid([review('r1', 101, '2025-01-01T10:00:00.000Z', 1)]));
+    expect(result.conflicts).toEqual([expect.objectContaining({ reviewId: 'r1', type: 'id_mismatch' })]);
+    expect(supabase.tables.training_session_plays.map((play) => play.rating)).toEqual([3]);
+
+    const inRequest = await syncReviews(
+      createFakeSupabase(),
+      USER_ID,
+      QUIZ_ID,
+      parseValid([review('r2', 101, '2025-01-01T10:00:00.000Z'), review('r2', 202, '2025-01-01T10:00:00.000Z')])
+    );
+    expect(inRequest.conflicts).toEqual([expect.objectContaining({ reviewId: 'r2', songAnnId: 202, type: 'id_mismatch' })]);
+  });
+
+  it('replays a review older than the stored ones in time order', async () => {
+    const supabase = createFakeSupabase();
+    await syncReviews(supabase, USER_ID, QUIZ_ID, parseValid([review('late', 101, '2025-01-05T10:00:00.000Z', 3)]));
+
+    const result = await syncReviews(supabase, USER_ID, QUIZ_ID, parseValid([review('early', 101, '2025-01-01T10:00:00.000Z', 1)]));
+    expect(result.conflicts).toEqual([expect.objectContaining({ reviewId: 'early', type: 'out_of_order' })]);
+
+    const [progress] = result.progress;
+    expect(progress.history.map((entry) => entry.rating)).toEqual([1, 3]);
+    expect(progress.last_attempt_at).toBe('2025-01-05T10:00:00.000Z');
+  });
+
+  it('stores a review from the future at the server time', async () => {
+    const supabase = createFakeSupabase();
+    const future = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+
+    const result = await syncReviews(supabase, USER_ID, QUIZ_ID, parseValid([review('r1', 101, future)]));
+    expect(result.conflicts).toEqual([expect.objectContaining({ reviewId: 'r1', type: 'clock_skew' })]);
+    expect(supabase.tables.training_session_plays[0].played_at).toBe(result.syncedAt);
+  });
+});
+
+describe('Review Sync - Large Requests', () => {
+  it('dedupes and returns every card of a full request', async () => {
+    const supabase = createFakeSupabase();
+    const start = new Date('2025-01-01T00:00:00.000Z').getTime();
+    const reviews = parseValid(
+      Array.from({ length: MAX_SYNC_REVIEWS }, (_, index) =>
+        review(`review-${index}`, 100000 + index, new Date(start + index * 1000).toISOString())
+      )
+    );
+
+    const first = await syncReviews(supabase, USER_ID, QUIZ_ID, reviews);
+    expect(first).toMatchObject({ accepted: MAX_SYNC_REVIEWS, failedCards: [] });
+    expect(first.progress).toHaveLength(MAX_SYNC_REVIEWS);
+
+    const again = await syncReviews(supabase, USER_ID, QUIZ_ID, reviews);
+    expect(again).toMatchObject({ accepted: 0, duplicates: MAX_SYNC_REVIEWS });
+    expect(supabase.tables.training_session_plays).toHaveLength(MAX_SYNC_REVIEWS);
+  });
+});
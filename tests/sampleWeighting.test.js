@@ -0,0 +1,53 @@
+/**
+ * Tests for sampleWeighting.js and the list scores it reads
+ */
+
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { applySampleWeights, getSampleWeightFactor } from '../src/lib/server/utils/sampleWeighting.js';
+import { fetchAniListData } from '../src/lib/utils/anilist.js';
+
+const REFERENCE_TIME = Date.UTC(2025, 0, 1);
+
+/**
+ * Build a song from a user list entry
+ * @param {Object} sourceAnime - List entry fields
+ * @returns {Object} Song
+ */
+const song = (sourceAnime) => ({ annSongId: 1, sourceAnime });
+
+afterEach(() => {
+  vi.useRealTimers();
+  vi.unstubAllGlobals();
+});
+
+describe('Sample Weighting - Recency', () => {
+  it('measures completion age against the reference time, not the clock', () => {
+    const songs = [song({ status: 'COMPLETED', completedAt: { year: 2023, month: 1, day: 1 } })];
+    const weighting = { mode: 'recency', strength: 100 };
+
+    const weighted = applySampleWeights(songs, weighting, REFERENCE_TIME);
+    vi.useFakeTimers();
+    vi.setSystemTime(Date.UTC(2040, 0, 1));
+    expect(applySampleWeights(songs, weighting, REFERENCE_TIME)).toEqual(weighted);
+    expect(getSampleWeightFactor(songs[0], 'recency', REFERENCE_TIME)).toBeCloseTo(0.5, 2);
+  });
+});
+
+describe('Sample Weighting - Scores', () => {
+  it('reads scores on the 0-10 scale', () => {
+    expect(getSampleWeightFactor(song({ score: 8.5 }), 'score', REFERENCE_TIME)).toBeCloseTo(0.85);
+    expect(getSampleWeightFactor(song({ score: 0 }), 'score', REFERENCE_TIME)).toBe(0.5);
+  });
+
+  it('asks AniList for 0-10 scores whatever the user\'s score format', async () => {
+    const fetchMock = vi.fn(async () => ({
+      ok: true,
+      json: async () => ({ data: { MediaListCollection: { lists: [] } } })
+    }));
+    vi.stubGlobal('fetch', fetchMock);
+
+    await fetchAniListData('someone');
+    const { query } = JSON.parse(fetchMock.mock.calls[0][1].body);
+    expect(query).toMatch(/score\(format: POINT_10_DECIMAL\)/);
+  });
+});
@@ -4,6 +4,8 @@
 
 import { describe, it, expect, beforeAll } from 'vitest';
 import { generateQuizSongs, parseVintage, isInVintageRange, makeRng } from '../src/lib/server/songFiltering.js';
+import { getFranchiseBaseName, createFranchiseResolver } from '../src/lib/server/utils/franchiseGrouping.js';
+import { createLocalSongSource } from '../src/lib/server/songSources/localSongSource.js';
 import { validateSongMatchesFilters, validateBasketDistribution, colorLog, printTestResults } from './utils/testHelpers.js';
 import fs from 'fs';
 import path from 'path';
@@ -19,19 +21,15 @@ function loadTestConfig(filename) {
   return JSON.parse(content);
 }
 
+// Songs, saved lists and user lists come from fixture files, so no test depends on live services
+const songSource = createLocalSongSource(path.join(__dirname, 'testConfigs', 'local-song-source'));
+
 // Test timeout for API calls (2 minutes for large datasets)
 const TEST_TIMEOUT = 120000;
 
-// Base URL for API calls (use dev server when available)
-const BASE_URL = process.env.TEST_BASE_URL || 'http://localhost:5173';
-
-// Create fetch wrapper that uses absolute URLs
-function createFetch(baseUrl) {
-  return async (url, options) => {
-    // Convert relative URLs to absolute
-    const absoluteUrl = url.startsWith('http') ? url : `${baseUrl}${url}`;
-    return fetch(absoluteUrl, options);
-  };
+// Fetch for generateQuizSongs that fails any request the fixture sources should have made unnecessary
+async function offlineFetch(url) {
+  throw new Error(`Unexpected request in a fixture test: ${url}`);
 }
 
 describe('Song Filtering - Utility Functions', () => {
@@ -66,12 +64,32 @@ describe('Song Filtering - Utility Functions', () => {
 
     expect(values1).toEqual(values2);
   });
+
+  it('should group sequels, movies and related anime into one franchise', () => {
+    expect(getFranchiseBaseName('Shingeki no Kyojin Season 3 Part 2')).toBe('shingeki no kyojin');
+    expect(getFranchiseBaseName('Kaguya-sama wa Kokurasetai: Tensai-tachi no Renai Zunousen')).toBe('kaguya-sama wa kokurasetai');
+    expect(getFranchiseBaseName('Gekijouban Made in Abyss')).toBe('made in abyss');
+
+    const songs = [
+      { malId: 1, animeJPName: 'Shingeki no Kyojin', animeENName: 'Attack on Titan' },
+      { malId: 2, animeJPName: 'Shingeki no Kyojin Season 2', animeENName: 'Attack on Titan Season 2' },
+      { malId: 3, animeJPName: 'Monogatari Series: Second Season', animeENName: 'Monogatari Series Second Season' },
+      { malId: 4, animeJPName: 'Bakemonogatari', animeENName: 'Bakemonogatari', sourceAnime: { relations: [{ malId: 3 }] } },
+      { malId: 5, animeJPName: 'K-On!', animeENName: 'K-ON!' }
+    ];
+    const franchiseOf = createFranchiseResolver(songs);
+
+    expect(franchiseOf(songs[0])).toBe(franchiseOf(songs[1]));
+    expect(franchiseOf(songs[2])).toBe(franchiseOf(songs[3]));
+    expect(franchiseOf(songs[4])).not.toBe(franchiseOf(songs[0]));
+    expect(franchiseOf(songs[4])).not.toBe(franchiseOf(songs[2]));
+  });
 });
 
 describe('Song Filtering - Basic Filters', () => {
   it('01 - Basic Song Types (Opening/Ending/Insert)', async () => {
     const config = loadTestConfig('01-basic-song-types.json');
-    const result = await generateQuizSongs(config, fetch);
+    const result = await generateQuizSongs(config, offlineFetch, config.seed, { songSource });
 
     expect(result.songs).toBeDefined();
     expect(result.metadata).toBeDefined();
@@ -95,7 +113,7 @@ describe('Song Filtering - Basic Filters', () => {
 
   it('02 - Vintage Ranges', async () => {
     const config = loadTestConfig('02-vintage-ranges.json');
-    const result = await generateQuizSongs(config, fetch);
+    const result = await generateQuizSongs(config, offlineFetch, config.seed, { songSource });
 
     expect(result.songs).toBeDefined();
     expect(result.songs.length).toBeGreaterThan(0);
@@ -119,7 +137,7 @@ describe('Song Filtering - Basic Filters', () => {
 
   it('03 - Difficulty Basic (Easy/Medium/Hard)', async () => {
     const config = loadTestConfig('03-difficulty-basic.json');
-    const result = await generateQuizSongs(config, fetch);
+    const result = await generateQuizSongs(config, offlineFetch, config.seed, { songSource });
 
     expect(result.songs).toBeDefined();
     expect(result.songs.length).toBeGreaterThan(0);
@@ -137,7 +155,7 @@ describe('Song Filtering - Basic Filters', () => {
 
   it('04 - Difficulty Advanced (Custom Ranges)', async () => {
     const config = loadTestConfig('04-difficulty-advanced.json');
-    const result = await generateQuizSongs(config, fetch);
+    const result = await generateQuizSongs(config, offlineFetch, config.seed, { songSource });
 
     expect(result.songs).toBeDefined();
     expect(result.songs.length).toBeGreaterThan(0);
@@ -162,7 +180,7 @@ describe('Song Filtering - Basic Filters', () => {
 
   it('07 - Anime Score', async () => {
     const config = loadTestConfig('07-anime-score.json');
-    const result = await generateQuizSongs(config, fetch);
+    const result = await generateQuizSongs(config, offlineFetch, config.seed, { songSource });
 
     expect(result.songs).toBeDefined();
     expect(result.songs.length).toBeGreaterThan(0);
@@ -186,7 +204,7 @@ describe('Song Filtering - Basic Filters', () => {
 
   it('08 - Anime Type Basic', async () => {
     const config = loadTestConfig('08-anime-type-basic.json');
-    const result = await generateQuizSongs(config, fetch);
+    const result = await generateQuizSongs(config, offlineFetch, config.seed, { songSource });
 
     expect(result.songs).toBeDefined();
     expect(result.songs.length).toBeGreaterThan(0);
@@ -210,7 +228,7 @@ describe('Song Filtering - Basic Filters', () => {
 
   it('09 - Anime Type Advanced', async () => {
     const config = loadTestConfig('09-anime-type-advanced.json');
-    const result = await generateQuizSongs(config, fetch);
+    const result = await generateQuizSongs(config, offlineFetch, config.seed, { songSource });
 
     expect(result.songs).toBeDefined();
     expect(result.songs.length).toBeGreaterThan(0);
@@ -225,7 +243,7 @@ describe('Song Filtering - Basic Filters', () => {
 
   it('10 - Song Categories Basic', async () => {
     const config = loadTestConfig('10-song-categories-basic.json');
-    const result = await generateQuizSongs(config, fetch);
+    const result = await generateQuizSongs(config, offlineFetch, config.seed, { songSource });
 
     expect(result.songs).toBeDefined();
     expect(result.songs.length).toBeGreaterThan(0);
@@ -249,7 +267,7 @@ describe('Song Filtering - Basic Filters', () => {
 
   it('11 - Song Categories Advanced', async () => {
     const config = loadTestConfig('11-song-categories-advanced.json');
-    const result = await generateQuizSongs(config, fetch);
+    const result = await generateQuizSongs(config, offlineFetch, config.seed, { songSource });
 
     expect(result.songs).toBeDefined();
     expect(result.songs.length).toBeGreaterThan(0);
@@ -264,7 +282,7 @@ describe('Song Filtering - Basic Filters', () => {
 
   it('12 - Genres Basic (Include/Exclude)', async () => {
     const config = loadTestConfig('12-genres-basic.json');
-    const result = await generateQuizSongs(config, fetch);
+    const result = await generateQuizSongs(config, offlineFetch, config.seed, { songSource });
 
     expect(result.songs).toBeDefined();
     expect(result.songs.length).toBeGreaterThan(0);
@@ -288,7 +306,7 @@ describe('Song Filtering - Basic Filters', () => {
 
   it('13 - Genres Advanced (With Counts)', async () => {
     const config = loadTestConfig('13-genres-advanced.json');
-    const result = await generateQuizSongs(config, fetch);
+    const result = await generateQuizSongs(config, offlineFetch, config.seed, { songSource });
 
     expect(result.songs).toBeDefined();
     expect(result.songs.length).toBeGreaterThan(0);
@@ -320,7 +338,7 @@ describe('Song Filtering - Basic Filters', () => {
 
   it('14 - Tags Basic (Include/Exclude)', async () => {
     const config = loadTestConfig('14-tags-basic.json');
-    const result = await generateQuizSongs(config, fetch);
+    const result = await generateQuizSongs(config, offlineFetch, config.seed, { songSource });
 
     expect(result.songs).toBeDefined();
     expect(result.songs.length).toBeGreaterThan(0);
@@ -344,7 +362,7 @@ describe('Song Filtering - Basic Filters', () => {
 
   it('15 - Tags Advanced (With Counts)', async () => {
     const config = loadTestConfig('15-tags-advanced.json');
-    const result = await generateQuizSongs(config, fetch);
+    const result = await generateQuizSongs(config, offlineFetch, config.seed, { songSource });
 
     expect(result.songs).toBeDefined();
     expect(result.songs.length).toBeGreaterThan(0);
@@ -373,23 +391,62 @@ describe('Song Filtering - Basic Filters', () => {
     expect(validationErrors.length).toBe(0);
     expect(basketValidation.valid).toBe(true);
   }, TEST_TIMEOUT);
+
+  it('21 - Artists Basic (Artist/Composer Include/Exclude)', async () => {
+    const config = loadTestConfig('21-artists-basic.json');
+    const result = await generateQuizSongs(config, offlineFetch, config.seed, { songSource });
+
+    expect(result.songs).toBeDefined();
+    expect(result.songs.length).toBe(config.numberOfSongs);
+
+    // Whole credit names are matched: "Ai" must not pick up Aimer, Mai Kuraki or Ai Higuchi,
+    // and "LiSA" in a combined "Aimer, LiSA" credit still excludes the song
+    const selectedIds = result.songs.map(s => s.annSongId);
+    const eligibleIds = [101, 102, 107, 109, 110, 112];
+    expect(selectedIds.every(id => eligibleIds.includes(id))).toBe(true);
+
+    // Validate all songs meet artist criteria
+    const validationErrors = [];
+    for (const song of result.songs) {
+      const validation = validateSongMatchesFilters(song, config.filters, false);
+      if (!validation.valid) {
+        validationErrors.push({ song, errors: validation.errors });
+      }
+    }
+
+    if (validationErrors.length > 0) {
+      colorLog(`[21] ${validationErrors.length} songs failed validation`, 'red');
+      printTestResults('21-artists-basic', result, config, validationErrors);
+    }
+
+    expect(validationErrors.length).toBe(0);
+  }, TEST_TIMEOUT);
+
+  it('21b - Artists With a Slash in Their Name (AC/DC)', async () => {
+
+    // Pick songs crediting one name and return their IDs
+    const pickIds = async (name) => {
+      const config = loadTestConfig('21-artists-basic.json');
+      config.numberOfSongs = 3;
+      config.filters[0].settings = { ...config.filters[0].settings, excluded: [], optional: [name] };
+      const result = await generateQuizSongs(config, offlineFetch, config.seed, { songSource });
+      return result.songs.map(s => s.annSongId).sort();
+    };
+
+    // "AC/DC" is one name, while a spaced " / " still separates names in a flat credit
+    expect(await pickIds('AC/DC')).toEqual([113, 115]);
+    expect(await pickIds('AC')).toEqual([114]);
+    expect(await pickIds('Kalafina')).toEqual([108, 115]);
+  }, TEST_TIMEOUT);
 });
 
 describe('Song Filtering - User Lists', () => {
   it('05 - Player Score Basic (User List)', async () => {
     const config = loadTestConfig('05-player-score-basic.json');
-    const result = await generateQuizSongs(config, createFetch(BASE_URL));
+    const result = await generateQuizSongs(config, offlineFetch, config.seed, { songSource });
 
     expect(result.songs).toBeDefined();
 
-    // Skip test if API is not available or no songs were loaded
-    if (result.songs.length === 0) {
-      if (result.metadata.loadingErrors && result.metadata.loadingErrors.length > 0) {
-        console.log('[05] Skipping test - User list API not available:', result.metadata.loadingErrors[0].error);
-        return;
-      }
-    }
-
     expect(result.songs.length).toBeGreaterThan(0);
 
     // Validate all songs meet player score criteria
@@ -411,18 +468,10 @@ describe('Song Filtering - User Lists', () => {
 
   it('06 - Player Score with Counts (User List)', async () => {
     const config = loadTestConfig('06-player-score-counts.json');
-    const result = await generateQuizSongs(config, createFetch(BASE_URL));
+    const result = await generateQuizSongs(config, offlineFetch, config.seed, { songSource });
 
     expect(result.songs).toBeDefined();
 
-    // Skip test if API is not available or no songs were loaded
-    if (result.songs.length === 0) {
-      if (result.metadata.loadingErrors && result.metadata.loadingErrors.length > 0) {
-        console.log('[06] Skipping test - User list API not available:', result.metadata.loadingErrors[0].error);
-        return;
-      }
-    }
-
     expect(result.songs.length).toBeGreaterThan(0);
 
     // Check basket distribution for player score baskets
@@ -436,18 +485,10 @@ describe('Song Filtering - User Lists', () => {
 
   it('17 - User List (AniList)', async () => {
     const config = loadTestConfig('17-user-list.json');
-    const result = await generateQuizSongs(config, createFetch(BASE_URL));
+    const result = await generateQuizSongs(config, offlineFetch, config.seed, { songSource });
 
     expect(result.songs).toBeDefined();
 
-    // Skip test if API is not available or no songs were loaded
-    if (result.songs.length === 0) {
-      if (result.metadata.loadingErrors && result.metadata.loadingErrors.length > 0) {
-        console.log('[17] Skipping test - User list API not available:', result.metadata.loadingErrors[0].error);
-        return;
-      }
-    }
-
     expect(result.songs.length).toBeGreaterThan(0);
 
     // All songs should have sourceAnime with score
@@ -472,12 +513,71 @@ describe('Song Filtering - User Lists', () => {
 
     expect(validationErrors.length).toBe(0);
   }, TEST_TIMEOUT);
+
+  it('23 - Saved List and User List (Local Song Source)', async () => {
+    const config = loadTestConfig('23-local-song-source.json');
+    const result = await generateQuizSongs(config, offlineFetch, config.seed, { songSource });
+
+    expect(result.metadata.loadingErrors || []).toHaveLength(0);
+    expect(result.songs.length).toBe(config.numberOfSongs);
+
+    // Both lists are served from the fixture directory without Supabase, Pixeldrain or the cache route
+    const fromSavedList = result.songs.filter(s => s.songName.startsWith('Saved'));
+    const fromUserList = result.songs.filter(s => s.songName.startsWith('User'));
+    colorLog(`[23] ${fromSavedList.length} songs from saved list, ${fromUserList.length} from user list`, 'cyan');
+    expect(fromSavedList.length).toBeGreaterThan(0);
+    expect(fromUserList.length).toBeGreaterThan(0);
+
+    // The generation trace explains every pick with the song list basket it filled
+    const { trace } = result.metadata;
+    expect(trace.sources).toHaveLength(2);
+    expect(trace.songs).toHaveLength(result.songs.length);
+    expect(trace.songs.every(s => s.baskets.some(id => id.startsWith('songList-')))).toBe(true);
+  }, TEST_TIMEOUT);
+
+  it('24 - Sample Weighting by User Score (Local Song Source)', async () => {
+    const config = loadTestConfig('24-sample-weighting.json');
+    const unweighted = JSON.parse(JSON.stringify(config));
+    unweighted.songLists[0].sampleWeighting = { mode: 'none', strength: 0 };
+
+    // Weighting only biases the order songs are tried, so compare average scores over several seeds
+    const averageScore = async (cfg) => {
+      let total = 0;
+      let count = 0;
+      for (let i = 0; i < 20; i++) {
+        const result = await generateQuizSongs(cfg, offlineFetch, `${config.seed}-${i}`, { songSource });
+        expect(result.songs.length).toBe(cfg.numberOfSongs);
+        result.songs.forEach(song => { total += song.sourceAnime.score; count++; });
+      }
+      return total / count;
+    };
+
+    const weightedAverage = await averageScore(config);
+    const uniformAverage = await averageScore(unweighted);
+    colorLog(`[24] Average user score: weighted ${weightedAverage.toFixed(2)}, uniform ${uniformAverage.toFixed(2)}`, 'cyan');
+    expect(weightedAverage).toBeGreaterThan(uniformAverage);
+  }, TEST_TIMEOUT);
+
+  it('25 - Song Exclusions (Local Song Source)', async () => {
+    const config = loadTestConfig('23-local-song-source.json');
+    const exclusions = { songIds: [1, 2, 3], animeIds: [] };
+    const result = await generateQuizSongs(config, offlineFetch, config.seed, { songSource, exclusions });
+
+    expect(result.songs.length).toBe(config.numberOfSongs);
+    expect(result.songs.some(s => exclusions.songIds.includes(s.annSongId))).toBe(false);
+
+    // Exclusions run before any filter node and show up as the first filter statistic
+    const [exclusionStats] = result.metadata.filterStatistics;
+    colorLog(`[25] Exclusions removed ${exclusionStats.removed} songs`, 'cyan');
+    expect(exclusionStats.name).toBe('Song Exclusions');
+    expect(exclusionStats.removed).toBe(exclusions.songIds.length);
+  }, TEST_TIMEOUT);
 });
 
 describe('Song Filtering - Combined Filters', () => {
   it('16 - Combined Heavy (Multiple Filters)', async () => {
     const config = loadTestConfig('16-combined-heavy.json');
-    const result = await generateQuizSongs(config, fetch);
+    const result = await generateQuizSongs(config, offlineFetch, config.seed, { songSource });
 
     expect(result.songs).toBeDefined();
     expect(result.songs.length).toBeGreaterThan(0);
@@ -540,7 +640,7 @@ describe('Song Filtering - Combined Filters', () => {
 
   it('20 - Regression Test (Example Config)', async () => {
     const config = loadTestConfig('20-regression-example.json');
-    const result = await generateQuizSongs(config, fetch);
+    const result = await generateQuizSongs(config, offlineFetch, config.seed, { songSource });
 
     expect(result.songs).toBeDefined();
     expect(result.metadata).toBeDefined();
@@ -583,7 +683,7 @@ describe('Song Filtering - Combined Filters', () => {
 describe('Song Filtering - Edge Cases', () => {
   it('18 - Impossible Constraints (Should Return Empty or Partial)', async () => {
     const config = loadTestConfig('18-edge-impossible.json');
-    const result = await generateQuizSongs(config, fetch);
+    const result = await generateQuizSongs(config, offlineFetch, config.seed, { songSource });
 
     expect(result.songs).toBeDefined();
     expect(result.metadata).toBeDefined();
@@ -609,7 +709,7 @@ describe('Song Filtering - Edge Cases', () => {
 
   it('19 - Minimal Config (1 Song, No Filters)', async () => {
     const config = loadTestConfig('19-edge-minimal.json');
-    const result = await generateQuizSongs(config, fetch);
+    const result = await generateQuizSongs(config, offlineFetch, config.seed, { songSource });
 
     expect(result.songs).toBeDefined();
     expect(result.songs.length).toBeGreaterThan(0);
@@ -617,6 +717,26 @@ describe('Song Filtering - Edge Cases', () => {
 
     colorLog(`[19] Generated ${result.songs.length} song(s) with minimal config`, 'cyan');
   }, TEST_TIMEOUT);
+
+  it('22 - Max Songs per Franchise', async () => {
+    const config = loadTestConfig('22-franchise-cap.json');
+    const result = await generateQuizSongs(config, offlineFetch, config.seed, { songSource });
+
+    expect(result.songs).toBeDefined();
+    expect(result.songs.length).toBeGreaterThan(0);
+
+    // No franchise may exceed the cap
+    const franchiseOf = createFranchiseResolver(result.songs);
+    const franchiseCounts = new Map();
+    for (const song of result.songs) {
+      const key = franchiseOf(song);
+      franchiseCounts.set(key, (franchiseCounts.get(key) || 0) + 1);
+    }
+    const maxCount = Math.max(...franchiseCounts.values());
+
+    colorLog(`[22] ${result.songs.length} songs across ${franchiseCounts.size} franchises (max ${maxCount} per franchise)`, 'cyan');
+    expect(maxCount).toBeLessThanOrEqual(config.basicSettings.maxSongsPerFranchise);
+  }, TEST_TIMEOUT);
 });
 
 // Summary report after all tests
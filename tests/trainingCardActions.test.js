@@ -0,0 +1,103 @@
+/**
+ * Tests for logged card actions: replayed when progress is rebuilt from its plays, ignored by
+ * everything that reads the plays as reviews
+ */
+
+import { describe, it, expect } from 'vitest';
+import { recalculateSongProgress, loadLeeches } from '../src/lib/server/training/training-utils.js';
+import { State, trainingScheduler, DEFAULT_LEECH_THRESHOLD } from '../src/lib/server/training/fsrs-service.js';
+import { buildReviewHistories, optimizeUserParameters } from '../src/lib/server/training/fsrs-optimizer.js';
+import { createFakeSupabase, createPlay, USER_ID, QUIZ_ID } from './utils/trainingFixtures.js';
+
+const SONG_ID = 101;
+
+const review = (playedAt, rating) => createPlay({ song_ann_id: SONG_ID, played_at: playedAt, rating, success: rating > 1 });
+const action = (playedAt, playType, answerData = {}) =>
+  createPlay({ song_ann_id: SONG_ID, played_at: playedAt, play_type: playType, session_id: null, rating: null, success: null, answer_data: answerData });
+
+/**
+ * Rebuild the test card from the given plays
+ * @param {Array<Object>} plays - training_session_plays rows
+ * @returns {Promise<Object>} Rebuilt training_progress row
+ */
+async function rebuild(plays) {
+  const supabase = createFakeSupabase({
+    training_session_plays: plays,
+    training_progress: [{ user_id: USER_ID, quiz_id: QUIZ_ID, song_ann_id: SONG_ID, card_type: 'anime', tags: [] }]
+  });
+  await recalculateSongProgress(supabase, USER_ID, QUIZ_ID, SONG_ID);
+  return supabase.tables.training_progress[0];
+}
+
+describe('Training Card Actions - Progress Rebuild', () => {
+  const reviews = [review('2025-01-01T10:00:00.000Z', 3), review('2025-01-03T10:00:00.000Z', 3)];
+
+  it('keeps a forgotten card new', async () => {
+    const progress = await rebuild([...reviews, action('2025-01-05T10:00:00.000Z', 'forget')]);
+    expect(progress.fsrs_state.state).toBe(State.New);
+    expect(progress.success_streak).toBe(0);
+    expect(progress.attempt_count).toBe(2);
+  });
+
+  it('keeps a card marked known in review with a long interval', async () => {
+    const progress = await rebuild([review('2025-01-01T10:00:00.000Z', 1), action('2025-01-02T10:00:00.000Z', 'known')]);
+    expect(progress.fsrs_state.state).toBe(State.Review);
+    expect(progress.fsrs_state.scheduled_days).toBeGreaterThanOrEqual(30);
+    expect(progress.last_attempt_at).toBe('2025-01-01T10:00:00.000Z');
+  });
+
+  it('keeps a rescheduled due date', async () => {
+    const dueDate = '2025-06-01T04:00:00.000Z';
+    const progress = await rebuild([...reviews, action('2025-01-04T10:00:00.000Z', 'reschedule', { dueDate })]);
+    expect(progress.fsrs_state.due).toBe(dueDate);
+  });
+
+  it('applies reviews logged after an action on top of it', async () => {
+    const progress = await rebuild([...reviews, action('2025-01-05T10:00:00.000Z', 'forget'), review('2025-01-06T10:00:00.000Z', 3)]);
+    expect(progress.fsrs_state.reps).toBe(1);
+    expect(progress.success_streak).toBe(1);
+    expect(progress.history).toHaveLength(3);
+  });
+});
+
+describe('Training Card Actions - Review Readers', () => {
+  const reviews = [
+    review('2025-01-01T10:00:00.000Z', 1),
+    review('2025-01-03T10:00:00.000Z', 3),
+    review('2025-01-10T10:00:00.000Z', 3)
+  ];
+  const withActions = [
+    ...reviews.slice(0, 2),
+    action('2025-01-04T10:00:00.000Z', 'known'),
+    action('2025-01-05T10:00:00.000Z', 'reschedule', { dueDate: '2025-02-01T04:00:00.000Z' }),
+    reviews[2]
+  ];
+
+  it('leaves known and reschedule actions out of the optimizer input', () => {
+    expect(buildReviewHistories(withActions)).toEqual(buildReviewHistories(reviews));
+  });
+
+  it('starts a new optimizer history after a forget', () => {
+    const histories = buildReviewHistories([...reviews.slice(0, 2), action('2025-01-05T10:00:00.000Z', 'forget'), reviews[2]]);
+    expect(histories.map((steps) => steps.length)).toEqual([2, 1]);
+    expect(histories[1][0].elapsedDays).toBe(0);
+  });
+
+  it('fits the same reviews with or without actions in the log', async () => {
+    const fit = async (plays) => (await optimizeUserParameters(createFakeSupabase({ training_session_plays: plays }), USER_ID, QUIZ_ID)).reviewCount;
+    expect(await fit(withActions)).toBe(await fit(reviews));
+  });
+
+  it('names leeches after their latest reviewed answer', async () => {
+    const supabase = createFakeSupabase({
+      training_session_plays: [
+        createPlay({ song_ann_id: SONG_ID, played_at: '2025-01-01T10:00:00.000Z', correct_answer: 'Naruto' }),
+        { ...action('2025-01-02T10:00:00.000Z', 'known'), correct_answer: 'Not an answer' }
+      ]
+    });
+    const progress = [{ song_ann_id: SONG_ID, card_type: 'anime', fsrs_state: { lapses: DEFAULT_LEECH_THRESHOLD } }];
+
+    const [leech] = await loadLeeches(supabase, USER_ID, QUIZ_ID, trainingScheduler, progress);
+    expect(leech).toMatchObject({ songAnnId: SONG_ID, correctAnswer: 'Naruto' });
+  });
+});
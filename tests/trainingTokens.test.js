@@ -0,0 +1,86 @@
+/**
+ * Tests for connector token authentication in training-utils.js
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import bcrypt from 'bcrypt';
+import {
+  authenticateTrainingToken,
+  generateTrainingToken,
+  hashToken
+} from '../src/lib/server/training/training-utils.js';
+import { createFakeSupabase, USER_ID } from './utils/trainingFixtures.js';
+
+/**
+ * Store a freshly generated token for the test user
+ * @param {ReturnType<typeof createFakeSupabase>} supabase - Fake client
+ * @returns {Promise<string>} Plaintext token
+ */
+async function storeToken(supabase) {
+  const { token, tokenId, secret } = generateTrainingToken();
+  await supabase.from('training_tokens').insert({ user_id: USER_ID, token_id: tokenId, token_hash: await hashToken(secret) });
+  return token;
+}
+
+/**
+ * Count the training_tokens queries a client runs
+ * @param {ReturnType<typeof createFakeSupabase>} supabase - Fake client
+ * @returns {{ count: number }} Live query count
+ */
+function countTokenQueries(supabase) {
+  const counter = { count: 0 };
+  const from = supabase.from;
+  supabase.from = (table) => {
+    if (table === 'training_tokens') counter.count++;
+    return from(table);
+  };
+  return counter;
+}
+
+describe('Training Tokens - Authentication', () => {
+  /** @type {ReturnType<typeof createFakeSupabase>} */
+  let supabase;
+
+  beforeEach(async () => {
+    supabase = createFakeSupabase();
+    // Other users' tokens, none of which a made-up token may be checked against
+    for (let i = 0; i < 5; i++) await storeToken(supabase);
+  });
+
+  it('finds a token by its ID and verifies its secret', async () => {
+    const token = await storeToken(supabase);
+    const compare = vi.spyOn(bcrypt, 'compare');
+
+    const row = await authenticateTrainingToken(supabase, token);
+    expect(row).toMatchObject({ user_id: USER_ID, token_id: token.split('.')[0] });
+    expect(compare).toHaveBeenCalledTimes(1);
+    compare.mockRestore();
+  });
+
+  it('rejects a made-up token with one lookup and no hash checks', async () => {
+    const queries = countTokenQueries(supabase);
+    const compare = vi.spyOn(bcrypt, 'compare');
+
+    expect(await authenticateTrainingToken(supabase, generateTrainingToken().token)).toBeNull();
+    expect(queries.count).toBe(1);
+    expect(compare).not.toHaveBeenCalled();
+    compare.mockRestore();
+  });
+
+  it('rejects tokens without an ID prefix before any lookup', async () => {
+    const queries = countTokenQueries(supabase);
+    const compare = vi.spyOn(bcrypt, 'compare');
+
+    for (const token of ['a'.repeat(64), 'not-a-token', '', 'abc.def']) {
+      expect(await authenticateTrainingToken(supabase, token)).toBeNull();
+    }
+    expect(queries.count).toBe(0);
+    expect(compare).not.toHaveBeenCalled();
+    compare.mockRestore();
+  });
+
+  it('rejects a known token ID with the wrong secret', async () => {
+    const token = await storeToken(supabase);
+    expect(await authenticateTrainingToken(supabase, `${token.split('.')[0]}.wrong`)).toBeNull();
+  });
+});
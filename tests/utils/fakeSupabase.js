@@ -0,0 +1,220 @@
+/**
+ * In-memory stand-in for the Supabase admin client, for testing training modules without a database
+ *
+ * Supports the query builder calls the training code uses: select/insert/update/upsert/delete with
+ * eq, neq, is, not(..., 'is', null), in, gt/gte/lt/lte, or('a.is.null,a.eq.x'), order, limit,
+ * range, single and maybeSingle. Rows get an `id` when inserted without one, and the column
+ * defaults given per table for columns they leave out.
+ *
+ * Like PostgREST, a select returns at most MAX_ROWS rows and an `in` filter whose values don't fit
+ * in a request URL fails, so code that reads large results without chunking and paging fails here.
+ */
+
+import crypto from 'crypto';
+
+/** Rows returned per select (PostgREST max-rows) */
+export const MAX_ROWS = 1000;
+
+/** Characters of `in` filter values that fit in a request URL */
+export const MAX_IN_FILTER_LENGTH = 8000;
+
+/**
+ * Evaluate one PostgREST `or` condition such as "quiz_id.is.null" or "quiz_id.eq.abc"
+ * @param {Object} row - Table row
+ * @param {string} condition - Condition text
+ * @returns {boolean} Whether the row matches
+ */
+function matchesOrCondition(row, condition) {
+  const [column, operator, ...rest] = condition.split('.');
+  const value = rest.join('.');
+  if (operator === 'is' && value === 'null') return row[column] === null || row[column] === undefined;
+  if (operator === 'eq') return String(row[column]) === value;
+  throw new Error(`fakeSupabase: unsupported or condition ${condition}`);
+}
+
+/**
+ * Create a fake Supabase client
+ * @param {Record<string, Array<Object>>} [initialTables] - Rows per table
+ * @param {Record<string, Object>} [columnDefaults] - Column defaults per table (the schema's DEFAULTs)
+ * @returns {{ from: (table: string) => Object, tables: Record<string, Array<Object>> }} Client and its tables
+ */
+export function createFakeSupabase(initialTables = {}, columnDefaults = {}) {
+  /** @type {Record<string, Array<Object>>} */
+  const tables = {};
+  for (const [name, rows] of Object.entries(initialTables)) {
+    tables[name] = rows.map((row) => ({ ...columnDefaults[name], ...row }));
+  }
+
+  function from(table) {
+    if (!tables[table]) tables[table] = [];
+    const filters = [];
+    let operation = 'select';
+    let payload = null;
+    let upsertConflict = null;
+    let returnRows = false;
+    const orderings = [];
+    let limitCount = null;
+    let rangeStart = 0;
+    let queryError = null;
+
+    const matches = (row) => filters.every((filter) => filter(row));
+
+    function run() {
+      const rows = tables[table];
+
+      if (operation === 'insert' || operation === 'upsert') {
+        const written = [];
+        for (const input of Array.isArray(payload) ? payload : [payload]) {
+          const existing =
+            operation === 'upsert' &&
+            rows.find((row) => upsertConflict.every((column) => row[column] === input[column]));
+          if (existing) {
+            Object.assign(existing, input);
+            written.push(existing);
+          } else {
+            const row = { id: crypto.randomUUID(), ...columnDefaults[table], ...input };
+            rows.push(row);
+            written.push(row);
+          }
+        }
+        return returnRows ? written : null;
+      }
+
+      if (operation === 'update') {
+        const updated = rows.filter(matches);
+        for (const row of updated) Object.assign(row, payload);
+        return returnRows ? updated : null;
+      }
+
+      if (operation === 'delete') {
+        const deleted = rows.filter(matches);
+        tables[table] = rows.filter((row) => !matches(row));
+        return returnRows ? deleted : null;
+      }
+
+      let result = rows.filter(matches);
+      if (orderings.length > 0) {
+        result = [...result].sort((a, b) => {
+          for (const { column, ascending } of orderings) {
+            const order = (a[column] < b[column] ? -1 : a[column] > b[column] ? 1 : 0) * (ascending ? 1 : -1);
+            if (order !== 0) return order;
+          }
+          return 0;
+        });
+      }
+      const count = Math.min(limitCount ?? MAX_ROWS, MAX_ROWS);
+      return result.slice(rangeStart, rangeStart + count).map((row) => ({ ...row }));
+    }
+
+    const builder = {
+      select() {
+        if (operation !== 'select') returnRows = true;
+        return builder;
+      },
+      insert(rows) {
+        operation = 'insert';
+        payload = rows;
+        return builder;
+      },
+      upsert(rows, { onConflict = 'id' } = {}) {
+        operation = 'upsert';
+        payload = rows;
+        upsertConflict = onConflict.split(',');
+        return builder;
+      },
+      update(values) {
+        operation = 'update';
+        payload = values;
+        return builder;
+      },
+      delete() {
+        operation = 'delete';
+        return builder;
+      },
+      eq(column, value) {
+        filters.push((row) => row[column] === value);
+        return builder;
+      },
+      neq(column, value) {
+        filters.push((row) => row[column] !== value);
+        return builder;
+      },
+      is(column, value) {
+        filters.push((row) => (value === null ? row[column] === null || row[column] === undefined : row[column] === value));
+        return builder;
+      },
+      not(column, operator, value) {
+        if (operator !== 'is' || value !== null) throw new Error('fakeSupabase: only not(column, "is", null) is supported');
+        filters.push((row) => row[column] !== null && row[column] !== undefined);
+        return builder;
+      },
+      in(column, values) {
+        if (values.map(String).join(',').length > MAX_IN_FILTER_LENGTH) {
+          queryError = { message: 'URI Too Long', code: '414' };
+        }
+        filters.push((row) => values.includes(row[column]));
+        return builder;
+      },
+      gt(column, value) {
+        filters.push((row) => row[column] > value);
+        return builder;
+      },
+      gte(column, value) {
+        filters.push((row) => row[column] >= value);
+        return builder;
+      },
+      lt(column, value) {
+        filters.push((row) => row[column] < value);
+        return builder;
+      },
+      lte(column, value) {
+        filters.push((row) => row[column] <= value);
+        return builder;
+      },
+      or(conditions) {
+        const parts = conditions.split(',');
+        filters.push((row) => parts.some((condition) => matchesOrCondition(row, condition)));
+        return builder;
+      },
+      order(column, { ascending = true } = {}) {
+        orderings.push({ column, ascending });
+        return builder;
+      },
+      limit(count) {
+        limitCount = count;
+        return builder;
+      },
+      range(from, to) {
+        rangeStart = from;
+        limitCount = to - from + 1;
+        return builder;
+      },
+      async maybeSingle() {
+        if (queryError) return { data: null, error: queryError };
+        const rows = run();
+        const list = Array.isArray(rows) ? rows : [];
+        if (list.length > 1) return { data: null, error: { message: 'Multiple rows returned' } };
+        return { data: list[0] ?? null, error: null };
+      },
+      async single() {
+        if (queryError) return { data: null, error: queryError };
+        const rows = run();
+        const list = Array.isArray(rows) ? rows : [];
+        if (list.length !== 1) return { data: null, error: { message: `Expected one row, got ${list.length}` } };
+        return { data: list[0], error: null };
+      },
+      then(resolve, reject) {
+        if (queryError) return Promise.resolve({ data: null, error: queryError }).then(resolve, reject);
+        try {
+          return Promise.resolve({ data: run(), error: null }).then(resolve, reject);
+        } catch (err) {
+          return Promise.reject(err).then(resolve, reject);
+        }
+      }
+    };
+
+    return builder;
+  }
+
+  return { from, tables };
+}
@@ -175,6 +175,41 @@ export function validateSongMatchesFilters(song, filters, supportsPlayerScore) {
       }
     }
 
+    // Artists filter
+    if (definitionId === 'artists') {
+      const { included, excluded, optional, roles = { artist: true } } = settings;
+
+      const names = (people) => (people || []).flatMap(p => [
+        ...(p.names || []),
+        ...(p.members || []).flatMap(m => m.names || [])
+      ]);
+      const credits = [];
+      if (roles.artist) credits.push(song.songArtist, ...names(song.artists));
+      if (roles.composer) credits.push(song.songComposer, ...names(song.composers));
+      if (roles.arranger) credits.push(song.songArranger, ...names(song.arrangers));
+      // Whole names, with flat credits like "Aimer, LiSA" split into the names they list
+      const normalize = (name) => String(name).normalize('NFKC').toLowerCase().replace(/\s+/g, ' ').trim();
+      const creditNames = credits.filter(Boolean).flatMap(c => [c, ...String(c).split(/\s*(?:,|&|;|×|\bfeat\.|\bft\.)\s*|\s+\/\s+/i)]);
+      const normalized = creditNames.map(normalize);
+      const isCredited = (name) => normalized.includes(normalize(name));
+
+      for (const name of included || []) {
+        if (!isCredited(name)) {
+          errors.push(`Missing required artist: ${name}`);
+        }
+      }
+
+      for (const name of excluded || []) {
+        if (isCredited(name)) {
+          errors.push(`Has excluded artist: ${name}`);
+        }
+      }
+
+      if ((optional || []).length > 0 && !optional.some(isCredited)) {
+        errors.push(`Missing any optional artist from: ${optional.join(', ')}`);
+      }
+    }
+
     // Anime Score filter
     if (definitionId === 'anime-score') {
       const { min, max, disabled } = settings;
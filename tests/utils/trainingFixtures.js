@@ -0,0 +1,56 @@
+/**
+ * Shared setup for the training module tests: one user and quiz, and play rows for them
+ */
+
+import { createFakeSupabase as createFakeClient } from './fakeSupabase.js';
+
+export { MAX_ROWS } from './fakeSupabase.js';
+
+export const USER_ID = 'user-1';
+export const QUIZ_ID = 'quiz-1';
+
+/** Column defaults of the training tables (see the migrations) */
+const TRAINING_COLUMN_DEFAULTS = {
+  training_session_plays: { play_type: 'review' }
+};
+
+/**
+ * Create a fake Supabase client with the training tables' column defaults
+ * @param {Record<string, Array<Object>>} [initialTables] - Rows per table
+ * @returns {ReturnType<typeof createFakeClient>} Client and its tables
+ */
+export function createFakeSupabase(initialTables = {}) {
+  return createFakeClient(initialTables, TRAINING_COLUMN_DEFAULTS);
+}
+
+/**
+ * Build a training_session_plays row of the test user and quiz
+ * Defaults to a successful review of an anime card.
+ * @param {Object} fields - Row fields (song_ann_id and played_at at least)
+ * @returns {Object} training_session_plays row
+ */
+export function createPlay(fields) {
+  return {
+    user_id: USER_ID,
+    quiz_id: QUIZ_ID,
+    session_id: 'session-1',
+    card_type: 'anime',
+    play_type: 'review',
+    rating: 3,
+    success: true,
+    ...fields
+  };
+}
+
+/**
+ * Build one review per song, a second apart
+ * @param {number} songCount - Songs to review
+ * @param {string} [startAt] - ISO time of the first review
+ * @returns {Array<Object>} training_session_plays rows for songs 1..songCount
+ */
+export function createPlaysForSongs(songCount, startAt = '2025-01-01T00:00:00.000Z') {
+  const start = new Date(startAt).getTime();
+  return Array.from({ length: songCount }, (_, index) =>
+    createPlay({ song_ann_id: index + 1, played_at: new Date(start + index * 1000).toISOString() })
+  );
+}